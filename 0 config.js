@@ -25,6 +25,14 @@ const CFG = {
     BATCHES: "Batches",
     BATCH_ORDERS: "BatchOrders",
     SHIPMENTS: "Shipments",
+    BATCH_PREVIEW: "BatchPreview", // scratch sheet, rewritten by each batch preview
+    BATCH_RULES: "BatchRules",     // optional per-category overrides of CFG.BATCH
+    SETTINGS: "Settings",          // optional overrides of this file (settings.js)
+    SKU_MATRIX_LINT: "SkuMatrixLint", // scratch sheet, rewritten by each SKU_Matrix validation
+    EXCLUDED_ITEMS: "ExcludedItems",  // archive of OrderItems rows removed by ARCHIVE exclusion rules
+    ORDER_ITEMS_SCAN_STATE: "OrderItemsScanState", // hidden; per-row hashes for change detection
+    CLICK_DROP_EXPORTS: "ClickDropExports",        // one row per order sent to Click & Drop (clickDropExport.js)
+    ROYAL_MAIL_IMPORTS: "RoyalMailImports",        // one row per manifest file processed (royalMailImport.js)
   },
 
   /***************
@@ -51,6 +59,15 @@ const CFG = {
 
       // Optional future column
       PrintPlan: "PrintPlan",
+
+      // Optional: copied onto Orders.ShippingService (rush detection)
+      ShippingService: "ShippingService",
+
+      // Optional: rule name stamped by EXCLUDE exclusion rules (exclusionRules.js)
+      Excluded: "Excluded",
+
+      // Optional: non-blank = line item cancelled upstream (orderCancellations.js)
+      CancelledAt: "CancelledAt",
     },
 
     ORDERS: {
@@ -64,6 +81,10 @@ const CFG = {
       RoyalMailBatchNumber: "RoyalMailBatchNumber",
       RoyalMailTrackingNumber: "RoyalMailTrackingNumber",
       RoyalMailManifestNo: "RoyalMailManifestNo",
+
+      // Optional: rush handling (orderPriority.js)
+      Priority: "Priority",
+      ShippingService: "ShippingService",
     },
 
     SKU_MATRIX: {
@@ -71,6 +92,15 @@ const CFG = {
       PrintMode: "PrintMode",
       PrintProfileKey: "PrintProfileKey",
       PrintCategory: "PrintCategory",
+
+      // Optional: EXACT (blank) | PREFIX | SUFFIX | REGEX (orderItemsSetup.js)
+      MatchType: "MatchType",
+    },
+
+    // OrderItems headers, plus these two (exclusionRules.js)
+    EXCLUDED_ITEMS: {
+      ExcludedAt: "ExcludedAt",
+      ExclusionRule: "ExclusionRule",
     },
 
     EXCEPTIONS: {
@@ -80,6 +110,11 @@ const CFG = {
       LineItemID: "LineItemID",
       SKU: "SKU",
       Message: "Message",
+
+      // Optional: triage (exceptions.js)
+      Status: "Status",
+      ResolvedAt: "ResolvedAt",
+      ResolvedBy: "ResolvedBy",
     },
 
     BATCHES: {
@@ -102,6 +137,9 @@ const CFG = {
       LineItemCount: "LineItemCount",
       OrderCount: "OrderCount",
       Notes: "Notes",
+
+      // Optional: link to the generated batch sheet PDF
+      BatchSheetUrl: "BatchSheetUrl",
     },
 
     BATCH_ORDERS: {
@@ -115,6 +153,50 @@ const CFG = {
       OrderItemCount: "OrderItemCount",
       PrintUnits: "PrintUnits",
       LastUpdatedAt: "LastUpdatedAt",
+
+      // Optional: number of batches the order is split across (blank when 1)
+      SplitAcrossBatches: "SplitAcrossBatches",
+    },
+
+    BATCH_RULES: {
+      Key: "Key", // category code (BMUG) or PrintProfileKey (B64:3)
+      MinLineItems: "MinLineItems",
+      MinPrintUnits: "MinPrintUnits",
+      MaxPrintUnits: "MaxPrintUnits",
+      LookbackDays: "LookbackDays",
+      FullDaysOnly: "FullDaysOnly",
+      MiscEligible: "MiscEligible",
+    },
+
+    SETTINGS: {
+      Key: "Key", // CFG path, e.g. BATCH.LOOKBACK_DAYS
+      Value: "Value",
+      Notes: "Notes",
+    },
+
+    CLICK_DROP_EXPORTS: {
+      OrderName: "OrderName",
+      ExportedAt: "ExportedAt",
+      ExportedBy: "ExportedBy",
+      BatchID: "BatchID",
+      FileName: "FileName",
+      FileUrl: "FileUrl",
+    },
+
+    ROYAL_MAIL_IMPORTS: {
+      FileID: "FileID",
+      FileName: "FileName",
+      StartedAt: "StartedAt",
+      FinishedAt: "FinishedAt",
+      Status: "Status", // Running | OK | Failed
+      Profile: "Profile",
+      SheetName: "SheetName",
+      RowsRead: "RowsRead",
+      ShipmentsNew: "ShipmentsNew",
+      ShipmentsUpdated: "ShipmentsUpdated",
+      OrdersTouched: "OrdersTouched",
+      UnmatchedOrders: "UnmatchedOrders", // manifest OrderNames not on the Orders sheet
+      Error: "Error",
     },
 
     SHIPMENTS: {
@@ -145,8 +227,29 @@ const CFG = {
   PACKED: "Packed",
   DESPATCHED: "Despatched",
   DELIVERED: "Delivered",
+  CANCELLED: "Cancelled", // every line item cancelled upstream
 },
 
+  /***************
+   * Exceptions.Status values (exceptions.js)
+   ***************/
+  EXCEPTION_STATUS: {
+    OPEN: "Open",
+    RESOLVED: "Resolved",
+    IGNORED: "Ignored",
+    AUTO_RESOLVER: "auto", // ResolvedBy when a later scan clears the problem
+  },
+
+  /***************
+   * Order priority (orderPriority.js)
+   ***************/
+  PRIORITY: {
+    // Orders.Priority values that mean rush (case-insensitive)
+    RUSH_VALUES: ["Rush", "Express", "Urgent"],
+    // Priority blank: rush when ShippingService contains any of these
+    RUSH_SHIPPING_SERVICES: ["Special Delivery", "Tracked 24", "Express"],
+  },
+
 ORDER_STATUS_LIST: [
   "Hold",
   "New",
@@ -155,15 +258,142 @@ ORDER_STATUS_LIST: [
   "Packed",
   "Despatched",
   "Delivered",
+  "Cancelled",
 ],
 
+  /***************
+   * Batch lifecycle (Batches.OrderStatus)
+   * Open -> Printing -> Printed -> Packing -> Packed -> Despatched
+   ***************/
+  BATCH_STATUS: {
+    OPEN: "Open",
+    PRINTING: "Printing",
+    PRINTED: "Printed",
+    PACKING: "Packing",
+    PACKED: "Packed",
+    DESPATCHED: "Despatched",
+
+    // Terminal, outside the sequence above: set only by "Dissolve batch"
+    CANCELLED: "Cancelled",
+  },
+
 ROYAL_MAIL: {
   WATCH_FOLDER_ID: "1H0-1gdXgvHvydmHEuMu4LHwCzPmQbHXZ",
   ARCHIVE_FOLDER_ID: "1bazV-1pvtQ2vSzXBDMBQVLJnhneWgncQ",
+  // Files that fail to import are moved here (move a fixed file back to retry it).
+  // Blank: a failed file stays in the watch folder and is retried every run.
+  QUARANTINE_FOLDER_ID: "",
   POLL_EVERY_MINUTES: 30,
   TRACKING_STATUS_DELIVERED: "Delivered",
+
+  // Manifest column mapping (.csv / .xls / .xlsx), tried in order. COLUMNS maps each
+  // Shipments field to candidate headers (first match, case-insensitive); a sheet matches
+  // a profile when every REQUIRED field is found, so the first matching tab of a
+  // multi-tab workbook is the one imported.
+  MANIFEST_PROFILES: [
+    {
+      NAME: "Click & Drop",
+      REQUIRED: ["OrderName", "Postcode", "RoyalMailBatchNumber", "RoyalMailManifestNo", "DespatchedAt", "RoyalMailTrackingNumber", "TrackingStatus"],
+      COLUMNS: {
+        OrderName: ["Channel reference"],
+        RoyalMailBatchNumber: ["Batch number"],
+        Postcode: ["Postcode"],
+        RoyalMailManifestNo: ["Manifest number"],
+        DespatchedAt: ["Despatch date"],
+        RoyalMailTrackingNumber: ["Tracking number"],
+        TrackingStatus: ["Tracking status"],
+        ShippingService: ["Shipping service"],
+        PackageSize: ["Package size"],
+        WeightKg: ["Weight (kg)"],
+      },
+    },
+  ],
 },
 
+  /***************
+   * Order import (orderImport.js): doPost web app + Drive watch folder
+   ***************/
+  ORDER_IMPORT: {
+    WATCH_FOLDER_ID: "",
+    ARCHIVE_FOLDER_ID: "",
+    // Files that fail to import are moved here (required; move a fixed file back to retry it)
+    QUARANTINE_FOLDER_ID: "",
+    POLL_EVERY_MINUTES: 15,
+    MAX_FILES_PER_RUN: 5,
+
+    // Script property holding the shared secret doPost expects as ?token=
+    // (no token set = the endpoint rejects every request)
+    TOKEN_PROPERTY: "ORDER_IMPORT_TOKEN",
+
+    // CSV header (first match, case-insensitive) for each OrderItems field;
+    // defaults read a Shopify orders export
+    CSV_COLUMNS: {
+      OrderName: ["Name", "OrderName", "Order"],
+      CreatedAt: ["Created at", "CreatedAt"],
+      LineItemID: ["Lineitem id", "Line: ID", "LineItemID"],
+      SKU: ["Lineitem sku", "SKU"],
+      ProductTitle: ["Lineitem name", "ProductTitle", "Title"],
+      Qty: ["Lineitem quantity", "Qty", "Quantity"],
+      ShippingService: ["Shipping Method", "ShippingService"],
+      CancelledAt: ["Cancelled at", "CancelledAt"],
+    },
+  },
+
+  /***************
+   * Batch sheet PDFs (batchSheet.js)
+   ***************/
+  BATCH_SHEET: {
+    FOLDER_ID: "",
+    FILE_NAME_PREFIX: "Batch Sheet",
+  },
+
+  /***************
+   * Royal Mail Click & Drop CSV export (clickDropExport.js)
+   ***************/
+  CLICK_DROP: {
+    FOLDER_ID: "",
+    FILE_NAME_PREFIX: "Click & Drop",
+
+    // Rush orders (orderPriority.js) use RUSH_SERVICE, everything else DEFAULT_SERVICE
+    DEFAULT_SERVICE: "Royal Mail Tracked 48",
+    RUSH_SERVICE: "Royal Mail Tracked 24",
+
+    // Grams per item (Qty) by PrintCategory (DEFAULT for categories not listed),
+    // plus PACKAGING_GRAMS once per order
+    WEIGHT_GRAMS_BY_CATEGORY: {
+      DEFAULT: 10,
+      BMUG: 450,
+      BKEY: 30,
+      BMAG: 20,
+      BDD: 0,
+    },
+    PACKAGING_GRAMS: 60,
+
+    // Smallest first; an order ships in the largest size any of its categories needs
+    PACKAGE_SIZES: ["Letter", "Large letter", "Small parcel", "Medium parcel"],
+    PACKAGE_SIZE_BY_CATEGORY: {
+      DEFAULT: "Large letter",
+      BMUG: "Small parcel",
+      B1612C: "Small parcel",
+      B1616C: "Small parcel",
+      B1620C: "Small parcel",
+    },
+
+    // CSV headers, matched by the Click & Drop import profile
+    HEADERS: {
+      ChannelReference: "Channel reference",
+      Postcode: "Postcode",
+      Service: "Shipping service",
+      PackageSize: "Package size",
+      WeightKg: "Weight (kg)",
+    },
+  },
+
+  /***************
+   * Settings sheet cache (settings.js)
+   ***************/
+  SETTINGS_CACHE_SECONDS: 300,
+
   /***************
    * Trigger settings
    ***************/
@@ -211,8 +441,50 @@ ROYAL_MAIL: {
     },
   },
 
+  /***************
+   * Exclusion rules (exclusionRules.js)
+   * Checked in order before enrichment; the first rule whose conditions all match wins.
+   * Conditions (string or list; all given ones must match):
+   *   skuPrefix / skuSuffix / skuRegex (case-insensitive), printMode, category (from SKU_Matrix)
+   * action: "DELETE"  = remove the row from OrderItems
+   *         "ARCHIVE" = move the row to the ExcludedItems sheet
+   *         "EXCLUDE" = keep the row, stamp OrderItems.Excluded and skip it downstream
+   * Rows already in a print batch are never touched.
+   ***************/
+  EXCLUSION: {
+    RULES: [
+      { name: "Digital download", skuSuffix: "BDD", action: "ARCHIVE" },
+      // { name: "Non-product", category: ["BNONP", "BSTF"], action: "EXCLUDE" },
+    ],
+  },
+
+  /***************
+   * SKU_Matrix matching (orderItemsSetup.js), quick-add sidebar (sidebarSkuMatrix.js)
+   * and validation (skuMatrixLint.js)
+   ***************/
+  SKU_MATRIX: {
+    PRINT_MODES: ["PRINT", "NONE"],
+    MAX_PRINTS_PER_CODE: 99,
+
+    // SKU_Matrix.MatchType values; exact beats any pattern
+    MATCH_TYPES: {
+      EXACT: "EXACT",
+      PREFIX: "PREFIX",
+      SUFFIX: "SUFFIX",
+      REGEX: "REGEX",
+    },
+
+    // Cell highlight per lint severity (SKU_Matrix backgrounds are rewritten on each validation)
+    LINT_COLORS: {
+      ERROR: "#f4c7c3",
+      WARNING: "#fce8b2",
+      INFO: "#e8eaed",
+    },
+  },
+
   /***************
    * Batching controls
+   * (defaults; the BatchRules sheet can override per category/profile)
    ***************/
   BATCH: {
     // "ORDER_DATE" = bucket by DATE(CreatedAt)
@@ -228,14 +500,37 @@ ROYAL_MAIL: {
 
     MAX_PRINTUNITS_PER_BATCH: 999,
 
+    // Per-category max (category codes as in CATEGORY_LABEL_MAP); overrides the one above
+    MAX_PRINTUNITS_BY_CATEGORY: {
+      // BMUG: 20,
+      // B64: 300,
+    },
+
+    // Profile groups over the max:
+    // "GREEDY"   = fill batches in row order (an order may straddle two batches)
+    // "BALANCED" = evenly sized batches; an order's items always stay together
+    SPLIT_MODE: "GREEDY",
+
     CREATE_MISC_PER_DATE: true,
     MISC_PROFILE_KEY: "MISC",
     MISC_CATEGORY: "MISC",
 
     TYPE_AUTO: "AUTO",
     TYPE_MISC: "MISC",
+    TYPE_RUSH: "RUSH", // rush orders: per date + profile, no minimums, today included
 
-    STATUS_OPEN: "New",
+    // Orders whose items span several print profiles:
+    // "LINE_ITEM" = each item batches by its own PrintProfileKey (order may span batches)
+    // "MIXED"     = the whole order goes to a per-date MIXED batch (split BALANCED over the max)
+    // "DOMINANT"  = the whole order goes to the batch of its profile with the most print units
+    ORDER_STRATEGY: "LINE_ITEM",
+    TYPE_MIXED: "MIXED",
+    MIXED_PROFILE_KEY: "MIXED",
+    MIXED_CATEGORY: "MIXED",
+
+    STATUS_OPEN: "Open",
+    // Batches created before the lifecycle existed were stamped with these; treated as Open.
+    LEGACY_OPEN_STATUSES: ["New"],
 
     NAME_DATE_FORMAT_UK: "dd/MM/yyyy",
 
@@ -271,6 +566,12 @@ ROYAL_MAIL: {
    ***************/
   PERF: {
     CHUNK_SIZE: 5000,
-    CHECKPOINT_OVERLAP: 200
+    CHECKPOINT_OVERLAP: 200,
+
+    // "HASH" = rescan rows whose content changed (orderItemsScanState.js), wherever they moved;
+    //          reads and hashes every OrderItems row on each run
+    // "ROW"  = rescan from the last-row checkpoint minus CHECKPOINT_OVERLAP only
+    //          (cheaper, but edits to older rows are missed)
+    CHANGE_DETECTION: "HASH",
   },
 };
@@ -57,6 +57,18 @@ function mergeNewlineList_(existing, incoming) {
   return Array.from(set).sort().join("\n");
 }
 
+/**
+ * Append the incoming lines not already present, keeping the existing order
+ * (for audit trails such as Batches.Notes).
+ */
+function appendNewlineList_(existing, incoming) {
+  const lines = String(existing || "").split(/\r?\n/).map(s => s.trim()).filter(Boolean);
+  for (const part of String(incoming || "").split(/\r?\n/).map(s => s.trim()).filter(Boolean)) {
+    if (lines.indexOf(part) < 0) lines.push(part);
+  }
+  return lines.join("\n");
+}
+
 /***************
  * Parsing / coercion
  ***************/
@@ -81,6 +93,17 @@ function isTrue_(v) {
   return (s === "true" || s === "yes" || s === "y" || s === "1");
 }
 
+/**
+ * Strict boolean for config cells: true/false/yes/no/y/n/1/0, else null.
+ */
+function parseBoolOrNull_(v) {
+  if (v === true || v === false) return v;
+  const s = String(v === undefined || v === null ? "" : v).trim().toLowerCase();
+  if (s === "true" || s === "yes" || s === "y" || s === "1") return true;
+  if (s === "false" || s === "no" || s === "n" || s === "0") return false;
+  return null;
+}
+
 /***************
  * Blank-ish logic
  ***************/
@@ -118,6 +141,22 @@ function sumPrintCounts_(profileKey) {
   return sum;
 }
 
+/**
+ * Splits a PrintProfileKey into its codes/counts (same rules as sumPrintCounts_).
+ * Example: "B86:1|B54:2" => [{ code: "B86", count: 1 }, { code: "B54", count: 2 }]
+ */
+function parsePrintProfileKey_(profileKey) {
+  const key = String(profileKey || "").trim();
+  if (!key) return [];
+
+  return key.split("|").map(s => s.trim()).filter(Boolean).map(p => {
+    const m = p.match(/^(.*?):(\d+)$/);
+    return m
+      ? { code: m[1].trim(), count: parseInt(m[2], 10) }
+      : { code: p, count: 1 };
+  });
+}
+
 function deriveCategoryFallback_(mode, profileKey) {
   const m = String(mode || "").toUpperCase();
   if (m === "NONE") {
@@ -148,6 +187,20 @@ function isManualOrFinalOrderStatus_(status) {
          s === CFG.STATUS.DELIVERED;
 }
 
+/***************
+ * Session helpers
+ ***************/
+
+/**
+ * Email of the user running the script (falls back to the effective user,
+ * since getActiveUser() is blank for consumer accounts).
+ */
+function getActiveUserEmail_() {
+  const active = String(Session.getActiveUser().getEmail() || "").trim();
+  if (active) return active;
+  return String(Session.getEffectiveUser().getEmail() || "").trim();
+}
+
 function normTrackingStatus_(s) {
   return String(s || "").trim().toLowerCase();
 }
@@ -171,3 +224,15 @@ function trackingListToRoyalMailUrls_(newlineList) {
     .map(toRoyalMailTrackingUrl_)
     .join("\n");
 }
+
+/***************
+ * HTML helpers
+ ***************/
+function escapeHtml_(s) {
+  return String(s === undefined || s === null ? "" : s)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
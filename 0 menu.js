@@ -10,6 +10,7 @@ function onOpen() {
 
   // Queue sidebar
   m.addItem("Open: Order Queue Sidebar", "openOrdersSidebar")
+    .addItem("Open: SKU_Matrix Quick-Add", "openSkuMatrixSidebar")
 
   // Order pipeline
   m.addItem("Run: Process Waiting Orders", "processWaitingOrders")
@@ -19,15 +20,30 @@ function onOpen() {
   m.addSeparator()
     .addItem("Create batches (full days only)", "createBatchesAuto")
     .addItem("OVERRIDE: Create batches incl. today", "createBatchesIncludeTodayOverride")
+    .addItem("Preview batches (dry run)", "previewBatchesAuto")
+    .addItem("Preview batches incl. today (dry run)", "previewBatchesIncludeTodayOverride")
     .addItem("Rebuild BatchOrders", "rebuildBatchOrders")
+    .addItem("Batches: Generate batch sheet (PDF)…", "generateBatchSheetFromMenu")
+    .addItem("Batches: Mark batch printed…", "markBatchPrintedFromMenu")
+    .addItem("Batches: Roll up statuses from orders", "rollUpBatchStatuses")
+    .addItem("Batches: Reconcile metrics from OrderItems", "reconcileBatchMetrics")
+    .addItem("Batches: Dissolve batch…", "dissolveBatchFromMenu")
   // Royal Mail
   .addSeparator()
   .addItem("Royal Mail: Run import now (watch folder)", "pollRoyalMailWatchFolder")
   .addItem("Royal Mail: Install watch trigger", "installRoyalMailWatchTrigger")
   .addItem("Royal Mail: Remove watch trigger", "removeRoyalMailWatchTrigger")
+  .addItem("Royal Mail: Export Packed orders to Click & Drop CSV…", "exportClickDropCsvFromMenu")
+  // Order import
+  .addSeparator()
+  .addItem("Order import: Run import now (watch folder)", "pollOrderImportWatchFolder")
+  .addItem("Order import: Install watch trigger", "installOrderImportWatchTrigger")
+  .addItem("Order import: Remove watch trigger", "removeOrderImportWatchTrigger")
   // Setup
   m.addSeparator()
-    .addItem("Setup: Format sheets (headers only)", "setup");
+    .addItem("Setup: Format sheets (headers only)", "setup")
+    .addItem("Settings: validate", "validateSettings")
+    .addItem("SKU_Matrix: validate", "validateSkuMatrix");
   // Admin / checkpoint tools
   m.addSeparator()
     .addItem("Admin: Reset OrderItems checkpoint (forces full rescan next run)", "adminResetOrderItemsCheckpoint")
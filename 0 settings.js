@@ -0,0 +1,280 @@
+/***************************************
+ * settings.js
+ * Optional "Settings" sheet that overlays CFG at runtime.
+ *
+ * Sheet columns: Key | Value | Notes
+ * - Key is a CFG path from SETTINGS_SCHEMA_ (e.g. BATCH.MAX_PRINTUNITS_PER_BATCH)
+ * - Blank Value = keep the config.js default
+ * - Lists: one per line (or comma-separated); maps: KEY=VALUE per line
+ *
+ * Invalid rows are skipped (config.js value kept) and logged to Exceptions
+ * as SETTINGS_INVALID (resolved again once fixed).
+ *
+ * The sheet is read at most once per execution and cached for
+ * CFG.SETTINGS_CACHE_SECONDS across executions; "Settings: validate"
+ * re-reads it immediately.
+ ***************************************/
+
+/**
+ * Overridable CFG paths and how to parse them.
+ * type: string | int | bool | enum | list | map | intMap
+ */
+const SETTINGS_SCHEMA_ = {
+  "TIMEZONE": { type: "string", pattern: /^[A-Za-z_]+(\/[A-Za-z0-9_+\-]+)*$/ },
+
+  "ROYAL_MAIL.WATCH_FOLDER_ID": { type: "string" },
+  "ROYAL_MAIL.ARCHIVE_FOLDER_ID": { type: "string" },
+  "ROYAL_MAIL.QUARANTINE_FOLDER_ID": { type: "string" },
+  "ROYAL_MAIL.POLL_EVERY_MINUTES": { type: "int", oneOf: [1, 5, 10, 15, 30] },
+  "ROYAL_MAIL.TRACKING_STATUS_DELIVERED": { type: "string" },
+
+  "ORDER_IMPORT.WATCH_FOLDER_ID": { type: "string" },
+  "ORDER_IMPORT.ARCHIVE_FOLDER_ID": { type: "string" },
+  "ORDER_IMPORT.QUARANTINE_FOLDER_ID": { type: "string" },
+  "ORDER_IMPORT.POLL_EVERY_MINUTES": { type: "int", oneOf: [1, 5, 10, 15, 30] },
+
+  "BATCH_SHEET.FOLDER_ID": { type: "string" },
+
+  "CLICK_DROP.FOLDER_ID": { type: "string" },
+  "CLICK_DROP.DEFAULT_SERVICE": { type: "string" },
+  "CLICK_DROP.RUSH_SERVICE": { type: "string" },
+  "CLICK_DROP.WEIGHT_GRAMS_BY_CATEGORY": { type: "intMap", min: 0 },
+  "CLICK_DROP.PACKAGING_GRAMS": { type: "int", min: 0 },
+  "CLICK_DROP.PACKAGE_SIZE_BY_CATEGORY": { type: "map" },
+
+  "TRIGGER.EVERY_MINUTES": { type: "int", oneOf: [1, 5, 10, 15, 30] },
+
+  "BATCH.DATE_MODE": { type: "enum", values: ["ORDER_DATE", "PRINT_DAY"] },
+  "BATCH.FULL_DAYS_ONLY": { type: "bool" },
+  "BATCH.LOOKBACK_DAYS": { type: "int", min: 0 },
+  "BATCH.MIN_LINEITEMS_FOR_AUTO": { type: "int", min: 0 },
+  "BATCH.MIN_PRINTUNITS_FOR_AUTO": { type: "int", min: 0 },
+  "BATCH.MAX_PRINTUNITS_PER_BATCH": { type: "int", min: 1 },
+  "BATCH.MAX_PRINTUNITS_BY_CATEGORY": { type: "intMap", min: 1 },
+  "BATCH.SPLIT_MODE": { type: "enum", values: ["GREEDY", "BALANCED"] },
+  "BATCH.ORDER_STRATEGY": { type: "enum", values: ["LINE_ITEM", "MIXED", "DOMINANT"] },
+  "BATCH.CREATE_MISC_PER_DATE": { type: "bool" },
+  "BATCH.CATEGORY_LABEL_MAP": { type: "map" },
+
+  "DERIVE.OVERWRITE_EXISTING": { type: "bool" },
+  "DERIVE.BLANKISH_VALUES": { type: "list" },
+
+  "PERF.CHUNK_SIZE": { type: "int", min: 1 },
+};
+
+// Per-execution state: config.js values of overlaid paths (for re-applying)
+const SETTINGS_STATE_ = { applied: false, originals: {} };
+
+/*******************************************************
+ * PUBLIC ENTRYPOINTS
+ *******************************************************/
+function validateSettings() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
+  CacheService.getDocumentCache().remove(getSettingsCacheKey_());
+  const res = applySettings_({ force: true, logAlways: true });
+  ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
+
+  const ui = SpreadsheetApp.getUi();
+  const lines = res.errors.length
+    ? [`${res.errors.length} problem(s); those rows are ignored (see Exceptions):`].concat(res.errors.slice(0, 20))
+    : [`Settings OK. ${res.applied.length} override(s) in effect.`];
+  if (res.errors.length > 20) lines.push(`…and ${res.errors.length - 20} more.`);
+  if (res.applied.length) lines.push("", `Overrides: ${res.applied.join(", ")}`);
+
+  ui.alert("Settings", lines.join("\n"), ui.ButtonSet.OK);
+  return res;
+}
+
+/*******************************************************
+ * CORE
+ *******************************************************/
+
+/**
+ * Overlays the Settings sheet onto CFG. Cheap after the first call in an
+ * execution; options.force re-applies from the config.js values.
+ * Returns { applied: string[], errors: string[] }.
+ */
+function applySettings_(options) {
+  const opts = options || {};
+  if (SETTINGS_STATE_.applied && !opts.force) return SETTINGS_STATE_.result;
+
+  restoreSettingsOriginals_();
+
+  const rows = readSettingsRows_();
+  const res = { applied: [], errors: [] };
+  const seen = new Map();
+
+  for (const row of rows) {
+    const key = String(row.key || "").trim();
+    const raw = row.value;
+    if (!key) continue;
+
+    const where = `Settings row ${row.row} (${key})`;
+    const spec = SETTINGS_SCHEMA_[key];
+    if (!spec) {
+      res.errors.push(`${where}: unknown setting`);
+      continue;
+    }
+    if (seen.has(key)) {
+      res.errors.push(`${where}: duplicate of row ${seen.get(key)}`);
+      continue;
+    }
+    seen.set(key, row.row);
+
+    if (String(raw === undefined || raw === null ? "" : raw).trim() === "") continue;
+
+    const parsed = parseSettingValue_(spec, raw);
+    if (parsed.error) {
+      res.errors.push(`${where}: ${parsed.error}`);
+      continue;
+    }
+
+    setCfgPath_(key, parsed.value);
+    res.applied.push(key);
+  }
+
+  SETTINGS_STATE_.applied = true;
+  SETTINGS_STATE_.result = res;
+
+  logSettingsErrors_(res.errors, opts.logAlways === true);
+  return res;
+}
+
+/**
+ * Settings rows as [{ row, key, value }], from the document cache when fresh.
+ */
+function readSettingsRows_() {
+  const cache = CacheService.getDocumentCache();
+  const cached = cache.get(getSettingsCacheKey_());
+  if (cached) return JSON.parse(cached);
+
+  const sh = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CFG.SHEETS.SETTINGS);
+  const rows = [];
+  if (sh) {
+    const map = headerMap_(sh);
+    const iKey = requireCol_(map, CFG.COLS.SETTINGS.Key);
+    const iVal = requireCol_(map, CFG.COLS.SETTINGS.Value);
+
+    const values = readDataRange_(sh).values;
+    for (let i = 0; i < values.length; i++) {
+      const key = String(values[i][iKey] || "").trim();
+      if (!key) continue;
+      rows.push({ row: i + 2, key, value: values[i][iVal] });
+    }
+  }
+
+  cache.put(getSettingsCacheKey_(), JSON.stringify(rows), toInt_(CFG.SETTINGS_CACHE_SECONDS, 300));
+  return rows;
+}
+
+function parseSettingValue_(spec, raw) {
+  const s = String(raw).trim();
+
+  switch (spec.type) {
+    case "string":
+      if (spec.pattern && !spec.pattern.test(s)) return { error: `"${s}" is not a valid value` };
+      return { value: s };
+
+    case "int": {
+      const n = (typeof raw === "number") ? raw : Number(s);
+      if (!Number.isInteger(n)) return { error: `must be a whole number (got "${s}")` };
+      if (spec.min !== undefined && n < spec.min) return { error: `must be at least ${spec.min} (got ${n})` };
+      if (spec.oneOf && !spec.oneOf.includes(n)) return { error: `must be one of ${spec.oneOf.join(", ")} (got ${n})` };
+      return { value: n };
+    }
+
+    case "bool": {
+      const b = parseBoolOrNull_(raw);
+      return (b === null) ? { error: `must be TRUE or FALSE (got "${s}")` } : { value: b };
+    }
+
+    case "enum": {
+      const v = s.toUpperCase();
+      return spec.values.includes(v) ? { value: v } : { error: `must be one of ${spec.values.join(", ")} (got "${s}")` };
+    }
+
+    case "list":
+      return { value: splitSettingList_(s) };
+
+    case "map":
+    case "intMap": {
+      const out = {};
+      for (const part of splitSettingList_(s)) {
+        const m = part.match(/^([^=]+)=(.*)$/);
+        if (!m) return { error: `"${part}" is not KEY=VALUE` };
+
+        const k = m[1].trim().toUpperCase();
+        const v = m[2].trim();
+        if (!k || !v) return { error: `"${part}" is not KEY=VALUE` };
+
+        if (spec.type === "intMap") {
+          const n = Number(v);
+          if (!Number.isInteger(n) || (spec.min !== undefined && n < spec.min)) {
+            return { error: `${k} must be a whole number${spec.min !== undefined ? ` ≥ ${spec.min}` : ""} (got "${v}")` };
+          }
+          out[k] = n;
+        } else {
+          out[k] = v;
+        }
+      }
+      return { value: out };
+    }
+  }
+  return { error: `unsupported type ${spec.type}` };
+}
+
+/**
+ * One item per line; a single line may be comma-separated instead.
+ */
+function splitSettingList_(s) {
+  const parts = /\r?\n/.test(s) ? s.split(/\r?\n/) : s.split(",");
+  return parts.map(x => x.trim()).filter(Boolean);
+}
+
+function setCfgPath_(path, value) {
+  const parts = path.split(".");
+  let obj = CFG;
+  for (let i = 0; i < parts.length - 1; i++) obj = obj[parts[i]];
+
+  const last = parts[parts.length - 1];
+  if (!Object.prototype.hasOwnProperty.call(SETTINGS_STATE_.originals, path)) {
+    SETTINGS_STATE_.originals[path] = obj[last];
+  }
+  obj[last] = value;
+}
+
+function restoreSettingsOriginals_() {
+  const originals = SETTINGS_STATE_.originals;
+  for (const path of Object.keys(originals)) {
+    const parts = path.split(".");
+    let obj = CFG;
+    for (let i = 0; i < parts.length - 1; i++) obj = obj[parts[i]];
+    obj[parts[parts.length - 1]] = originals[path];
+  }
+  SETTINGS_STATE_.originals = {};
+}
+
+/**
+ * Syncs SETTINGS_INVALID records in Exceptions (one per problem; problems
+ * that went away are resolved). Trigger runs only touch Exceptions when the
+ * set of problems changed since last synced; validateSettings always does.
+ */
+function logSettingsErrors_(errors, always) {
+  const props = PropertiesService.getDocumentProperties();
+  const sig = errors.join("\n");
+  if (!always && sig === (props.getProperty(getSettingsErrorsKey_()) || "")) return;
+  props.setProperty(getSettingsErrorsKey_(), sig);
+
+  const type = "SETTINGS_INVALID";
+  resolveExceptions_({ type, exceptKeys: errors.map(e => exceptionKey_(type, "", e)) }, CFG.EXCEPTION_STATUS.AUTO_RESOLVER);
+  logExceptions_(errors.map(e => ({ type, message: e })));
+}
+
+function getSettingsCacheKey_() {
+  return "SETTINGS_ROWS";
+}
+
+function getSettingsErrorsKey_() {
+  return "SETTINGS_ERRORS_LOGGED";
+}
@@ -0,0 +1,252 @@
+/***************************************
+ * exceptions.js
+ *
+ * Exceptions sheet as a worklist rather than an append-only log.
+ *
+ * - One record per stable key: Type + LineItemID (Type + Message when the
+ *   exception is not about a line item)
+ * - Re-logging an Open key is a no-op; re-logging a Resolved key reopens
+ *   it (unless the record sets noReopen); Ignored keys stay ignored
+ * - Optional Status / ResolvedAt / ResolvedBy columns (blank Status = Open)
+ * - Enrichment resolves SKU exceptions itself once the SKU matches
+ *   (ResolvedBy = CFG.EXCEPTION_STATUS.AUTO_RESOLVER)
+ * - The sidebar Exceptions tab lists open records for triage
+ ***************************************/
+
+/*******************************************************
+ * PUBLIC ENTRYPOINTS (sidebar)
+ *******************************************************/
+function getOpenExceptions(options) {
+  applySettings_();
+
+  const opts = options || {};
+  const type = String(opts.type || "").trim();
+
+  const ctx = readExceptions_();
+  if (!ctx) return { count: 0, types: [], items: [] };
+
+  const items = [];
+  const types = new Set();
+  for (const rec of ctx.records) {
+    if (rec.status !== CFG.EXCEPTION_STATUS.OPEN) continue;
+    types.add(rec.type);
+    if (type && rec.type !== type) continue;
+
+    items.push({
+      key: rec.key,
+      type: rec.type,
+      orderName: rec.orderName,
+      lineItemId: rec.lineItemId,
+      sku: rec.sku,
+      message: rec.message,
+      loggedAtDisplay: rec.loggedAt
+        ? Utilities.formatDate(rec.loggedAt, CFG.TIMEZONE, CFG.FORMATS.DATETIME_UK)
+        : ""
+    });
+  }
+
+  return { count: items.length, types: Array.from(types).sort(), items };
+}
+
+/**
+ * Sidebar: marks the given keys Resolved or Ignored.
+ */
+function setExceptionStatus(keys, status) {
+  applySettings_();
+
+  const target = String(status || "").trim();
+  const allowed = [CFG.EXCEPTION_STATUS.RESOLVED, CFG.EXCEPTION_STATUS.IGNORED];
+  if (!allowed.includes(target)) throw new Error(`Unsupported exception status: ${target}`);
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  try {
+    requireExceptionStatusCols_();
+    return resolveExceptions_({ keys: keys || [] }, getActiveUserEmail_(), target);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/*******************************************************
+ * CORE
+ *******************************************************/
+function exceptionKey_(type, lineItemId, message) {
+  const t = String(type || "").trim();
+  const li = String(lineItemId || "").trim();
+  return li ? `${t}|${li}` : `${t}|${String(message || "").trim()}`;
+}
+
+/**
+ * Logs exception records ({ type, orderName, lineItemId, sku, message, noReopen }),
+ * deduped by key. noReopen: for conditions re-detected on every run, raise the
+ * record once and leave a Resolved one resolved. Returns { appended, reopened, skipped }.
+ */
+function logExceptions_(records) {
+  const res = { appended: 0, reopened: 0, skipped: 0 };
+  if (!records || !records.length) return res;
+
+  const ctx = readExceptions_();
+  if (!ctx) return res;
+
+  const S = CFG.EXCEPTION_STATUS;
+  const { sh, idx, values, byKey } = ctx;
+  const now = new Date();
+  const changed = [];
+  const appendRows = [];
+
+  for (const r of records) {
+    const key = exceptionKey_(r.type, r.lineItemId, r.message);
+    const existing = byKey.get(key);
+
+    if (existing) {
+      if (existing.status !== S.RESOLVED || idx.status < 0 || r.noReopen) {
+        res.skipped++;
+        continue;
+      }
+
+      const row = values[existing.rowIndex0];
+      row[idx.status] = S.OPEN;
+      if (idx.resolvedAt >= 0) row[idx.resolvedAt] = "";
+      if (idx.resolvedBy >= 0) row[idx.resolvedBy] = "";
+      row[idx.loggedAt] = now;
+      row[idx.message] = r.message || "";
+      if (idx.sku >= 0) row[idx.sku] = r.sku || "";
+      existing.status = S.OPEN;
+      changed.push(existing.rowIndex0);
+      res.reopened++;
+      continue;
+    }
+
+    const row = new Array(ctx.width).fill("");
+    row[idx.loggedAt] = now;
+    row[idx.type] = r.type || "";
+    if (idx.orderName >= 0) row[idx.orderName] = r.orderName || "";
+    if (idx.lineItemId >= 0) row[idx.lineItemId] = r.lineItemId || "";
+    if (idx.sku >= 0) row[idx.sku] = r.sku || "";
+    row[idx.message] = r.message || "";
+    if (idx.status >= 0) row[idx.status] = S.OPEN;
+
+    appendRows.push(row);
+    byKey.set(key, { key, status: S.OPEN, rowIndex0: -1 });
+    res.appended++;
+  }
+
+  if (changed.length) writeRowsByRuns_(sh, values, changed, ctx.width);
+  if (appendRows.length) {
+    sh.getRange(sh.getLastRow() + 1, 1, appendRows.length, ctx.width).setValues(appendRows);
+  }
+  return res;
+}
+
+/**
+ * Resolves open records selected by { keys } and/or { type, exceptKeys }
+ * (every open record of that type whose key is not in exceptKeys).
+ * status defaults to Resolved. Returns { resolved }.
+ */
+function resolveExceptions_(selector, resolvedBy, status) {
+  const sel = selector || {};
+  const S = CFG.EXCEPTION_STATUS;
+  const target = status || S.RESOLVED;
+
+  const ctx = readExceptions_();
+  if (!ctx || ctx.idx.status < 0) return { resolved: 0 };
+
+  const keys = new Set((sel.keys || []).map(k => String(k || "").trim()).filter(Boolean));
+  const keep = new Set(sel.exceptKeys || []);
+  const type = String(sel.type || "").trim();
+  if (!keys.size && !type) return { resolved: 0 };
+
+  const { sh, idx, values } = ctx;
+  const now = new Date();
+  const changed = [];
+
+  for (const rec of ctx.records) {
+    if (rec.status !== S.OPEN) continue;
+    const hit = keys.has(rec.key) || (type && rec.type === type && !keep.has(rec.key));
+    if (!hit) continue;
+
+    const row = values[rec.rowIndex0];
+    row[idx.status] = target;
+    if (idx.resolvedAt >= 0) row[idx.resolvedAt] = now;
+    if (idx.resolvedBy >= 0) row[idx.resolvedBy] = resolvedBy || "";
+    changed.push(rec.rowIndex0);
+  }
+
+  if (changed.length) writeRowsByRuns_(sh, values, changed, ctx.width);
+  return { resolved: changed.length };
+}
+
+/**
+ * Manual triage needs somewhere to record the outcome; resolveExceptions_
+ * itself is a no-op without these columns (auto-resolve stays optional).
+ */
+function requireExceptionStatusCols_() {
+  const sh = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CFG.SHEETS.EXCEPTIONS);
+  if (!sh) throw new Error(`Missing sheet: ${CFG.SHEETS.EXCEPTIONS}`);
+
+  const map = headerMap_(sh);
+  const c = CFG.COLS.EXCEPTIONS;
+  for (const h of [c.Status, c.ResolvedAt, c.ResolvedBy]) {
+    if (optionalCol_(map, h) < 0) throw new Error(`Missing Exceptions column: "${h}"`);
+  }
+}
+
+/**
+ * Reads Exceptions into records keyed by exceptionKey_ (the latest row wins
+ * for legacy duplicates). Returns null when the sheet is missing.
+ */
+function readExceptions_() {
+  const sh = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CFG.SHEETS.EXCEPTIONS);
+  if (!sh) return null;
+
+  const map = headerMap_(sh);
+  const c = CFG.COLS.EXCEPTIONS;
+  const idx = {
+    loggedAt: requireCol_(map, c.LoggedAt),
+    type: requireCol_(map, c.Type),
+    message: requireCol_(map, c.Message),
+    orderName: optionalCol_(map, c.OrderName),
+    lineItemId: optionalCol_(map, c.LineItemID),
+    sku: optionalCol_(map, c.SKU),
+    status: optionalCol_(map, c.Status),
+    resolvedAt: optionalCol_(map, c.ResolvedAt),
+    resolvedBy: optionalCol_(map, c.ResolvedBy)
+  };
+
+  const width = getHeaders_(sh).length;
+  const values = readDataRange_(sh).values.map(r => {
+    while (r.length < width) r.push("");
+    return r;
+  });
+
+  const S = CFG.EXCEPTION_STATUS;
+  const records = [];
+  const byKey = new Map();
+
+  for (let i = 0; i < values.length; i++) {
+    const r = values[i];
+    const type = String(r[idx.type] || "").trim();
+    if (!type) continue;
+
+    const lineItemId = (idx.lineItemId >= 0) ? String(r[idx.lineItemId] || "").trim() : "";
+    const message = String(r[idx.message] || "").trim();
+    const status = (idx.status >= 0) ? (String(r[idx.status] || "").trim() || S.OPEN) : S.OPEN;
+
+    const rec = {
+      rowIndex0: i,
+      key: exceptionKey_(type, lineItemId, message),
+      type,
+      status,
+      lineItemId,
+      message,
+      orderName: (idx.orderName >= 0) ? String(r[idx.orderName] || "").trim() : "",
+      sku: (idx.sku >= 0) ? String(r[idx.sku] || "").trim() : "",
+      loggedAt: parseDate_(r[idx.loggedAt])
+    };
+    records.push(rec);
+    byKey.set(rec.key, rec);
+  }
+
+  return { sh, idx, width, values, records, byKey };
+}
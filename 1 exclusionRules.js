@@ -0,0 +1,139 @@
+/***************************************
+ * exclusionRules.js
+ *
+ * CFG.EXCLUSION.RULES: which OrderItems rows never reach Orders/batching
+ * (digital downloads, non-product lines, ...) and what happens to them:
+ * - DELETE  : removed from OrderItems
+ * - ARCHIVE : moved to the ExcludedItems sheet (ExcludedAt + ExclusionRule added)
+ * - EXCLUDE : kept, OrderItems.Excluded = rule name, ReadyForOrders = FALSE;
+ *             Orders sync and the pack station skip the row
+ *
+ * Applied by normalizeAndEnrichOrderItems_ (orderItemsSetup.js).
+ ***************************************/
+
+const EXCLUSION_ACTIONS_ = ["DELETE", "ARCHIVE", "EXCLUDE"];
+
+/**
+ * Normalized CFG.EXCLUSION.RULES; throws on a rule with an unknown action,
+ * no conditions or an invalid skuRegex.
+ */
+function loadExclusionRules_() {
+  const raw = (CFG.EXCLUSION && CFG.EXCLUSION.RULES) ? CFG.EXCLUSION.RULES : [];
+  const list = v => (Array.isArray(v) ? v : (v === undefined || v === null ? [] : [v]))
+    .map(x => String(x).trim().toUpperCase())
+    .filter(Boolean);
+
+  return raw.map((r, i) => {
+    const name = String(r.name || "").trim() || `Rule ${i + 1}`;
+    const action = String(r.action || "").trim().toUpperCase();
+    if (!EXCLUSION_ACTIONS_.includes(action)) {
+      throw new Error(`Exclusion rule "${name}": action must be one of ${EXCLUSION_ACTIONS_.join(", ")}`);
+    }
+
+    const rule = {
+      name,
+      action,
+      skuPrefix: list(r.skuPrefix),
+      skuSuffix: list(r.skuSuffix),
+      skuRegex: [],
+      printMode: list(r.printMode),
+      category: list(r.category)
+    };
+
+    for (const src of (Array.isArray(r.skuRegex) ? r.skuRegex : (r.skuRegex ? [r.skuRegex] : []))) {
+      try {
+        rule.skuRegex.push(new RegExp(String(src), "i"));
+      } catch (e) {
+        throw new Error(`Exclusion rule "${name}": invalid skuRegex ${src}`);
+      }
+    }
+
+    const conditions = ["skuPrefix", "skuSuffix", "skuRegex", "printMode", "category"];
+    if (!conditions.some(k => rule[k].length)) {
+      throw new Error(`Exclusion rule "${name}": needs at least one of ${conditions.join(", ")}`);
+    }
+    return rule;
+  });
+}
+
+/**
+ * First rule matching the row, or null. info is the SKU_Matrix entry
+ * (lookupSku_), null when the SKU is blank or unmatched; printMode/category
+ * conditions never match without it.
+ */
+function findExclusionRule_(rules, sku, info) {
+  const s = String(sku || "").trim().toUpperCase();
+  const mode = info ? String(info.mode || "").trim().toUpperCase() : "";
+  const cat = info ? String(info.cat || deriveCategoryFallback_(info.mode, info.key) || "").trim().toUpperCase() : "";
+
+  for (const rule of rules) {
+    if (rule.skuPrefix.length && !(s && rule.skuPrefix.some(p => s.startsWith(p)))) continue;
+    if (rule.skuSuffix.length && !(s && rule.skuSuffix.some(p => s.endsWith(p)))) continue;
+    if (rule.skuRegex.length && !(s && rule.skuRegex.some(re => re.test(s)))) continue;
+    if (rule.printMode.length && !(mode && rule.printMode.includes(mode))) continue;
+    if (rule.category.length && !(cat && rule.category.includes(cat))) continue;
+    return rule;
+  }
+  return null;
+}
+
+/**
+ * Appends OrderItems rows ([{ row, rule }]) to the ExcludedItems sheet,
+ * creating it (OrderItems headers + ExcludedAt, ExclusionRule) when missing.
+ */
+function archiveExcludedRows_(shOI, entries) {
+  if (!entries.length) return;
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const cX = CFG.COLS.EXCLUDED_ITEMS;
+  const oiHeaders = getHeaders_(shOI);
+
+  let sh = ss.getSheetByName(CFG.SHEETS.EXCLUDED_ITEMS);
+  if (!sh) {
+    sh = ss.insertSheet(CFG.SHEETS.EXCLUDED_ITEMS);
+    const headers = oiHeaders.concat([cX.ExcludedAt, cX.ExclusionRule]);
+    sh.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sh.setFrozenRows(1);
+  }
+
+  const map = headerMap_(sh);
+  const width = getHeaders_(sh).length;
+  const iAt = requireCol_(map, cX.ExcludedAt);
+  const iRule = requireCol_(map, cX.ExclusionRule);
+  const now = new Date();
+
+  const rows = entries.map(e => {
+    const out = new Array(width).fill("");
+    oiHeaders.forEach((h, i) => {
+      if (h && map[h] !== undefined) out[map[h]] = e.row[i];
+    });
+    out[iAt] = now;
+    out[iRule] = e.rule.name;
+    return out;
+  });
+
+  sh.getRange(sh.getLastRow() + 1, 1, rows.length, width).setValues(rows);
+}
+
+/**
+ * LineItemIDs already archived to ExcludedItems, so a re-sent import does
+ * not append (and archive) them again.
+ */
+function archivedLineItemIds_() {
+  const out = new Set();
+  const sh = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CFG.SHEETS.EXCLUDED_ITEMS);
+  if (!sh) return out;
+
+  const i = optionalCol_(headerMap_(sh), CFG.COLS.ORDER_ITEMS.LineItemID);
+  if (i < 0) return out;
+
+  for (const r of readDataRange_(sh).values) {
+    const id = String(r[i] || "").trim();
+    if (id) out.add(id);
+  }
+  return out;
+}
+
+function isExcludedRow_(row, iExcluded) {
+  return iExcluded >= 0 && String(row[iExcluded] || "").trim() !== "";
+}
@@ -0,0 +1,477 @@
+/***************************************
+ * orderImport.js
+ *
+ * Feeds OrderItems from Shopify-style order payloads:
+ * - doPost web app (JSON order / { orders: [...] } / CSV body), ?token= must
+ *   match the script property named by CFG.ORDER_IMPORT.TOKEN_PROPERTY
+ * - Drive watch folder of .json/.csv exports (mirrors pollRoyalMailWatchFolder);
+ *   a file that fails is logged to Exceptions as ORDER_IMPORT_FAILED and moved
+ *   to the quarantine folder, and the run carries on
+ *
+ * Rows are upserted on LineItemID (idempotent: re-sending a payload changes
+ * nothing; lines already archived to ExcludedItems are not appended again), then the touched LineItemIDs are re-enriched and their orders
+ * re-synced, wherever the rows sit, alongside the usual syncOrdersFromOrderItems pass.
+ * A SKU/Qty change on a batched row pulls it out of its batch (re-batched once
+ * re-enriched) unless the batch has started printing; then it is not applied
+ * and is logged to Exceptions as IMPORT_CHANGED_AFTER_BATCH instead.
+ * Cancelled orders (cancelled_at) and removed line items (current_quantity 0)
+ * stamp OrderItems.CancelledAt, batched or not (orderCancellations.js).
+ ***************************************/
+
+/*******************************************************
+ * PUBLIC ENTRYPOINTS
+ *******************************************************/
+
+/**
+ * Web app endpoint. Responds with JSON:
+ * { ok, appended, updated, unchanged, skipped, orders, sync } or { ok: false, error }.
+ */
+function doPost(e) {
+  applySettings_();
+
+  const params = (e && e.parameter) || {};
+  const tokenKey = CFG.ORDER_IMPORT.TOKEN_PROPERTY;
+  const expected = PropertiesService.getScriptProperties().getProperty(tokenKey);
+  if (!expected || String(params.token || "") !== expected) {
+    return orderImportResponse_({ ok: false, error: "Unauthorized" });
+  }
+
+  // A lock timeout still gets a JSON reply, so the sender can retry
+  const lock = LockService.getDocumentLock();
+  try {
+    lock.waitLock(30000);
+    SpreadsheetApp.getActiveSpreadsheet().setSpreadsheetTimeZone(CFG.TIMEZONE);
+
+    const post = (e && e.postData) || {};
+    const items = parseOrderImportContent_(post.contents, post.type);
+    return orderImportResponse_(Object.assign({ ok: true }, importOrderItems_(items)));
+  } catch (err) {
+    return orderImportResponse_({ ok: false, error: String((err && err.message) || err) });
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function installOrderImportWatchTrigger() {
+  applySettings_();
+  removeOrderImportWatchTrigger();
+
+  const mins = CFG.ORDER_IMPORT.POLL_EVERY_MINUTES || 15;
+
+  ScriptApp.newTrigger("pollOrderImportWatchFolder")
+    .timeBased()
+    .everyMinutes(mins)
+    .create();
+}
+
+function removeOrderImportWatchTrigger() {
+  ScriptApp.getProjectTriggers().forEach(t => {
+    if (t.getHandlerFunction() === "pollOrderImportWatchFolder") ScriptApp.deleteTrigger(t);
+  });
+}
+
+/**
+ * Poll the watch folder for new .json/.csv order exports, import them, then move to archive.
+ * A file that throws is logged and quarantined; the run carries on with the next one.
+ */
+function pollOrderImportWatchFolder() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
+  ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+
+  try {
+    const cfg = CFG.ORDER_IMPORT;
+    const maxFilesPerRun = Math.max(1, parseInt(cfg.MAX_FILES_PER_RUN, 10) || 5);
+
+    if (!cfg.WATCH_FOLDER_ID) throw new Error("CFG.ORDER_IMPORT.WATCH_FOLDER_ID is not set.");
+    if (!cfg.ARCHIVE_FOLDER_ID) throw new Error("CFG.ORDER_IMPORT.ARCHIVE_FOLDER_ID is not set.");
+    if (!cfg.QUARANTINE_FOLDER_ID) throw new Error("CFG.ORDER_IMPORT.QUARANTINE_FOLDER_ID is not set.");
+
+    const props = PropertiesService.getDocumentProperties();
+    const processedKey = "ORDER_IMPORT_PROCESSED_FILE_IDS";
+    const processed = new Set(JSON.parse(props.getProperty(processedKey) || "[]"));
+
+    const watch = DriveApp.getFolderById(cfg.WATCH_FOLDER_ID);
+    const archive = DriveApp.getFolderById(cfg.ARCHIVE_FOLDER_ID);
+    const quarantine = DriveApp.getFolderById(cfg.QUARANTINE_FOLDER_ID);
+
+    const files = watch.getFiles();
+    const candidates = [];
+
+    while (files.hasNext()) {
+      const f = files.next();
+      if (!/\.(json|csv)$/i.test(f.getName())) continue;
+      if (processed.has(f.getId())) continue;
+      candidates.push(f);
+    }
+
+    if (!candidates.length) return;
+
+    candidates.sort((a, b) => a.getLastUpdated().getTime() - b.getLastUpdated().getTime());
+
+    let filesDone = 0;
+    let filesFailed = 0;
+    for (const file of candidates) {
+      if (filesDone + filesFailed >= maxFilesPerRun) break;
+
+      let result;
+      try {
+        const items = parseOrderImportContent_(file.getBlob().getDataAsString(), file.getName());
+        result = importOrderItems_(items);
+      } catch (e) {
+        const message = (e && e.message) ? e.message : String(e);
+        logExceptions_([{ type: "ORDER_IMPORT_FAILED", message: `${file.getName()}: ${message}` }]);
+        filesFailed++;
+
+        // Not marked processed: fix the file and move it back to retry
+        quarantine.addFile(file);
+        watch.removeFile(file);
+
+        ss.toast(`Order import failed: ${file.getName()} (${message})`, "Order import", 8);
+        continue;
+      }
+
+      processed.add(file.getId());
+      filesDone++;
+
+      archive.addFile(file);
+      watch.removeFile(file);
+
+      ss.toast(`Order import: ${file.getName()} (+${result.appended} new, ${result.updated} updated)`, "Order import", 5);
+    }
+
+    props.setProperty(processedKey, JSON.stringify(Array.from(processed)));
+    ss.toast(`Order import: processed ${filesDone} file(s)${filesFailed ? `, ${filesFailed} failed (see ${CFG.SHEETS.EXCEPTIONS})` : ""}.`, "Order import", 8);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/*******************************************************
+ * CORE
+ *******************************************************/
+
+/**
+ * Upsert items into OrderItems, then enrich + sync Orders when anything changed.
+ */
+function importOrderItems_(items) {
+  const up = upsertOrderItemsFromImport_(items);
+
+  let sync = null;
+  if (up.appended || up.updated) {
+    const { res, up: ordersUp, direct } = syncOrdersFromOrderItems_({ lineItemIds: up.lineItemIds, orderNames: up.orderNames });
+    sync = {
+      scanned: res.scanned + direct.scanned,
+      exceptions: res.exceptions + direct.exceptions,
+      ordersTouched: ordersUp.touchedOrders
+    };
+  }
+
+  return {
+    appended: up.appended,
+    updated: up.updated,
+    unchanged: up.unchanged,
+    skipped: up.skipped,
+    orders: up.orderNames.length,
+    sync
+  };
+}
+
+/**
+ * Order items from a JSON or CSV body. hint is a file name or content type;
+ * without one, a body starting with { or [ is read as JSON.
+ */
+function parseOrderImportContent_(text, hint) {
+  const body = String(text || "").trim();
+  if (!body) throw new Error("Order import: empty payload.");
+
+  const h = String(hint || "").toLowerCase();
+  const isJson = /json/.test(h) || (!/csv/.test(h) && /^[\[{]/.test(body));
+  if (!isJson) return parseOrderImportCsv_(body);
+
+  let payload;
+  try {
+    payload = JSON.parse(body);
+  } catch (e) {
+    throw new Error(`Order import: invalid JSON (${e.message})`);
+  }
+  return parseOrderImportJson_(payload);
+}
+
+/**
+ * Shopify order JSON (webhook body, { order }, { orders: [...] } or an array)
+ * -> [{ lineItemId, orderName, createdAt, sku, title, qty, shippingService, cancelledAt }].
+ */
+function parseOrderImportJson_(payload) {
+  const orders = Array.isArray(payload) ? payload
+    : (payload && Array.isArray(payload.orders)) ? payload.orders
+    : (payload && payload.order) ? [payload.order]
+    : [payload];
+
+  const items = [];
+  for (const o of orders) {
+    const orderName = String((o && (o.name || o.order_number)) || "").trim();
+    if (!orderName) throw new Error("Order import: order without a name.");
+
+    const createdAt = parseDate_(o.created_at || o.processed_at);
+    const cancelledAt = o.cancelled_at ? (parseDate_(o.cancelled_at) || new Date()) : null;
+    const removedAt = parseDate_(o.updated_at) || new Date();
+    const shippingService = (o.shipping_lines || []).map(l => String(l.title || "").trim()).filter(Boolean).join(", ");
+    const seen = new Map();
+
+    for (const li of (o.line_items || [])) {
+      const sku = String(li.sku || "").trim();
+      const id = (li.id === undefined || li.id === null) ? "" : String(li.id).trim();
+      items.push({
+        lineItemId: id || fallbackLineItemId_(orderName, sku, seen),
+        orderName,
+        createdAt,
+        sku,
+        title: String(li.name || li.title || "").trim(),
+        qty: toInt_(li.quantity, 0),
+        shippingService,
+        cancelledAt: cancelledAt || (li.current_quantity === 0 ? removedAt : null)
+      });
+    }
+  }
+  return items;
+}
+
+/**
+ * Orders export CSV (one line item per row; columns via CFG.ORDER_IMPORT.CSV_COLUMNS).
+ * CreatedAt / ShippingService / CancelledAt blank on an order's later rows are carried forward.
+ */
+function parseOrderImportCsv_(text) {
+  const rows = Utilities.parseCsv(text);
+  if (rows.length < 2) return [];
+
+  const headers = rows[0].map(h => String(h || "").trim().toLowerCase());
+  const cols = {};
+  for (const [field, names] of Object.entries(CFG.ORDER_IMPORT.CSV_COLUMNS)) {
+    cols[field] = -1;
+    for (const n of names) {
+      const i = headers.indexOf(String(n).trim().toLowerCase());
+      if (i >= 0) { cols[field] = i; break; }
+    }
+  }
+
+  const missing = ["OrderName", "SKU", "Qty"].filter(f => cols[f] < 0);
+  if (missing.length) throw new Error("Order import CSV missing columns: " + missing.join(", "));
+
+  const cell = (r, f) => (cols[f] >= 0 ? String(r[cols[f]] || "").trim() : "");
+  const orderInfo = new Map();
+  const seenByOrder = new Map();
+  const items = [];
+
+  for (const r of rows.slice(1)) {
+    const orderName = cell(r, "OrderName");
+    if (!orderName) continue;
+
+    if (!orderInfo.has(orderName)) orderInfo.set(orderName, { createdAt: null, shippingService: "", cancelledAt: null });
+    const info = orderInfo.get(orderName);
+    info.createdAt = parseDate_(cell(r, "CreatedAt")) || info.createdAt;
+    info.shippingService = cell(r, "ShippingService") || info.shippingService;
+    info.cancelledAt = parseDate_(cell(r, "CancelledAt")) || info.cancelledAt;
+
+    if (!seenByOrder.has(orderName)) seenByOrder.set(orderName, new Map());
+    const sku = cell(r, "SKU");
+
+    items.push({
+      lineItemId: cell(r, "LineItemID") || fallbackLineItemId_(orderName, sku, seenByOrder.get(orderName)),
+      orderName,
+      createdAt: info.createdAt,
+      sku,
+      title: cell(r, "ProductTitle"),
+      qty: toInt_(cell(r, "Qty"), 0),
+      shippingService: info.shippingService,
+      cancelledAt: info.cancelledAt
+    });
+  }
+  return items;
+}
+
+/**
+ * Stable id for sources without line item ids: OrderName|SKU|n
+ * (n counts repeats of the SKU within the order). seen is per order.
+ */
+function fallbackLineItemId_(orderName, sku, seen) {
+  const n = (seen.get(sku) || 0) + 1;
+  seen.set(sku, n);
+  return `${orderName}|${sku}|${n}`;
+}
+
+/**
+ * Upsert imported items into OrderItems on LineItemID.
+ * A changed SKU/Qty clears the derived columns so enrichment recomputes them,
+ * and PrintBatchID when the batch has not started printing.
+ * CancelledAt is only ever stamped, never cleared. A LineItemID archived to
+ * ExcludedItems counts as unchanged.
+ * Returns { appended, updated, unchanged, skipped, orderNames, lineItemIds }
+ * (orderNames / lineItemIds: rows appended or changed).
+ */
+function upsertOrderItemsFromImport_(items) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const sh = ss.getSheetByName(CFG.SHEETS.ORDER_ITEMS);
+  if (!sh) throw new Error(`Missing sheet: ${CFG.SHEETS.ORDER_ITEMS}`);
+
+  const map = headerMap_(sh);
+  const c = CFG.COLS.ORDER_ITEMS;
+
+  const iLineItemID = requireCol_(map, c.LineItemID);
+  const iOrderName  = requireCol_(map, c.OrderName);
+  const iCreatedAt  = requireCol_(map, c.CreatedAt);
+  const iSKU        = requireCol_(map, c.SKU);
+  const iQty        = requireCol_(map, c.Qty);
+  const iReady      = requireCol_(map, c.ReadyForOrders);
+  const iTitle      = optionalCol_(map, c.ProductTitle);
+  const iShip       = optionalCol_(map, c.ShippingService);
+  const iBatch      = optionalCol_(map, c.PrintBatchID);
+  const iCancelled  = optionalCol_(map, c.CancelledAt);
+  const iUnits      = optionalCol_(map, c.PrintUnits);
+  const iPrinted    = optionalCol_(map, c.PrintedAt);
+  const derived = [c.PrintCategory, c.PrintProfileKey, c.PrintUnits].map(h => optionalCol_(map, h)).filter(i => i >= 0);
+
+  const res = { appended: 0, updated: 0, unchanged: 0, skipped: 0, orderNames: [], lineItemIds: [] };
+
+  // Last occurrence of a LineItemID in the payload wins
+  const incoming = new Map();
+  for (const it of (items || [])) {
+    if (it && it.lineItemId) incoming.set(String(it.lineItemId).trim(), it);
+  }
+  if (!incoming.size) return res;
+
+  if (iCancelled < 0 && Array.from(incoming.values()).some(it => it.cancelledAt)) {
+    throw new Error(`Missing OrderItems column: "${c.CancelledAt}" (needed to record cancellations)`);
+  }
+
+  const { values } = readDataRange_(sh);
+  const width = getHeaders_(sh).length;
+
+  const byId = new Map();
+  for (let r = 0; r < values.length; r++) {
+    const id = String(values[r][iLineItemID] || "").trim();
+    if (id) byId.set(id, r);
+  }
+
+  const shB = ss.getSheetByName(CFG.SHEETS.BATCHES);
+  const bctx = (shB && iBatch >= 0) ? readBatchLifecycleContext_(shB) : null;
+  const printStarted = (row, batchId) => {
+    if (iPrinted >= 0 && row[iPrinted]) return true;
+    const bRow = bctx && bctx.values.find(r => String(r[bctx.iId] || "").trim() === batchId);
+    return !!bRow && isBatchRowPrintStarted_(bctx, bRow);
+  };
+
+  const archived = archivedLineItemIds_();
+  const touched = new Set();
+  const touchedLineItems = [];
+  const changedRows = [];
+  const appendRows = [];
+  const exceptions = [];
+  const releasedBatchIds = new Set();
+
+  for (const [lineItemId, it] of incoming) {
+    if (!byId.has(lineItemId)) {
+      if (archived.has(lineItemId)) {
+        res.unchanged++;
+        continue;
+      }
+
+      const row = new Array(width).fill("");
+      row[iLineItemID] = lineItemId;
+      row[iOrderName] = it.orderName;
+      row[iCreatedAt] = it.createdAt || new Date();
+      row[iSKU] = it.sku;
+      row[iQty] = it.qty;
+      row[iReady] = false;
+      if (iTitle >= 0) row[iTitle] = it.title;
+      if (iShip >= 0) row[iShip] = it.shippingService;
+      if (it.cancelledAt) row[iCancelled] = it.cancelledAt;
+
+      appendRows.push(row);
+      touched.add(it.orderName);
+      touchedLineItems.push(lineItemId);
+      res.appended++;
+      continue;
+    }
+
+    const idx = byId.get(lineItemId);
+    const row = values[idx];
+    const skuChanged = String(row[iSKU] || "").trim() !== it.sku;
+    const qtyChanged = toInt_(row[iQty], 0) !== it.qty;
+    const batchId = (iBatch >= 0) ? String(row[iBatch] || "").trim() : "";
+
+    const changedInBatch = !!batchId && (skuChanged || qtyChanged);
+
+    if (changedInBatch && !it.cancelledAt && printStarted(row, batchId)) {
+      exceptions.push({
+        type: "IMPORT_CHANGED_AFTER_BATCH",
+        orderName: it.orderName,
+        lineItemId,
+        sku: it.sku,
+        message: `Import has ${it.sku || "(no SKU)"} x${it.qty} but batch ${batchId} has already started printing; left unchanged.`
+      });
+      res.skipped++;
+      continue;
+    }
+
+    const before = row.join("\u0001");
+
+    if (it.cancelledAt && !isCancelledRow_(row, iCancelled)) row[iCancelled] = it.cancelledAt;
+
+    // A cancelled batched row keeps its SKU/Qty: it is pulled from the batch instead
+    if (!changedInBatch || !it.cancelledAt) {
+      row[iOrderName] = it.orderName;
+      row[iSKU] = it.sku;
+      row[iQty] = it.qty;
+      const current = parseDate_(row[iCreatedAt]);
+      if (it.createdAt && (!current || current.getTime() !== it.createdAt.getTime())) row[iCreatedAt] = it.createdAt;
+      if (iTitle >= 0 && it.title) row[iTitle] = it.title;
+      if (iShip >= 0 && it.shippingService) row[iShip] = it.shippingService;
+
+      if (skuChanged || qtyChanged) {
+        for (const i of derived) row[i] = "";
+        row[iReady] = false;
+      }
+      if (changedInBatch) {
+        row[iBatch] = "";
+        releasedBatchIds.add(batchId);
+      }
+    }
+
+    if (row.join("\u0001") === before) {
+      res.unchanged++;
+      continue;
+    }
+
+    changedRows.push(idx);
+    touched.add(it.orderName);
+    touchedLineItems.push(lineItemId);
+    res.updated++;
+  }
+
+  if (appendRows.length) {
+    sh.getRange(sh.getLastRow() + 1, 1, appendRows.length, width).setValues(appendRows);
+  }
+
+  if (changedRows.length) {
+    writeRowsByRuns_(sh, values, changedRows, width);
+  }
+
+  if (releasedBatchIds.size && shB) {
+    settleReleasedBatches_(shB, values, { iBatch, iUnits, iOrder: iOrderName }, releasedBatchIds, "every item changed upstream");
+  }
+
+  logExceptions_(exceptions);
+
+  res.orderNames = Array.from(touched);
+  res.lineItemIds = touchedLineItems;
+  return res;
+}
+
+function orderImportResponse_(obj) {
+  return ContentService.createTextOutput(JSON.stringify(obj))
+    .setMimeType(ContentService.MimeType.JSON);
+}
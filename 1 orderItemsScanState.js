@@ -0,0 +1,201 @@
+/***************************************
+ * orderItemsScanState.js
+ *
+ * Change detection for the incremental OrderItems scan
+ * (CFG.PERF.CHANGE_DETECTION = "HASH", the default):
+ * - Every row has a content hash of the columns enrichment reads or writes,
+ *   stored per LineItemID (or per hash, for rows without one) on the hidden
+ *   OrderItemsScanState sheet
+ * - A row is rescanned when it is past the row-number checkpoint (fast path:
+ *   new rows are not looked up), has no stored hash, or its hash changed
+ * - Rows still not ReadyForOrders (and not excluded) are rescanned only when
+ *   SKU_Matrix or CFG.EXCLUSION.RULES changed since the last save, so a SKU
+ *   that never matches is not re-enriched on every run
+ * - Sorting, inserts and deletions move rows without making them look new
+ *
+ * Every run reads and hashes the whole sheet but only writes the state rows
+ * whose hash changed. "ROW" keeps the legacy checkpoint + CHECKPOINT_OVERLAP
+ * window (edits behind it are missed).
+ ***************************************/
+
+function getChangeDetectionMode_() {
+  const v = (CFG.PERF && CFG.PERF.CHANGE_DETECTION) ? String(CFG.PERF.CHANGE_DETECTION).trim().toUpperCase() : "HASH";
+  return (v === "ROW") ? "ROW" : "HASH";
+}
+
+function getOrderItemsScanRulesKey_() {
+  return "ORDERITEMS_SCAN_RULES_HASH";
+}
+
+/**
+ * Scan window over the rows that need (re)processing.
+ * Returns { startRow, endRow, numRows, rows: Set<sheetRow>, hashes: Map<sheetRow, { key, hash }>,
+ * rulesHash, values } (values = every data row, so the caller need not re-read the span).
+ * A reset checkpoint (full rescan) marks every row.
+ */
+function getOrderItemsChangeWindow_(shOI, oiMap) {
+  const lastRow = shOI.getLastRow();
+  if (lastRow < 2) {
+    setOrderItemsCheckpoint_(1);
+    return { startRow: 2, endRow: 1, numRows: 0, rows: new Set(), hashes: new Map(), rulesHash: "", values: [] };
+  }
+
+  const checkpointRow = getOrderItemsCheckpoint_();
+  const fullRescan = checkpointRow <= 1;
+  const stored = fullRescan ? new Map() : loadOrderItemsScanState_();
+  const rulesHash = getSkuRulesHash_();
+  const rulesChanged = rulesHash !== PropertiesService.getDocumentProperties().getProperty(getOrderItemsScanRulesKey_());
+
+  const idx = getScanHashColumns_(oiMap);
+  const values = shOI.getRange(2, 1, lastRow - 1, shOI.getLastColumn()).getValues();
+
+  const rows = new Set();
+  const hashes = new Map();
+  let startRow = 0;
+  let endRow = 0;
+  for (let i = 0; i < values.length; i++) {
+    const sheetRow = i + 2;
+    const entry = orderItemsScanEntry_(values[i], idx);
+    hashes.set(sheetRow, entry);
+
+    const dirty = fullRescan ||
+      sheetRow > checkpointRow ||
+      stored.get(entry.key) !== entry.hash ||
+      (rulesChanged && !isTrue_(values[i][idx.ready]) && !isExcludedRow_(values[i], idx.excluded));
+    if (!dirty) continue;
+
+    rows.add(sheetRow);
+    if (!startRow) startRow = sheetRow;
+    endRow = sheetRow;
+  }
+
+  if (!rows.size) return { startRow: lastRow + 1, endRow: lastRow, numRows: 0, rows, hashes, rulesHash, values };
+  return { startRow, endRow, numRows: (endRow - startRow + 1), rows, hashes, rulesHash, values };
+}
+
+/**
+ * Fingerprint of what enrichment matches against (SKU_Matrix rows + exclusion rules).
+ */
+function getSkuRulesHash_() {
+  const shM = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CFG.SHEETS.SKU_MATRIX);
+  const matrix = shM ? readDataRange_(shM).values : [];
+  const rules = (CFG.EXCLUSION && CFG.EXCLUSION.RULES) || [];
+  return fnv1aHex_(JSON.stringify([matrix, rules]));
+}
+
+function getScanHashColumns_(oiMap) {
+  const c = CFG.COLS.ORDER_ITEMS;
+  const category = (oiMap[c.PrintCategory] !== undefined) ? oiMap[c.PrintCategory]
+    : (oiMap["ProductType"] !== undefined ? oiMap["ProductType"] : -1);
+
+  return {
+    orderName: requireCol_(oiMap, c.OrderName),
+    lineItemId: optionalCol_(oiMap, c.LineItemID),
+    sku: requireCol_(oiMap, c.SKU),
+    qty: requireCol_(oiMap, c.Qty),
+    createdAt: requireCol_(oiMap, c.CreatedAt),
+    category,
+    profileKey: requireCol_(oiMap, c.PrintProfileKey),
+    units: requireCol_(oiMap, c.PrintUnits),
+    ready: requireCol_(oiMap, c.ReadyForOrders),
+    excluded: optionalCol_(oiMap, c.Excluded),
+    cancelled: optionalCol_(oiMap, c.CancelledAt)
+  };
+}
+
+/**
+ * { key, hash } for one OrderItems row. CreatedAt is hashed as a timestamp so
+ * normalizing a text date does not count as an edit.
+ */
+function orderItemsScanEntry_(row, idx) {
+  const cell = i => (i >= 0 ? row[i] : "");
+  const created = parseDate_(row[idx.createdAt]);
+
+  const parts = [
+    cell(idx.orderName), cell(idx.lineItemId), cell(idx.sku), cell(idx.qty),
+    created ? created.getTime() : cell(idx.createdAt),
+    cell(idx.category), cell(idx.profileKey), cell(idx.units),
+    isTrue_(cell(idx.ready)), cell(idx.excluded), cell(idx.cancelled)
+  ].map(v => String(v === null || v === undefined ? "" : v).trim());
+
+  const hash = fnv1aHex_(parts.join("\u001f"));
+  const li = String(cell(idx.lineItemId) || "").trim();
+  return { key: li || `#${hash}`, hash };
+}
+
+/**
+ * 32-bit FNV-1a as 8 hex chars; enough to notice an edited row.
+ */
+function fnv1aHex_(s) {
+  let h = 0x811c9dc5;
+  for (let i = 0; i < s.length; i++) {
+    h ^= s.charCodeAt(i);
+    h = Math.imul(h, 0x01000193);
+  }
+  return (h >>> 0).toString(16).padStart(8, "0");
+}
+
+/*******************************************************
+ * STATE SHEET
+ *******************************************************/
+function loadOrderItemsScanState_() {
+  const out = new Map();
+  const sh = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CFG.SHEETS.ORDER_ITEMS_SCAN_STATE);
+  if (!sh) return out;
+
+  for (const r of readDataRange_(sh).values) {
+    const key = String(r[0] || "").trim();
+    if (key) out.set(key, String(r[1] || "").trim());
+  }
+  return out;
+}
+
+/**
+ * Brings the state sheet in line with [{ key, hash }] for every current row
+ * (created hidden when missing): changed hashes are rewritten in place, new
+ * keys appended and keys no longer on OrderItems deleted; untouched rows are
+ * not written. Also records the SKU rules fingerprint the rows were enriched
+ * against. options.partial: entries cover only some rows, so nothing is
+ * deleted and the fingerprint is left as it was.
+ */
+function saveOrderItemsScanState_(entries, rulesHash, options) {
+  const partial = !!(options && options.partial);
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const name = CFG.SHEETS.ORDER_ITEMS_SCAN_STATE;
+
+  let sh = ss.getSheetByName(name);
+  if (!sh) {
+    sh = ss.insertSheet(name);
+    sh.hideSheet();
+    sh.getRange(1, 1, 1, 2).setValues([["Key", "RowHash"]]);
+  }
+
+  const wanted = new Map();
+  for (const e of entries) wanted.set(e.key, e.hash);
+
+  const values = readDataRange_(sh).values.map(r => [String(r[0] || "").trim(), String(r[1] || "").trim()]);
+  const changedRows = [];
+  const staleSheetRows = [];
+  const seen = new Set();
+  for (let i = 0; i < values.length; i++) {
+    const key = values[i][0];
+    if (!wanted.has(key) || seen.has(key)) {
+      if (!partial) staleSheetRows.push(i + 2);
+      continue;
+    }
+    seen.add(key);
+    if (values[i][1] !== wanted.get(key)) {
+      values[i][1] = wanted.get(key);
+      changedRows.push(i);
+    }
+  }
+
+  if (changedRows.length) writeRowsByRuns_(sh, values, changedRows, 2);
+  deleteRowsByIndices_(sh, staleSheetRows);
+
+  const added = [];
+  for (const [key, hash] of wanted.entries()) if (!seen.has(key)) added.push([key, hash]);
+  if (added.length) sh.getRange(sh.getLastRow() + 1, 1, added.length, 2).setValues(added);
+
+  if (rulesHash && !partial) PropertiesService.getDocumentProperties().setProperty(getOrderItemsScanRulesKey_(), rulesHash);
+}
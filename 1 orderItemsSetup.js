@@ -5,8 +5,16 @@
  * - Normalize OrderItems.CreatedAt
  * - Enrich OrderItems from SKU_Matrix:
  *     PrintCategory, PrintProfileKey, PrintUnits, ReadyForOrders
+ *   SKU_Matrix rows are exact SKUs unless the optional MatchType column says
+ *   PREFIX / SUFFIX / REGEX. Precedence: exact, then the longest prefix, then
+ *   the longest suffix, then the first matching regex (sheet order).
+ * - Apply CFG.EXCLUSION.RULES (exclusionRules.js): delete, archive or
+ *   mark rows excluded before they are enriched
  *
- * Includes checkpointed scanning for performance.
+ * Includes checkpointed scanning for performance: only rows that changed
+ * (orderItemsScanState.js) or, in "ROW" mode, rows near/after the checkpoint.
+ * opts.skus / opts.lineItemIds re-enrich only the rows with those SKUs or
+ * LineItemIDs (checkpoint untouched).
  ***************************************/
 
 function normalizeAndEnrichOrderItems_(opts) {
@@ -20,15 +28,28 @@ function normalizeAndEnrichOrderItems_(opts) {
   if (!shOI) throw new Error(`Missing sheet: ${CFG.SHEETS.ORDER_ITEMS}`);
   if (!shM)  throw new Error(`Missing sheet: ${CFG.SHEETS.SKU_MATRIX}`);
 
-  const scan = getOrderItemsScanWindow_(shOI, options);
-  if (!scan || scan.numRows <= 0) {
-    return { scanned: 0, changed: 0, exceptions: 0, checkpointSetToRow: scan ? scan.endRow : 0 };
-  }
-
   const oiMap = headerMap_(shOI);
   const mMap  = headerMap_(shM);
-
   const cOI = CFG.COLS.ORDER_ITEMS;
+
+  const onlySkus = Array.isArray(options.skus)
+    ? new Set(options.skus.map(s => String(s || "").trim()).filter(Boolean))
+    : null;
+  const onlyLineItems = (!onlySkus && Array.isArray(options.lineItemIds))
+    ? new Set(options.lineItemIds.map(s => String(s || "").trim()).filter(Boolean))
+    : null;
+  const rowSetPass = !!(onlySkus || onlyLineItems);
+
+  // A LineItemID pass records its rows' hashes too, so the next HASH scan skips them
+  const hashMode = !onlySkus && getChangeDetectionMode_() === "HASH";
+  const scan = onlySkus ? getOrderItemsRowSetWindow_(shOI, requireCol_(oiMap, cOI.SKU), onlySkus)
+    : onlyLineItems ? getOrderItemsRowSetWindow_(shOI, requireCol_(oiMap, cOI.LineItemID), onlyLineItems)
+    : hashMode ? getOrderItemsChangeWindow_(shOI, oiMap)
+    : getOrderItemsScanWindow_(shOI, options);
+  if (!scan || scan.numRows <= 0) {
+    return { scanned: 0, changed: 0, exceptions: 0, checkpointSetToRow: scan ? scan.endRow : 0, orderNames: [] };
+  }
+
   const iCreatedAt  = requireCol_(oiMap, cOI.CreatedAt);
   const iOrderName  = requireCol_(oiMap, cOI.OrderName);
   const iSKU        = requireCol_(oiMap, cOI.SKU);
@@ -43,42 +64,54 @@ function normalizeAndEnrichOrderItems_(opts) {
   if (iCategory === -1) throw new Error(`Missing OrderItems column: "${cOI.PrintCategory}"`);
 
   const iLineItemID = (oiMap[cOI.LineItemID] !== undefined) ? oiMap[cOI.LineItemID] : -1;
+  const iBatchID    = optionalCol_(oiMap, cOI.PrintBatchID);
+  const iExcluded   = optionalCol_(oiMap, cOI.Excluded);
 
   const cM = CFG.COLS.SKU_MATRIX;
   const mSKU      = requireCol_(mMap, cM.SKU);
   const mMode     = requireCol_(mMap, cM.PrintMode);
   const mKey      = requireCol_(mMap, cM.PrintProfileKey);
   const mCategory = requireCol_(mMap, cM.PrintCategory);
+  const mMatch    = optionalCol_(mMap, cM.MatchType);
 
   // Format CreatedAt only to used rows
   const createdAtCol1 = iCreatedAt + 1;
   shOI.getRange(1, createdAtCol1, Math.max(shOI.getLastRow(), 1), 1)
       .setNumberFormat(CFG.FORMATS.DATETIME_UK);
 
-  const skuMap = buildSkuMap_(shM, { mSKU, mMode, mKey, mCategory });
+  const skuMap = buildSkuMap_(shM, { mSKU, mMode, mKey, mCategory, mMatch });
+  const exclusionRules = loadExclusionRules_();
 
   const lastCol = shOI.getLastColumn();
-  const values = shOI.getRange(scan.startRow, 1, scan.numRows, lastCol).getValues();
+  const values = scan.values
+    ? scan.values.slice(scan.startRow - 2, scan.endRow - 1)
+    : shOI.getRange(scan.startRow, 1, scan.numRows, lastCol).getValues();
 
   const outCategory   = new Array(scan.numRows);
   const outProfileKey = new Array(scan.numRows);
   const outUnits      = new Array(scan.numRows);
   const outReady      = new Array(scan.numRows);
   const outCreatedAt  = new Array(scan.numRows);
+  const outExcluded   = (iExcluded >= 0) ? values.map(v => [v[iExcluded]]) : null;
 
   let writeCategory = false;
   let writeProfile  = false;
   let writeUnits    = false;
   let writeReady    = false;
   let writeCreated  = false;
+  let writeExcluded = false;
 
   const blankishValues = getBlankishValues_();
   const exceptionRows = [];
+  const resolvedExceptionKeys = [];
   const logMissingSku = !!(CFG.DERIVE && CFG.DERIVE.ON_MISSING_SKU && CFG.DERIVE.ON_MISSING_SKU.LOG_EXCEPTION);
 
   let changedCount = 0;
-  let removedDigitalCount = 0;
+  let removedCount = 0;
+  let excludedCount = 0;
   const sheetRowsToDelete = [];
+  const archiveEntries = [];
+  const touchedOrderNames = new Set();
 
   for (let r = 0; r < scan.numRows; r++) {
     const row = values[r];
@@ -101,19 +134,56 @@ function normalizeAndEnrichOrderItems_(opts) {
     const sku = String(row[iSKU] || "").trim();
     const qty = toInt_(row[iQty], 0);
 
-    // Rule: digital items (BDD SKU suffix) are removed from OrderItems entirely.
-    if (isDigitalSku_(sku)) {
+    // Row-set windows (SKU-restricted / changed rows): other rows are written back unchanged
+    if (scan.rows && !scan.rows.has(scan.startRow + r)) {
+      outCreatedAt[r] = [row[iCreatedAt]];
+      outCategory[r] = [row[iCategory]];
+      outProfileKey[r] = [row[iProfileKey]];
+      outUnits[r] = [row[iUnits]];
+      outReady[r] = [row[iReady]];
+      continue;
+    }
+    if (scan.rows) touchedOrderNames.add(String(row[iOrderName] || "").trim());
+
+    // Exclusion rules (exclusionRules.js); rows already in a batch are left alone
+    const info = sku ? lookupSku_(skuMap, sku) : null;
+    const inBatch = iBatchID >= 0 && String(row[iBatchID] || "").trim() !== "";
+    const exclusion = inBatch ? null : findExclusionRule_(exclusionRules, sku, info);
+
+    if (exclusion && exclusion.action !== "EXCLUDE") {
       outCreatedAt[r] = [row[iCreatedAt]];
       outCategory[r] = [row[iCategory]];
       outProfileKey[r] = [row[iProfileKey]];
       outUnits[r] = [row[iUnits]];
       outReady[r] = [row[iReady]];
 
+      if (exclusion.action === "ARCHIVE") archiveEntries.push({ row, rule: exclusion });
       sheetRowsToDelete.push(scan.startRow + r);
-      removedDigitalCount++;
+      removedCount++;
       continue;
     }
 
+    if (exclusion) {
+      if (iExcluded < 0) {
+        throw new Error(`Missing OrderItems column: "${cOI.Excluded}" (needed by exclusion rule "${exclusion.name}")`);
+      }
+      outCategory[r]   = [row[iCategory]];
+      outProfileKey[r] = [row[iProfileKey]];
+      outUnits[r]      = [0];
+      outReady[r]      = [false];
+      outExcluded[r]   = [exclusion.name];
+
+      writeUnits = writeReady = writeExcluded = true;
+      excludedCount++;
+      continue;
+    }
+
+    // No rule matches any more: the row rejoins the pipeline
+    if (isExcludedRow_(row, iExcluded)) {
+      outExcluded[r] = [""];
+      writeExcluded = true;
+    }
+
     const currentReady = isTrue_(row[iReady]);
     const catBlankish = isBlankish_(row[iCategory], blankishValues);
     const keyBlankish = isBlankish_(row[iProfileKey], blankishValues);
@@ -138,20 +208,17 @@ function normalizeAndEnrichOrderItems_(opts) {
       changedCount++;
 
       if (logMissingSku && shX) {
-        exceptionRows.push([
-          new Date(),
-          "MISSING_SKU",
-          String(row[iOrderName] || ""),
-          (iLineItemID >= 0 ? String(row[iLineItemID] || "") : ""),
-          "",
-          "SKU is blank; applied fallback values and set ReadyForOrders = FALSE."
-        ]);
+        exceptionRows.push({
+          type: "MISSING_SKU",
+          orderName: String(row[iOrderName] || ""),
+          lineItemId: (iLineItemID >= 0 ? String(row[iLineItemID] || "") : ""),
+          sku: "",
+          message: "SKU is blank; applied fallback values and set ReadyForOrders = FALSE."
+        });
       }
       continue;
     }
 
-    const info = skuMap.get(sku);
-
     // SKU not in matrix
     if (!info) {
       const fb = (CFG.DERIVE && CFG.DERIVE.ON_MISSING_SKU) ? CFG.DERIVE.ON_MISSING_SKU : {};
@@ -164,18 +231,23 @@ function normalizeAndEnrichOrderItems_(opts) {
       changedCount++;
 
       if (logMissingSku && shX) {
-        exceptionRows.push([
-          new Date(),
-          "SKU_NOT_IN_MATRIX",
-          String(row[iOrderName] || ""),
-          (iLineItemID >= 0 ? String(row[iLineItemID] || "") : ""),
+        exceptionRows.push({
+          type: "SKU_NOT_IN_MATRIX",
+          orderName: String(row[iOrderName] || ""),
+          lineItemId: (iLineItemID >= 0 ? String(row[iLineItemID] || "") : ""),
           sku,
-          "SKU not found in SKU_Matrix; applied fallback values and set ReadyForOrders = FALSE."
-        ]);
+          message: "SKU not found in SKU_Matrix; applied fallback values and set ReadyForOrders = FALSE."
+        });
       }
       continue;
     }
 
+    // SKU now matches: earlier SKU exceptions for this line item are resolved
+    if (iLineItemID >= 0 && String(row[iLineItemID] || "").trim()) {
+      const li = String(row[iLineItemID]).trim();
+      resolvedExceptionKeys.push(exceptionKey_("MISSING_SKU", li), exceptionKey_("SKU_NOT_IN_MATRIX", li));
+    }
+
     const nextCat = info.cat || deriveCategoryFallback_(info.mode, info.key);
     const nextKey = info.key || "";
 
@@ -212,32 +284,58 @@ function normalizeAndEnrichOrderItems_(opts) {
   if (writeProfile)  shOI.getRange(scan.startRow, iProfileKey + 1, scan.numRows, 1).setValues(outProfileKey);
   if (writeUnits)    shOI.getRange(scan.startRow, iUnits + 1, scan.numRows, 1).setValues(outUnits);
   if (writeReady)    shOI.getRange(scan.startRow, iReady + 1, scan.numRows, 1).setValues(outReady);
+  if (writeExcluded) shOI.getRange(scan.startRow, iExcluded + 1, scan.numRows, 1).setValues(outExcluded);
 
-  if (exceptionRows.length && shX) {
-    shX.getRange(shX.getLastRow() + 1, 1, exceptionRows.length, exceptionRows[0].length).setValues(exceptionRows);
+  // Exceptions: deduped by Type + LineItemID (exceptions.js)
+  let exceptionsLogged = 0;
+  if (shX) {
+    if (resolvedExceptionKeys.length) {
+      resolveExceptions_({ keys: resolvedExceptionKeys }, CFG.EXCEPTION_STATUS.AUTO_RESOLVER);
+    }
+    const logged = logExceptions_(exceptionRows);
+    exceptionsLogged = logged.appended + logged.reopened;
+  }
+
+  // Hashes of the rows as written, so they count as unchanged next run
+  if (hashMode) {
+    const idx = getScanHashColumns_(oiMap);
+    if (!scan.hashes) scan.hashes = new Map();
+    for (const sheetRow of scan.rows) {
+      const r = sheetRow - scan.startRow;
+      const row = values[r].slice();
+      row[iCreatedAt] = outCreatedAt[r][0];
+      row[iCategory] = outCategory[r][0];
+      row[iProfileKey] = outProfileKey[r][0];
+      row[iUnits] = outUnits[r][0];
+      row[iReady] = outReady[r][0];
+      if (outExcluded) row[iExcluded] = outExcluded[r][0];
+      scan.hashes.set(sheetRow, orderItemsScanEntry_(row, idx));
+    }
+    for (const sheetRow of sheetRowsToDelete) scan.hashes.delete(sheetRow);
+    saveOrderItemsScanState_(Array.from(scan.hashes.values()), scan.rulesHash, { partial: !!onlyLineItems });
   }
 
   if (sheetRowsToDelete.length) {
+    archiveExcludedRows_(shOI, archiveEntries);
     deleteRowsByIndices_(shOI, sheetRowsToDelete);
   }
 
+  // A SKU/LineItemID-restricted pass skips rows, so it must not advance the checkpoint
   const checkpointRow = shOI.getLastRow();
-  setOrderItemsCheckpoint_(checkpointRow);
+  if (!rowSetPass) setOrderItemsCheckpoint_(checkpointRow);
 
   return {
-    scanned: scan.numRows,
+    scanned: scan.rows ? scan.rows.size : scan.numRows,
     changed: changedCount,
-    removedDigital: removedDigitalCount,
-    exceptions: exceptionRows.length,
-    checkpointSetToRow: checkpointRow
+    removed: removedCount,
+    archived: archiveEntries.length,
+    excluded: excludedCount,
+    exceptions: exceptionsLogged,
+    checkpointSetToRow: checkpointRow,
+    orderNames: Array.from(touchedOrderNames).filter(Boolean)
   };
 }
 
-function isDigitalSku_(sku) {
-  const s = String(sku || "").trim().toUpperCase();
-  return !!s && s.endsWith("BDD");
-}
-
 function deleteRowsByIndices_(sh, sheetRows1) {
   const rows = Array.from(new Set((sheetRows1 || []).map(x => parseInt(x, 10)).filter(x => Number.isFinite(x) && x >= 2)))
     .sort((a, b) => b - a);
@@ -260,24 +358,88 @@ function deleteRowsByIndices_(sh, sheetRows1) {
   sh.deleteRows(runStart - runLen + 1, runLen);
 }
 
+/**
+ * SKU_Matrix rules: { exact: Map<sku, info>, patterns: info[] } with patterns
+ * in precedence order (see lookupSku_). Rows with an unknown MatchType or an
+ * invalid regex are skipped; "SKU_Matrix: validate" reports them.
+ */
 function buildSkuMap_(shM, idx) {
   const lastRow = shM.getLastRow();
   const lastCol = shM.getLastColumn();
   const values = (lastRow >= 2) ? shM.getRange(2, 1, lastRow - 1, lastCol).getValues() : [];
+  const T = CFG.SKU_MATRIX.MATCH_TYPES;
 
-  const skuMap = new Map();
-  for (const r of values) {
+  const exact = new Map();
+  const patterns = [];
+  for (let i = 0; i < values.length; i++) {
+    const r = values[i];
     const sku = String(r[idx.mSKU] || "").trim();
     if (!sku) continue;
 
     const cat  = String(r[idx.mCategory] || "").trim();
     const mode = String(r[idx.mMode] || "").trim().toUpperCase();
     const key  = String(r[idx.mKey] || "").trim();
+    const matchType = (idx.mMatch >= 0 ? String(r[idx.mMatch] || "").trim().toUpperCase() : "") || T.EXACT;
 
     const totalPerUnit = (mode === "NONE") ? 0 : sumPrintCounts_(key);
-    skuMap.set(sku, { cat, mode, key, totalPerUnit });
+    const info = { cat, mode, key, totalPerUnit, matchType, pattern: sku, row: i + 2 };
+
+    if (matchType === T.EXACT) {
+      exact.set(sku, info);
+    } else if (matchType === T.PREFIX || matchType === T.SUFFIX) {
+      patterns.push(info);
+    } else if (matchType === T.REGEX) {
+      const re = compileSkuRegex_(sku);
+      if (!re) continue;
+      info.re = re;
+      patterns.push(info);
+    }
+  }
+
+  const rank = { [T.PREFIX]: 0, [T.SUFFIX]: 1, [T.REGEX]: 2 };
+  patterns.sort((a, b) =>
+    (rank[a.matchType] - rank[b.matchType]) ||
+    (a.matchType === T.REGEX ? 0 : b.pattern.length - a.pattern.length) ||
+    (a.row - b.row)
+  );
+
+  return { exact, patterns };
+}
+
+/**
+ * SKU_Matrix info for a SKU: the exact row, else the first matching pattern.
+ */
+function lookupSku_(skuMap, sku) {
+  const s = String(sku || "").trim();
+  if (!s) return null;
+
+  const hit = skuMap.exact.get(s);
+  if (hit) return hit;
+
+  for (const p of skuMap.patterns) {
+    if (skuRuleMatches_(p, s)) return p;
+  }
+  return null;
+}
+
+function skuRuleMatches_(rule, sku) {
+  const T = CFG.SKU_MATRIX.MATCH_TYPES;
+  if (rule.matchType === T.PREFIX) return sku.startsWith(rule.pattern);
+  if (rule.matchType === T.SUFFIX) return sku.endsWith(rule.pattern);
+  if (rule.matchType === T.REGEX) return !!rule.re && rule.re.test(sku);
+  return sku === rule.pattern;
+}
+
+/**
+ * REGEX rows: the SKU cell is the pattern (unanchored unless it uses ^ / $).
+ * Returns null when it does not compile.
+ */
+function compileSkuRegex_(pattern) {
+  try {
+    return new RegExp(String(pattern || "").trim());
+  } catch (e) {
+    return null;
   }
-  return skuMap;
 }
 
 /**
@@ -291,10 +453,7 @@ function getOrderItemsScanWindow_(shOI, options) {
     return { startRow: 2, endRow: 1, numRows: 0 };
   }
 
-  const props = PropertiesService.getDocumentProperties();
-  const key = getOrderItemsCheckpointKey_();
-  const saved = parseInt(props.getProperty(key) || "1", 10);
-  const checkpointRow = Number.isFinite(saved) ? saved : 1;
+  const checkpointRow = getOrderItemsCheckpoint_();
 
   const overlap = (options.overlapRows !== undefined)
     ? Math.max(0, parseInt(options.overlapRows, 10) || 0)
@@ -308,6 +467,30 @@ function getOrderItemsScanWindow_(shOI, options) {
     : { startRow, endRow, numRows: (endRow - startRow + 1) };
 }
 
+/**
+ * Smallest row window covering every OrderItems row whose column iCol
+ * (SKU or LineItemID) holds one of keys; rows lists exactly those rows.
+ */
+function getOrderItemsRowSetWindow_(shOI, iCol, keys) {
+  const lastRow = shOI.getLastRow();
+  if (lastRow < 2 || !keys.size) return { startRow: 2, endRow: 1, numRows: 0 };
+
+  const col = shOI.getRange(2, iCol + 1, lastRow - 1, 1).getValues();
+  const rows = new Set();
+  let startRow = 0;
+  let endRow = 0;
+  for (let i = 0; i < col.length; i++) {
+    if (!keys.has(String(col[i][0] || "").trim())) continue;
+    rows.add(i + 2);
+    if (!startRow) startRow = i + 2;
+    endRow = i + 2;
+  }
+
+  return startRow
+    ? { startRow, endRow, numRows: (endRow - startRow + 1), rows }
+    : { startRow: 2, endRow: 1, numRows: 0 };
+}
+
 function getDefaultOrderItemsOverlap_() {
   const v = (CFG.PERF && CFG.PERF.CHECKPOINT_OVERLAP !== undefined) ? CFG.PERF.CHECKPOINT_OVERLAP : 200;
   return Math.max(0, parseInt(v, 10) || 0);
@@ -317,6 +500,11 @@ function getOrderItemsCheckpointKey_() {
   return "ORDERITEMS_CHECKPOINT_LASTROW";
 }
 
+function getOrderItemsCheckpoint_() {
+  const saved = parseInt(PropertiesService.getDocumentProperties().getProperty(getOrderItemsCheckpointKey_()) || "1", 10);
+  return Number.isFinite(saved) ? saved : 1;
+}
+
 function setOrderItemsCheckpoint_(rowNum) {
   const props = PropertiesService.getDocumentProperties();
   props.setProperty(getOrderItemsCheckpointKey_(), String(Math.max(1, parseInt(rowNum, 10) || 1)));
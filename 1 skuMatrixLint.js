@@ -0,0 +1,223 @@
+/***************************************
+ * skuMatrixLint.js
+ *
+ * "SKU_Matrix: validate" — checks what buildSkuMap_ would otherwise accept
+ * silently:
+ * - DUPLICATE_SKU / BLANK_SKU   (ERROR; the last duplicate wins)
+ * - BAD_MATCH_TYPE / BAD_PATTERN (ERROR; the row is skipped when matching)
+ * - BAD_MODE                    (ERROR; anything but NONE is treated as a print)
+ * - MISSING_KEY / BAD_KEY       (ERROR; unparseable parts still count as 1 print)
+ * - UNKNOWN_CODE                (ERROR; code not in CFG.BATCH.CATEGORY_LABEL_MAP)
+ * - NONCANONICAL_KEY            (WARNING; e.g. "b64" vs "B64:1" batch separately)
+ * - CATEGORY_MISMATCH           (WARNING; PrintCategory not one of the key's codes)
+ * - UNUSED_SKU                  (INFO; never seen in / pattern matches nothing in OrderItems)
+ *
+ * Writes the SkuMatrixLint scratch sheet and highlights offending cells on
+ * SKU_Matrix (each run rewrites the SKU_Matrix data backgrounds and notes).
+ ***************************************/
+
+/*******************************************************
+ * PUBLIC ENTRYPOINTS
+ *******************************************************/
+function validateSkuMatrix() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
+  ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  let res;
+  try {
+    res = lintSkuMatrix_();
+    writeSkuMatrixLintSheet_(res.problems);
+    highlightSkuMatrix_(res);
+  } finally {
+    lock.releaseLock();
+  }
+
+  const ui = SpreadsheetApp.getUi();
+  const c = res.counts;
+  const msg = res.problems.length
+    ? `${res.checked} row(s) checked: ${c.ERROR} error(s), ${c.WARNING} warning(s), ${c.INFO} info.\nSee the ${CFG.SHEETS.SKU_MATRIX_LINT} sheet; offending cells are highlighted.`
+    : `${res.checked} row(s) checked. No problems found.`;
+  ui.alert("SKU_Matrix", msg, ui.ButtonSet.OK);
+
+  return { checked: res.checked, counts: res.counts, problems: res.problems };
+}
+
+/*******************************************************
+ * CORE
+ *******************************************************/
+
+/**
+ * Returns { sh, width, checked, counts, problems: [{ row, col0, sku, column, severity, check, message }] },
+ * problems in sheet-row order.
+ */
+function lintSkuMatrix_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const shM = ss.getSheetByName(CFG.SHEETS.SKU_MATRIX);
+  const shOI = ss.getSheetByName(CFG.SHEETS.ORDER_ITEMS);
+  if (!shM) throw new Error(`Missing sheet: ${CFG.SHEETS.SKU_MATRIX}`);
+  if (!shOI) throw new Error(`Missing sheet: ${CFG.SHEETS.ORDER_ITEMS}`);
+
+  const map = headerMap_(shM);
+  const cM = CFG.COLS.SKU_MATRIX;
+  const iSKU = requireCol_(map, cM.SKU);
+  const iMode = requireCol_(map, cM.PrintMode);
+  const iKey = requireCol_(map, cM.PrintProfileKey);
+  const iCat = requireCol_(map, cM.PrintCategory);
+  const iMatch = optionalCol_(map, cM.MatchType);
+  const headers = getHeaders_(shM);
+
+  const labelMap = (CFG.BATCH && CFG.BATCH.CATEGORY_LABEL_MAP) ? CFG.BATCH.CATEGORY_LABEL_MAP : {};
+  const modes = getSkuPrintModes_();
+  const T = CFG.SKU_MATRIX.MATCH_TYPES;
+  const matchTypes = Object.keys(T).map(k => T[k]);
+  const seenSkus = readOrderItemSkus_(shOI);
+
+  const problems = [];
+  const firstRowBySku = new Map();
+  const { values } = readDataRange_(shM);
+  let checked = 0;
+
+  for (let i = 0; i < values.length; i++) {
+    const r = values[i];
+    const row = i + 2;
+    const sku = String(r[iSKU] || "").trim();
+    const add = (col0, severity, check, message) => {
+      problems.push({ row, col0, sku, column: String(headers[col0] || ""), severity, check, message });
+    };
+
+    if (!sku) {
+      if (r.some(v => String(v === null || v === undefined ? "" : v).trim() !== "")) {
+        checked++;
+        add(iSKU, "ERROR", "BLANK_SKU", "SKU is blank; the row is ignored");
+      }
+      continue;
+    }
+    checked++;
+
+    const matchType = (iMatch >= 0 ? String(r[iMatch] || "").trim().toUpperCase() : "") || T.EXACT;
+    const ruleKey = `${matchType}|${sku}`;
+    if (!matchTypes.includes(matchType)) {
+      add(iMatch, "ERROR", "BAD_MATCH_TYPE", `MatchType "${String(r[iMatch]).trim()}" is not one of ${matchTypes.join(", ")}; the row is skipped`);
+    } else if (matchType === T.REGEX && !compileSkuRegex_(sku)) {
+      add(iSKU, "ERROR", "BAD_PATTERN", `"${sku}" is not a valid regular expression; the row is skipped`);
+    } else if (firstRowBySku.has(ruleKey)) {
+      // Exact rows overwrite each other; pattern rows tie-break on sheet order
+      const winner = (matchType === T.EXACT) ? "the last row wins" : "the first row wins";
+      add(iSKU, "ERROR", "DUPLICATE_SKU", `duplicate of row ${firstRowBySku.get(ruleKey)}; ${winner}`);
+    } else {
+      firstRowBySku.set(ruleKey, row);
+      if (matchType === T.EXACT) {
+        if (!seenSkus.has(sku)) add(iSKU, "INFO", "UNUSED_SKU", `not seen in ${CFG.SHEETS.ORDER_ITEMS}`);
+      } else {
+        const rule = { matchType, pattern: sku, re: compileSkuRegex_(sku) };
+        if (!Array.from(seenSkus).some(x => skuRuleMatches_(rule, x))) {
+          add(iSKU, "INFO", "UNUSED_SKU", `${matchType} rule matches no SKU in ${CFG.SHEETS.ORDER_ITEMS}`);
+        }
+      }
+    }
+
+    const mode = String(r[iMode] || "").trim().toUpperCase();
+    if (!modes.includes(mode)) {
+      add(iMode, "ERROR", "BAD_MODE", `PrintMode "${String(r[iMode] || "").trim()}" is not one of ${modes.join(", ")}; treated as a print`);
+    }
+    if (mode === "NONE") continue;
+
+    const rawKey = String(r[iKey] || "").trim();
+    if (!rawKey) {
+      add(iKey, "ERROR", "MISSING_KEY", "PrintProfileKey is blank; the SKU never becomes ReadyForOrders");
+      continue;
+    }
+
+    const parsed = validatePrintProfileKey_(rawKey);
+    for (const p of parsed.problems) add(iKey, "ERROR", p.check, p.message);
+    if (!parsed.problems.length && parsed.key !== rawKey) {
+      add(iKey, "WARNING", "NONCANONICAL_KEY", `"${rawKey}" should be written "${parsed.key}"`);
+    }
+
+    const cat = String(r[iCat] || "").trim();
+    if (!cat) continue;
+
+    const codes = parsePrintProfileKey_(parsed.key).map(p => p.code);
+    if (labelMap[cat.toUpperCase()] === undefined) {
+      add(iCat, "ERROR", "UNKNOWN_CODE", `PrintCategory "${cat}" is not in CATEGORY_LABEL_MAP`);
+    } else if (codes.length && !codes.includes(cat)) {
+      add(iCat, "WARNING", "CATEGORY_MISMATCH", `PrintCategory "${cat}" is not one of the key's codes (${codes.join(", ")})`);
+    }
+  }
+
+  const counts = { ERROR: 0, WARNING: 0, INFO: 0 };
+  for (const p of problems) counts[p.severity]++;
+
+  return { sh: shM, width: headers.length, lastRow: values.length + 1, checked, counts, problems };
+}
+
+function readOrderItemSkus_(shOI) {
+  const iSKU = requireCol_(headerMap_(shOI), CFG.COLS.ORDER_ITEMS.SKU);
+  const out = new Set();
+  const lastRow = shOI.getLastRow();
+  if (lastRow < 2) return out;
+
+  for (const r of shOI.getRange(2, iSKU + 1, lastRow - 1, 1).getValues()) {
+    const sku = String(r[0] || "").trim();
+    if (sku) out.add(sku);
+  }
+  return out;
+}
+
+/*******************************************************
+ * OUTPUT
+ *******************************************************/
+function writeSkuMatrixLintSheet_(problems) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const name = CFG.SHEETS.SKU_MATRIX_LINT;
+
+  let sh = ss.getSheetByName(name);
+  if (!sh) sh = ss.insertSheet(name);
+
+  const headers = ["Row", "SKU", "Column", "Severity", "Check", "Message"];
+  const rows = problems.map(p => [p.row, p.sku, p.column, p.severity, p.check, p.message]);
+
+  sh.clear();
+  sh.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sh.setFrozenRows(1);
+  sh.getRange(1, 1, 1, headers.length).setFontWeight("bold");
+  if (rows.length) sh.getRange(2, 1, rows.length, headers.length).setValues(rows);
+}
+
+/**
+ * Colours each offending cell by its worst severity and notes the messages;
+ * every other data cell is cleared so fixed problems lose their highlight.
+ */
+function highlightSkuMatrix_(res) {
+  const numRows = res.lastRow - 1;
+  if (numRows < 1 || res.width < 1) return;
+
+  const colors = (CFG.SKU_MATRIX && CFG.SKU_MATRIX.LINT_COLORS) ? CFG.SKU_MATRIX.LINT_COLORS : {};
+  const rank = { INFO: 1, WARNING: 2, ERROR: 3 };
+
+  const bgs = [];
+  const notes = [];
+  const worst = [];
+  for (let r = 0; r < numRows; r++) {
+    bgs.push(new Array(res.width).fill(null));
+    notes.push(new Array(res.width).fill(""));
+    worst.push(new Array(res.width).fill(0));
+  }
+
+  for (const p of res.problems) {
+    const r = p.row - 2;
+    const c = p.col0;
+    notes[r][c] = notes[r][c] ? `${notes[r][c]}\n${p.check}: ${p.message}` : `${p.check}: ${p.message}`;
+    if (rank[p.severity] > worst[r][c]) {
+      worst[r][c] = rank[p.severity];
+      bgs[r][c] = colors[p.severity] || null;
+    }
+  }
+
+  const range = res.sh.getRange(2, 1, numRows, res.width);
+  range.setBackgrounds(bgs);
+  range.setNotes(notes);
+}
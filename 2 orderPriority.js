@@ -0,0 +1,51 @@
+/***************************************
+ * orderPriority.js
+ *
+ * Rush orders:
+ * - Orders.Priority set to one of CFG.PRIORITY.RUSH_VALUES, or
+ * - Priority blank and Orders.ShippingService containing one of
+ *   CFG.PRIORITY.RUSH_SHIPPING_SERVICES
+ * Any other Priority (e.g. "Normal") is explicit and wins over the service.
+ *
+ * Rush items skip the full-days-only gate and go to RUSH batches
+ * (batchBuilder.js); the sidebar queue lists rush orders first.
+ ***************************************/
+
+function isRushOrder_(priority, shippingService) {
+  const pCfg = CFG.PRIORITY || {};
+
+  const p = String(priority || "").trim().toLowerCase();
+  if (p) {
+    return (pCfg.RUSH_VALUES || []).some(v => String(v).trim().toLowerCase() === p);
+  }
+
+  const svc = String(shippingService || "").trim().toLowerCase();
+  if (!svc) return false;
+  return (pCfg.RUSH_SHIPPING_SERVICES || []).some(v => {
+    const needle = String(v).trim().toLowerCase();
+    return !!needle && svc.indexOf(needle) !== -1;
+  });
+}
+
+/**
+ * OrderNames currently flagged rush on the Orders sheet.
+ */
+function getRushOrderNames_() {
+  const shO = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CFG.SHEETS.ORDERS);
+  if (!shO) throw new Error(`Missing sheet: ${CFG.SHEETS.ORDERS}`);
+
+  const map = headerMap_(shO);
+  const iOrder = requireCol_(map, CFG.COLS.ORDERS.OrderName);
+  const iPriority = optionalCol_(map, CFG.COLS.ORDERS.Priority);
+  const iService = optionalCol_(map, CFG.COLS.ORDERS.ShippingService);
+
+  const out = new Set();
+  if (iPriority < 0 && iService < 0) return out;
+
+  for (const r of readDataRange_(shO).values) {
+    const name = String(r[iOrder] || "").trim();
+    if (!name) continue;
+    if (isRushOrder_(iPriority >= 0 ? r[iPriority] : "", iService >= 0 ? r[iService] : "")) out.add(name);
+  }
+  return out;
+}
@@ -5,23 +5,23 @@
  * - syncOrdersFromOrderItems()
  * - install/remove time trigger
  * - upsert Orders from READY OrderItems (delta-write focused)
+ * - cancelled line items are left out; an order whose items are all
+ *   cancelled becomes Cancelled (orderCancellations.js)
  ***************************************/
 
 function syncOrdersFromOrderItems() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
   ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
 
   const lock = LockService.getDocumentLock();
   lock.waitLock(30000);
   try {
-    const res = normalizeAndEnrichOrderItems_();
-    const up = upsertOrdersFromReadyOrderItems_({
-      startRow: Math.max(2, (res.checkpointSetToRow - getDefaultOrderItemsOverlap_())),
-      endRow: Math.max(1, res.checkpointSetToRow)
-    });
+    const { res, up, released } = syncOrdersFromOrderItems_();
 
     ss.toast(
-      `Sync complete. Scanned: ${res.scanned}, Changed: ${res.changed}, Exceptions: ${res.exceptions}, Orders touched: ${up.touchedOrders}, Orders updated: ${up.updatedRows}, Orders appended: ${up.appendedRows}`,
+      `Sync complete. Scanned: ${res.scanned}, Changed: ${res.changed}, Exceptions: ${res.exceptions}, Orders touched: ${up.touchedOrders}, Orders updated: ${up.updatedRows}, Orders appended: ${up.appendedRows}` +
+        (released.released ? `, Cancelled items pulled from batches: ${released.released}` : ""),
       "Sync",
       8
     );
@@ -30,7 +30,33 @@ function syncOrdersFromOrderItems() {
   }
 }
 
+/**
+ * Enrich OrderItems, pull cancelled items out of open batches, then upsert the
+ * Orders they touch (caller holds the lock).
+ * options: { lineItemIds, orderNames } rows and orders a caller just wrote
+ * (orderImport.js); the rows are re-enriched and the orders re-synced
+ * wherever they sit.
+ */
+function syncOrdersFromOrderItems_(options) {
+  const opts = options || {};
+  const lineItemIds = Array.isArray(opts.lineItemIds) ? opts.lineItemIds : [];
+  const direct = lineItemIds.length
+    ? normalizeAndEnrichOrderItems_({ lineItemIds })
+    : { scanned: 0, exceptions: 0, orderNames: [] };
+
+  const res = normalizeAndEnrichOrderItems_();
+  const released = releaseCancelledBatchItems_();
+  const up = upsertOrdersFromReadyOrderItems_({
+    startRow: Math.max(2, (res.checkpointSetToRow - getDefaultOrderItemsOverlap_())),
+    endRow: Math.max(1, res.checkpointSetToRow),
+    extraOrderNames: res.orderNames
+      .concat(direct.orderNames, released.orderNames, Array.isArray(opts.orderNames) ? opts.orderNames : [])
+  });
+  return { res, up, released, direct };
+}
+
 function installOrdersSyncTrigger() {
+  applySettings_();
   removeOrdersSyncTrigger();
 
   const fn = (CFG.TRIGGER && CFG.TRIGGER.FUNCTION_NAME) ? CFG.TRIGGER.FUNCTION_NAME : "syncOrdersFromOrderItems";
@@ -49,6 +75,7 @@ function removeOrdersSyncTrigger() {
 
 function forceRepairReadyForOrdersOneOff() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
   ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
 
   const lock = LockService.getDocumentLock();
@@ -68,7 +95,8 @@ function forceRepairReadyForOrdersOneOff() {
  * STEP 3 — UPSERT Orders from OrderItems (READY ONLY)
  *
  * Performance notes:
- * - Uses scan window to discover touched OrderNames.
+ * - Uses scan window (or an explicit options.orderNames list) to discover touched OrderNames;
+ *   options.extraOrderNames adds orders whose rows changed outside the window.
  * - Re-aggregates those touched orders across OrderItems truth source.
  * - Writes only changed Orders rows + appends missing orders.
  *******************************************************/
@@ -95,12 +123,16 @@ function upsertOrdersFromReadyOrderItems_(options) {
   const iOiPrint  = optionalCol_(oiMap, cOI.PrintedAt);
   const iOiPack   = optionalCol_(oiMap, cOI.PackedAt);
   const iOiPackBy = optionalCol_(oiMap, cOI.PackedBy);
+  const iOiShip   = optionalCol_(oiMap, cOI.ShippingService);
+  const iOiExcl   = optionalCol_(oiMap, cOI.Excluded);
+  const iOiCancel = optionalCol_(oiMap, cOI.CancelledAt);
 
   const oOrder    = requireCol_(oMap, cO.OrderName);
   const oCreated  = requireCol_(oMap, cO.CreatedAt);
   const oStatus   = requireCol_(oMap, cO.Status);
   const oPackedAt = optionalCol_(oMap, cO.PackedAt);
   const oPackedBy = optionalCol_(oMap, cO.PackedBy);
+  const oShip     = optionalCol_(oMap, cO.ShippingService);
 
   const oiLastRow = shOI.getLastRow();
   const oiLastCol = shOI.getLastColumn();
@@ -108,7 +140,12 @@ function upsertOrdersFromReadyOrderItems_(options) {
 
   const touchedOrderNames = new Set();
 
-  if (opts.forceFullOrderRecompute === true) {
+  if (Array.isArray(opts.orderNames)) {
+    for (const nm of opts.orderNames) {
+      const orderName = String(nm || "").trim();
+      if (orderName) touchedOrderNames.add(orderName);
+    }
+  } else if (opts.forceFullOrderRecompute === true) {
     const allOi = shOI.getRange(2, 1, oiLastRow - 1, oiLastCol).getValues();
     for (const row of allOi) {
       const orderName = String(row[iOiOrder] || "").trim();
@@ -127,6 +164,11 @@ function upsertOrdersFromReadyOrderItems_(options) {
     }
   }
 
+  for (const nm of (Array.isArray(opts.extraOrderNames) ? opts.extraOrderNames : [])) {
+    const orderName = String(nm || "").trim();
+    if (orderName) touchedOrderNames.add(orderName);
+  }
+
   if (!touchedOrderNames.size) return { touchedOrders: 0, updatedRows: 0, appendedRows: 0 };
 
   // Re-aggregate touched orders across full OrderItems truth source.
@@ -136,6 +178,8 @@ function upsertOrdersFromReadyOrderItems_(options) {
   for (const r of oi) {
     const orderName = String(r[iOiOrder] || "").trim();
     if (!orderName || !touchedOrderNames.has(orderName)) continue;
+    // An all-excluded order stays out of Orders, just as ARCHIVE/DELETE would leave it
+    if (isExcludedRow_(r, iOiExcl)) continue;
 
     if (!sums.has(orderName)) {
       sums.set(orderName, {
@@ -146,11 +190,20 @@ function upsertOrdersFromReadyOrderItems_(options) {
         allPrinted: true,
         allPacked: true,
         maxPackedAt: null,
-        lastPackedBy: ""
+        lastPackedBy: "",
+        shippingService: "",
+        liveItems: 0,
+        cancelledItems: 0
       });
     }
 
     const s = sums.get(orderName);
+    if (isCancelledRow_(r, iOiCancel)) {
+      s.cancelledItems++;
+      continue;
+    }
+    s.liveItems++;
+
     const ready = isTrue_(r[iOiReady]);
     if (!ready) s.allReady = false;
 
@@ -181,6 +234,8 @@ function upsertOrdersFromReadyOrderItems_(options) {
       const pb = String(r[iOiPackBy] || "").trim();
       if (pb) s.lastPackedBy = pb;
     }
+
+    if (iOiShip >= 0 && !s.shippingService) s.shippingService = String(r[iOiShip] || "").trim();
   }
 
   const readyOrders = [];
@@ -205,6 +260,8 @@ function upsertOrdersFromReadyOrderItems_(options) {
     const derivedStatus = deriveOrderStatus_(s);
 
     if (!byName.has(s.orderName)) {
+      if (derivedStatus === CFG.STATUS.CANCELLED) continue;
+
       const row = new Array(headers.length).fill("");
       row[oOrder] = s.orderName;
       row[oCreated] = s.earliestCreatedAt || "";
@@ -212,6 +269,7 @@ function upsertOrdersFromReadyOrderItems_(options) {
 
       if (oPackedAt >= 0 && derivedStatus === CFG.STATUS.PACKED) row[oPackedAt] = s.maxPackedAt || "";
       if (oPackedBy >= 0 && derivedStatus === CFG.STATUS.PACKED) row[oPackedBy] = s.lastPackedBy || "";
+      if (oShip >= 0) row[oShip] = s.shippingService;
 
       toAppend.push(row);
       continue;
@@ -227,8 +285,11 @@ function upsertOrdersFromReadyOrderItems_(options) {
       rowChanged = true;
     }
 
+    // An upstream cancellation also overrides Hold
     const currentStatus = String(row[oStatus] || "").trim();
-    if (!isManualOrFinalOrderStatus_(currentStatus) && currentStatus !== derivedStatus) {
+    const canDerive = !isManualOrFinalOrderStatus_(currentStatus) ||
+      (currentStatus === CFG.STATUS.HOLD && derivedStatus === CFG.STATUS.CANCELLED);
+    if (canDerive && currentStatus !== derivedStatus) {
       row[oStatus] = derivedStatus;
       rowChanged = true;
     }
@@ -238,6 +299,11 @@ function upsertOrdersFromReadyOrderItems_(options) {
       if (oPackedBy >= 0 && !String(row[oPackedBy] || "").trim() && s.lastPackedBy) { row[oPackedBy] = s.lastPackedBy; rowChanged = true; }
     }
 
+    if (oShip >= 0 && s.shippingService && !String(row[oShip] || "").trim()) {
+      row[oShip] = s.shippingService;
+      rowChanged = true;
+    }
+
     if (rowChanged) changedRowIndices.push(idx);
   }
 
@@ -278,6 +344,7 @@ function upsertOrdersFromReadyOrderItems_(options) {
 }
 
 function deriveOrderStatus_(s) {
+  if (!s.liveItems && s.cancelledItems) return CFG.STATUS.CANCELLED;
   if (s.allPacked) return CFG.STATUS.PACKED;
   if (s.allPrinted) return CFG.STATUS.READY;
   if (s.anyInProdSignal) return CFG.STATUS.IN_PROD;
@@ -294,6 +361,7 @@ function deriveOrderStatus_(s) {
  */
 function adminResetOrderItemsCheckpoint() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
   ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
 
   const lock = LockService.getDocumentLock();
@@ -311,6 +379,7 @@ function adminResetOrderItemsCheckpoint() {
  */
 function adminRunFullOrderItemsRescanNow() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
   ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
 
   const lock = LockService.getDocumentLock();
@@ -3,12 +3,31 @@
  *
  * WHAT IT DOES
  * - Reads OrderItems
- * - Creates/reuses Batches (AUTO + MISC) based on CFG.BATCH rules
+ * - Creates/reuses Batches (AUTO + MISC, RUSH for rush orders) based on CFG.BATCH rules
  * - Assigns OrderItems.PrintBatchID (machine key)
  * - Updates Batch metrics (even when reusing existing OPEN batches)
+ * - Plans in memory first (planBatchesAuto_), then writes (applyBatchPlan_);
+ *   the dry-run preview in batchPreview.js uses the same plan
+ *
+ * ORDER STRATEGY
+ * - CFG.BATCH.ORDER_STRATEGY decides where orders spanning several profiles go:
+ *   per line item (default), whole into a MIXED batch, or whole into the
+ *   batch of their dominant profile. Single-profile orders are unaffected.
+ *
+ * SPLITTING
+ * - Profile groups over MAX_PRINTUNITS_PER_BATCH (or the category's entry in
+ *   MAX_PRINTUNITS_BY_CATEGORY) split into several batches; SPLIT_MODE
+ *   "BALANCED" sizes them evenly and never splits an order between them
+ * - MIXED batches obey the same max but always split BALANCED
+ *
+ * RULES
+ * - Min/max units, lookback, full-days-only and MISC eligibility come from
+ *   the BatchRules sheet per category/profile, falling back to CFG.BATCH
+ *   (batchRules.js)
  *
  * FULL DAYS ONLY
- * - If CFG.BATCH.FULL_DAYS_ONLY = true, "today" (UK) is excluded
+ * - If CFG.BATCH.FULL_DAYS_ONLY = true (or the item's rule says so), "today" (UK) is excluded
+ *   (rush orders are never held back; see orderPriority.js)
  * - Manual override: createBatchesIncludeTodayOverride()
  *
  * IMPORTANT
@@ -21,6 +40,7 @@
  *******************************************************/
 function createBatchesAuto(options) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
   ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
 
   const lock = LockService.getDocumentLock();
@@ -42,6 +62,30 @@ function createBatchesIncludeTodayOverride() {
 function _createBatchesAuto_(options) {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
 
+  const plan = planBatchesAuto_(options || {});
+  if (plan.emptyReason) {
+    ss.toast(plan.emptyReason, "Batching", 6);
+    return;
+  }
+
+  const res = applyBatchPlan_(plan);
+
+  ss.toast(
+    `Batching complete. New batches: ${res.newBatches}, Items assigned: ${res.assigned}, Existing batches updated: ${res.updatedExisting}, Metrics corrected: ${res.metricsCorrected}${formatOrphanBatchIds_(res.orphanBatchIds)}`,
+    "Batching",
+    8
+  );
+  return res;
+}
+
+/**
+ * Planning pass: buckets, groups, splits and MISC assignment, all in memory.
+ * Nothing is written; applyBatchPlan_() performs the writes, and the preview
+ * (batchPreview.js) renders plan.report instead.
+ */
+function planBatchesAuto_(options) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+
   // ---- Config safety
   const batchCfg = (typeof CFG !== "undefined" && CFG.BATCH) ? CFG.BATCH : {};
   const blankishValues = getBlankishValues_();
@@ -54,33 +98,40 @@ function _createBatchesAuto_(options) {
 
   // ---- Options (with defaults)
   const dateMode = options.dateModeOverride || batchCfg.DATE_MODE || "ORDER_DATE";
-  const lookbackDays = (options.lookbackDaysOverride !== undefined)
-    ? options.lookbackDaysOverride
-    : (batchCfg.LOOKBACK_DAYS !== undefined ? batchCfg.LOOKBACK_DAYS : 7);
 
-  const minLI = (batchCfg.MIN_LINEITEMS_FOR_AUTO !== undefined) ? batchCfg.MIN_LINEITEMS_FOR_AUTO : 2;
-  const minPU = (batchCfg.MIN_PRINTUNITS_FOR_AUTO !== undefined) ? batchCfg.MIN_PRINTUNITS_FOR_AUTO : 2;
-  const maxPU = (batchCfg.MAX_PRINTUNITS_PER_BATCH !== undefined) ? batchCfg.MAX_PRINTUNITS_PER_BATCH : 80;
+  // Min/max units, lookback, full-days-only, MISC eligibility per category
+  // (BatchRules sheet over CFG.BATCH; throws if the sheet is invalid)
+  const rules = loadBatchRules_();
+
+  // Rush orders (Orders.Priority / ShippingService) skip full-days-only
+  const rushOrders = getRushOrderNames_();
+
+  // Oversized profile groups: GREEDY (row order) | BALANCED (even, orders kept whole)
+  const SPLIT_MODE = String(batchCfg.SPLIT_MODE || "GREEDY").trim().toUpperCase();
 
   const includeToday = (options.includeToday === true);
-  const enforceFullDaysOnly = (batchCfg.FULL_DAYS_ONLY === true) && !includeToday;
 
   const TYPE_AUTO = batchCfg.TYPE_AUTO || "AUTO";
   const TYPE_MISC = batchCfg.TYPE_MISC || "MISC";
+  const TYPE_RUSH = batchCfg.TYPE_RUSH || "RUSH";
   const STATUS_OPEN = batchCfg.STATUS_OPEN || "Open";
 
   const CREATE_MISC_PER_DATE = (batchCfg.CREATE_MISC_PER_DATE !== false);
   const MISC_PROFILE_KEY = batchCfg.MISC_PROFILE_KEY || "MISC";
   const MISC_CATEGORY = batchCfg.MISC_CATEGORY || "MISC";
 
+  // Multi-profile orders: LINE_ITEM (default) | MIXED | DOMINANT
+  const ORDER_STRATEGY = String(batchCfg.ORDER_STRATEGY || "LINE_ITEM").trim().toUpperCase();
+  const TYPE_MIXED = batchCfg.TYPE_MIXED || "MIXED";
+  const MIXED_PROFILE_KEY = batchCfg.MIXED_PROFILE_KEY || "MIXED";
+  const MIXED_CATEGORY = batchCfg.MIXED_CATEGORY || "MIXED";
+
   // ---- Time anchors (UK)
   const today = startOfDay_(new Date());
   const todayKey = ymd_(today);
-  const cutoff = new Date(today.getTime() - (lookbackDays * 86400000));
 
   // ---- Header maps (helpers.js)
   const oiMap = headerMap_(shOI);
-  const bMap  = headerMap_(shB);
 
   // ---- Required OrderItems columns
   const cOI = CFG.COLS.ORDER_ITEMS;
@@ -91,18 +142,37 @@ function _createBatchesAuto_(options) {
   const iBatchID    = requireCol_(oiMap, cOI.PrintBatchID);
   const iReady      = requireCol_(oiMap, cOI.ReadyForOrders);
   const iProfileKey = requireCol_(oiMap, cOI.PrintProfileKey);
+  const iLineItemID = optionalCol_(oiMap, cOI.LineItemID);
+  const iCancelled  = optionalCol_(oiMap, cOI.CancelledAt);
+
+  const plan = {
+    options,
+    emptyReason: "",
+    shOI,
+    shB,
+    oiValues: [],
+    iBatchID,
+    iLineItemID,
+    batchIndex: null,
+    rowToBatchId: new Map(),   // rowIndex0 -> BatchID
+    newBatchRows: [],          // new batch rows to append
+    existingMetricAdds: new Map(), // batchId -> { tu, li, orders:Set } for reused existing rows
+    report: { buckets: [], heldBackToday: 0 }
+  };
 
   // ---- Read OrderItems
   const oiLastRow = shOI.getLastRow();
   const oiLastCol = shOI.getLastColumn();
   if (oiLastRow < 2) {
-    ss.toast("No OrderItems rows found.", "Batching", 5);
-    return;
+    plan.emptyReason = "No OrderItems rows found.";
+    return plan;
   }
   const oiValues = shOI.getRange(2, 1, oiLastRow - 1, oiLastCol).getValues();
+  plan.oiValues = oiValues;
 
   // ---- Read Batches + index (reuse + seq + metrics)
   const batchIndex = indexExistingBatches_(shB);
+  plan.batchIndex = batchIndex;
 
   // ---- Bucket candidates/outliers per dateKey
   // buckets: dateKey -> { dateObj, candidates[], outliers[] }
@@ -114,19 +184,27 @@ function _createBatchesAuto_(options) {
     // Skip already batched
     if (String(row[iBatchID] || "").trim()) continue;
 
-    // Must be ReadyForOrders
+    // Must be ReadyForOrders and not cancelled
     if (!isTrue_(row[iReady])) continue;
+    if (isCancelledRow_(row, iCancelled)) continue;
 
     // Exclude non-print
     const cat = String(row[iCategory] || "").trim();
     if (!cat || isBlankish_(cat, blankishValues)) continue;
     if (cat.toUpperCase() === "NONE") continue;
 
+    // Profile key (required for AUTO)
+    const pKey = String(row[iProfileKey] || "").trim();
+    const rule = batchRuleFor_(rules, pKey, cat);
+    const orderName = String(row[iOrderName] || "").trim();
+    const rush = rushOrders.has(orderName);
+
     // Determine bucket date
     const createdAt = parseDate_(row[iCreatedAt]);
     if (dateMode === "ORDER_DATE") {
+      const lookbackDays = (options.lookbackDaysOverride !== undefined) ? options.lookbackDaysOverride : rule.lookbackDays;
       if (!createdAt) continue;
-      if (createdAt < cutoff) continue;
+      if (createdAt < new Date(today.getTime() - (lookbackDays * 86400000))) continue;
     }
 
     const bucketDate = (dateMode === "PRINT_DAY")
@@ -136,12 +214,12 @@ function _createBatchesAuto_(options) {
     const dateKey = ymd_(bucketDate); // YYYY-MM-DD
 
     // Full-days-only caveat
-    if (enforceFullDaysOnly && dateKey === todayKey) continue;
+    if (rule.fullDaysOnly && !includeToday && !rush && dateKey === todayKey) {
+      plan.report.heldBackToday++;
+      continue;
+    }
 
-    // Profile key (required for AUTO)
-    const pKey = String(row[iProfileKey] || "").trim();
     const units = toInt_(row[iUnits], 0);
-    const orderName = String(row[iOrderName] || "").trim();
 
     // Outlier rules (print-related but not clean)
     const isMixed = (cat.toUpperCase() === "MIXED");
@@ -155,10 +233,19 @@ function _createBatchesAuto_(options) {
 
     const rec = {
       rowIndex0: r,     // index into oiValues (0-based; sheet row = r+2)
+      lineItemId: (iLineItemID >= 0) ? String(row[iLineItemID] || "").trim() : "",
       orderName,
       printUnits: units,
       printProfileKey: pKey,
-      printCategory: cat
+      groupKey: pKey,   // AUTO grouping key (order strategy may override)
+      printCategory: cat,
+      rule,
+      rush,
+      outlierReason: isMixed ? "MIXED category"
+        : isUnknown ? "UNKNOWN category"
+        : !pKey ? "No PrintProfileKey"
+        : badUnits ? "PrintUnits is 0"
+        : ""
     };
 
     if (isOutlier) buckets.get(dateKey).outliers.push(rec);
@@ -166,41 +253,81 @@ function _createBatchesAuto_(options) {
   }
 
   if (buckets.size === 0) {
-    ss.toast("No eligible unbatched items found (given current rules).", "Batching", 6);
-    return;
+    plan.emptyReason = "No eligible unbatched items found (given current rules).";
+    return plan;
   }
 
-  // ---- Assignment plan: rowIndex0 -> BatchID
-  const rowToBatchId = new Map();
-
-  // ---- New batch rows to append
-  const newBatchRows = [];
-
-  // ---- Track which existing batch rows need metric updates
-  // batchId -> { tuAdd, liAdd, orders:Set }
-  const existingMetricAdds = new Map();
+  const { rowToBatchId, newBatchRows, existingMetricAdds } = plan;
 
   // ---- Process each bucket
   for (const [dateKey, bucket] of buckets.entries()) {
-    // Group candidates by PrintProfileKey
-    const groups = groupBy_(bucket.candidates, x => x.printProfileKey);
+    const bucketReport = { dateKey, batches: new Map(), outliers: [] };
+
+    // RUSH: clean rush items batch per profile, ahead of (and apart from) AUTO
+    const rushItems = bucket.candidates.filter(x => x.rush);
+    bucket.candidates = bucket.candidates.filter(x => !x.rush);
+
+    for (const [profileKey, items] of groupBy_(rushItems, x => x.printProfileKey).entries()) {
+      const maxUnits = batchRuleFor_(rules, profileKey, "").maxPrintUnits;
+      const splits = (SPLIT_MODE === "BALANCED")
+        ? splitBalancedByMaxUnits_(items, maxUnits)
+        : splitByMaxUnits_(items, maxUnits);
+
+      for (let s = 0; s < splits.length; s++) {
+        const rushBatch = ensureOpenBatch_({
+          batchIndex,
+          newBatchRows,
+          batchDateKey: dateKey,
+          batchDateObj: bucket.dateObj,
+          batchType: TYPE_RUSH,
+          printProfileKey: profileKey,
+          printCategory: primaryCodeFromProfileKey_(profileKey),
+          status: STATUS_OPEN,
+          forceNew: s > 0,
+          addUnits: sumPrintUnits_(splits[s]),
+          maxUnits,
+          existingMetricAdds
+        });
+
+        for (const it of splits[s]) rowToBatchId.set(it.rowIndex0, rushBatch.batchId);
+
+        addMetricsToBatch_(batchIndex, rushBatch, splits[s], existingMetricAdds);
+        addBatchToPlanReport_(bucketReport, rushBatch, TYPE_RUSH, profileKey, splits[s]);
+      }
+    }
+
+    // Keep multi-profile orders together (CFG.BATCH.ORDER_STRATEGY)
+    applyOrderStrategy_(bucket, ORDER_STRATEGY);
+
+    // Group candidates by PrintProfileKey (or their order's dominant key)
+    const groups = groupBy_(bucket.candidates, x => x.groupKey);
 
     for (const [profileKey, items] of groups.entries()) {
+      const groupRule = batchRuleFor_(rules, profileKey, "");
+      const minLI = groupRule.minLineItems;
+      const minPU = groupRule.minPrintUnits;
+
       const totalUnits = items.reduce((a, it) => a + (it.printUnits || 0), 0);
       const qualifies = (items.length >= minLI) && (totalUnits >= minPU);
 
       if (!qualifies) {
         // FIX: syntax bug; push all items to outliers
+        const why = `Below AUTO minimum (${items.length} items / ${totalUnits} units; needs ${minLI} / ${minPU})`;
+        for (const it of items) it.outlierReason = why;
         bucket.outliers.push(...items);
         continue;
       }
 
       // Split if too large
-      const splits = splitByMaxUnits_(items, maxPU);
+      const printCategoryCode = primaryCodeFromProfileKey_(profileKey);
+      const splits = (SPLIT_MODE === "BALANCED")
+        ? splitBalancedByMaxUnits_(items, groupRule.maxPrintUnits)
+        : splitByMaxUnits_(items, groupRule.maxPrintUnits);
 
-      for (const splitItems of splits) {
-        const printCategoryCode = primaryCodeFromProfileKey_(profileKey);
+      for (let s = 0; s < splits.length; s++) {
+        const splitItems = splits[s];
 
+        // First split reuses the open batch for the key (if it still has room); the rest get their own
         const batchInfo = ensureOpenBatch_({
           batchIndex,
           newBatchRows,
@@ -209,18 +336,53 @@ function _createBatchesAuto_(options) {
           batchType: TYPE_AUTO,
           printProfileKey: profileKey,
           printCategory: printCategoryCode,
-          status: STATUS_OPEN
+          status: STATUS_OPEN,
+          forceNew: s > 0,
+          addUnits: sumPrintUnits_(splitItems),
+          maxUnits: groupRule.maxPrintUnits,
+          existingMetricAdds
         });
 
         for (const it of splitItems) rowToBatchId.set(it.rowIndex0, batchInfo.batchId);
 
         // Metrics
         addMetricsToBatch_(batchIndex, batchInfo, splitItems, existingMetricAdds);
+        addBatchToPlanReport_(bucketReport, batchInfo, TYPE_AUTO, profileKey, splitItems);
       }
     }
 
-    // MISC for outliers
-    const miscItems = bucket.outliers;
+    // MIXED for whole multi-profile orders; over the max they split balanced,
+    // whatever SPLIT_MODE says, so an order is never divided between batches
+    if (bucket.mixed.length) {
+      const maxUnits = batchRuleFor_(rules, MIXED_PROFILE_KEY, MIXED_CATEGORY).maxPrintUnits;
+      const splits = splitBalancedByMaxUnits_(bucket.mixed, maxUnits);
+
+      for (let s = 0; s < splits.length; s++) {
+        const mixedBatch = ensureOpenBatch_({
+          batchIndex,
+          newBatchRows,
+          batchDateKey: dateKey,
+          batchDateObj: bucket.dateObj,
+          batchType: TYPE_MIXED,
+          printProfileKey: MIXED_PROFILE_KEY,
+          printCategory: MIXED_CATEGORY,
+          status: STATUS_OPEN,
+          forceNew: s > 0,
+          addUnits: sumPrintUnits_(splits[s]),
+          maxUnits,
+          existingMetricAdds
+        });
+
+        for (const it of splits[s]) rowToBatchId.set(it.rowIndex0, mixedBatch.batchId);
+
+        addMetricsToBatch_(batchIndex, mixedBatch, splits[s], existingMetricAdds);
+        addBatchToPlanReport_(bucketReport, mixedBatch, TYPE_MIXED, MIXED_PROFILE_KEY, splits[s]);
+      }
+    }
+
+    // MISC for outliers (categories ruled out of MISC stay unbatched)
+    const miscItems = bucket.outliers.filter(it => it.rule.miscEligible);
+    let miscBatchId = "";
     if (CREATE_MISC_PER_DATE && miscItems.length) {
       const miscBatch = ensureOpenBatch_({
         batchIndex,
@@ -236,8 +398,62 @@ function _createBatchesAuto_(options) {
       for (const it of miscItems) rowToBatchId.set(it.rowIndex0, miscBatch.batchId);
 
       addMetricsToBatch_(batchIndex, miscBatch, miscItems, existingMetricAdds);
+      addBatchToPlanReport_(bucketReport, miscBatch, TYPE_MISC, MISC_PROFILE_KEY, miscItems);
+      miscBatchId = miscBatch.batchId;
     }
+
+    for (const it of bucket.outliers) {
+      bucketReport.outliers.push({
+        lineItemId: it.lineItemId,
+        orderName: it.orderName,
+        printProfileKey: it.printProfileKey,
+        printCategory: it.printCategory,
+        printUnits: it.printUnits,
+        reason: it.rule.miscEligible ? it.outlierReason : `${it.outlierReason}; not MISC-eligible`,
+        batchId: it.rule.miscEligible ? miscBatchId : ""
+      });
+    }
+
+    plan.report.buckets.push({
+      dateKey,
+      batches: Array.from(bucketReport.batches.values()),
+      outliers: bucketReport.outliers
+    });
+  }
+
+  plan.report.buckets.sort((a, b) => a.dateKey.localeCompare(b.dateKey));
+  return plan;
+}
+
+/**
+ * Accumulates one batch's share of the plan for the per-date report.
+ * The same batch can be hit more than once (reuse key matches across splits).
+ */
+function addBatchToPlanReport_(bucketReport, batchInfo, batchType, printProfileKey, items) {
+  if (!bucketReport.batches.has(batchInfo.batchId)) {
+    bucketReport.batches.set(batchInfo.batchId, {
+      batchId: batchInfo.batchId,
+      isNew: batchInfo.isNew,
+      batchType: String(batchType).toUpperCase(),
+      printProfileKey,
+      lineItems: 0,
+      printUnits: 0,
+      orders: []
+    });
   }
+  const b = bucketReport.batches.get(batchInfo.batchId);
+  b.lineItems += items.length;
+  b.printUnits += items.reduce((a, it) => a + (it.printUnits || 0), 0);
+  for (const it of items) {
+    if (it.orderName && b.orders.indexOf(it.orderName) === -1) b.orders.push(it.orderName);
+  }
+}
+
+/**
+ * Write pass for a plan from planBatchesAuto_().
+ */
+function applyBatchPlan_(plan) {
+  const { shOI, shB, oiValues, iBatchID, batchIndex, rowToBatchId, newBatchRows, existingMetricAdds } = plan;
 
   // ---- Write: append new batch rows (if any)
   if (newBatchRows.length) {
@@ -260,11 +476,17 @@ function _createBatchesAuto_(options) {
     shOI.getRange(2, iBatchID + 1, oiValues.length, 1).setValues(out);
   }
 
-  ss.toast(
-    `Batching complete. New batches: ${newBatchRows.length}, Items assigned: ${assigned}, Existing batches updated: ${updatedExistingCount}`,
-    "Batching",
-    8
-  );
+  // ---- Reconcile: correct what the incremental adds got wrong (batchMetrics.js)
+  const recon = reconcileBatchMetrics_();
+
+  return {
+    newBatches: newBatchRows.length,
+    assigned,
+    updatedExisting: updatedExistingCount,
+    metricsCorrected: recon.drift.length,
+    metricDrift: recon.drift,
+    orphanBatchIds: recon.orphans
+  };
 }
 
 /*******************************************************
@@ -287,6 +509,7 @@ function indexExistingBatches_(shB) {
   const idxKey  = colMap[bCols.PrintProfileKey];
   const idxCat  = colMap[bCols.PrintCategory];
   const idxStat = colMap[bCols.Status];
+  const idxPrinted = colMap[bCols.PrintedAt];
 
   const idxTU = colMap[bCols.TotalPrintUnits];
   const idxLI = colMap[bCols.LineItemCount];
@@ -314,11 +537,11 @@ function indexExistingBatches_(shB) {
     const dt = (idxDate !== undefined) ? parseDate_(r[idxDate]) : null;
     const dateKey = dt ? ymd_(startOfDay_(dt)) : "";
 
-    // Reuse OPEN batches
-    const statusOpen = (CFG.BATCH && CFG.BATCH.STATUS_OPEN) ? CFG.BATCH.STATUS_OPEN : "Open";
+    // Reuse only batches still truly Open (lifecycle status + never printed)
     const status = (idxStat !== undefined) ? String(r[idxStat] || "").trim() : "";
+    const printed = (idxPrinted !== undefined) && !!r[idxPrinted];
 
-    if (status && status === statusOpen && dateKey && type && pKey) {
+    if (status && isBatchOpenStatus_(status) && !printed && dateKey && type && pKey) {
       const reuseKey = `${dateKey}|${type}|${pKey}`;
       if (!openByKey.has(reuseKey)) {
         openByKey.set(reuseKey, { batchId: id, existingRowIndex0: i });
@@ -361,12 +584,18 @@ function ensureOpenBatch_(args) {
     batchType,
     printProfileKey,
     printCategory,
-    status
+    status,
+    forceNew,
+    addUnits,
+    maxUnits,
+    existingMetricAdds
   } = args;
 
   const reuseKey = `${batchDateKey}|${String(batchType).toUpperCase()}|${printProfileKey}`;
   const existing = batchIndex.openByKey.get(reuseKey);
-  if (existing) {
+  const fits = !maxUnits || openBatchUnits_(batchIndex, existing, existingMetricAdds) + (addUnits || 0) <= maxUnits;
+  if (existing && !forceNew && fits) {
+    if (existing._newRowRef) return { batchId: existing.batchId, existingRowIndex0: null, isNew: true, _newRowRef: existing._newRowRef };
     return { batchId: existing.batchId, existingRowIndex0: existing.existingRowIndex0, isNew: false };
   }
 
@@ -401,11 +630,32 @@ function ensureOpenBatch_(args) {
   newBatchRows.push(row);
 
   // Mark as reusable within this run
-  batchIndex.openByKey.set(reuseKey, { batchId, existingRowIndex0: null });
+  batchIndex.openByKey.set(reuseKey, { batchId, existingRowIndex0: null, _newRowRef: row });
 
   return { batchId, existingRowIndex0: null, isNew: true, _newRowRef: row };
 }
 
+/**
+ * TotalPrintUnits an open batch (openByKey entry) holds so far, including this run's adds.
+ */
+function openBatchUnits_(batchIndex, existing, existingMetricAdds) {
+  if (!existing) return 0;
+  const idxTU = batchIndex.colMap[CFG.COLS.BATCHES.TotalPrintUnits];
+  if (idxTU === undefined) return 0;
+
+  if (existing._newRowRef) return toInt_(existing._newRowRef[idxTU], 0);
+
+  const base = toInt_(batchIndex.values[existing.existingRowIndex0][idxTU], 0);
+  const added = (existingMetricAdds && existingMetricAdds.has(existing.batchId))
+    ? existingMetricAdds.get(existing.batchId).tu
+    : 0;
+  return base + added;
+}
+
+function sumPrintUnits_(items) {
+  return items.reduce((a, it) => a + (it.printUnits || 0), 0);
+}
+
 function generateBatchId_(batchIndex, dateKeyYmd, batchType, printCategoryCode) {
   const ymd8 = dateKeyYmd.replace(/-/g, "");
   const type = String(batchType || "").toUpperCase();
@@ -518,6 +768,66 @@ function writeExistingBatchMetricUpdates_(shB, batchIndex, existingMetricAdds) {
   return touchedRowIndices.length;
 }
 
+/**
+ * Recomputes TU/LI/OC for existing batch rows from their full membership
+ * (membersByBatch: batchId -> [{ printUnits, orderName }]).
+ * Batches listed with no members are written back as 0; with
+ * options.allBatches every Batches row is recomputed this way.
+ * Only rows whose values actually change are written.
+ *
+ * Returns { checked, drift: [{ batchId, before:{tu,li,oc}, after:{tu,li,oc} }] }.
+ */
+function recomputeBatchMetrics_(shB, membersByBatch, options) {
+  const opts = options || {};
+  const batchIndex = indexExistingBatches_(shB);
+
+  const bCols = CFG.COLS.BATCHES;
+  const idxTU = batchIndex.colMap[bCols.TotalPrintUnits];
+  const idxLI = batchIndex.colMap[bCols.LineItemCount];
+  const idxOC = batchIndex.colMap[bCols.OrderCount];
+  const read = (row, idx) => (idx !== undefined ? toInt_(row[idx], 0) : 0);
+
+  const batchIds = opts.allBatches
+    ? Array.from(batchIndex.existingMetrics.keys())
+    : Array.from(membersByBatch.keys());
+
+  const adds = new Map();
+  const drift = [];
+  let checked = 0;
+
+  for (const batchId of batchIds) {
+    const em = batchIndex.existingMetrics.get(batchId);
+    if (!em) continue;
+    checked++;
+
+    const row = batchIndex.values[em.rowIndex0];
+    const before = { tu: read(row, idxTU), li: read(row, idxLI), oc: read(row, idxOC) };
+
+    if (idxTU !== undefined) row[idxTU] = 0;
+    if (idxLI !== undefined) row[idxLI] = 0;
+    if (idxOC !== undefined) row[idxOC] = 0;
+
+    adds.set(batchId, { tu: 0, li: 0, orders: new Set() });
+    addMetricsToBatch_(batchIndex, { batchId, isNew: false }, membersByBatch.get(batchId) || [], adds);
+
+    const a = adds.get(batchId);
+    const after = {
+      tu: (idxTU !== undefined) ? a.tu : 0,
+      li: (idxLI !== undefined) ? a.li : 0,
+      oc: (idxOC !== undefined) ? a.orders.size : 0
+    };
+
+    if (before.tu === after.tu && before.li === after.li && before.oc === after.oc) {
+      adds.delete(batchId);
+      continue;
+    }
+    drift.push({ batchId, before, after });
+  }
+
+  writeExistingBatchMetricUpdates_(shB, batchIndex, adds);
+  return { checked, drift };
+}
+
 /*******************************************************
  * OPTIONAL HUMAN-FRIENDLY BATCH NAME
  *******************************************************/
@@ -552,6 +862,63 @@ function groupBy_(arr, fnKey) {
   return m;
 }
 
+/**
+ * Order-aware batching for one date bucket. An order whose items span more
+ * than one profile (an outlier item counts as its own profile) is kept whole:
+ * - MIXED:    all its items move to bucket.mixed (a MIXED batch per date,
+ *             split BALANCED when over the max)
+ * - DOMINANT: all its items (outliers included) group under the profile with
+ *             the most print units, so they land in that AUTO batch
+ * Single-profile orders, and LINE_ITEM mode, are left exactly as bucketed.
+ */
+function applyOrderStrategy_(bucket, strategy) {
+  bucket.mixed = [];
+  if (strategy !== "MIXED" && strategy !== "DOMINANT") return;
+
+  const all = bucket.candidates.concat(bucket.outliers).sort((a, b) => a.rowIndex0 - b.rowIndex0);
+  const byOrder = groupBy_(all.filter(x => x.orderName), x => x.orderName);
+
+  const mixed = new Set();
+  const joined = new Set();
+
+  for (const items of byOrder.values()) {
+    const clean = items.filter(x => !x.outlierReason);
+    const parts = new Set(clean.map(x => x.printProfileKey)).size + (clean.length < items.length ? 1 : 0);
+    if (parts <= 1) continue;
+
+    if (strategy === "MIXED") {
+      for (const it of items) mixed.add(it);
+      continue;
+    }
+
+    const dominant = dominantProfileKey_(clean);
+    for (const it of items) {
+      it.groupKey = dominant;
+      joined.add(it);
+    }
+  }
+
+  bucket.mixed = all.filter(x => mixed.has(x));
+  bucket.candidates = all.filter(x => !mixed.has(x) && (!x.outlierReason || joined.has(x)));
+  bucket.outliers = all.filter(x => !mixed.has(x) && x.outlierReason && !joined.has(x));
+}
+
+/**
+ * Profile with the most print units (ties: more line items, then key order).
+ */
+function dominantProfileKey_(items) {
+  const tally = new Map();
+  for (const it of items) {
+    if (!tally.has(it.printProfileKey)) tally.set(it.printProfileKey, { units: 0, count: 0 });
+    const t = tally.get(it.printProfileKey);
+    t.units += (it.printUnits || 0);
+    t.count++;
+  }
+
+  return Array.from(tally.entries())
+    .sort((a, b) => (b[1].units - a[1].units) || (b[1].count - a[1].count) || a[0].localeCompare(b[0]))[0][0];
+}
+
 function splitByMaxUnits_(items, maxUnits) {
   const out = [];
   let cur = [];
@@ -571,6 +938,58 @@ function splitByMaxUnits_(items, maxUnits) {
   return out;
 }
 
+/**
+ * Balanced split: as few batches as the max allows, filled evenly.
+ * An order's items stay together (an order bigger than the max gets a batch
+ * of its own). Largest orders are placed first into the emptiest batch that
+ * still has room; batches come back in row order of their first item.
+ */
+function splitBalancedByMaxUnits_(items, maxUnits) {
+  const total = items.reduce((a, it) => a + (it.printUnits || 0), 0);
+  if (total <= maxUnits) return [items];
+
+  const units = [];
+  const byOrder = new Map();
+  for (const it of items) {
+    if (!it.orderName) {
+      units.push({ items: [it], units: it.printUnits || 0 });
+      continue;
+    }
+    if (!byOrder.has(it.orderName)) {
+      const u = { items: [], units: 0 };
+      byOrder.set(it.orderName, u);
+      units.push(u);
+    }
+    const u = byOrder.get(it.orderName);
+    u.items.push(it);
+    u.units += (it.printUnits || 0);
+  }
+  units.sort((a, b) => (b.units - a.units) || (a.items[0].rowIndex0 - b.items[0].rowIndex0));
+
+  const bins = [];
+  const target = Math.ceil(total / maxUnits);
+  for (let i = 0; i < target; i++) bins.push({ items: [], units: 0 });
+
+  for (const u of units) {
+    let best = null;
+    for (const bin of bins) {
+      if (bin.units + u.units > maxUnits && bin.items.length) continue;
+      if (!best || bin.units < best.units) best = bin;
+    }
+    if (!best) {
+      best = { items: [], units: 0 };
+      bins.push(best);
+    }
+    best.items.push(...u.items);
+    best.units += u.units;
+  }
+
+  return bins
+    .filter(bin => bin.items.length)
+    .map(bin => bin.items.sort((a, b) => a.rowIndex0 - b.rowIndex0))
+    .sort((a, b) => a[0].rowIndex0 - b[0].rowIndex0);
+}
+
 function primaryCodeFromProfileKey_(profileKey) {
   const first = String(profileKey || "").split("|")[0].trim();
   return first.split(":")[0].trim() || "GEN";
@@ -597,6 +1016,7 @@ function ymd_(d) {
  **************************/
 function refreshBatchNamesFromRoyalMailBatchNumber() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
   ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
 
   const lock = LockService.getDocumentLock();
@@ -0,0 +1,443 @@
+/*******************************************************
+ * batchEdit.js
+ *
+ * Manual corrections to batching runs.
+ *
+ * "Dissolve batch":
+ * - clears OrderItems.PrintBatchID for every member row
+ * - keeps the Batches row for audit: OrderStatus -> Cancelled, metrics -> 0,
+ *   and a Notes line recording who released what
+ * - removes the batch's BatchOrders rows
+ * - re-derives the affected Orders (In Production -> New) and mirrors to BatchOrders
+ * - refuses once printing has started (batch or any member item) unless forced;
+ *   print stamps on member items are kept either way
+ *
+ * "Move items" / "Merge batches" (sidebar Move tab):
+ * - moves selected OrderItems (LineItemIDs and/or whole orders) from one
+ *   BatchID to another; merge moves everything and cancels the source
+ * - recomputes TotalPrintUnits/LineItemCount/OrderCount on both rows
+ *   (recomputeBatchMetrics_) and re-diffs only their BatchOrders rows
+ * - same-profile merges only, and no moves into printed batches, unless forced
+ *******************************************************/
+
+/*******************************************************
+ * PUBLIC ENTRYPOINTS
+ *******************************************************/
+
+/**
+ * Menu: prompt for a BatchID, then dissolve. The print check runs under the
+ * lock; a printed batch is only dissolved after a confirm and a forced retry.
+ */
+function dissolveBatchFromMenu() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const ui = SpreadsheetApp.getUi();
+
+  const resp = ui.prompt("Dissolve batch", "BatchID to dissolve (its items return to the unbatched pool):", ui.ButtonSet.OK_CANCEL);
+  if (resp.getSelectedButton() !== ui.Button.OK) return;
+
+  const batchId = String(resp.getResponseText() || "").trim();
+  let res = dissolveBatch(batchId, { skipIfPrinted: true });
+
+  if (res.printStarted) {
+    const confirm = ui.alert(
+      "Dissolve printed batch?",
+      `${batchId} has already been printed. Dissolve it anyway?`,
+      ui.ButtonSet.YES_NO
+    );
+    if (confirm !== ui.Button.YES) return;
+    res = dissolveBatch(batchId, { force: true });
+  }
+
+  ss.toast(`${res.batchId} dissolved: ${res.itemsReleased} item(s) released, ${res.ordersTouched} order(s) updated`, "Batches", 6);
+}
+
+function dissolveBatch(batchIdInput, options) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
+  ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  try {
+    return dissolveBatch_(batchIdInput, options || {});
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Sidebar: move selected OrderItems (by LineItemID) and/or whole orders
+ * from one batch to another.
+ * request: { fromBatchId, toBatchId, lineItemIds?, orderNames?, force? }
+ */
+function moveBatchItems(request) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
+  ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  try {
+    return moveBatchItems_(request || {});
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Sidebar: move every item of sourceBatchId into targetBatchId and cancel the source.
+ */
+function mergeBatches(sourceBatchId, targetBatchId, options) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
+  ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  try {
+    return mergeBatches_(sourceBatchId, targetBatchId, options || {});
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Sidebar: members of one batch, in sheet order.
+ */
+function getBatchItems(batchIdInput) {
+  applySettings_();
+
+  const batchId = String(batchIdInput || "").trim();
+  if (!batchId) throw new Error("BatchID is required");
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const shB  = ss.getSheetByName(CFG.SHEETS.BATCHES);
+  const shOI = ss.getSheetByName(CFG.SHEETS.ORDER_ITEMS);
+  if (!shB)  throw new Error(`Missing sheet: ${CFG.SHEETS.BATCHES}`);
+  if (!shOI) throw new Error(`Missing sheet: ${CFG.SHEETS.ORDER_ITEMS}`);
+
+  const ctx = readBatchLifecycleContext_(shB);
+  const bRow = ctx.values.find(r => String(r[ctx.iId] || "").trim() === batchId);
+  if (!bRow) return { found: false, batchId, items: [] };
+
+  const bMap = headerMap_(shB);
+  const iBKey = optionalCol_(bMap, CFG.COLS.BATCHES.PrintProfileKey);
+
+  const map = headerMap_(shOI);
+  const c = CFG.COLS.ORDER_ITEMS;
+  const iBatch   = requireCol_(map, c.PrintBatchID);
+  const iOrder   = requireCol_(map, c.OrderName);
+  const iLineId  = requireCol_(map, c.LineItemID);
+  const iSKU     = optionalCol_(map, c.SKU);
+  const iTitle   = optionalCol_(map, c.ProductTitle);
+  const iUnits   = optionalCol_(map, c.PrintUnits);
+  const iKey     = optionalCol_(map, c.PrintProfileKey);
+  const iPrinted = optionalCol_(map, c.PrintedAt);
+  const col = (row, i) => (i >= 0 ? row[i] : "");
+
+  const items = [];
+  for (const row of readDataRange_(shOI).values) {
+    if (String(row[iBatch] || "").trim() !== batchId) continue;
+    items.push({
+      lineItemId: String(row[iLineId] || "").trim(),
+      orderName: String(row[iOrder] || "").trim(),
+      sku: String(col(row, iSKU) || "").trim(),
+      productTitle: String(col(row, iTitle) || "").trim(),
+      printUnits: toInt_(col(row, iUnits), 0),
+      printProfileKey: String(col(row, iKey) || "").trim(),
+      printed: !!col(row, iPrinted)
+    });
+  }
+
+  return {
+    found: true,
+    batchId,
+    status: normalizeBatchStatus_(bRow[ctx.iStatus]),
+    printProfileKey: (iBKey >= 0) ? String(bRow[iBKey] || "").trim() : "",
+    totalUnits: items.reduce((a, it) => a + it.printUnits, 0),
+    items
+  };
+}
+
+/*******************************************************
+ * CORE
+ *******************************************************/
+function dissolveBatch_(batchIdInput, options) {
+  const opts = options || {};
+  const batchId = String(batchIdInput || "").trim();
+  if (!batchId) throw new Error("BatchID is required");
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const shB  = ss.getSheetByName(CFG.SHEETS.BATCHES);
+  const shOI = ss.getSheetByName(CFG.SHEETS.ORDER_ITEMS);
+  const shBO = ss.getSheetByName(CFG.SHEETS.BATCH_ORDERS);
+  if (!shB)  throw new Error(`Missing sheet: ${CFG.SHEETS.BATCHES}`);
+  if (!shOI) throw new Error(`Missing sheet: ${CFG.SHEETS.ORDER_ITEMS}`);
+  if (!shBO) throw new Error(`Missing sheet: ${CFG.SHEETS.BATCH_ORDERS}`);
+
+  // ---- Locate batch row
+  const ctx = readBatchLifecycleContext_(shB);
+  const bRow0 = ctx.values.findIndex(r => String(r[ctx.iId] || "").trim() === batchId);
+  if (bRow0 < 0) throw new Error(`Batch not found: ${batchId}`);
+
+  const bRow = ctx.values[bRow0];
+  if (normalizeBatchStatus_(bRow[ctx.iStatus]) === CFG.BATCH_STATUS.CANCELLED) {
+    throw new Error(`Batch ${batchId} is already cancelled.`);
+  }
+
+  // ---- Member OrderItems
+  const oiMap = headerMap_(shOI);
+  const cOI = CFG.COLS.ORDER_ITEMS;
+  const iOiOrder   = requireCol_(oiMap, cOI.OrderName);
+  const iOiBatch   = requireCol_(oiMap, cOI.PrintBatchID);
+  const iOiUnits   = optionalCol_(oiMap, cOI.PrintUnits);
+  const iOiPrinted = optionalCol_(oiMap, cOI.PrintedAt);
+
+  const oi = readDataRange_(shOI);
+  const members = [];
+  const orderNames = new Set();
+  let units = 0;
+  let anyItemPrinted = false;
+
+  for (let r = 0; r < oi.values.length; r++) {
+    const row = oi.values[r];
+    if (String(row[iOiBatch] || "").trim() !== batchId) continue;
+
+    members.push(r);
+    const orderName = String(row[iOiOrder] || "").trim();
+    if (orderName) orderNames.add(orderName);
+    if (iOiUnits >= 0) units += toInt_(row[iOiUnits], 0);
+    if (iOiPrinted >= 0 && row[iOiPrinted]) anyItemPrinted = true;
+  }
+
+  if ((isBatchRowPrintStarted_(ctx, bRow) || anyItemPrinted) && opts.force !== true) {
+    if (opts.skipIfPrinted === true) return { batchId, printStarted: true };
+    throw new Error(`Batch ${batchId} has already been printed; use force to dissolve it.`);
+  }
+
+  // ---- Release members (single column write)
+  if (members.length) {
+    const out = oi.values.map(r => [r[iOiBatch]]);
+    for (const r of members) out[r] = [""];
+    shOI.getRange(2, iOiBatch + 1, out.length, 1).setValues(out);
+  }
+
+  // ---- Cancel batch row (kept for audit)
+  cancelBatchRow_(shB, ctx, bRow0, "Dissolved",
+    `released ${members.length} item(s) / ${units} unit(s) from ${orderNames.size} order(s)`);
+
+  // ---- Remove BatchOrders rows
+  const boMap = headerMap_(shBO);
+  const iBoBatch = requireCol_(boMap, CFG.COLS.BATCH_ORDERS.BatchID);
+  const bo = readDataRange_(shBO);
+  const boRows = [];
+  for (let i = 0; i < bo.values.length; i++) {
+    if (String(bo.values[i][iBoBatch] || "").trim() === batchId) boRows.push(i + 2);
+  }
+  deleteRowsByIndices_(shBO, boRows);
+
+  // ---- Re-derive Orders + mirror remaining BatchOrders rows
+  const touched = Array.from(orderNames);
+  if (touched.length) {
+    upsertOrdersFromReadyOrderItems_({ orderNames: touched });
+    mirrorOrdersToBatchOrders_(touched);
+  }
+
+  return {
+    batchId,
+    itemsReleased: members.length,
+    ordersTouched: touched.length,
+    batchOrdersRemoved: boRows.length
+  };
+}
+
+function moveBatchItems_(request) {
+  const lineItemIds = new Set((request.lineItemIds || []).map(x => String(x || "").trim()).filter(Boolean));
+  const orderNames = new Set((request.orderNames || []).map(x => String(x || "").trim()).filter(Boolean));
+  if (!lineItemIds.size && !orderNames.size) throw new Error("Select line items or orders to move.");
+
+  return reassignBatchItems_(request.fromBatchId, request.toBatchId, {
+    force: request.force === true,
+    select: (li, orderName) => lineItemIds.has(li) || orderNames.has(orderName),
+    lineItemIds,
+    orderNames
+  });
+}
+
+function mergeBatches_(sourceBatchIdInput, targetBatchIdInput, options) {
+  const opts = options || {};
+  const sourceId = String(sourceBatchIdInput || "").trim();
+  const targetId = String(targetBatchIdInput || "").trim();
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const shB = ss.getSheetByName(CFG.SHEETS.BATCHES);
+  if (!shB) throw new Error(`Missing sheet: ${CFG.SHEETS.BATCHES}`);
+
+  const bMap = headerMap_(shB);
+  const iKey = requireCol_(bMap, CFG.COLS.BATCHES.PrintProfileKey);
+  const ctx = readBatchLifecycleContext_(shB);
+  const keyOf = (id) => {
+    const row = ctx.values.find(r => String(r[ctx.iId] || "").trim() === id);
+    return row ? String(row[iKey] || "").trim() : "";
+  };
+
+  const sourceKey = keyOf(sourceId);
+  const targetKey = keyOf(targetId);
+  if (sourceKey && targetKey && sourceKey !== targetKey && opts.force !== true) {
+    throw new Error(`Cannot merge ${sourceId} (${sourceKey}) into ${targetId} (${targetKey}): PrintProfileKey differs; use force to merge anyway.`);
+  }
+
+  const res = reassignBatchItems_(sourceId, targetId, {
+    force: opts.force === true,
+    select: () => true
+  });
+
+  const after = readBatchLifecycleContext_(shB);
+  const row0 = after.values.findIndex(r => String(r[after.iId] || "").trim() === sourceId);
+  cancelBatchRow_(shB, after, row0, `Merged into ${targetId}`,
+    `moved ${res.itemsMoved} item(s) / ${res.unitsMoved} unit(s) from ${res.ordersMoved} order(s)`);
+
+  return Object.assign(res, { merged: true });
+}
+
+/**
+ * Moves the OrderItems of fromBatchId picked by opts.select(lineItemId, orderName)
+ * into toBatchId, then recomputes metrics on both Batches rows and re-diffs their
+ * BatchOrders rows. Moving printed items, or into a batch that has started
+ * printing, needs opts.force.
+ */
+function reassignBatchItems_(fromBatchIdInput, toBatchIdInput, opts) {
+  const fromId = String(fromBatchIdInput || "").trim();
+  const toId = String(toBatchIdInput || "").trim();
+  if (!fromId || !toId) throw new Error("Source and target BatchID are required");
+  if (fromId === toId) throw new Error("Source and target batch are the same.");
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const shB  = ss.getSheetByName(CFG.SHEETS.BATCHES);
+  const shOI = ss.getSheetByName(CFG.SHEETS.ORDER_ITEMS);
+  if (!shB)  throw new Error(`Missing sheet: ${CFG.SHEETS.BATCHES}`);
+  if (!shOI) throw new Error(`Missing sheet: ${CFG.SHEETS.ORDER_ITEMS}`);
+
+  // ---- Both batches must exist and be live
+  const ctx = readBatchLifecycleContext_(shB);
+  const rowOf = (id) => {
+    const row = ctx.values.find(r => String(r[ctx.iId] || "").trim() === id);
+    if (!row) throw new Error(`Batch not found: ${id}`);
+    if (normalizeBatchStatus_(row[ctx.iStatus]) === CFG.BATCH_STATUS.CANCELLED) {
+      throw new Error(`Batch ${id} is cancelled.`);
+    }
+    return row;
+  };
+  rowOf(fromId);
+  const toRow = rowOf(toId);
+
+  if (isBatchRowPrintStarted_(ctx, toRow) && opts.force !== true) {
+    throw new Error(`Batch ${toId} has already been printed; use force to move items into it.`);
+  }
+
+  // ---- Pick rows
+  const oiMap = headerMap_(shOI);
+  const cOI = CFG.COLS.ORDER_ITEMS;
+  const iOiOrder   = requireCol_(oiMap, cOI.OrderName);
+  const iOiBatch   = requireCol_(oiMap, cOI.PrintBatchID);
+  const iOiLineId  = requireCol_(oiMap, cOI.LineItemID);
+  const iOiUnits   = optionalCol_(oiMap, cOI.PrintUnits);
+  const iOiPrinted = optionalCol_(oiMap, cOI.PrintedAt);
+
+  const oi = readDataRange_(shOI);
+  const moved = [];
+  const foundIds = new Set();
+  const foundOrders = new Set();
+
+  for (let r = 0; r < oi.values.length; r++) {
+    const row = oi.values[r];
+    if (String(row[iOiBatch] || "").trim() !== fromId) continue;
+
+    const li = String(row[iOiLineId] || "").trim();
+    const orderName = String(row[iOiOrder] || "").trim();
+    if (!opts.select(li, orderName)) continue;
+
+    if (iOiPrinted >= 0 && row[iOiPrinted] && opts.force !== true) {
+      throw new Error(`${li || orderName} in ${fromId} has already been printed; use force to move it.`);
+    }
+
+    moved.push(r);
+    foundIds.add(li);
+    foundOrders.add(orderName);
+  }
+
+  const missing = Array.from(opts.lineItemIds || []).filter(x => !foundIds.has(x))
+    .concat(Array.from(opts.orderNames || []).filter(x => !foundOrders.has(x)));
+  if (missing.length) throw new Error(`Not in batch ${fromId}: ${missing.join(", ")}`);
+  if (!moved.length) throw new Error(`Batch ${fromId} has no OrderItems to move.`);
+
+  // ---- Reassign (single column write)
+  const out = oi.values.map(r => [r[iOiBatch]]);
+  let units = 0;
+  for (const r of moved) {
+    out[r] = [toId];
+    oi.values[r][iOiBatch] = toId;
+    if (iOiUnits >= 0) units += toInt_(oi.values[r][iOiUnits], 0);
+  }
+  shOI.getRange(2, iOiBatch + 1, out.length, 1).setValues(out);
+
+  // ---- Metrics on both rows (existing metrics logic, from full membership)
+  const members = new Map([[fromId, []], [toId, []]]);
+  for (const row of oi.values) {
+    const id = String(row[iOiBatch] || "").trim();
+    if (!members.has(id)) continue;
+    members.get(id).push({
+      printUnits: (iOiUnits >= 0) ? toInt_(row[iOiUnits], 0) : 0,
+      orderName: String(row[iOiOrder] || "").trim()
+    });
+  }
+  recomputeBatchMetrics_(shB, members);
+
+  // ---- BatchOrders for just these two batches (+ roll-up)
+  _rebuildBatchOrders_({ batchIds: [fromId, toId] });
+
+  return {
+    fromBatchId: fromId,
+    toBatchId: toId,
+    itemsMoved: moved.length,
+    unitsMoved: units,
+    ordersMoved: Array.from(foundOrders).filter(Boolean).length
+  };
+}
+
+/*******************************************************
+ * HELPERS
+ *******************************************************/
+
+/**
+ * Marks a batch row Cancelled, zeroes its metrics and appends an audit line
+ * to Notes ("<verb> <when> by <user>: <detail>").
+ */
+function cancelBatchRow_(shB, ctx, rowIndex0, verb, detail) {
+  const bMap = headerMap_(shB);
+  const cB = CFG.COLS.BATCHES;
+  const row = ctx.values[rowIndex0];
+  const user = getActiveUserEmail_();
+
+  row[ctx.iStatus] = CFG.BATCH_STATUS.CANCELLED;
+  for (const h of [cB.TotalPrintUnits, cB.LineItemCount, cB.OrderCount]) {
+    const i = optionalCol_(bMap, h);
+    if (i >= 0) row[i] = 0;
+  }
+
+  const iNotes = optionalCol_(bMap, cB.Notes);
+  if (iNotes >= 0) {
+    const when = Utilities.formatDate(new Date(), CFG.TIMEZONE, "dd/MM/yyyy HH:mm");
+    row[iNotes] = appendNewlineList_(row[iNotes], `${verb} ${when}${user ? ` by ${user}` : ""}: ${detail}`);
+  }
+
+  writeRowsByRuns_(shB, ctx.values, [rowIndex0], ctx.width);
+}
+
+/**
+ * Printing has started if the batch is stamped/at Printing or later.
+ */
+function isBatchRowPrintStarted_(ctx, row) {
+  if (ctx.iPrintedAt >= 0 && row[ctx.iPrintedAt]) return true;
+  return batchStatusRank_(row[ctx.iStatus]) >= batchStatusRank_(CFG.BATCH_STATUS.PRINTING);
+}
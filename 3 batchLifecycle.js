@@ -0,0 +1,277 @@
+/*******************************************************
+ * batchLifecycle.js
+ *
+ * Batches.OrderStatus state machine:
+ *   Open -> Printing -> Printed -> Packing -> Packed -> Despatched
+ *
+ * - Forward moves only (stages may be skipped); Printing -> Open is the one
+ *   step back, for aborting a print run.
+ * - Entering a stage stamps its timestamp column if blank:
+ *     Printed -> PrintedAt/PrintedBy, Packing -> PackStartAt, Packed -> PackCompleteAt
+ * - rollUpBatchStatuses_ derives each batch's stage from its member
+ *   OrderItems + Orders and moves it forward (never back).
+ *******************************************************/
+
+/*******************************************************
+ * PUBLIC ENTRYPOINTS
+ *******************************************************/
+function setBatchStatus(batchId, toStatus, options) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
+  ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  try {
+    return setBatchStatus_(batchId, toStatus, options || {});
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+function rollUpBatchStatuses() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
+  ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  try {
+    const res = rollUpBatchStatuses_();
+    ss.toast(`Batch statuses rolled up: ${res.changed} of ${res.checked} changed`, "Batches", 6);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/*******************************************************
+ * STATUS HELPERS
+ *******************************************************/
+function getBatchStatusOrder_() {
+  const S = CFG.BATCH_STATUS;
+  return [S.OPEN, S.PRINTING, S.PRINTED, S.PACKING, S.PACKED, S.DESPATCHED];
+}
+
+/**
+ * Maps legacy open values (e.g. "New") onto Open; everything else is returned trimmed.
+ */
+function normalizeBatchStatus_(status) {
+  const s = String(status || "").trim();
+  if (!s) return CFG.BATCH_STATUS.OPEN;
+
+  const legacy = (CFG.BATCH && Array.isArray(CFG.BATCH.LEGACY_OPEN_STATUSES)) ? CFG.BATCH.LEGACY_OPEN_STATUSES : [];
+  if (s === CFG.BATCH.STATUS_OPEN || legacy.includes(s)) return CFG.BATCH_STATUS.OPEN;
+  return s;
+}
+
+function batchStatusRank_(status) {
+  return getBatchStatusOrder_().indexOf(normalizeBatchStatus_(status));
+}
+
+function isBatchOpenStatus_(status) {
+  return normalizeBatchStatus_(status) === CFG.BATCH_STATUS.OPEN;
+}
+
+function canTransitionBatchStatus_(fromStatus, toStatus) {
+  const from = batchStatusRank_(fromStatus);
+  const to = batchStatusRank_(toStatus);
+  if (from < 0 || to < 0) return false;
+  if (to > from) return true;
+
+  const S = CFG.BATCH_STATUS;
+  return normalizeBatchStatus_(fromStatus) === S.PRINTING && normalizeBatchStatus_(toStatus) === S.OPEN;
+}
+
+/*******************************************************
+ * SHEET ACCESS
+ *******************************************************/
+function readBatchLifecycleContext_(shB) {
+  const map = headerMap_(shB);
+  const c = CFG.COLS.BATCHES;
+
+  const lastRow = shB.getLastRow();
+  const lastCol = shB.getLastColumn();
+
+  return {
+    iId:        requireCol_(map, c.BatchID),
+    iStatus:    requireCol_(map, c.Status),
+    iPrintedAt: optionalCol_(map, c.PrintedAt),
+    iPrintedBy: optionalCol_(map, c.PrintedBy),
+    iPackStart: optionalCol_(map, c.PackStartAt),
+    iPackDone:  optionalCol_(map, c.PackCompleteAt),
+    width: lastCol,
+    values: (lastRow >= 2) ? shB.getRange(2, 1, lastRow - 1, lastCol).getValues() : []
+  };
+}
+
+/**
+ * Sets status on an in-memory Batches row and stamps any blank timestamp
+ * for the stages reached (so skipped stages still get a time).
+ */
+function applyBatchStatus_(ctx, row, toStatus, stamp) {
+  const S = CFG.BATCH_STATUS;
+  const to = batchStatusRank_(toStatus);
+
+  row[ctx.iStatus] = normalizeBatchStatus_(toStatus);
+
+  const reached = (s) => to >= batchStatusRank_(s);
+  const fill = (i, v) => { if (i >= 0 && !row[i]) row[i] = v; };
+
+  if (reached(S.PRINTED)) {
+    if (ctx.iPrintedAt >= 0 && !row[ctx.iPrintedAt]) fill(ctx.iPrintedBy, stamp.user);
+    fill(ctx.iPrintedAt, stamp.now);
+  }
+  if (reached(S.PACKING)) fill(ctx.iPackStart, stamp.now);
+  if (reached(S.PACKED)) fill(ctx.iPackDone, stamp.now);
+}
+
+/*******************************************************
+ * MANUAL TRANSITION
+ *******************************************************/
+function setBatchStatus_(batchIdInput, toStatusInput, options) {
+  const opts = options || {};
+  const batchId = String(batchIdInput || "").trim();
+  const toStatus = normalizeBatchStatus_(toStatusInput);
+
+  if (!batchId) throw new Error("BatchID is required");
+  if (batchStatusRank_(toStatus) < 0) {
+    throw new Error(`Unknown batch status: ${toStatusInput}. Use ${getBatchStatusOrder_().join(" | ")}`);
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const shB = ss.getSheetByName(CFG.SHEETS.BATCHES);
+  if (!shB) throw new Error(`Missing sheet: ${CFG.SHEETS.BATCHES}`);
+
+  const ctx = readBatchLifecycleContext_(shB);
+  const idx = ctx.values.findIndex(r => String(r[ctx.iId] || "").trim() === batchId);
+  if (idx < 0) throw new Error(`Batch not found: ${batchId}`);
+
+  const row = ctx.values[idx];
+  const fromStatus = normalizeBatchStatus_(row[ctx.iStatus]);
+  if (fromStatus === toStatus) return { batchId, from: fromStatus, to: toStatus, changed: false };
+
+  if (!canTransitionBatchStatus_(fromStatus, toStatus) && opts.force !== true) {
+    throw new Error(`Invalid batch transition for ${batchId}: ${fromStatus} -> ${toStatus}`);
+  }
+
+  applyBatchStatus_(ctx, row, toStatus, { now: new Date(), user: getActiveUserEmail_() });
+  writeRowsByRuns_(shB, ctx.values, [idx], ctx.width);
+
+  return { batchId, from: fromStatus, to: toStatus, changed: true };
+}
+
+/*******************************************************
+ * ROLL-UP FROM MEMBER ORDERS
+ *******************************************************/
+
+/**
+ * options:
+ * - batchIds:   only roll up these batches
+ * - orderNames: only roll up batches containing these orders
+ */
+function rollUpBatchStatuses_(options) {
+  const opts = options || {};
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const shB  = ss.getSheetByName(CFG.SHEETS.BATCHES);
+  const shOI = ss.getSheetByName(CFG.SHEETS.ORDER_ITEMS);
+  const shO  = ss.getSheetByName(CFG.SHEETS.ORDERS);
+  if (!shB)  throw new Error(`Missing sheet: ${CFG.SHEETS.BATCHES}`);
+  if (!shOI) throw new Error(`Missing sheet: ${CFG.SHEETS.ORDER_ITEMS}`);
+  if (!shO)  throw new Error(`Missing sheet: ${CFG.SHEETS.ORDERS}`);
+
+  const oiMap = headerMap_(shOI);
+  const cOI = CFG.COLS.ORDER_ITEMS;
+  const iOiOrder   = requireCol_(oiMap, cOI.OrderName);
+  const iOiBatch   = requireCol_(oiMap, cOI.PrintBatchID);
+  const iOiPrinted = optionalCol_(oiMap, cOI.PrintedAt);
+  const iOiPacked  = optionalCol_(oiMap, cOI.PackedAt);
+  const iOiCancel  = optionalCol_(oiMap, cOI.CancelledAt);
+
+  const oMap = headerMap_(shO);
+  const iOOrder  = requireCol_(oMap, CFG.COLS.ORDERS.OrderName);
+  const iOStatus = requireCol_(oMap, CFG.COLS.ORDERS.Status);
+
+  const orderStatus = new Map();
+  for (const r of readDataRange_(shO).values) {
+    const nm = String(r[iOOrder] || "").trim();
+    if (nm) orderStatus.set(nm, String(r[iOStatus] || "").trim());
+  }
+
+  const onlyBatches = Array.isArray(opts.batchIds)
+    ? new Set(opts.batchIds.map(x => String(x || "").trim()).filter(Boolean))
+    : null;
+  const onlyOrders = Array.isArray(opts.orderNames)
+    ? new Set(opts.orderNames.map(x => String(x || "").trim()).filter(Boolean))
+    : null;
+
+  const isShipped = (s) => s === CFG.STATUS.DESPATCHED || s === CFG.STATUS.DELIVERED;
+  const isPackedOrBeyond = (s) => s === CFG.STATUS.PACKED || isShipped(s);
+
+  // batchId -> { items, printed, packed, orders:Set }
+  const members = new Map();
+  for (const r of readDataRange_(shOI).values) {
+    const batchId = String(r[iOiBatch] || "").trim();
+    if (!batchId) continue;
+    if (onlyBatches && !onlyBatches.has(batchId)) continue;
+    // Cancelled after printing: stays in the batch but is never packed or shipped
+    if (isCancelledRow_(r, iOiCancel)) continue;
+
+    const orderName = String(r[iOiOrder] || "").trim();
+    const status = orderStatus.get(orderName) || "";
+
+    if (!members.has(batchId)) members.set(batchId, { items: 0, printed: 0, packed: 0, orders: new Set() });
+    const m = members.get(batchId);
+
+    m.items++;
+    if (orderName) m.orders.add(orderName);
+    if ((iOiPrinted >= 0 && r[iOiPrinted]) || status === CFG.STATUS.READY || isPackedOrBeyond(status)) m.printed++;
+    if ((iOiPacked >= 0 && r[iOiPacked]) || isPackedOrBeyond(status)) m.packed++;
+  }
+
+  if (onlyOrders) {
+    for (const [batchId, m] of Array.from(members.entries())) {
+      if (!Array.from(m.orders).some(o => onlyOrders.has(o))) members.delete(batchId);
+    }
+  }
+
+  if (!members.size) return { checked: 0, changed: 0 };
+
+  const ctx = readBatchLifecycleContext_(shB);
+  const stamp = { now: new Date(), user: getActiveUserEmail_() };
+  const changedRows = [];
+  let checked = 0;
+
+  for (let i = 0; i < ctx.values.length; i++) {
+    const row = ctx.values[i];
+    const batchId = String(row[ctx.iId] || "").trim();
+    const m = members.get(batchId);
+    if (!m) continue;
+    checked++;
+
+    const current = normalizeBatchStatus_(row[ctx.iStatus]);
+    if (batchStatusRank_(current) < 0) continue; // unknown/manual value: leave alone
+
+    const derived = deriveBatchStatus_(m, orderStatus, isShipped);
+    if (batchStatusRank_(derived) <= batchStatusRank_(current)) continue;
+
+    applyBatchStatus_(ctx, row, derived, stamp);
+    changedRows.push(i);
+  }
+
+  if (changedRows.length) writeRowsByRuns_(shB, ctx.values, changedRows, ctx.width);
+
+  return { checked, changed: changedRows.length };
+}
+
+function deriveBatchStatus_(m, orderStatus, isShipped) {
+  const S = CFG.BATCH_STATUS;
+  const statuses = Array.from(m.orders).map(o => orderStatus.get(o) || "");
+
+  if (statuses.length && statuses.every(isShipped)) return S.DESPATCHED;
+  if (m.packed >= m.items) return S.PACKED;
+  if (m.packed > 0) return S.PACKING;
+  if (m.printed >= m.items) return S.PRINTED;
+  if (m.printed > 0) return S.PRINTING;
+  return S.OPEN;
+}
@@ -0,0 +1,97 @@
+/*******************************************************
+ * batchMetrics.js
+ *
+ * Reconciles Batches.TotalPrintUnits / LineItemCount / OrderCount from the
+ * OrderItems truth source (sum of PrintUnits, row count, distinct orders).
+ *
+ * Batching still adds metrics incrementally while it plans; this pass
+ * corrects what increments cannot: orders split across runs (OrderCount
+ * double-counted), deleted rows and manual edits. It runs automatically at
+ * the end of batching and of a full rebuildBatchOrders, and from the menu.
+ *
+ * Drift (rows whose stored values differed) and orphans (OrderItems pointing
+ * at a BatchID that has no Batches row) are returned to the caller: batching
+ * and rebuildBatchOrders pass them on in their results and name orphans in
+ * their toast; the menu shows both in an alert.
+ *******************************************************/
+
+/*******************************************************
+ * PUBLIC ENTRYPOINTS
+ *******************************************************/
+function reconcileBatchMetrics() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
+  ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  let res;
+  try {
+    res = reconcileBatchMetrics_();
+  } finally {
+    lock.releaseLock();
+  }
+
+  SpreadsheetApp.getUi().alert("Batch metrics", formatBatchMetricDrift_(res), SpreadsheetApp.getUi().ButtonSet.OK);
+  return res;
+}
+
+/*******************************************************
+ * CORE
+ *******************************************************/
+function reconcileBatchMetrics_() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const shB  = ss.getSheetByName(CFG.SHEETS.BATCHES);
+  const shOI = ss.getSheetByName(CFG.SHEETS.ORDER_ITEMS);
+  if (!shB)  throw new Error(`Missing sheet: ${CFG.SHEETS.BATCHES}`);
+  if (!shOI) throw new Error(`Missing sheet: ${CFG.SHEETS.ORDER_ITEMS}`);
+
+  const oiMap = headerMap_(shOI);
+  const cOI = CFG.COLS.ORDER_ITEMS;
+  const iOiOrder = requireCol_(oiMap, cOI.OrderName);
+  const iOiBatch = requireCol_(oiMap, cOI.PrintBatchID);
+  const iOiUnits = requireCol_(oiMap, cOI.PrintUnits);
+
+  const membersByBatch = new Map();
+  for (const r of readDataRange_(shOI).values) {
+    const batchId = String(r[iOiBatch] || "").trim();
+    if (!batchId) continue;
+
+    if (!membersByBatch.has(batchId)) membersByBatch.set(batchId, []);
+    membersByBatch.get(batchId).push({
+      printUnits: toInt_(r[iOiUnits], 0),
+      orderName: String(r[iOiOrder] || "").trim()
+    });
+  }
+
+  const res = recomputeBatchMetrics_(shB, membersByBatch, { allBatches: true });
+
+  const bMap = headerMap_(shB);
+  const iBId = requireCol_(bMap, CFG.COLS.BATCHES.BatchID);
+  const known = new Set(readDataRange_(shB).values.map(r => String(r[iBId] || "").trim()));
+  const orphans = Array.from(membersByBatch.keys()).filter(id => !known.has(id)).sort();
+
+  return { checked: res.checked, drift: res.drift, orphans };
+}
+
+function formatBatchMetricDrift_(res) {
+  const lines = [`Checked ${res.checked} batch(es); corrected ${res.drift.length}.`];
+
+  const shown = res.drift.slice(0, 20);
+  for (const d of shown) {
+    lines.push(`${d.batchId}: units ${d.before.tu}→${d.after.tu}, items ${d.before.li}→${d.after.li}, orders ${d.before.oc}→${d.after.oc}`);
+  }
+  if (res.drift.length > shown.length) lines.push(`…and ${res.drift.length - shown.length} more.`);
+
+  if (res.orphans.length) {
+    lines.push("", `OrderItems assigned to missing batches: ${res.orphans.join(", ")}`);
+  }
+  return lines.join("\n");
+}
+
+/**
+ * Toast suffix naming orphaned BatchIDs ("" when there are none).
+ */
+function formatOrphanBatchIds_(orphans) {
+  return (orphans && orphans.length) ? `, OrderItems assigned to missing batches: ${orphans.join(", ")}` : "";
+}
@@ -0,0 +1,274 @@
+/*******************************************************
+ * batchPreview.js
+ *
+ * Dry run for createBatchesAuto():
+ * - Runs the same planning pass (planBatchesAuto_) without writing
+ *   OrderItems.PrintBatchID or Batches
+ * - Reports per date bucket: proposed new batches, reused open batches,
+ *   outliers and why they fell out of AUTO
+ * - Writes the report to the BatchPreview scratch sheet and shows it in a dialog
+ * - "Commit this plan" re-plans and only applies if the result is identical
+ *   to what was previewed (otherwise asks for a fresh preview)
+ *******************************************************/
+
+/*******************************************************
+ * PUBLIC ENTRYPOINTS
+ *******************************************************/
+function previewBatchesAuto(options) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
+  ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  let preview;
+  try {
+    preview = previewBatchesAuto_(options || {});
+  } finally {
+    lock.releaseLock();
+  }
+
+  const html = HtmlService.createHtmlOutput(renderBatchPreviewHtml_(preview))
+    .setWidth(720)
+    .setHeight(560);
+  SpreadsheetApp.getUi().showModalDialog(html, "Batch preview (dry run)");
+  return preview;
+}
+
+function previewBatchesIncludeTodayOverride() {
+  return previewBatchesAuto({ includeToday: true });
+}
+
+/**
+ * Dialog button: applies the previewed plan.
+ */
+function commitBatchPreview(token) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
+  ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  try {
+    const res = commitBatchPreview_(token);
+    ss.toast(
+      `Batch plan committed. New batches: ${res.newBatches}, Items assigned: ${res.assigned}, Existing batches updated: ${res.updatedExisting}, Metrics corrected: ${res.metricsCorrected}${formatOrphanBatchIds_(res.orphanBatchIds)}`,
+      "Batching",
+      8
+    );
+    return res;
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/*******************************************************
+ * CORE
+ *******************************************************/
+function previewBatchesAuto_(options) {
+  const plan = planBatchesAuto_(options);
+  const token = plan.emptyReason ? "" : batchPlanFingerprint_(plan);
+
+  const props = PropertiesService.getDocumentProperties();
+  if (token) {
+    props.setProperty(getBatchPreviewKey_(), JSON.stringify({ token, options }));
+  } else {
+    props.deleteProperty(getBatchPreviewKey_());
+  }
+
+  const preview = {
+    token,
+    emptyReason: plan.emptyReason,
+    includeToday: options.includeToday === true,
+    heldBackToday: plan.report.heldBackToday,
+    buckets: plan.report.buckets,
+    totals: {
+      newBatches: plan.newBatchRows.length,
+      reusedBatches: plan.report.buckets.reduce((a, b) => a + b.batches.filter(x => !x.isNew).length, 0),
+      assigned: plan.rowToBatchId.size,
+      outliers: plan.report.buckets.reduce((a, b) => a + b.outliers.length, 0)
+    }
+  };
+
+  writeBatchPreviewSheet_(preview);
+  return preview;
+}
+
+function commitBatchPreview_(token) {
+  const props = PropertiesService.getDocumentProperties();
+  const raw = props.getProperty(getBatchPreviewKey_());
+  if (!raw) throw new Error("No batch preview to commit. Run the preview first.");
+
+  const saved = JSON.parse(raw);
+  if (token && token !== saved.token) {
+    throw new Error("A newer batch preview exists. Commit from the latest preview.");
+  }
+
+  const plan = planBatchesAuto_(saved.options || {});
+  if (plan.emptyReason || batchPlanFingerprint_(plan) !== saved.token) {
+    throw new Error("OrderItems or Batches changed since the preview. Run the preview again.");
+  }
+
+  const res = applyBatchPlan_(plan);
+  props.deleteProperty(getBatchPreviewKey_());
+  return res;
+}
+
+function getBatchPreviewKey_() {
+  return "BATCH_PREVIEW_PLAN";
+}
+
+/**
+ * Identifies a plan by what it would write: every (row, LineItemID) -> BatchID
+ * assignment plus the IDs of the batches it would create.
+ */
+function batchPlanFingerprint_(plan) {
+  const parts = [];
+  for (const [rowIndex0, batchId] of plan.rowToBatchId.entries()) {
+    const li = (plan.iLineItemID >= 0) ? String(plan.oiValues[rowIndex0][plan.iLineItemID] || "").trim() : "";
+    parts.push(`${rowIndex0}|${li}|${batchId}`);
+  }
+  parts.sort();
+
+  const iId = plan.batchIndex.colMap[CFG.COLS.BATCHES.BatchID];
+  const newIds = plan.newBatchRows.map(r => String(r[iId] || "")).sort();
+
+  const digest = Utilities.computeDigest(Utilities.DigestAlgorithm.MD5, parts.join("\n") + "\n#\n" + newIds.join("\n"));
+  return digest.map(b => ((b + 256) % 256).toString(16).padStart(2, "0")).join("");
+}
+
+/*******************************************************
+ * SCRATCH SHEET
+ *******************************************************/
+function writeBatchPreviewSheet_(preview) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const name = CFG.SHEETS.BATCH_PREVIEW;
+
+  let sh = ss.getSheetByName(name);
+  if (!sh) sh = ss.insertSheet(name);
+
+  const headers = ["DateKey", "Kind", "BatchID", "BatchType", "PrintProfileKey", "LineItems", "PrintUnits", "Orders", "LineItemID", "Reason"];
+  const rows = [];
+
+  for (const b of preview.buckets) {
+    for (const x of b.batches) {
+      rows.push([b.dateKey, x.isNew ? "NEW" : "REUSE", x.batchId, x.batchType, x.printProfileKey, x.lineItems, x.printUnits, x.orders.join("\n"), "", ""]);
+    }
+    for (const o of b.outliers) {
+      rows.push([b.dateKey, "OUTLIER", o.batchId, "", o.printProfileKey, 1, o.printUnits, o.orderName, o.lineItemId, o.reason]);
+    }
+  }
+
+  if (preview.heldBackToday) {
+    rows.push(["", "HELD", "", "", "", preview.heldBackToday, "", "", "", "Today's items (full days only)"]);
+  }
+  if (preview.emptyReason) {
+    rows.push(["", "EMPTY", "", "", "", "", "", "", "", preview.emptyReason]);
+  }
+
+  sh.clear();
+  sh.getRange(1, 1, 1, headers.length).setValues([headers]);
+  sh.setFrozenRows(1);
+  sh.getRange(1, 1, 1, headers.length).setFontWeight("bold");
+  if (rows.length) sh.getRange(2, 1, rows.length, headers.length).setValues(rows);
+}
+
+/*******************************************************
+ * RENDERING
+ *******************************************************/
+function renderBatchPreviewHtml_(p) {
+  const esc = escapeHtml_;
+  const t = p.totals;
+
+  const buckets = p.buckets.map(b => {
+    const batches = b.batches.map(x => `
+      <tr>
+        <td><span class="pill ${x.isNew ? "new" : "reuse"}">${x.isNew ? "NEW" : "REUSE"}</span></td>
+        <td class="mono">${esc(x.batchId)}</td>
+        <td>${esc(x.printProfileKey)}</td>
+        <td class="num">${x.lineItems}</td>
+        <td class="num">${x.printUnits}</td>
+        <td>${esc(x.orders.join(", "))}</td>
+      </tr>`).join("");
+
+    const outliers = b.outliers.map(o => `
+      <tr>
+        <td>${esc(o.orderName)}</td>
+        <td class="mono">${esc(o.lineItemId)}</td>
+        <td>${esc(o.printProfileKey || o.printCategory)}</td>
+        <td class="num">${o.printUnits}</td>
+        <td>${esc(o.reason)}</td>
+        <td class="mono">${esc(o.batchId || "(left unbatched)")}</td>
+      </tr>`).join("");
+
+    return `
+    <h3>${esc(b.dateKey)}</h3>
+    <table>
+      <tr><th></th><th>BatchID</th><th>Profile</th><th class="num">Items</th><th class="num">Units</th><th>Orders</th></tr>
+      ${batches || `<tr><td colspan="6" class="muted">No batches</td></tr>`}
+    </table>
+    ${outliers ? `
+    <table class="outliers">
+      <tr><th>Order</th><th>LineItemID</th><th>Profile</th><th class="num">Units</th><th>Why</th><th>Goes to</th></tr>
+      ${outliers}
+    </table>` : ""}`;
+  }).join("");
+
+  const held = p.heldBackToday
+    ? `<div class="muted">${p.heldBackToday} item(s) from today held back (full days only).</div>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<base target="_top">
+<style>
+  body { font-family: Arial, sans-serif; font-size: 12px; margin: 8px; }
+  h3 { margin: 14px 0 4px; font-size: 13px; }
+  table { border-collapse: collapse; width: 100%; margin-bottom: 6px; }
+  th, td { border: 1px solid #ddd; padding: 3px 5px; text-align: left; vertical-align: top; }
+  th { background: #f3f3f3; }
+  table.outliers th { background: #fdf2e9; }
+  .num { text-align: right; }
+  .mono { font-family: "Courier New", monospace; }
+  .muted { color: #777; }
+  .pill { display: inline-block; padding: 1px 6px; border-radius: 8px; font-size: 10px; font-weight: bold; }
+  .pill.new { background: #e6f4ea; color: #137333; }
+  .pill.reuse { background: #e8f0fe; color: #1a73e8; }
+  .bar { position: sticky; top: 0; background: #fff; padding: 6px 0; border-bottom: 1px solid #ddd; }
+  button { padding: 6px 12px; }
+  #msg { margin-left: 8px; }
+</style>
+</head>
+<body>
+  <div class="bar">
+    New batches: <b>${t.newBatches}</b> &nbsp;•&nbsp; Reused: <b>${t.reusedBatches}</b>
+    &nbsp;•&nbsp; Items assigned: <b>${t.assigned}</b> &nbsp;•&nbsp; Outliers: <b>${t.outliers}</b>
+    ${p.includeToday ? "&nbsp;•&nbsp; <b>incl. today</b>" : ""}
+    <br /><br />
+    <button id="commit" onclick="commitPlan()" ${p.token ? "" : "disabled"}>Commit this plan</button>
+    <button onclick="google.script.host.close()">Close</button>
+    <span id="msg" class="muted"></span>
+  </div>
+  ${p.emptyReason ? `<p class="muted">${esc(p.emptyReason)}</p>` : ""}
+  ${held}
+  ${buckets}
+<script>
+  function commitPlan() {
+    var btn = document.getElementById('commit');
+    var msg = document.getElementById('msg');
+    btn.disabled = true;
+    msg.textContent = 'Committing…';
+    google.script.run
+      .withSuccessHandler(function (res) {
+        msg.textContent = 'Committed: ' + res.newBatches + ' new batch(es), ' + res.assigned + ' item(s) assigned.';
+      })
+      .withFailureHandler(function (err) {
+        msg.textContent = (err && err.message) ? err.message : String(err);
+      })
+      .commitBatchPreview(${JSON.stringify(p.token)});
+  }
+</script>
+</body>
+</html>`;
+}
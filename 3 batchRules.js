@@ -0,0 +1,157 @@
+/*******************************************************
+ * batchRules.js
+ *
+ * Per-category batching rules from the optional BatchRules sheet.
+ *
+ * One row per Key: a category code from CATEGORY_LABEL_MAP (e.g. BMUG) or a
+ * full PrintProfileKey (e.g. B64:3). A profile key row beats its category
+ * row; anything without a row, and any blank cell, falls back to CFG.BATCH:
+ *   MinLineItems  -> MIN_LINEITEMS_FOR_AUTO
+ *   MinPrintUnits -> MIN_PRINTUNITS_FOR_AUTO
+ *   MaxPrintUnits -> MAX_PRINTUNITS_BY_CATEGORY / MAX_PRINTUNITS_PER_BATCH
+ *   LookbackDays  -> LOOKBACK_DAYS
+ *   FullDaysOnly  -> FULL_DAYS_ONLY
+ *   MiscEligible  -> true (outliers may go to the date's MISC batch)
+ *
+ * The sheet is validated on every load; any bad row stops batching with
+ * an error listing every problem by sheet row.
+ *******************************************************/
+
+function loadBatchRules_() {
+  const batchCfg = CFG.BATCH || {};
+  const rules = {
+    defaults: {
+      minLineItems: (batchCfg.MIN_LINEITEMS_FOR_AUTO !== undefined) ? batchCfg.MIN_LINEITEMS_FOR_AUTO : 2,
+      minPrintUnits: (batchCfg.MIN_PRINTUNITS_FOR_AUTO !== undefined) ? batchCfg.MIN_PRINTUNITS_FOR_AUTO : 2,
+      maxPrintUnits: (batchCfg.MAX_PRINTUNITS_PER_BATCH !== undefined) ? batchCfg.MAX_PRINTUNITS_PER_BATCH : 80,
+      lookbackDays: (batchCfg.LOOKBACK_DAYS !== undefined) ? batchCfg.LOOKBACK_DAYS : 7,
+      fullDaysOnly: batchCfg.FULL_DAYS_ONLY === true,
+      miscEligible: true
+    },
+    maxByCategory: batchCfg.MAX_PRINTUNITS_BY_CATEGORY || {},
+    byKey: new Map()
+  };
+
+  const sh = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CFG.SHEETS.BATCH_RULES);
+  if (!sh) return rules;
+
+  const cols = CFG.COLS.BATCH_RULES;
+  const map = headerMap_(sh);
+  const iKey = requireCol_(map, cols.Key);
+  const fields = [
+    ["minLineItems", optionalCol_(map, cols.MinLineItems), "int"],
+    ["minPrintUnits", optionalCol_(map, cols.MinPrintUnits), "int"],
+    ["maxPrintUnits", optionalCol_(map, cols.MaxPrintUnits), "int"],
+    ["lookbackDays", optionalCol_(map, cols.LookbackDays), "int"],
+    ["fullDaysOnly", optionalCol_(map, cols.FullDaysOnly), "bool"],
+    ["miscEligible", optionalCol_(map, cols.MiscEligible), "bool"]
+  ];
+  const headerOf = {
+    minLineItems: cols.MinLineItems,
+    minPrintUnits: cols.MinPrintUnits,
+    maxPrintUnits: cols.MaxPrintUnits,
+    lookbackDays: cols.LookbackDays,
+    fullDaysOnly: cols.FullDaysOnly,
+    miscEligible: cols.MiscEligible
+  };
+
+  const labelMap = batchCfg.CATEGORY_LABEL_MAP || {};
+  const errors = [];
+  const values = readDataRange_(sh).values;
+
+  for (let i = 0; i < values.length; i++) {
+    const r = values[i];
+    const rowNo = i + 2;
+    const key = String(r[iKey] || "").trim().toUpperCase();
+    const filled = fields.some(f => f[1] >= 0 && String(r[f[1]] === undefined ? "" : r[f[1]]).trim() !== "");
+
+    if (!key) {
+      if (filled) errors.push(`Row ${rowNo}: ${cols.Key} is blank`);
+      continue;
+    }
+    if (rules.byKey.has(key)) {
+      errors.push(`Row ${rowNo}: duplicate ${cols.Key} "${key}" (first on row ${rules.byKey.get(key).row})`);
+      continue;
+    }
+
+    const unknown = parsePrintProfileKey_(key).map(p => p.code).filter(code => labelMap[code] === undefined);
+    if (unknown.length) {
+      errors.push(`Row ${rowNo}: unknown category code ${unknown.join(", ")} in "${key}"`);
+    }
+
+    const rule = { row: rowNo };
+    for (const [name, idx, type] of fields) {
+      if (idx < 0) continue;
+      const raw = r[idx];
+      const s = String(raw === undefined || raw === null ? "" : raw).trim();
+      if (s === "") continue;
+
+      if (type === "bool") {
+        const b = parseBoolOrNull_(raw);
+        if (b === null) errors.push(`Row ${rowNo}: ${headerOf[name]} must be TRUE or FALSE (got "${s}")`);
+        else rule[name] = b;
+        continue;
+      }
+
+      const n = Number(s);
+      if (!Number.isInteger(n) || n < 0) {
+        errors.push(`Row ${rowNo}: ${headerOf[name]} must be a whole number ≥ 0 (got "${s}")`);
+      } else if (name === "maxPrintUnits" && n === 0) {
+        errors.push(`Row ${rowNo}: ${headerOf[name]} must be at least 1`);
+      } else {
+        rule[name] = n;
+      }
+    }
+
+    const min = (rule.minPrintUnits !== undefined) ? rule.minPrintUnits : rules.defaults.minPrintUnits;
+    if (rule.maxPrintUnits !== undefined && min > rule.maxPrintUnits) {
+      errors.push(`Row ${rowNo}: ${cols.MinPrintUnits} (${min}) is above ${cols.MaxPrintUnits} (${rule.maxPrintUnits})`);
+    }
+
+    rules.byKey.set(key, rule);
+  }
+
+  if (errors.length) {
+    throw new Error(`${CFG.SHEETS.BATCH_RULES} has ${errors.length} problem(s):\n${errors.join("\n")}`);
+  }
+  return rules;
+}
+
+/**
+ * Effective rule for an item or profile group: PrintProfileKey row, then the
+ * category row (primary code of the key, else PrintCategory), then CFG.BATCH.
+ */
+function batchRuleFor_(rules, profileKey, printCategory) {
+  const pKey = String(profileKey || "").trim().toUpperCase();
+  const code = pKey
+    ? primaryCodeFromProfileKey_(pKey).toUpperCase()
+    : String(printCategory || "").trim().toUpperCase();
+
+  const d = rules.defaults;
+  const out = {
+    minLineItems: d.minLineItems,
+    minPrintUnits: d.minPrintUnits,
+    maxPrintUnits: maxUnitsForCategory_(code, rules.maxByCategory, d.maxPrintUnits),
+    lookbackDays: d.lookbackDays,
+    fullDaysOnly: d.fullDaysOnly,
+    miscEligible: d.miscEligible
+  };
+
+  const layers = [rules.byKey.get(code), pKey ? rules.byKey.get(pKey) : null];
+  for (const layer of layers) {
+    if (!layer) continue;
+    for (const k of Object.keys(out)) {
+      if (layer[k] !== undefined) out[k] = layer[k];
+    }
+  }
+  return out;
+}
+
+/**
+ * CFG.BATCH.MAX_PRINTUNITS_BY_CATEGORY entry for a category code, else fallback.
+ */
+function maxUnitsForCategory_(categoryCode, byCategory, fallback) {
+  const v = byCategory[String(categoryCode || "").trim().toUpperCase()];
+  const n = parseInt(v, 10);
+  return (isFinite(n) && n > 0) ? n : fallback;
+}
@@ -0,0 +1,133 @@
+/***************************************
+ * orderCancellations.js
+ *
+ * Upstream cancellations (OrderItems.CancelledAt non-blank):
+ * - Orders sync leaves cancelled items out; all items cancelled -> Cancelled
+ * - batching and the pack station skip them
+ * - each sync pulls cancelled items out of their batches (metrics +
+ *   BatchOrders recomputed; a batch left empty is cancelled)
+ * - items whose batch has started printing (or that are printed themselves)
+ *   stay put and are logged to Exceptions as CANCELLED_AFTER_PRINT (once;
+ *   resolving it is not undone by the next sync)
+ ***************************************/
+
+function isCancelledRow_(row, iCancelled) {
+  return iCancelled >= 0 && String(row[iCancelled] || "").trim() !== "";
+}
+
+/**
+ * Clears PrintBatchID on cancelled OrderItems in batches that have not started
+ * printing. Returns { released, batchIds, orderNames, blocked }.
+ */
+function releaseCancelledBatchItems_() {
+  const res = { released: 0, batchIds: [], orderNames: [], blocked: 0 };
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const shOI = ss.getSheetByName(CFG.SHEETS.ORDER_ITEMS);
+  const shB  = ss.getSheetByName(CFG.SHEETS.BATCHES);
+  if (!shOI) throw new Error(`Missing sheet: ${CFG.SHEETS.ORDER_ITEMS}`);
+
+  const map = headerMap_(shOI);
+  const c = CFG.COLS.ORDER_ITEMS;
+  const iCancelled = optionalCol_(map, c.CancelledAt);
+  const iBatch     = optionalCol_(map, c.PrintBatchID);
+  if (iCancelled < 0 || iBatch < 0 || !shB) return res;
+
+  const iOrder   = requireCol_(map, c.OrderName);
+  const iLineId  = optionalCol_(map, c.LineItemID);
+  const iSKU     = optionalCol_(map, c.SKU);
+  const iUnits   = optionalCol_(map, c.PrintUnits);
+  const iPrinted = optionalCol_(map, c.PrintedAt);
+
+  const oi = readDataRange_(shOI);
+  const ctx = readBatchLifecycleContext_(shB);
+  const batchRows = new Map();
+  for (const row of ctx.values) {
+    const id = String(row[ctx.iId] || "").trim();
+    if (id) batchRows.set(id, row);
+  }
+
+  const released = [];
+  const batchIds = new Set();
+  const orderNames = new Set();
+  const exceptions = [];
+
+  for (let r = 0; r < oi.values.length; r++) {
+    const row = oi.values[r];
+    if (!isCancelledRow_(row, iCancelled)) continue;
+
+    const batchId = String(row[iBatch] || "").trim();
+    if (!batchId) continue;
+
+    const bRow = batchRows.get(batchId);
+    const orderName = String(row[iOrder] || "").trim();
+    const printed = (iPrinted >= 0 && row[iPrinted]) || (bRow && isBatchRowPrintStarted_(ctx, bRow));
+
+    if (printed) {
+      exceptions.push({
+        type: "CANCELLED_AFTER_PRINT",
+        orderName,
+        lineItemId: (iLineId >= 0) ? String(row[iLineId] || "").trim() : "",
+        sku: (iSKU >= 0) ? String(row[iSKU] || "").trim() : "",
+        message: `Cancelled, but batch ${batchId} has already been printed; left in the batch.`,
+        noReopen: true
+      });
+      res.blocked++;
+      continue;
+    }
+
+    released.push(r);
+    batchIds.add(batchId);
+    if (orderName) orderNames.add(orderName);
+  }
+
+  logExceptions_(exceptions);
+  if (!released.length) return res;
+
+  // ---- Release (single column write)
+  const out = oi.values.map(r => [r[iBatch]]);
+  for (const r of released) {
+    out[r] = [""];
+    oi.values[r][iBatch] = "";
+  }
+  shOI.getRange(2, iBatch + 1, out.length, 1).setValues(out);
+
+  settleReleasedBatches_(shB, oi.values, { iBatch, iUnits, iOrder }, batchIds, "every item was cancelled upstream");
+
+  res.released = released.length;
+  res.batchIds = Array.from(batchIds);
+  res.orderNames = Array.from(orderNames);
+  return res;
+}
+
+/**
+ * After items have left batches (PrintBatchID already cleared in oiValues):
+ * metrics from the remaining members, BatchOrders rebuilt, and batches left
+ * with no items cancelled (kept for audit) with detail as the reason.
+ */
+function settleReleasedBatches_(shB, oiValues, cols, batchIds, detail) {
+  const { iBatch, iUnits, iOrder } = cols;
+
+  const members = new Map(Array.from(batchIds).map(id => [id, []]));
+  for (const row of oiValues) {
+    const id = String(row[iBatch] || "").trim();
+    if (!members.has(id)) continue;
+    members.get(id).push({
+      printUnits: (iUnits >= 0) ? toInt_(row[iUnits], 0) : 0,
+      orderName: String(row[iOrder] || "").trim()
+    });
+  }
+  recomputeBatchMetrics_(shB, members);
+
+  _rebuildBatchOrders_({ batchIds: Array.from(batchIds) });
+
+  for (const [batchId, items] of members) {
+    if (items.length) continue;
+
+    const after = readBatchLifecycleContext_(shB);
+    const row0 = after.values.findIndex(r => String(r[after.iId] || "").trim() === batchId);
+    if (row0 < 0 || normalizeBatchStatus_(after.values[row0][after.iStatus]) === CFG.BATCH_STATUS.CANCELLED) continue;
+
+    cancelBatchRow_(shB, after, row0, "Emptied", detail);
+  }
+}
@@ -3,10 +3,20 @@
  *
  * Incremental-style rebuild of BatchOrders from OrderItems truth source,
  * joined with Batches + Orders. Avoids full clear/write by diffing on key.
+ * Finishes by rolling Batches.OrderStatus forward from member orders and
+ * (full rebuild only) reconciling Batches metrics from OrderItems.
+ *
+ * options.batchIds limits the diff to those batches' rows (used after
+ * moving items between batches); other BatchOrders rows are left alone,
+ * except rows of the same orders when SplitAcrossBatches is tracked.
+ *
+ * Optional SplitAcrossBatches column: number of batches an order's items
+ * are spread over (blank when the order sits in a single batch).
  *******************************************************/
 
 function rebuildBatchOrders() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
   ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
 
   const lock = LockService.getDocumentLock();
@@ -18,9 +28,14 @@ function rebuildBatchOrders() {
   }
 }
 
-function _rebuildBatchOrders_() {
+function _rebuildBatchOrders_(options) {
+  const opts = options || {};
   const ss = SpreadsheetApp.getActiveSpreadsheet();
 
+  const onlyBatches = Array.isArray(opts.batchIds)
+    ? new Set(opts.batchIds.map(x => String(x || "").trim()).filter(Boolean))
+    : null;
+
   const shOI = ss.getSheetByName(CFG.SHEETS.ORDER_ITEMS);
   const shB  = ss.getSheetByName(CFG.SHEETS.BATCHES);
   const shO  = ss.getSheetByName(CFG.SHEETS.ORDERS);
@@ -59,6 +74,7 @@ function _rebuildBatchOrders_() {
   const iBoUnits  = requireCol_(boMap, boCols.PrintUnits);
   const iBoUpd    = requireCol_(boMap, boCols.LastUpdatedAt);
   const iBoRM     = requireCol_(boMap, boCols.RoyalMailBatchNumber);
+  const iBoSplit  = optionalCol_(boMap, boCols.SplitAcrossBatches);
 
   const oi = readDataRange_(shOI);
   const b  = readDataRange_(shB);
@@ -84,6 +100,30 @@ function _rebuildBatchOrders_() {
     });
   }
 
+  // Batches per order across all OrderItems (for SplitAcrossBatches)
+  const batchesByOrder = new Map();
+  for (const r of oi.values) {
+    const batchId = String(r[iOiBatch] || "").trim();
+    const orderName = String(r[iOiOrder] || "").trim();
+    if (!batchId || !orderName) continue;
+    if (!batchesByOrder.has(orderName)) batchesByOrder.set(orderName, new Set());
+    batchesByOrder.get(orderName).add(batchId);
+  }
+
+  // Subset mode: an order's split count changes in all its batches, so its
+  // rows elsewhere are in scope too (including batches it just left).
+  const scopeOrders = new Set();
+  if (onlyBatches && iBoSplit >= 0) {
+    for (const [orderName, ids] of batchesByOrder.entries()) {
+      if (Array.from(ids).some(id => onlyBatches.has(id))) scopeOrders.add(orderName);
+    }
+    for (const r of bo.values) {
+      if (onlyBatches.has(String(r[iBoBatch] || "").trim())) scopeOrders.add(String(r[iBoOrder] || "").trim());
+    }
+  }
+  const inScope = (batchId, orderName) =>
+    !onlyBatches || onlyBatches.has(batchId) || scopeOrders.has(orderName);
+
   const agg = new Map();
   for (const r of oi.values) {
     const batchId = String(r[iOiBatch] || "").trim();
@@ -91,6 +131,7 @@ function _rebuildBatchOrders_() {
 
     const orderName = String(r[iOiOrder] || "").trim();
     if (!orderName) continue;
+    if (!inScope(batchId, orderName)) continue;
 
     const key = `${batchId}|${orderName}`;
     if (!agg.has(key)) agg.set(key, { batchId, orderName, itemCount: 0, units: 0 });
@@ -125,6 +166,11 @@ function _rebuildBatchOrders_() {
     row[iBoUnits] = a.units;
     row[iBoUpd] = now;
 
+    if (iBoSplit >= 0) {
+      const n = (batchesByOrder.get(a.orderName) || new Set()).size;
+      row[iBoSplit] = n > 1 ? n : "";
+    }
+
     desiredById.set(key, row);
   }
 
@@ -132,7 +178,9 @@ function _rebuildBatchOrders_() {
   const existingById = new Map();
   for (let i = 0; i < bo.values.length; i++) {
     const id = String(bo.values[i][iBoID] || "").trim();
-    if (id) existingById.set(id, i);
+    if (!id) continue;
+    if (!inScope(String(bo.values[i][iBoBatch] || "").trim(), String(bo.values[i][iBoOrder] || "").trim())) continue;
+    existingById.set(id, i);
   }
 
   const changedRowIndices = [];
@@ -184,11 +232,27 @@ function _rebuildBatchOrders_() {
   shBO.getRange(2, iBoCount + 1, rowsToFormat, 1).setNumberFormat("0");
   shBO.getRange(2, iBoUnits + 1, rowsToFormat, 1).setNumberFormat("0");
 
+  rollUpBatchStatuses_(onlyBatches ? { batchIds: Array.from(onlyBatches) } : {});
+
+  const res = {
+    desired: desiredIds.length,
+    updated: changedRowIndices.length,
+    appended: appendRows.length,
+    cleared: staleRowIndices.length
+  };
+  if (onlyBatches) return res;
+
+  const recon = reconcileBatchMetrics_();
+  res.metricsCorrected = recon.drift.length;
+  res.metricDrift = recon.drift;
+  res.orphanBatchIds = recon.orphans;
+
   ss.toast(
-    `BatchOrders synced: desired ${desiredIds.length}, updated ${changedRowIndices.length}, appended ${appendRows.length}, cleared ${staleRowIndices.length}`,
+    `BatchOrders synced: desired ${desiredIds.length}, updated ${changedRowIndices.length}, appended ${appendRows.length}, cleared ${staleRowIndices.length}, metrics corrected ${res.metricsCorrected}${formatOrphanBatchIds_(res.orphanBatchIds)}`,
     "BatchOrders",
     6
   );
+  return res;
 }
 
 function rowsEquivalentForBatchOrders_(a, b, updatedAtIndex) {
@@ -0,0 +1,276 @@
+/***************************************
+ * clickDropExport.js
+ *
+ * Outbound shipping file for Royal Mail Click & Drop:
+ * Packed Orders (optionally only those with items in one batch) -> one CSV row per order
+ * (channel reference = OrderName, postcode, service, package size, weight) -> Drive folder
+ * -> ClickDropExports log, so an order is never exported twice.
+ *
+ * Weight = PACKAGING_GRAMS + Σ Qty × grams for the item's PrintCategory.
+ * Package size = the largest CFG.CLICK_DROP.PACKAGE_SIZES entry any of the order's categories needs.
+ ***************************************/
+
+/*******************************************************
+ * PUBLIC ENTRYPOINTS
+ *******************************************************/
+
+/**
+ * Menu: prompt for an optional BatchID and export.
+ */
+function exportClickDropCsvFromMenu() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const ui = SpreadsheetApp.getUi();
+
+  const resp = ui.prompt("Click & Drop export", "BatchID (blank = every Packed order):", ui.ButtonSet.OK_CANCEL);
+  if (resp.getSelectedButton() !== ui.Button.OK) return;
+
+  const res = exportClickDropCsv({ batchId: resp.getResponseText() });
+
+  const lines = [];
+  lines.push(res.exported ? `Exported ${res.exported} order(s) to ${res.fileName}` : "No orders to export.");
+  if (res.alreadyExported) lines.push(`Already exported earlier: ${res.alreadyExported}`);
+  if (res.skipped.length) {
+    lines.push("");
+    lines.push(`Skipped ${res.skipped.length}:`);
+    res.skipped.slice(0, 20).forEach(s => lines.push(`${s.orderName}: ${s.reason}`));
+    if (res.skipped.length > 20) lines.push(`… ${res.skipped.length - 20} more`);
+  }
+
+  if (res.skipped.length) {
+    ui.alert("Click & Drop export", lines.join("\n"), ui.ButtonSet.OK);
+  } else {
+    ss.toast(lines.join("\n"), "Click & Drop export", 6);
+  }
+}
+
+/**
+ * opts: { batchId?: string }
+ * Returns { batchId, fileId, fileName, url, exported, alreadyExported, skipped: [{ orderName, reason }] }.
+ */
+function exportClickDropCsv(opts) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
+  ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  try {
+    return exportClickDropCsv_(opts || {});
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/*******************************************************
+ * CORE
+ *******************************************************/
+
+function exportClickDropCsv_(opts) {
+  const batchId = String(opts.batchId || "").trim();
+
+  const folderId = CFG.CLICK_DROP && CFG.CLICK_DROP.FOLDER_ID;
+  if (!folderId) throw new Error("CFG.CLICK_DROP.FOLDER_ID is not set.");
+
+  const model = buildClickDropRows_(batchId);
+  const res = {
+    batchId,
+    fileId: "",
+    fileName: "",
+    url: "",
+    exported: model.rows.length,
+    alreadyExported: model.alreadyExported,
+    skipped: model.skipped
+  };
+  if (!model.rows.length) return res;
+
+  const prefix = CFG.CLICK_DROP.FILE_NAME_PREFIX || "Click & Drop";
+  const stamp = Utilities.formatDate(new Date(), CFG.TIMEZONE, "yyyyMMdd-HHmm");
+  res.fileName = `${prefix} - ${stamp}${batchId ? ` - ${batchId}` : ""}.csv`;
+
+  const blob = Utilities.newBlob(renderClickDropCsv_(model.rows), MimeType.CSV, res.fileName);
+  const file = DriveApp.getFolderById(folderId).createFile(blob);
+  res.fileId = file.getId();
+  res.url = file.getUrl();
+
+  recordClickDropExports_(model.rows.map(r => r.orderName), { batchId, fileName: res.fileName, url: res.url });
+
+  return res;
+}
+
+/**
+ * Packed orders not yet exported -> { rows: [{ orderName, postcode, service, packageSize, weightKg }],
+ * alreadyExported, skipped }. With batchId, only orders with a live item in that batch.
+ */
+function buildClickDropRows_(batchId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const shO  = ss.getSheetByName(CFG.SHEETS.ORDERS);
+  const shOI = ss.getSheetByName(CFG.SHEETS.ORDER_ITEMS);
+  if (!shO)  throw new Error(`Missing sheet: ${CFG.SHEETS.ORDERS}`);
+  if (!shOI) throw new Error(`Missing sheet: ${CFG.SHEETS.ORDER_ITEMS}`);
+
+  const oMap = headerMap_(shO);
+  const cO = CFG.COLS.ORDERS;
+  const oOrder    = requireCol_(oMap, cO.OrderName);
+  const oStatus   = requireCol_(oMap, cO.Status);
+  const oPostcode = requireCol_(oMap, cO.Postcode);
+  const oPriority = optionalCol_(oMap, cO.Priority);
+  const oShip     = optionalCol_(oMap, cO.ShippingService);
+
+  const parcels = aggregateClickDropParcels_(shOI);
+  const exported = getClickDropExportedOrderNames_();
+  const cfg = CFG.CLICK_DROP;
+
+  const rows = [];
+  const skipped = [];
+  let alreadyExported = 0;
+
+  for (const r of readDataRange_(shO).values) {
+    const orderName = String(r[oOrder] || "").trim();
+    if (!orderName || String(r[oStatus] || "").trim() !== CFG.STATUS.PACKED) continue;
+
+    const parcel = parcels.get(orderName);
+    if (batchId && !(parcel && parcel.batchIds.has(batchId))) continue;
+
+    if (exported.has(orderName)) {
+      alreadyExported++;
+      continue;
+    }
+
+    const postcode = String(r[oPostcode] || "").trim();
+    if (!postcode) {
+      skipped.push({ orderName, reason: "no postcode" });
+      continue;
+    }
+    if (!parcel) {
+      skipped.push({ orderName, reason: "no live OrderItems" });
+      continue;
+    }
+
+    const rush = isRushOrder_(oPriority >= 0 ? r[oPriority] : "", oShip >= 0 ? r[oShip] : "");
+
+    rows.push({
+      orderName,
+      postcode,
+      service: rush ? cfg.RUSH_SERVICE : cfg.DEFAULT_SERVICE,
+      packageSize: parcel.packageSize,
+      weightKg: (toInt_(cfg.PACKAGING_GRAMS, 0) + parcel.grams) / 1000
+    });
+  }
+
+  return { rows, alreadyExported, skipped };
+}
+
+/**
+ * OrderName -> { grams, packageSize, batchIds } over live (not excluded, not cancelled) items.
+ */
+function aggregateClickDropParcels_(shOI) {
+  const map = headerMap_(shOI);
+  const c = CFG.COLS.ORDER_ITEMS;
+  const iOrder     = requireCol_(map, c.OrderName);
+  const iQty       = requireCol_(map, c.Qty);
+  const iCategory  = requireCol_(map, c.PrintCategory);
+  const iBatch     = optionalCol_(map, c.PrintBatchID);
+  const iExcl      = optionalCol_(map, c.Excluded);
+  const iCancelled = optionalCol_(map, c.CancelledAt);
+
+  const sizes = CFG.CLICK_DROP.PACKAGE_SIZES || [];
+  const sizeRank = (s) => {
+    const i = sizes.indexOf(s);
+    return (i < 0) ? sizes.length : i;
+  };
+
+  const out = new Map();
+  for (const r of readDataRange_(shOI).values) {
+    const orderName = String(r[iOrder] || "").trim();
+    if (!orderName) continue;
+    if (isExcludedRow_(r, iExcl) || isCancelledRow_(r, iCancelled)) continue;
+
+    if (!out.has(orderName)) out.set(orderName, { grams: 0, packageSize: "", batchIds: new Set() });
+    const p = out.get(orderName);
+
+    const category = String(r[iCategory] || "").trim().toUpperCase();
+    p.grams += toInt_(r[iQty], 0) * clickDropGramsFor_(category);
+
+    const size = clickDropPackageSizeFor_(category);
+    if (!p.packageSize || sizeRank(size) > sizeRank(p.packageSize)) p.packageSize = size;
+
+    const batchId = (iBatch >= 0) ? String(r[iBatch] || "").trim() : "";
+    if (batchId) p.batchIds.add(batchId);
+  }
+  return out;
+}
+
+/*******************************************************
+ * HELPERS
+ *******************************************************/
+
+function clickDropGramsFor_(category) {
+  const table = CFG.CLICK_DROP.WEIGHT_GRAMS_BY_CATEGORY || {};
+  if (category && table[category] !== undefined) return toInt_(table[category], 0);
+  return toInt_(table.DEFAULT, 0);
+}
+
+function clickDropPackageSizeFor_(category) {
+  const table = CFG.CLICK_DROP.PACKAGE_SIZE_BY_CATEGORY || {};
+  if (category && table[category]) return String(table[category]);
+  return String(table.DEFAULT || (CFG.CLICK_DROP.PACKAGE_SIZES || [])[0] || "");
+}
+
+function renderClickDropCsv_(rows) {
+  const h = CFG.CLICK_DROP.HEADERS;
+  const lines = [[h.ChannelReference, h.Postcode, h.Service, h.PackageSize, h.WeightKg]];
+  for (const r of rows) {
+    lines.push([r.orderName, r.postcode, r.service, r.packageSize, r.weightKg.toFixed(3)]);
+  }
+  return lines.map(cells => cells.map(csvCell_).join(",")).join("\r\n") + "\r\n";
+}
+
+function csvCell_(v) {
+  const s = String(v === null || v === undefined ? "" : v);
+  return /[",\r\n]/.test(s) ? `"${s.replace(/"/g, '""')}"` : s;
+}
+
+function getClickDropExportedOrderNames_() {
+  const sh = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CFG.SHEETS.CLICK_DROP_EXPORTS);
+  const out = new Set();
+  if (!sh) return out;
+
+  const iOrder = requireCol_(headerMap_(sh), CFG.COLS.CLICK_DROP_EXPORTS.OrderName);
+  for (const r of readDataRange_(sh).values) {
+    const orderName = String(r[iOrder] || "").trim();
+    if (orderName) out.add(orderName);
+  }
+  return out;
+}
+
+function recordClickDropExports_(orderNames, meta) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const cX = CFG.COLS.CLICK_DROP_EXPORTS;
+
+  let sh = ss.getSheetByName(CFG.SHEETS.CLICK_DROP_EXPORTS);
+  if (!sh) {
+    sh = ss.insertSheet(CFG.SHEETS.CLICK_DROP_EXPORTS);
+    const headers = [cX.OrderName, cX.ExportedAt, cX.ExportedBy, cX.BatchID, cX.FileName, cX.FileUrl];
+    sh.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sh.setFrozenRows(1);
+  }
+
+  const map = headerMap_(sh);
+  const width = getHeaders_(sh).length;
+  const now = new Date();
+  const user = getActiveUserEmail_();
+
+  const rows = orderNames.map(orderName => {
+    const out = new Array(width).fill("");
+    const set = (h, v) => { const i = optionalCol_(map, h); if (i >= 0) out[i] = v; };
+    set(cX.OrderName, orderName);
+    set(cX.ExportedAt, now);
+    set(cX.ExportedBy, user);
+    set(cX.BatchID, meta.batchId);
+    set(cX.FileName, meta.fileName);
+    set(cX.FileUrl, meta.url);
+    return out;
+  });
+
+  sh.getRange(sh.getLastRow() + 1, 1, rows.length, width).setValues(rows);
+}
@@ -2,7 +2,7 @@
  * royalMailImport.js
  *
  * Watch-folder Royal Mail manifest import:
- * Watch Folder (.xls/.xlsx) -> convert -> parse -> upsert Shipments -> mirror Orders -> mirror BatchOrders -> update Batches shorthand -> archive file
+ * Watch Folder (.csv, or .xls/.xlsx -> convert) -> pick sheet + column profile -> parse -> upsert Shipments -> mirror Orders -> mirror BatchOrders -> update Batches shorthand -> archive file
  */
 
 /**
@@ -38,6 +38,7 @@ function setupShipmentsSheet() {
 }
 
 function installRoyalMailWatchTrigger() {
+  applySettings_();
   removeRoyalMailWatchTrigger();
 
   const mins = (CFG.ROYAL_MAIL && CFG.ROYAL_MAIL.POLL_EVERY_MINUTES) ? CFG.ROYAL_MAIL.POLL_EVERY_MINUTES : 10;
@@ -55,10 +56,14 @@ function removeRoyalMailWatchTrigger() {
 }
 
 /**
- * Poll watch folder for new .xls/.xlsx exports, import them, then move to archive.
+ * Poll watch folder for new .csv/.xls/.xlsx exports, import them, then move to archive.
+ * Each file is logged to RoyalMailImports; a file that throws is quarantined (or left
+ * in the watch folder if no quarantine folder is set) and the run carries on with the
+ * next one.
  */
 function pollRoyalMailWatchFolder() {
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
   ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
 
   const lock = LockService.getDocumentLock();
@@ -67,6 +72,7 @@ function pollRoyalMailWatchFolder() {
   try {
     const watchId = CFG.ROYAL_MAIL && CFG.ROYAL_MAIL.WATCH_FOLDER_ID;
     const archiveId = CFG.ROYAL_MAIL && CFG.ROYAL_MAIL.ARCHIVE_FOLDER_ID;
+    const quarantineId = CFG.ROYAL_MAIL && CFG.ROYAL_MAIL.QUARANTINE_FOLDER_ID;
     const maxFilesPerRun = (CFG.ROYAL_MAIL && CFG.ROYAL_MAIL.MAX_FILES_PER_RUN)
       ? Math.max(1, parseInt(CFG.ROYAL_MAIL.MAX_FILES_PER_RUN, 10) || 1)
       : 5;
@@ -80,6 +86,7 @@ function pollRoyalMailWatchFolder() {
 
     const watch = DriveApp.getFolderById(watchId);
     const archive = DriveApp.getFolderById(archiveId);
+    const quarantine = quarantineId ? DriveApp.getFolderById(quarantineId) : null;
 
     const files = watch.getFiles();
     const candidates = [];
@@ -87,7 +94,7 @@ function pollRoyalMailWatchFolder() {
     while (files.hasNext()) {
       const f = files.next();
       const name = f.getName();
-      if (!/\.(xls|xlsx)$/i.test(name)) continue;
+      if (!/\.(xls|xlsx|csv)$/i.test(name)) continue;
       if (processed.has(f.getId())) continue;
       candidates.push(f);
     }
@@ -97,83 +104,255 @@ function pollRoyalMailWatchFolder() {
     candidates.sort((a, b) => a.getLastUpdated().getTime() - b.getLastUpdated().getTime());
 
     let filesDone = 0;
+    let filesFailed = 0;
     for (const file of candidates) {
-      if (filesDone >= maxFilesPerRun) break;
-
-      const result = importRoyalMailManifestFile_(file);
+      if (filesDone + filesFailed >= maxFilesPerRun) break;
+
+      const logRow = startRoyalMailImportLog_(file);
+      let result;
+      try {
+        result = importRoyalMailManifestFile_(file);
+      } catch (e) {
+        const message = (e && e.message) ? e.message : String(e);
+        filesFailed++;
+
+        // Not marked processed: fix the file and move it back to retry
+        if (quarantine) {
+          finishRoyalMailImportLog_(logRow, null, message);
+          quarantine.addFile(file);
+          watch.removeFile(file);
+        } else {
+          finishRoyalMailImportLog_(logRow, null,
+            `${message} (left in the watch folder: CFG.ROYAL_MAIL.QUARANTINE_FOLDER_ID is not set)`);
+        }
+
+        ss.toast(`RM import failed: ${file.getName()} (${message})`, "Royal Mail", 8);
+        continue;
+      }
+
+      finishRoyalMailImportLog_(logRow, result, "");
       processed.add(file.getId());
       filesDone++;
 
       archive.addFile(file);
       watch.removeFile(file);
 
-      ss.toast(`RM import: ${file.getName()} (shipments +${result.newShipments})`, "Royal Mail", 5);
+      ss.toast(`RM import: ${file.getName()} [${result.profile} / ${result.sheetName}] (shipments +${result.newShipments})`, "Royal Mail", 5);
     }
 
     props.setProperty(processedKey, JSON.stringify(Array.from(processed)));
-    ss.toast(`Royal Mail: processed ${filesDone} file(s).`, "Royal Mail", 8);
+    ss.toast(`Royal Mail: processed ${filesDone} file(s)${filesFailed ? `, ${filesFailed} failed (see ${CFG.SHEETS.ROYAL_MAIL_IMPORTS})` : ""}.`, "Royal Mail", 8);
   } finally {
     lock.releaseLock();
   }
 }
 
 /**
- * Convert, parse, upsert Shipments, mirror Orders/BatchOrders, update Batches shorthand.
+ * Read (CSV directly, spreadsheets via conversion), parse, upsert Shipments,
+ * mirror Orders/BatchOrders, update Batches shorthand.
  */
 function importRoyalMailManifestFile_(file) {
   const sourceFileName = file.getName();
 
+  if (/\.csv$/i.test(sourceFileName)) {
+    const text = file.getBlob().getDataAsString().replace(/^\uFEFF/, "");
+    return importRoyalMailManifestTables_([{ name: sourceFileName, values: Utilities.parseCsv(text) }], sourceFileName);
+  }
+
   const converted = convertToGoogleSheet_(file.getId(), sourceFileName);
   const convertedId = converted.id;
 
   try {
-    const tmp = SpreadsheetApp.openById(convertedId);
-    const sheet = tmp.getSheets()[0];
-    const values = sheet.getDataRange().getValues();
-    if (values.length < 2) return { newShipments: 0 };
-
-    const headers = values[0].map(h => String(h || "").trim());
-    const idx = (name) => headers.indexOf(name);
-
-    const meta = {
-      iOrderName: idx("Channel reference"),
-      iRmBatch: idx("Batch number"),
-      iPostcode: idx("Postcode"),
-      iManifest: idx("Manifest number"),
-      iDespatch: idx("Despatch date"),
-      iTracking: idx("Tracking number"),
-      iTrackingStatus: idx("Tracking status"),
-      iService: idx("Shipping service"),
-      iPkgSize: idx("Package size"),
-      iWeightKg: idx("Weight (kg)"),
-      sourceFileName
-    };
-
-    const required = [
-      ["Channel reference", meta.iOrderName],
-      ["Postcode", meta.iPostcode],
-      ["Batch number", meta.iRmBatch],
-      ["Manifest number", meta.iManifest],
-      ["Despatch date", meta.iDespatch],
-      ["Tracking number", meta.iTracking],
-      ["Tracking status", meta.iTrackingStatus],
-    ];
+    const tables = SpreadsheetApp.openById(convertedId).getSheets()
+      .map(sh => ({ name: sh.getName(), values: sh.getDataRange().getValues() }));
+    return importRoyalMailManifestTables_(tables, sourceFileName);
+  } finally {
+    try { DriveApp.getFileById(convertedId).setTrashed(true); } catch (e) {}
+  }
+}
 
-    const missing = required.filter(x => x[1] < 0).map(x => x[0]);
-    if (missing.length) throw new Error("RM export missing columns: " + missing.join(", "));
+/**
+ * tables: [{ name, values }] (one per sheet/tab). Imports the first one whose
+ * header row matches a CFG.ROYAL_MAIL.MANIFEST_PROFILES entry.
+ */
+function importRoyalMailManifestTables_(tables, sourceFileName) {
+  const found = findRoyalMailManifestTable_(tables);
+  const values = found.table.values;
+  const res = {
+    profile: found.profile,
+    sheetName: found.table.name,
+    rowsRead: Math.max(0, values.length - 1),
+    newShipments: 0,
+    updatedShipments: 0,
+    ordersTouched: 0,
+    unmatchedOrderNames: []
+  };
+  if (values.length < 2) return res;
 
-    const rows = values.slice(1);
-    const up = upsertShipmentsFromRMRows_(rows, meta);
-    const touched = up.orderNamesTouched;
+  const meta = Object.assign({ sourceFileName }, found.meta);
 
-    mirrorShipmentsToOrders_(touched);
+  const rows = values.slice(1);
+  const up = upsertShipmentsFromRMRows_(rows, meta);
+  const touched = up.orderNamesTouched;
+
+  // Shipments are written by now; say so, since the mirrors below did not all run
+  let mirrored;
+  try {
+    mirrored = mirrorShipmentsToOrders_(touched);
     mirrorOrdersToBatchOrders_(touched);
     updateBatchesRoyalMailShorthandFromBatchOrders_(touched);
+    rollUpBatchStatuses_({ orderNames: touched });
+  } catch (e) {
+    if (!up.appendedCount && !up.updatedCount) throw e;
+    const message = (e && e.message) ? e.message : String(e);
+    throw new Error(`${message} (Shipments already partly updated: ${up.appendedCount} new, ${up.updatedCount} updated)`);
+  }
 
-    return { newShipments: up.appendedCount };
-  } finally {
-    try { DriveApp.getFileById(convertedId).setTrashed(true); } catch (e) {}
+  const matched = new Set(mirrored.matchedOrderNames);
+  res.newShipments = up.appendedCount;
+  res.updatedShipments = up.updatedCount;
+  res.ordersTouched = matched.size;
+  res.unmatchedOrderNames = touched.filter(n => !matched.has(n));
+  return res;
+}
+
+/**
+ * Manifest field -> upsertShipmentsFromRMRows_ meta key.
+ */
+const RM_MANIFEST_META_KEYS_ = {
+  OrderName: "iOrderName",
+  RoyalMailBatchNumber: "iRmBatch",
+  Postcode: "iPostcode",
+  RoyalMailManifestNo: "iManifest",
+  DespatchedAt: "iDespatch",
+  RoyalMailTrackingNumber: "iTracking",
+  TrackingStatus: "iTrackingStatus",
+  ShippingService: "iService",
+  PackageSize: "iPkgSize",
+  WeightKg: "iWeightKg",
+};
+
+/**
+ * First table x profile whose header row has every REQUIRED column
+ * -> { table, profile, meta }. Throws with the closest candidate's missing columns.
+ */
+function findRoyalMailManifestTable_(tables) {
+  const profiles = (CFG.ROYAL_MAIL && CFG.ROYAL_MAIL.MANIFEST_PROFILES) || [];
+  if (!profiles.length) throw new Error("CFG.ROYAL_MAIL.MANIFEST_PROFILES is empty.");
+
+  let closest = null;
+  for (const table of tables) {
+    if (!table.values.length) continue;
+
+    for (const profile of profiles) {
+      const m = resolveRoyalMailManifestColumns_(table.values[0], profile);
+      if (!m.missing.length) return { table, profile: profile.NAME || "", meta: m.meta };
+      if (!closest || m.missing.length < closest.missing.length) closest = m;
+    }
+  }
+
+  if (!closest) return { table: { name: "", values: [] }, profile: "", meta: {} };
+  throw new Error("RM export missing columns: " + closest.missing.join(", "));
+}
+
+/**
+ * Header row + profile -> { meta: { iOrderName, ... } (-1 = absent), missing: [header] }.
+ */
+function resolveRoyalMailManifestColumns_(headerRow, profile) {
+  const headers = headerRow.map(h => String(h || "").trim().toLowerCase());
+  const columns = profile.COLUMNS || {};
+
+  const meta = {};
+  const found = {};
+  for (const [field, key] of Object.entries(RM_MANIFEST_META_KEYS_)) {
+    meta[key] = -1;
+    for (const name of (columns[field] || [])) {
+      const i = headers.indexOf(String(name).trim().toLowerCase());
+      if (i >= 0) { meta[key] = i; break; }
+    }
+    found[field] = meta[key] >= 0;
+  }
+
+  const missing = (profile.REQUIRED || [])
+    .filter(f => !found[f])
+    .map(f => (columns[f] && columns[f][0]) || f);
+
+  return { meta, missing };
+}
+
+/**
+ * CSV manifests carry UK dates as text ("10/03/2026 14:05"), which Date.parse
+ * would read month-first; converted sheets already hold Dates.
+ */
+function parseRoyalMailDate_(v) {
+  const m = (typeof v === "string") && v.trim().match(/^(\d{1,2})\/(\d{1,2})\/(\d{4})(?:[ T](\d{1,2}):(\d{2})(?::(\d{2}))?)?$/);
+  if (!m) return parseDate_(v);
+  return new Date(+m[3], +m[2] - 1, +m[1], +(m[4] || 0), +(m[5] || 0), +(m[6] || 0));
+}
+
+/*******************************************************
+ * RUN LOG (RoyalMailImports)
+ *******************************************************/
+
+/**
+ * Appends a Running row for file; returns its sheet row for finishRoyalMailImportLog_.
+ */
+function startRoyalMailImportLog_(file) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const c = CFG.COLS.ROYAL_MAIL_IMPORTS;
+
+  let sh = ss.getSheetByName(CFG.SHEETS.ROYAL_MAIL_IMPORTS);
+  if (!sh) {
+    sh = ss.insertSheet(CFG.SHEETS.ROYAL_MAIL_IMPORTS);
+    const headers = [
+      c.FileID, c.FileName, c.StartedAt, c.FinishedAt, c.Status, c.Profile, c.SheetName,
+      c.RowsRead, c.ShipmentsNew, c.ShipmentsUpdated, c.OrdersTouched, c.UnmatchedOrders, c.Error
+    ];
+    sh.getRange(1, 1, 1, headers.length).setValues([headers]);
+    sh.setFrozenRows(1);
+    sh.getRange(1, 1, 1, headers.length).setFontWeight("bold");
+  }
+
+  const map = headerMap_(sh);
+  const row = new Array(getHeaders_(sh).length).fill("");
+  row[requireCol_(map, c.FileID)] = file.getId();
+  row[requireCol_(map, c.FileName)] = file.getName();
+  row[requireCol_(map, c.StartedAt)] = new Date();
+  row[requireCol_(map, c.Status)] = "Running";
+
+  const sheetRow = sh.getLastRow() + 1;
+  sh.getRange(sheetRow, 1, 1, row.length).setValues([row]);
+  return sheetRow;
+}
+
+/**
+ * Completes a log row: result from importRoyalMailManifestFile_ (null on failure) + error message.
+ */
+function finishRoyalMailImportLog_(sheetRow, result, error) {
+  const sh = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CFG.SHEETS.ROYAL_MAIL_IMPORTS);
+  const map = headerMap_(sh);
+  const c = CFG.COLS.ROYAL_MAIL_IMPORTS;
+
+  const width = getHeaders_(sh).length;
+  const range = sh.getRange(sheetRow, 1, 1, width);
+  const row = range.getValues()[0];
+  const set = (h, v) => { const i = optionalCol_(map, h); if (i >= 0) row[i] = v; };
+
+  set(c.FinishedAt, new Date());
+  set(c.Status, error ? "Failed" : "OK");
+  set(c.Error, error || "");
+
+  if (result) {
+    set(c.Profile, result.profile);
+    set(c.SheetName, result.sheetName);
+    set(c.RowsRead, result.rowsRead);
+    set(c.ShipmentsNew, result.newShipments);
+    set(c.ShipmentsUpdated, result.updatedShipments);
+    set(c.OrdersTouched, result.ordersTouched);
+    set(c.UnmatchedOrders, result.unmatchedOrderNames.join("\n"));
   }
+
+  range.setValues([row]);
 }
 
 function convertToGoogleSheet_(fileId, fileName) {
@@ -245,7 +424,7 @@ function upsertShipmentsFromRMRows_(rows, meta) {
 
     const manifest = String(r[meta.iManifest] || "").trim();
     const rmBatch  = String(r[meta.iRmBatch] || "").trim();
-    const despatchedAt = parseDate_(r[meta.iDespatch]) || "";
+    const despatchedAt = parseRoyalMailDate_(r[meta.iDespatch]) || "";
     const service = (meta.iService >= 0) ? String(r[meta.iService] || "").trim() : "";
     const pkgSize = (meta.iPkgSize >= 0) ? String(r[meta.iPkgSize] || "").trim() : "";
     const weight  = (meta.iWeightKg >= 0) ? r[meta.iWeightKg] : "";
@@ -297,7 +476,7 @@ function upsertShipmentsFromRMRows_(rows, meta) {
     writeRowsByRuns_(sh, existing, changedRows, headers.length);
   }
 
-  return { appendedCount, orderNamesTouched: Array.from(touched) };
+  return { appendedCount, updatedCount: changedRows.length, orderNamesTouched: Array.from(touched) };
 }
 
 function mirrorShipmentsToOrders_(orderNamesTouched) {
@@ -308,7 +487,7 @@ function mirrorShipmentsToOrders_(orderNamesTouched) {
   if (!shS) throw new Error(`Missing sheet: ${CFG.SHEETS.SHIPMENTS}`);
 
   const touched = new Set(orderNamesTouched || []);
-  if (!touched.size) return;
+  if (!touched.size) return { matchedOrderNames: [] };
 
   const oMap = headerMap_(shO);
   const sMap = headerMap_(shS);
@@ -330,6 +509,7 @@ function mirrorShipmentsToOrders_(orderNamesTouched) {
   const iSMani     = requireCol_(sMap, cS.RoyalMailManifestNo);
   const iSStat     = requireCol_(sMap, cS.TrackingStatus);
 
+  const matched = new Set();
   const deliveredToken = normTrackingStatus_(CFG.ROYAL_MAIL.TRACKING_STATUS_DELIVERED || "Delivered");
 
   const sLastRow = shS.getLastRow();
@@ -382,6 +562,7 @@ function mirrorShipmentsToOrders_(orderNamesTouched) {
 
     const a = agg.get(on);
     if (!a) continue;
+    matched.add(on);
 
     const before = row.join("\u0001");
 
@@ -412,6 +593,8 @@ function mirrorShipmentsToOrders_(orderNamesTouched) {
   }
 
   if (changedRows.length) writeRowsByRuns_(shO, oVals, changedRows, oLastCol);
+
+  return { matchedOrderNames: Array.from(matched) };
 }
 
 function mirrorOrdersToBatchOrders_(orderNamesTouched) {
@@ -0,0 +1,272 @@
+/***************************************
+ * batchSheet.js
+ *
+ * "Generate batch sheet": a printable pick/print sheet for one BatchID.
+ * - one line per OrderItems row in the batch (order, SKU, title, qty, profile breakdown, units)
+ * - batch totals per print profile code
+ * - BatchID as text + Code 39 barcode
+ * Rendered to HTML, converted to PDF, saved into CFG.BATCH_SHEET.FOLDER_ID and
+ * linked from Batches.BatchSheetUrl (or Notes if that column is absent).
+ ***************************************/
+
+/**
+ * Menu: prompt for a BatchID and generate its sheet.
+ */
+function generateBatchSheetFromMenu() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const ui = SpreadsheetApp.getUi();
+
+  const resp = ui.prompt("Generate batch sheet", "BatchID:", ui.ButtonSet.OK_CANCEL);
+  if (resp.getSelectedButton() !== ui.Button.OK) return;
+
+  const res = generateBatchSheet(resp.getResponseText());
+  ss.toast(`Batch sheet saved: ${res.fileName}`, "Batch sheet", 6);
+}
+
+/**
+ * Sidebar / menu entrypoint.
+ */
+function generateBatchSheet(batchIdInput) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
+  ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  try {
+    return generateBatchSheet_(batchIdInput);
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/*******************************************************
+ * CORE
+ *******************************************************/
+function generateBatchSheet_(batchIdInput) {
+  const batchId = String(batchIdInput || "").trim();
+  if (!batchId) throw new Error("BatchID is required");
+
+  const folderId = CFG.BATCH_SHEET && CFG.BATCH_SHEET.FOLDER_ID;
+  if (!folderId) throw new Error("CFG.BATCH_SHEET.FOLDER_ID is not set.");
+
+  const model = buildBatchSheetModel_(batchId);
+  const html = renderBatchSheetHtml_(model);
+
+  const prefix = (CFG.BATCH_SHEET && CFG.BATCH_SHEET.FILE_NAME_PREFIX) || "Batch Sheet";
+  const fileName = `${prefix} - ${batchId}.pdf`;
+
+  const pdf = Utilities.newBlob(html, MimeType.HTML, `${batchId}.html`)
+    .getAs(MimeType.PDF)
+    .setName(fileName);
+
+  const file = DriveApp.getFolderById(folderId).createFile(pdf);
+  const url = file.getUrl();
+
+  linkBatchSheet_(model.sheetRow, url);
+
+  return { batchId, fileId: file.getId(), fileName, url, lines: model.lines.length };
+}
+
+function buildBatchSheetModel_(batchId) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const shB  = ss.getSheetByName(CFG.SHEETS.BATCHES);
+  const shOI = ss.getSheetByName(CFG.SHEETS.ORDER_ITEMS);
+  if (!shB)  throw new Error(`Missing sheet: ${CFG.SHEETS.BATCHES}`);
+  if (!shOI) throw new Error(`Missing sheet: ${CFG.SHEETS.ORDER_ITEMS}`);
+
+  const bMap = headerMap_(shB);
+  const cB = CFG.COLS.BATCHES;
+  const iBId   = requireCol_(bMap, cB.BatchID);
+  const iBName = optionalCol_(bMap, cB.PrintBatchName);
+  const iBDate = optionalCol_(bMap, cB.BatchDate);
+  const iBType = optionalCol_(bMap, cB.BatchType);
+  const iBKey  = optionalCol_(bMap, cB.PrintProfileKey);
+
+  const bValues = readDataRange_(shB).values;
+  const bIdx = bValues.findIndex(r => String(r[iBId] || "").trim() === batchId);
+  if (bIdx < 0) throw new Error(`Batch not found: ${batchId}`);
+  const b = bValues[bIdx];
+
+  const oiMap = headerMap_(shOI);
+  const cOI = CFG.COLS.ORDER_ITEMS;
+  const iOrder = requireCol_(oiMap, cOI.OrderName);
+  const iBatch = requireCol_(oiMap, cOI.PrintBatchID);
+  const iSku   = requireCol_(oiMap, cOI.SKU);
+  const iQty   = requireCol_(oiMap, cOI.Qty);
+  const iKey   = requireCol_(oiMap, cOI.PrintProfileKey);
+  const iUnits = requireCol_(oiMap, cOI.PrintUnits);
+  const iTitle = optionalCol_(oiMap, cOI.ProductTitle);
+
+  const lines = [];
+  const totalsByCode = new Map();
+  const orders = new Set();
+
+  for (const r of readDataRange_(shOI).values) {
+    if (String(r[iBatch] || "").trim() !== batchId) continue;
+
+    const qty = toInt_(r[iQty], 0);
+    const profileKey = String(r[iKey] || "").trim();
+    const parts = parsePrintProfileKey_(profileKey);
+
+    for (const p of parts) {
+      totalsByCode.set(p.code, (totalsByCode.get(p.code) || 0) + p.count * qty);
+    }
+
+    const orderName = String(r[iOrder] || "").trim();
+    if (orderName) orders.add(orderName);
+
+    lines.push({
+      orderName,
+      sku: String(r[iSku] || "").trim(),
+      productTitle: (iTitle >= 0) ? String(r[iTitle] || "").trim() : "",
+      qty,
+      breakdown: parts.map(p => `${printProfileLabel_(p.code)} ×${p.count * qty}`).join(", "),
+      printUnits: toInt_(r[iUnits], 0)
+    });
+  }
+
+  if (!lines.length) throw new Error(`Batch ${batchId} has no OrderItems assigned.`);
+
+  lines.sort((a, b2) => a.orderName.localeCompare(b2.orderName) || a.sku.localeCompare(b2.sku));
+
+  const batchDate = (iBDate >= 0) ? parseDate_(b[iBDate]) : null;
+
+  return {
+    batchId,
+    sheetRow: bIdx + 2,
+    name: (iBName >= 0) ? String(b[iBName] || "").trim() : "",
+    batchType: (iBType >= 0) ? String(b[iBType] || "").trim() : "",
+    profileKey: (iBKey >= 0) ? String(b[iBKey] || "").trim() : "",
+    batchDateDisplay: batchDate ? Utilities.formatDate(batchDate, CFG.TIMEZONE, CFG.FORMATS.DATE_UK) : "",
+    generatedAtDisplay: Utilities.formatDate(new Date(), CFG.TIMEZONE, CFG.FORMATS.DATETIME_UK),
+    lines,
+    orderCount: orders.size,
+    totalUnits: lines.reduce((a, l) => a + l.printUnits, 0),
+    totals: Array.from(totalsByCode.entries())
+      .sort((a, b2) => a[0].localeCompare(b2[0]))
+      .map(([code, units]) => ({ code, label: printProfileLabel_(code), units }))
+  };
+}
+
+function linkBatchSheet_(sheetRow, url) {
+  const shB = SpreadsheetApp.getActiveSpreadsheet().getSheetByName(CFG.SHEETS.BATCHES);
+  const bMap = headerMap_(shB);
+  const iUrl = optionalCol_(bMap, CFG.COLS.BATCHES.BatchSheetUrl);
+
+  if (iUrl >= 0) {
+    shB.getRange(sheetRow, iUrl + 1).setValue(url);
+    return;
+  }
+
+  const iNotes = optionalCol_(bMap, CFG.COLS.BATCHES.Notes);
+  if (iNotes >= 0) {
+    const cell = shB.getRange(sheetRow, iNotes + 1);
+    cell.setValue(appendNewlineList_(cell.getValue(), `Batch sheet: ${url}`));
+  }
+}
+
+function printProfileLabel_(code) {
+  const map = (CFG.BATCH && CFG.BATCH.CATEGORY_LABEL_MAP) ? CFG.BATCH.CATEGORY_LABEL_MAP : {};
+  return map[code] || code;
+}
+
+/*******************************************************
+ * RENDERING
+ *******************************************************/
+function renderBatchSheetHtml_(m) {
+  const esc = escapeHtml_;
+
+  const rows = m.lines.map(l => `
+    <tr>
+      <td>${esc(l.orderName)}</td>
+      <td>${esc(l.sku)}</td>
+      <td>${esc(l.productTitle)}</td>
+      <td class="num">${l.qty}</td>
+      <td>${esc(l.breakdown)}</td>
+      <td class="num">${l.printUnits}</td>
+    </tr>`).join("");
+
+  const totals = m.totals.map(t => `<tr><td>${esc(t.label)}</td><td>${esc(t.code)}</td><td class="num">${t.units}</td></tr>`).join("");
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+<meta charset="utf-8" />
+<style>
+  body { font-family: Arial, sans-serif; font-size: 11px; color: #000; }
+  h1 { font-size: 18px; margin: 0 0 4px; }
+  .meta { margin-bottom: 10px; }
+  .batchid { font-family: "Courier New", monospace; font-size: 20px; font-weight: bold; letter-spacing: 2px; }
+  table.lines, table.totals { border-collapse: collapse; width: 100%; margin-top: 8px; }
+  table.lines th, table.lines td, table.totals th, table.totals td { border: 1px solid #999; padding: 3px 5px; text-align: left; }
+  th { background: #eee; }
+  .num { text-align: right; }
+  table.barcode { border-collapse: collapse; margin: 6px 0; }
+  table.barcode td { height: 40px; padding: 0; }
+</style>
+</head>
+<body>
+  <h1>${esc(m.name || m.batchId)}</h1>
+  <div class="batchid">${esc(m.batchId)}</div>
+  ${renderCode39Html_(m.batchId)}
+  <div class="meta">
+    Batch date: ${esc(m.batchDateDisplay)} &nbsp;•&nbsp; Type: ${esc(m.batchType)} &nbsp;•&nbsp; Profile: ${esc(m.profileKey)}<br />
+    Orders: ${m.orderCount} &nbsp;•&nbsp; Lines: ${m.lines.length} &nbsp;•&nbsp; Total print units: <b>${m.totalUnits}</b><br />
+    Generated: ${esc(m.generatedAtDisplay)}
+  </div>
+
+  <table class="totals">
+    <tr><th>Print profile</th><th>Code</th><th class="num">Units</th></tr>
+    ${totals}
+  </table>
+
+  <table class="lines">
+    <tr><th>Order</th><th>SKU</th><th>Product</th><th class="num">Qty</th><th>Print breakdown</th><th class="num">Units</th></tr>
+    ${rows}
+  </table>
+</body>
+</html>`;
+}
+
+/**
+ * Code 39 barcode as a one-row table of black/white cells (no fonts or images needed).
+ * Unsupported characters are dropped; the value is wrapped in the * start/stop symbol.
+ */
+function renderCode39Html_(value) {
+  const patterns = getCode39Patterns_();
+  const chars = ("*" + String(value || "").toUpperCase().split("").filter(ch => patterns[ch] && ch !== "*").join("") + "*").split("");
+
+  const NARROW = 2;
+  const WIDE = 5;
+  const cells = [];
+
+  chars.forEach((ch, ci) => {
+    const p = patterns[ch];
+    for (let i = 0; i < p.length; i++) {
+      const w = (p[i] === "w") ? WIDE : NARROW;
+      const colour = (i % 2 === 0) ? "#000" : "#fff";
+      cells.push(`<td style="width:${w}px;background:${colour};"></td>`);
+    }
+    if (ci < chars.length - 1) cells.push(`<td style="width:${NARROW}px;background:#fff;"></td>`);
+  });
+
+  return `<table class="barcode"><tr>${cells.join("")}</tr></table>`;
+}
+
+/**
+ * Bar/space widths per character: 9 elements, starting with a bar (n = narrow, w = wide).
+ */
+function getCode39Patterns_() {
+  return {
+    "0": "nnnwwnwnn", "1": "wnnwnnnnw", "2": "nnwwnnnnw", "3": "wnwwnnnnn", "4": "nnnwwnnnw",
+    "5": "wnnwwnnnn", "6": "nnwwwnnnn", "7": "nnnwnnwnw", "8": "wnnwnnwnn", "9": "nnwwnnwnn",
+    "A": "wnnnnwnnw", "B": "nnwnnwnnw", "C": "wnwnnwnnn", "D": "nnnnwwnnw", "E": "wnnnwwnnn",
+    "F": "nnwnwwnnn", "G": "nnnnnwwnw", "H": "wnnnnwwnn", "I": "nnwnnwwnn", "J": "nnnnwwwnn",
+    "K": "wnnnnnnww", "L": "nnwnnnnww", "M": "wnwnnnnwn", "N": "nnnnwnnww", "O": "wnnnwnnwn",
+    "P": "nnwnwnnwn", "Q": "nnnnnnwww", "R": "wnnnnnwwn", "S": "nnwnnnwwn", "T": "nnnnwnwwn",
+    "U": "wwnnnnnnw", "V": "nwwnnnnnw", "W": "wwwnnnnnn", "X": "nwnnwnnnw", "Y": "wwnnwnnnn",
+    "Z": "nwwnwnnnn", "-": "nwnnnnwnw", ".": "wwnnnnwnn", " ": "nwwnnnwnn", "$": "nwnwnwnnn",
+    "/": "nwnwnnnwn", "+": "nwnnnwnwn", "%": "nnnwnwnwn", "*": "nwnnwnwnn"
+  };
+}
@@ -0,0 +1,247 @@
+/***************************************
+ * packStation.js
+ *
+ * Pack tab of the Order Queue sidebar:
+ * - look up an order by scanned/typed name
+ * - list its OrderItems lines
+ * - stamp OrderItems.PackedAt / PackedBy per line item
+ *
+ * Orders.OrderStatus then flows to Packed via the normal derivation
+ * (upsertOrdersFromReadyOrderItems_).
+ ***************************************/
+
+/**
+ * Sidebar: returns the order and its line items for the pack screen.
+ */
+function getPackOrder(orderNameInput) {
+  applySettings_();
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const shOI = ss.getSheetByName(CFG.SHEETS.ORDER_ITEMS);
+  if (!shOI) throw new Error(`Missing sheet: ${CFG.SHEETS.ORDER_ITEMS}`);
+
+  const ctx = readPackContext_(shOI);
+  const orderName = resolveScannedOrderName_(ctx, orderNameInput);
+  if (!orderName) {
+    return { found: false, query: String(orderNameInput || "").trim(), items: [] };
+  }
+
+  const items = ctx.rowsByOrder.get(orderName).map(x => packItemView_(ctx, x.row));
+
+  return {
+    found: true,
+    orderName,
+    status: getOrderStatusByName_(orderName),
+    items,
+    allPacked: items.every(it => it.packed),
+    totalUnits: items.reduce((a, it) => a + (it.printUnits || 0), 0)
+  };
+}
+
+/**
+ * Sidebar: stamps PackedAt/PackedBy on the given line items of an order,
+ * then re-derives that order's status. The order must be Ready to Pack
+ * (or Packed, for a repeat scan) and every ticked line printed.
+ *
+ * payload: { orderName, lineItemIds: string[] }
+ */
+function completePackOrder(payload) {
+  applySettings_();
+
+  const p = payload || {};
+  const orderName = String(p.orderName || "").trim();
+  const wanted = new Set((Array.isArray(p.lineItemIds) ? p.lineItemIds : [])
+    .map(x => String(x || "").trim())
+    .filter(Boolean));
+
+  if (!orderName) throw new Error("orderName is required");
+  if (!wanted.size) throw new Error("Tick at least one line item");
+
+  const currentStatus = getOrderStatusByName_(orderName);
+  if (currentStatus === CFG.STATUS.HOLD) {
+    throw new Error(`${orderName} is on ${CFG.STATUS.HOLD}; release it before packing.`);
+  }
+  if (currentStatus !== CFG.STATUS.READY && currentStatus !== CFG.STATUS.PACKED) {
+    throw new Error(`${orderName} is ${currentStatus || "not in " + CFG.SHEETS.ORDERS}, not ${CFG.STATUS.READY}.`);
+  }
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const shOI = ss.getSheetByName(CFG.SHEETS.ORDER_ITEMS);
+  if (!shOI) throw new Error(`Missing sheet: ${CFG.SHEETS.ORDER_ITEMS}`);
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  try {
+    const ctx = readPackContext_(shOI);
+    const rows = ctx.rowsByOrder.get(orderName) || [];
+    if (!rows.length) throw new Error(`Order not found in ${CFG.SHEETS.ORDER_ITEMS}: ${orderName}`);
+
+    // Validate the whole payload before writing anything
+    const onOrder = new Set(rows.map(x => String(x.row[ctx.iLineItemID] || "").trim()));
+    const unknown = Array.from(wanted).filter(id => !onOrder.has(id));
+    if (unknown.length) {
+      throw new Error(`Line items not on ${orderName}: ${unknown.join(", ")}`);
+    }
+    const unprinted = rows
+      .filter(x => wanted.has(String(x.row[ctx.iLineItemID] || "").trim()) && !x.row[ctx.iPrintedAt])
+      .map(x => String(x.row[ctx.iLineItemID] || "").trim());
+    if (unprinted.length) {
+      throw new Error(`Line items not printed yet on ${orderName}: ${unprinted.join(", ")}`);
+    }
+
+    const now = new Date();
+    const user = getActiveUserEmail_();
+
+    let packed = 0;
+    let alreadyPacked = 0;
+    const stampedRows = [];
+
+    for (const x of rows) {
+      const lineItemId = String(x.row[ctx.iLineItemID] || "").trim();
+      if (!wanted.has(lineItemId)) continue;
+
+      if (x.row[ctx.iPackedAt]) {
+        alreadyPacked++;
+        continue;
+      }
+
+      x.row[ctx.iPackedAt] = now;
+      x.row[ctx.iPackedBy] = user;
+      stampedRows.push(x.sheetRow);
+      packed++;
+    }
+
+    if (packed) {
+      writePackStamps_(shOI, stampedRows, now, user, ctx);
+
+      upsertOrdersFromReadyOrderItems_({ orderNames: [orderName] });
+      mirrorOrdersToBatchOrders_([orderName]);
+      rollUpBatchStatuses_({ orderNames: [orderName] });
+    }
+
+    return {
+      orderName,
+      packed,
+      alreadyPacked,
+      status: getOrderStatusByName_(orderName)
+    };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/***************
+ * Internals
+ ***************/
+
+function readPackContext_(shOI) {
+  const map = headerMap_(shOI);
+  const c = CFG.COLS.ORDER_ITEMS;
+
+  const ctx = {
+    iOrderName:  requireCol_(map, c.OrderName),
+    iLineItemID: requireCol_(map, c.LineItemID),
+    iSKU:        requireCol_(map, c.SKU),
+    iQty:        requireCol_(map, c.Qty),
+    iPackedAt:   requireCol_(map, c.PackedAt),
+    iPackedBy:   requireCol_(map, c.PackedBy),
+    iPrintedAt:  requireCol_(map, c.PrintedAt),
+    iTitle:      optionalCol_(map, c.ProductTitle),
+    iUnits:      optionalCol_(map, c.PrintUnits),
+    iProfileKey: optionalCol_(map, c.PrintProfileKey),
+    iCategory:   optionalCol_(map, c.PrintCategory),
+    iBatchID:    optionalCol_(map, c.PrintBatchID),
+    iExcluded:   optionalCol_(map, c.Excluded),
+    iCancelled:  optionalCol_(map, c.CancelledAt),
+    rowsByOrder: new Map(),
+    values: []
+  };
+
+  const lastRow = shOI.getLastRow();
+  const lastCol = shOI.getLastColumn();
+  const values = (lastRow >= 2) ? shOI.getRange(2, 1, lastRow - 1, lastCol).getValues() : [];
+  ctx.values = values;
+
+  for (let i = 0; i < values.length; i++) {
+    const orderName = String(values[i][ctx.iOrderName] || "").trim();
+    if (!orderName || isExcludedRow_(values[i], ctx.iExcluded) || isCancelledRow_(values[i], ctx.iCancelled)) continue;
+    if (!ctx.rowsByOrder.has(orderName)) ctx.rowsByOrder.set(orderName, []);
+    ctx.rowsByOrder.get(orderName).push({ sheetRow: i + 2, row: values[i] });
+  }
+
+  return ctx;
+}
+
+/**
+ * Writes PackedAt/PackedBy for the stamped sheet rows only, one range per
+ * contiguous run of rows.
+ */
+function writePackStamps_(shOI, sheetRows, packedAt, packedBy, ctx) {
+  const sorted = Array.from(new Set(sheetRows)).sort((a, b) => a - b);
+  let start = 0;
+  for (let i = 1; i <= sorted.length; i++) {
+    if (i < sorted.length && sorted[i] === sorted[i - 1] + 1) continue;
+
+    const num = i - start;
+    const atCells = shOI.getRange(sorted[start], ctx.iPackedAt + 1, num, 1);
+    atCells.setValues(new Array(num).fill(0).map(() => [packedAt]));
+    atCells.setNumberFormat(CFG.FORMATS.DATETIME_UK);
+    shOI.getRange(sorted[start], ctx.iPackedBy + 1, num, 1)
+      .setValues(new Array(num).fill(0).map(() => [packedBy]));
+    start = i;
+  }
+}
+
+/**
+ * Scanners often drop the leading "#" or change case; match leniently.
+ */
+function resolveScannedOrderName_(ctx, input) {
+  const q = String(input || "").trim();
+  if (!q) return "";
+  if (ctx.rowsByOrder.has(q)) return q;
+
+  const norm = (s) => String(s || "").trim().replace(/^#/, "").toLowerCase();
+  const target = norm(q);
+  for (const name of ctx.rowsByOrder.keys()) {
+    if (norm(name) === target) return name;
+  }
+  return "";
+}
+
+function packItemView_(ctx, row) {
+  const packedAt = parseDate_(row[ctx.iPackedAt]);
+  const col = (i) => (i >= 0 ? row[i] : "");
+
+  return {
+    lineItemId: String(row[ctx.iLineItemID] || "").trim(),
+    sku: String(row[ctx.iSKU] || "").trim(),
+    productTitle: String(col(ctx.iTitle) || "").trim(),
+    qty: toInt_(row[ctx.iQty], 0),
+    printUnits: toInt_(col(ctx.iUnits), 0),
+    printProfileKey: String(col(ctx.iProfileKey) || "").trim(),
+    printCategory: String(col(ctx.iCategory) || "").trim(),
+    printBatchId: String(col(ctx.iBatchID) || "").trim(),
+    packed: !!row[ctx.iPackedAt],
+    packedAtDisplay: packedAt ? Utilities.formatDate(packedAt, CFG.TIMEZONE, CFG.FORMATS.DATETIME_UK) : "",
+    packedBy: String(row[ctx.iPackedBy] || "").trim()
+  };
+}
+
+function getOrderStatusByName_(orderName) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const shO = ss.getSheetByName(CFG.SHEETS.ORDERS);
+  if (!shO) throw new Error(`Missing sheet: ${CFG.SHEETS.ORDERS}`);
+
+  const map = headerMap_(shO);
+  const iOrder = requireCol_(map, CFG.COLS.ORDERS.OrderName);
+  const iStatus = requireCol_(map, CFG.COLS.ORDERS.Status);
+
+  const lastRow = shO.getLastRow();
+  const lastCol = shO.getLastColumn();
+  const values = (lastRow >= 2) ? shO.getRange(2, 1, lastRow - 1, lastCol).getValues() : [];
+
+  for (const r of values) {
+    if (String(r[iOrder] || "").trim() === orderName) return String(r[iStatus] || "").trim();
+  }
+  return "";
+}
@@ -0,0 +1,194 @@
+/***************************************
+ * printStation.js
+ *
+ * "Mark batch printed":
+ * - stamps Batches.PrintedAt / PrintedBy and moves Status to Printed (batchLifecycle.js)
+ * - stamps OrderItems.PrintedAt / PrintedBy for every row in that PrintBatchID
+ * - re-derives the affected Orders (-> Ready to Pack) and mirrors to BatchOrders
+ ***************************************/
+
+/**
+ * Menu: prompt for a BatchID and mark it printed.
+ */
+function markBatchPrintedFromMenu() {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const ui = SpreadsheetApp.getUi();
+
+  const resp = ui.prompt("Mark batch printed", "BatchID (e.g. B-20260309-AUTO-B64-001):", ui.ButtonSet.OK_CANCEL);
+  if (resp.getSelectedButton() !== ui.Button.OK) return;
+
+  const res = markBatchPrinted(resp.getResponseText());
+  ss.toast(`${res.batchId} printed: ${res.itemsStamped} item(s), ${res.ordersTouched} order(s) updated`, "Print", 6);
+}
+
+/**
+ * Sidebar / menu entrypoint (locks, then delegates).
+ */
+function markBatchPrinted(batchIdInput, options) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
+  ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  try {
+    return markBatchPrinted_(batchIdInput, options || {});
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/**
+ * Sidebar: batches not yet printed, oldest first.
+ */
+function getPrintableBatches() {
+  applySettings_();
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const shB = ss.getSheetByName(CFG.SHEETS.BATCHES);
+  if (!shB) throw new Error(`Missing sheet: ${CFG.SHEETS.BATCHES}`);
+
+  const map = headerMap_(shB);
+  const c = CFG.COLS.BATCHES;
+  const iId      = requireCol_(map, c.BatchID);
+  const iPrinted = requireCol_(map, c.PrintedAt);
+  const iName    = optionalCol_(map, c.PrintBatchName);
+  const iDate    = optionalCol_(map, c.BatchDate);
+  const iStatus  = optionalCol_(map, c.Status);
+  const iUnits   = optionalCol_(map, c.TotalPrintUnits);
+  const iLines   = optionalCol_(map, c.LineItemCount);
+
+  const lastRow = shB.getLastRow();
+  const lastCol = shB.getLastColumn();
+  const values = (lastRow >= 2) ? shB.getRange(2, 1, lastRow - 1, lastCol).getValues() : [];
+
+  const items = [];
+  for (const r of values) {
+    const batchId = String(r[iId] || "").trim();
+    if (!batchId || r[iPrinted]) continue;
+    if (iStatus >= 0 && String(r[iStatus] || "").trim() === CFG.BATCH_STATUS.CANCELLED) continue;
+
+    const dt = (iDate >= 0) ? parseDate_(r[iDate]) : null;
+    items.push({
+      batchId,
+      name: (iName >= 0) ? String(r[iName] || "").trim() : "",
+      status: (iStatus >= 0) ? String(r[iStatus] || "").trim() : "",
+      batchDate: dt ? dt.toISOString() : "",
+      totalPrintUnits: (iUnits >= 0) ? toInt_(r[iUnits], 0) : 0,
+      lineItemCount: (iLines >= 0) ? toInt_(r[iLines], 0) : 0
+    });
+  }
+
+  items.sort((a, b) => (a.batchDate || "").localeCompare(b.batchDate || "") || a.batchId.localeCompare(b.batchId));
+  return { count: items.length, items };
+}
+
+/*******************************************************
+ * CORE
+ *******************************************************/
+function markBatchPrinted_(batchIdInput, options) {
+  const opts = options || {};
+  const batchId = String(batchIdInput || "").trim();
+  if (!batchId) throw new Error("BatchID is required");
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const shB  = ss.getSheetByName(CFG.SHEETS.BATCHES);
+  const shOI = ss.getSheetByName(CFG.SHEETS.ORDER_ITEMS);
+  if (!shB)  throw new Error(`Missing sheet: ${CFG.SHEETS.BATCHES}`);
+  if (!shOI) throw new Error(`Missing sheet: ${CFG.SHEETS.ORDER_ITEMS}`);
+
+  const bMap = headerMap_(shB);
+  const cB = CFG.COLS.BATCHES;
+  const iBId       = requireCol_(bMap, cB.BatchID);
+  const iBPrinted  = requireCol_(bMap, cB.PrintedAt);
+  const iBPrintBy  = requireCol_(bMap, cB.PrintedBy);
+  const iBStatus   = requireCol_(bMap, cB.Status);
+
+  const oiMap = headerMap_(shOI);
+  const cOI = CFG.COLS.ORDER_ITEMS;
+  const iOiOrder   = requireCol_(oiMap, cOI.OrderName);
+  const iOiBatch   = requireCol_(oiMap, cOI.PrintBatchID);
+  const iOiPrinted = requireCol_(oiMap, cOI.PrintedAt);
+  const iOiPrintBy = requireCol_(oiMap, cOI.PrintedBy);
+
+  // ---- Locate batch row
+  const bLastRow = shB.getLastRow();
+  const bLastCol = shB.getLastColumn();
+  const bValues = (bLastRow >= 2) ? shB.getRange(2, 1, bLastRow - 1, bLastCol).getValues() : [];
+
+  let bRow0 = -1;
+  for (let i = 0; i < bValues.length; i++) {
+    if (String(bValues[i][iBId] || "").trim() === batchId) { bRow0 = i; break; }
+  }
+  if (bRow0 < 0) throw new Error(`Batch not found: ${batchId}`);
+
+  if (bValues[bRow0][iBPrinted] && opts.force !== true) {
+    throw new Error(`Batch ${batchId} is already marked printed.`);
+  }
+
+  const currentStatus = normalizeBatchStatus_(bValues[bRow0][iBStatus]);
+  const printedStatus = CFG.BATCH_STATUS.PRINTED;
+  const advance = canTransitionBatchStatus_(currentStatus, printedStatus);
+  if (!advance && batchStatusRank_(currentStatus) < 0 && opts.force !== true) {
+    throw new Error(`Batch ${batchId} has status "${currentStatus}"; cannot mark printed.`);
+  }
+
+  const now = new Date();
+  const user = getActiveUserEmail_();
+
+  // ---- Stamp member OrderItems (keep earlier stamps on re-print)
+  const oiLastRow = shOI.getLastRow();
+  const oiLastCol = shOI.getLastColumn();
+  const oiValues = (oiLastRow >= 2) ? shOI.getRange(2, 1, oiLastRow - 1, oiLastCol).getValues() : [];
+
+  const outPrinted = new Array(oiValues.length);
+  const outPrintBy = new Array(oiValues.length);
+  const orderNames = new Set();
+  let memberCount = 0;
+  let stamped = 0;
+
+  for (let r = 0; r < oiValues.length; r++) {
+    const row = oiValues[r];
+    outPrinted[r] = [row[iOiPrinted]];
+    outPrintBy[r] = [row[iOiPrintBy]];
+
+    if (String(row[iOiBatch] || "").trim() !== batchId) continue;
+    memberCount++;
+
+    const orderName = String(row[iOiOrder] || "").trim();
+    if (orderName) orderNames.add(orderName);
+
+    if (row[iOiPrinted]) continue;
+    outPrinted[r] = [now];
+    outPrintBy[r] = [user];
+    stamped++;
+  }
+
+  if (!memberCount) throw new Error(`Batch ${batchId} has no OrderItems assigned.`);
+
+  if (stamped) {
+    shOI.getRange(2, iOiPrinted + 1, oiValues.length, 1).setValues(outPrinted);
+    shOI.getRange(2, iOiPrintBy + 1, oiValues.length, 1).setValues(outPrintBy);
+    shOI.getRange(2, iOiPrinted + 1, oiValues.length, 1).setNumberFormat(CFG.FORMATS.DATETIME_UK);
+  }
+
+  // ---- Stamp batch row (only the 3 columns we own); never move a later-stage batch back
+  const sheetRow = bRow0 + 2;
+  shB.getRange(sheetRow, iBPrinted + 1).setValue(now).setNumberFormat(CFG.FORMATS.DATETIME_UK);
+  shB.getRange(sheetRow, iBPrintBy + 1).setValue(user);
+  if (advance) shB.getRange(sheetRow, iBStatus + 1).setValue(printedStatus);
+
+  // ---- Re-derive Orders + mirror to BatchOrders
+  const touched = Array.from(orderNames);
+  const up = upsertOrdersFromReadyOrderItems_({ orderNames: touched });
+  mirrorOrdersToBatchOrders_(touched);
+  rollUpBatchStatuses_({ orderNames: touched });
+
+  return {
+    batchId,
+    itemsStamped: stamped,
+    memberItems: memberCount,
+    ordersTouched: touched.length,
+    ordersUpdated: up.updatedRows
+  };
+}
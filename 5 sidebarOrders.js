@@ -19,6 +19,8 @@ function include_(name) {
 }
 
 function getOrderQueueData_(options) {
+  applySettings_();
+
   const opts = options || {};
   const statusFilter = String(opts.status || CFG.STATUS.NEW).trim();
   const search = String(opts.search || '').trim().toLowerCase();
@@ -35,6 +37,8 @@ function getOrderQueueData_(options) {
   const iCreated = requireCol_(map, cO.CreatedAt);
   const iStatus = requireCol_(map, cO.Status);
   const iPostcode = optionalCol_(map, cO.Postcode);
+  const iPriority = optionalCol_(map, cO.Priority);
+  const iShipping = optionalCol_(map, cO.ShippingService);
 
   const lastRow = shO.getLastRow();
   const lastCol = shO.getLastColumn();
@@ -51,6 +55,8 @@ function getOrderQueueData_(options) {
 
     const postcode = (iPostcode >= 0) ? String(row[iPostcode] || '').trim() : '';
     const created = parseDate_(row[iCreated]);
+    const priority = (iPriority >= 0) ? String(row[iPriority] || '').trim() : '';
+    const rush = isRushOrder_(priority, (iShipping >= 0) ? row[iShipping] : '');
 
     if (search) {
       const hay = `${orderName} ${postcode} ${status}`.toLowerCase();
@@ -62,6 +68,8 @@ function getOrderQueueData_(options) {
       orderName,
       status,
       postcode,
+      priority,
+      rush,
       createdAt: created ? created.toISOString() : '',
       createdAtDisplay: created
         ? Utilities.formatDate(created, CFG.TIMEZONE, CFG.FORMATS.DATETIME_UK)
@@ -69,7 +77,9 @@ function getOrderQueueData_(options) {
     });
   }
 
+  // Rush first, then oldest first
   items.sort((a, b) => {
+    if (a.rush !== b.rush) return a.rush ? -1 : 1;
     const at = a.createdAt ? Date.parse(a.createdAt) : Number.MAX_SAFE_INTEGER;
     const bt = b.createdAt ? Date.parse(b.createdAt) : Number.MAX_SAFE_INTEGER;
     return at - bt;
@@ -84,6 +94,8 @@ function getOrderQueueData_(options) {
 }
 
 function updateOrderStatuses_(payload) {
+  applySettings_();
+
   const p = payload || {};
   const targetStatus = String(p.targetStatus || '').trim();
   const orderNames = Array.isArray(p.orderNames) ? p.orderNames : [];
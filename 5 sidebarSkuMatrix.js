@@ -0,0 +1,209 @@
+/***************************************
+ * sidebarSkuMatrix.js
+ *
+ * SKU_Matrix quick-add sidebar:
+ * - Lists distinct OrderItems SKUs missing from SKU_Matrix (title + counts)
+ * - Builds PrintProfileKeys like "B86:1|B54:2" from CATEGORY_LABEL_MAP codes
+ * - Appends the row, then re-enriches only the OrderItems rows with that SKU
+ ***************************************/
+
+/*******************************************************
+ * PUBLIC ENTRYPOINTS (menu + sidebar)
+ *******************************************************/
+function openSkuMatrixSidebar() {
+  const html = HtmlService.createTemplateFromFile("sidebarSkuMatrix")
+    .evaluate()
+    .setTitle("SKU_Matrix Quick-Add")
+    .setWidth(420);
+
+  SpreadsheetApp.getUi().showSidebar(html);
+}
+
+/**
+ * Sidebar: unmatched SKUs plus the codes/modes the form offers.
+ * Returns { count, items: [{ sku, title, lineItems, qty, orders }], codes, printModes }.
+ */
+function getUnmatchedSkus() {
+  applySettings_();
+
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  const shOI = ss.getSheetByName(CFG.SHEETS.ORDER_ITEMS);
+  const shM = ss.getSheetByName(CFG.SHEETS.SKU_MATRIX);
+  if (!shOI) throw new Error(`Missing sheet: ${CFG.SHEETS.ORDER_ITEMS}`);
+  if (!shM) throw new Error(`Missing sheet: ${CFG.SHEETS.SKU_MATRIX}`);
+
+  const map = headerMap_(shOI);
+  const cOI = CFG.COLS.ORDER_ITEMS;
+  const iSKU = requireCol_(map, cOI.SKU);
+  const iOrder = requireCol_(map, cOI.OrderName);
+  const iQty = requireCol_(map, cOI.Qty);
+  const iTitle = optionalCol_(map, cOI.ProductTitle);
+
+  const skuMap = readSkuMatrixMap_(shM);
+  const exclusionRules = loadExclusionRules_();
+  const bySku = new Map();
+
+  for (const r of readDataRange_(shOI).values) {
+    const sku = String(r[iSKU] || "").trim();
+    if (!sku || lookupSku_(skuMap, sku) || findExclusionRule_(exclusionRules, sku, null)) continue;
+
+    let agg = bySku.get(sku);
+    if (!agg) {
+      agg = { sku, title: "", lineItems: 0, qty: 0, orders: new Set() };
+      bySku.set(sku, agg);
+    }
+
+    agg.lineItems++;
+    agg.qty += toInt_(r[iQty], 0);
+    agg.orders.add(String(r[iOrder] || "").trim());
+    if (!agg.title && iTitle >= 0) agg.title = String(r[iTitle] || "").trim();
+  }
+
+  const items = Array.from(bySku.values())
+    .map(a => ({ sku: a.sku, title: a.title, lineItems: a.lineItems, qty: a.qty, orders: a.orders.size }))
+    .sort((a, b) => (b.lineItems - a.lineItems) || a.sku.localeCompare(b.sku));
+
+  const labelMap = (CFG.BATCH && CFG.BATCH.CATEGORY_LABEL_MAP) ? CFG.BATCH.CATEGORY_LABEL_MAP : {};
+  const codes = Object.keys(labelMap).map(code => ({ code, label: String(labelMap[code]) }));
+
+  return { count: items.length, items, codes, printModes: getSkuPrintModes_() };
+}
+
+/**
+ * Sidebar: appends { sku, printMode, printProfileKey, printCategory } to
+ * SKU_Matrix and re-enriches the OrderItems rows carrying that SKU.
+ */
+function addSkuMatrixRow(entry) {
+  const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
+  ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
+
+  const lock = LockService.getDocumentLock();
+  lock.waitLock(30000);
+  try {
+    const shM = ss.getSheetByName(CFG.SHEETS.SKU_MATRIX);
+    if (!shM) throw new Error(`Missing sheet: ${CFG.SHEETS.SKU_MATRIX}`);
+
+    const row = validateSkuMatrixEntry_(entry, readSkuMatrixMap_(shM));
+    appendSkuMatrixRow_(shM, row);
+
+    const res = normalizeAndEnrichOrderItems_({ skus: [row.sku] });
+    const up = upsertOrdersFromReadyOrderItems_({ orderNames: res.orderNames });
+
+    ss.toast(
+      `${row.sku} added to ${CFG.SHEETS.SKU_MATRIX}. Re-enriched: ${res.changed}, Orders updated: ${up.updatedRows}, Orders appended: ${up.appendedRows}.`,
+      "SKU_Matrix",
+      6
+    );
+
+    return {
+      sku: row.sku,
+      printMode: row.printMode,
+      printProfileKey: row.printProfileKey,
+      printCategory: row.printCategory,
+      rowsEnriched: res.changed,
+      ordersUpdated: up.updatedRows,
+      ordersAppended: up.appendedRows
+    };
+  } finally {
+    lock.releaseLock();
+  }
+}
+
+/*******************************************************
+ * CORE
+ *******************************************************/
+function getSkuPrintModes_() {
+  const modes = (CFG.SKU_MATRIX && CFG.SKU_MATRIX.PRINT_MODES) ? CFG.SKU_MATRIX.PRINT_MODES : ["PRINT", "NONE"];
+  return modes.map(m => String(m).trim().toUpperCase()).filter(Boolean);
+}
+
+function readSkuMatrixMap_(shM) {
+  const map = headerMap_(shM);
+  const cM = CFG.COLS.SKU_MATRIX;
+  return buildSkuMap_(shM, {
+    mSKU: requireCol_(map, cM.SKU),
+    mMode: requireCol_(map, cM.PrintMode),
+    mKey: requireCol_(map, cM.PrintProfileKey),
+    mCategory: requireCol_(map, cM.PrintCategory),
+    mMatch: optionalCol_(map, cM.MatchType)
+  });
+}
+
+/**
+ * Checks a PrintProfileKey against CATEGORY_LABEL_MAP.
+ * Returns { key, errors, problems } with key normalized to "CODE:N|CODE:N";
+ * problems carry a check name (BAD_KEY | UNKNOWN_CODE) for the lint report.
+ */
+function validatePrintProfileKey_(profileKey) {
+  const labelMap = (CFG.BATCH && CFG.BATCH.CATEGORY_LABEL_MAP) ? CFG.BATCH.CATEGORY_LABEL_MAP : {};
+  const maxCount = toInt_(CFG.SKU_MATRIX && CFG.SKU_MATRIX.MAX_PRINTS_PER_CODE, 99);
+  const problems = [];
+  const parts = [];
+  const seen = new Set();
+
+  for (const raw of String(profileKey || "").split("|").map(s => s.trim()).filter(Boolean)) {
+    const m = raw.match(/^([^:]+?)(?::(\d+))?$/);
+    if (!m) {
+      problems.push({ check: "BAD_KEY", message: `"${raw}" is not CODE or CODE:COUNT` });
+      continue;
+    }
+
+    const code = m[1].trim().toUpperCase();
+    const count = (m[2] === undefined) ? 1 : parseInt(m[2], 10);
+
+    if (labelMap[code] === undefined) problems.push({ check: "UNKNOWN_CODE", message: `unknown category code "${code}"` });
+    else if (seen.has(code)) problems.push({ check: "BAD_KEY", message: `"${code}" appears more than once` });
+    if (count < 1 || count > maxCount) {
+      problems.push({ check: "BAD_KEY", message: `"${code}" count must be 1–${maxCount} (got ${count})` });
+    }
+
+    seen.add(code);
+    parts.push(`${code}:${count}`);
+  }
+
+  return { key: parts.join("|"), errors: problems.map(p => p.message), problems };
+}
+
+/**
+ * Validates and normalizes a quick-add entry; throws with every problem found.
+ */
+function validateSkuMatrixEntry_(entry, skuMap) {
+  const e = entry || {};
+  const labelMap = (CFG.BATCH && CFG.BATCH.CATEGORY_LABEL_MAP) ? CFG.BATCH.CATEGORY_LABEL_MAP : {};
+  const errors = [];
+
+  const sku = String(e.sku || "").trim();
+  if (!sku) errors.push("SKU is blank");
+  else if (skuMap.exact.has(sku)) errors.push(`SKU ${sku} is already in ${CFG.SHEETS.SKU_MATRIX}`);
+
+  const modes = getSkuPrintModes_();
+  const printMode = String(e.printMode || "").trim().toUpperCase();
+  if (!modes.includes(printMode)) errors.push(`PrintMode must be one of ${modes.join(", ")}`);
+
+  const parsed = validatePrintProfileKey_(e.printProfileKey);
+  errors.push(...parsed.errors.map(x => `PrintProfileKey: ${x}`));
+  if (printMode !== "NONE" && !parsed.key) errors.push("PrintProfileKey is required unless PrintMode is NONE");
+
+  let printCategory = String(e.printCategory || "").trim().toUpperCase();
+  if (printCategory && labelMap[printCategory] === undefined) {
+    errors.push(`PrintCategory "${printCategory}" is not in CATEGORY_LABEL_MAP`);
+  }
+  if (!printCategory && printMode !== "NONE") printCategory = primaryCodeFromProfileKey_(parsed.key);
+
+  if (errors.length) throw new Error(errors.join("\n"));
+  return { sku, printMode, printProfileKey: parsed.key, printCategory };
+}
+
+function appendSkuMatrixRow_(shM, row) {
+  const map = headerMap_(shM);
+  const cM = CFG.COLS.SKU_MATRIX;
+  const out = new Array(getHeaders_(shM).length).fill("");
+
+  out[requireCol_(map, cM.SKU)] = row.sku;
+  out[requireCol_(map, cM.PrintMode)] = row.printMode;
+  out[requireCol_(map, cM.PrintProfileKey)] = row.printProfileKey;
+  out[requireCol_(map, cM.PrintCategory)] = row.printCategory;
+
+  shM.getRange(shM.getLastRow() + 1, 1, 1, out.length).setValues([out]);
+}
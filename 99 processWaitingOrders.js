@@ -18,6 +18,7 @@ function processWaitingOrders(options) {
   const staged = (opts.staged === true);
 
   const ss = SpreadsheetApp.getActiveSpreadsheet();
+  applySettings_();
   ss.setSpreadsheetTimeZone(CFG.TIMEZONE);
 
   const started = new Date();
@@ -0,0 +1,154 @@
+/***************************************
+ * batchEdit.test.js
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { processedSandbox, byKey, setCellWhere } = require("./harness/helpers");
+
+const AUTO = "B-20260309-AUTO-B64-001";
+const MISC = "B-20260309-MISC-MISC-001";
+
+function setup() {
+  return processedSandbox({ user: "lead@example.com" });
+}
+
+test("dissolving releases members, cancels the batch and drops its BatchOrders rows", () => {
+  const sb = setup();
+  const res = sb.fns.dissolveBatch(AUTO);
+  assert.deepEqual(res, { batchId: AUTO, itemsReleased: 2, ordersTouched: 2, batchOrdersRemoved: 2 });
+
+  const items = byKey(sb.records("OrderItems"), "LineItemID");
+  assert.equal(items["LI-1"].PrintBatchID, "");
+  assert.equal(items["LI-2"].PrintBatchID, "");
+  assert.equal(items["LI-3"].PrintBatchID, MISC);
+
+  const batch = byKey(sb.records("Batches"), "BatchID")[AUTO];
+  assert.equal(batch.OrderStatus, sb.CFG.BATCH_STATUS.CANCELLED);
+  assert.equal(batch.TotalPrintUnits, 0);
+  assert.equal(batch.LineItemCount, 0);
+  assert.match(batch.Notes, /^Dissolved 10\/03\/2026 12:00 by lead@example\.com: released 2 item\(s\) \/ 9 unit\(s\) from 2 order\(s\)$/);
+
+  assert.deepEqual(sb.records("BatchOrders").map(r => r.BatchOrderID), [`${MISC}|#1002`]);
+
+  const orders = byKey(sb.records("Orders"), "OrderName");
+  assert.equal(orders["#1001"].OrderStatus, sb.CFG.STATUS.NEW);
+  assert.equal(orders["#1002"].OrderStatus, sb.CFG.STATUS.IN_PROD, "mug still batched in MISC");
+
+  assert.throws(() => sb.fns.dissolveBatch(AUTO), /already cancelled/);
+});
+
+test("the cancel note is appended after existing Notes lines", () => {
+  const sb = setup();
+  setCellWhere(sb, "Batches", "BatchID", AUTO, "Notes", "Zebra ink reload\nAll sizes checked");
+  sb.fns.dissolveBatch(AUTO);
+
+  const notes = byKey(sb.records("Batches"), "BatchID")[AUTO].Notes.split("\n");
+  assert.deepEqual(notes.slice(0, 2), ["Zebra ink reload", "All sizes checked"]);
+  assert.match(notes[2], /^Dissolved 10\/03\/2026 12:00 by lead@example\.com: /);
+});
+
+test("released items are re-batched into a fresh batch, never the cancelled one", () => {
+  const sb = setup();
+  sb.fns.dissolveBatch(AUTO);
+  sb.fns.processWaitingOrders();
+
+  const items = byKey(sb.records("OrderItems"), "LineItemID");
+  assert.equal(items["LI-1"].PrintBatchID, "B-20260309-AUTO-B64-002");
+  assert.deepEqual(sb.fns.getPrintableBatches().items.map(b => b.batchId), ["B-20260309-AUTO-B64-002", MISC]);
+});
+
+test("printed batches need force; print stamps survive", () => {
+  const sb = setup();
+  sb.fns.markBatchPrinted(AUTO);
+
+  assert.throws(() => sb.fns.dissolveBatch(AUTO), /already been printed/);
+
+  sb.fns.dissolveBatch(AUTO, { force: true });
+  const items = byKey(sb.records("OrderItems"), "LineItemID");
+  assert.equal(items["LI-1"].PrintBatchID, "");
+  assert.ok(items["LI-1"].PrintedAt instanceof Date);
+});
+
+test("menu confirms before force-dissolving a printed batch", () => {
+  const sb = setup();
+  sb.fns.markBatchPrinted(AUTO);
+
+  sb.state.uiResponses.push({ button: "OK", text: AUTO }, "NO");
+  sb.fns.dissolveBatchFromMenu();
+  assert.equal(byKey(sb.records("Batches"), "BatchID")[AUTO].OrderStatus, sb.CFG.BATCH_STATUS.PRINTED);
+
+  sb.state.uiResponses.push({ button: "OK", text: AUTO }, "YES");
+  sb.fns.dissolveBatchFromMenu();
+  assert.equal(byKey(sb.records("Batches"), "BatchID")[AUTO].OrderStatus, sb.CFG.BATCH_STATUS.CANCELLED);
+});
+
+test("menu checks the print state under the lock", () => {
+  const sb = setup();
+  const lock = sb.globals.LockService.getDocumentLock();
+  const waitLock = lock.waitLock;
+  let printing = true;
+  lock.waitLock = function () {
+    waitLock.call(this);
+    // Another run marks the batch printed while the prompt was open
+    if (printing) { printing = false; sb.fns.setBatchStatus(AUTO, sb.CFG.BATCH_STATUS.PRINTED); }
+  };
+
+  sb.state.uiResponses.push({ button: "OK", text: AUTO }, "NO");
+  sb.fns.dissolveBatchFromMenu();
+  assert.equal(byKey(sb.records("Batches"), "BatchID")[AUTO].OrderStatus, sb.CFG.BATCH_STATUS.PRINTED);
+  assert.equal(byKey(sb.records("OrderItems"), "LineItemID")["LI-1"].PrintBatchID, AUTO);
+});
+
+test("moving a line item recomputes both batches and their BatchOrders rows", () => {
+  const sb = setup();
+  const res = sb.fns.moveBatchItems({ fromBatchId: AUTO, toBatchId: MISC, lineItemIds: ["LI-2"] });
+  assert.deepEqual(res, { fromBatchId: AUTO, toBatchId: MISC, itemsMoved: 1, unitsMoved: 6, ordersMoved: 1 });
+
+  assert.equal(byKey(sb.records("OrderItems"), "LineItemID")["LI-2"].PrintBatchID, MISC);
+
+  const batches = byKey(sb.records("Batches"), "BatchID");
+  assert.deepEqual([batches[AUTO].TotalPrintUnits, batches[AUTO].LineItemCount, batches[AUTO].OrderCount], [3, 1, 1]);
+  assert.deepEqual([batches[MISC].TotalPrintUnits, batches[MISC].LineItemCount, batches[MISC].OrderCount], [7, 2, 1]);
+
+  const bo = byKey(sb.records("BatchOrders"), "BatchOrderID");
+  assert.deepEqual(Object.keys(bo).sort(), [`${AUTO}|#1001`, `${MISC}|#1002`]);
+  assert.equal(bo[`${MISC}|#1002`].OrderItemCount, 2);
+  assert.equal(bo[`${MISC}|#1002`].PrintUnits, 7);
+});
+
+test("whole orders can be moved; bad requests are refused", () => {
+  const sb = setup();
+  assert.throws(() => sb.fns.moveBatchItems({ fromBatchId: AUTO, toBatchId: MISC }), /Select line items or orders/);
+  assert.throws(() => sb.fns.moveBatchItems({ fromBatchId: AUTO, toBatchId: AUTO, orderNames: ["#1001"] }), /the same/);
+  assert.throws(() => sb.fns.moveBatchItems({ fromBatchId: AUTO, toBatchId: MISC, lineItemIds: ["LI-3"] }), /Not in batch .*: LI-3/);
+
+  sb.fns.moveBatchItems({ fromBatchId: AUTO, toBatchId: MISC, orderNames: ["#1001"] });
+  assert.equal(byKey(sb.records("OrderItems"), "LineItemID")["LI-1"].PrintBatchID, MISC);
+  assert.equal(byKey(sb.records("Batches"), "BatchID")[MISC].OrderCount, 2);
+
+  sb.fns.markBatchPrinted(MISC);
+  assert.throws(() => sb.fns.moveBatchItems({ fromBatchId: AUTO, toBatchId: MISC, lineItemIds: ["LI-2"] }), /already been printed/);
+  assert.throws(() => sb.fns.moveBatchItems({ fromBatchId: MISC, toBatchId: AUTO, lineItemIds: ["LI-1"] }), /LI-1 in .* already been printed/);
+});
+
+test("merging moves everything and cancels the source", () => {
+  const sb = setup();
+  assert.throws(() => sb.fns.mergeBatches(MISC, AUTO), /PrintProfileKey differs/);
+
+  const res = sb.fns.mergeBatches(MISC, AUTO, { force: true });
+  assert.equal(res.itemsMoved, 1);
+
+  const batches = byKey(sb.records("Batches"), "BatchID");
+  assert.deepEqual([batches[AUTO].TotalPrintUnits, batches[AUTO].LineItemCount, batches[AUTO].OrderCount], [10, 3, 2]);
+  assert.equal(batches[MISC].OrderStatus, sb.CFG.BATCH_STATUS.CANCELLED);
+  assert.match(batches[MISC].Notes, new RegExp(`^Merged into ${AUTO} .*: moved 1 item\\(s\\) / 1 unit\\(s\\) from 1 order\\(s\\)$`));
+
+  assert.deepEqual(sb.records("BatchOrders").map(r => r.BatchOrderID).sort(), [`${AUTO}|#1001`, `${AUTO}|#1002`]);
+  assert.throws(() => sb.fns.moveBatchItems({ fromBatchId: AUTO, toBatchId: MISC, lineItemIds: ["LI-1"] }), /is cancelled/);
+
+  const view = sb.fns.getBatchItems(AUTO);
+  assert.deepEqual(view.items.map(it => it.lineItemId), ["LI-1", "LI-2", "LI-3"]);
+  assert.equal(view.totalUnits, 10);
+});
@@ -0,0 +1,125 @@
+/***************************************
+ * batchLifecycle.test.js
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createSandbox, loadFixture } = require("./harness/sandbox");
+const { processedSandbox, addColumn, batch, addItem, setCellWhere } = require("./harness/helpers");
+
+const AUTO = "B-20260309-AUTO-B64-001";
+const MISC = "B-20260309-MISC-MISC-001";
+
+function setup(extra) {
+  return processedSandbox(extra);
+}
+
+test("transitions are forward-only except aborting a print run", () => {
+  const sb = setup();
+  const S = sb.CFG.BATCH_STATUS;
+
+  assert.equal(sb.fns.canTransitionBatchStatus_(S.OPEN, S.PRINTING), true);
+  assert.equal(sb.fns.canTransitionBatchStatus_(S.OPEN, S.PACKED), true);
+  assert.equal(sb.fns.canTransitionBatchStatus_(S.PRINTING, S.OPEN), true);
+  assert.equal(sb.fns.canTransitionBatchStatus_(S.PRINTED, S.OPEN), false);
+  assert.equal(sb.fns.canTransitionBatchStatus_("New", S.PRINTING), true, "legacy New behaves as Open");
+  assert.equal(sb.fns.canTransitionBatchStatus_("Whatever", S.PACKED), false);
+
+  sb.fns.setBatchStatus(AUTO, S.PRINTED);
+  assert.throws(() => sb.fns.setBatchStatus(AUTO, S.OPEN), /Invalid batch transition/);
+  assert.throws(() => sb.fns.setBatchStatus(AUTO, "Lost"), /Unknown batch status/);
+
+  const res = sb.fns.setBatchStatus(AUTO, S.OPEN, { force: true });
+  assert.equal(res.changed, true);
+  assert.equal(batch(sb, AUTO).OrderStatus, S.OPEN);
+});
+
+test("skipping stages still stamps each stage's timestamp", () => {
+  const sb = setup({ user: "lead@example.com" });
+  sb.fns.setBatchStatus(AUTO, sb.CFG.BATCH_STATUS.PACKED);
+
+  const b = batch(sb, AUTO);
+  assert.ok(b.PrintedAt instanceof Date);
+  assert.equal(b.PrintedBy, "lead@example.com");
+  assert.ok(b.PackStartAt instanceof Date);
+  assert.ok(b.PackCompleteAt instanceof Date);
+});
+
+test("batch status rolls up from printing, packing and despatch", () => {
+  const fx = Object.assign(loadFixture("waitingOrders"), { drive: loadFixture("royalMailManifest").drive });
+  const sb = createSandbox(fx);
+  const S = sb.CFG.BATCH_STATUS;
+  sb.CFG.ROYAL_MAIL.WATCH_FOLDER_ID = "rm-watch";
+  sb.CFG.ROYAL_MAIL.ARCHIVE_FOLDER_ID = "rm-archive";
+  sb.fns.processWaitingOrders();
+
+  sb.fns.markBatchPrinted(AUTO);
+  assert.equal(batch(sb, AUTO).OrderStatus, S.PRINTED);
+  assert.equal(batch(sb, MISC).OrderStatus, S.OPEN);
+
+  sb.fns.completePackOrder({ orderName: "#1001", lineItemIds: ["LI-1"] });
+  assert.equal(batch(sb, AUTO).OrderStatus, S.PACKING);
+  assert.ok(batch(sb, AUTO).PackStartAt instanceof Date);
+
+  sb.fns.markBatchPrinted(MISC);
+  sb.fns.completePackOrder({ orderName: "#1002", lineItemIds: ["LI-2", "LI-3"] });
+  assert.equal(batch(sb, AUTO).OrderStatus, S.PACKED);
+  assert.equal(batch(sb, MISC).OrderStatus, S.PACKED);
+  assert.ok(batch(sb, AUTO).PackCompleteAt instanceof Date);
+
+  sb.fns.pollRoyalMailWatchFolder();
+  assert.equal(batch(sb, AUTO).OrderStatus, S.DESPATCHED);
+  assert.equal(batch(sb, MISC).OrderStatus, S.DESPATCHED);
+});
+
+test("items cancelled after printing do not hold a batch back from Despatched", () => {
+  const sb = createSandbox(addColumn(loadFixture("waitingOrders"), "OrderItems", "CancelledAt"));
+  const S = sb.CFG.BATCH_STATUS;
+  sb.fns.processWaitingOrders();
+  sb.fns.markBatchPrinted(AUTO);
+  sb.fns.markBatchPrinted(MISC);
+
+  setCellWhere(sb, "OrderItems", "LineItemID", "LI-1", "CancelledAt", new Date("2026-03-10T11:00:00Z"));
+  sb.fns.syncOrdersFromOrderItems();
+
+  sb.fns.completePackOrder({ orderName: "#1002", lineItemIds: ["LI-2", "LI-3"] });
+  assert.equal(batch(sb, AUTO).OrderStatus, S.PACKED);
+
+  setCellWhere(sb, "Orders", "OrderName", "#1002", "OrderStatus", sb.CFG.STATUS.DESPATCHED);
+  sb.fns.rollUpBatchStatuses();
+  assert.equal(batch(sb, AUTO).OrderStatus, S.DESPATCHED);
+});
+
+test("roll-up never moves a batch backwards", () => {
+  const sb = setup();
+  sb.fns.setBatchStatus(AUTO, sb.CFG.BATCH_STATUS.PACKING);
+  sb.fns.rollUpBatchStatuses();
+  assert.equal(batch(sb, AUTO).OrderStatus, sb.CFG.BATCH_STATUS.PACKING);
+});
+
+test("printed batches are not reused for new items on the same day", () => {
+  const sb = setup();
+  sb.fns.markBatchPrinted(AUTO);
+
+  addItem(sb, { CreatedAt: "2026-03-09T18:00:00Z", OrderName: "#1007", Qty: 1, LineItemID: "LI-9", SKU: "P64-3" });
+  addItem(sb, { CreatedAt: "2026-03-09T18:05:00Z", OrderName: "#1008", Qty: 1, LineItemID: "LI-10", SKU: "P64-3" });
+  sb.fns.processWaitingOrders();
+
+  const items = sb.records("OrderItems").filter(r => r.LineItemID === "LI-9" || r.LineItemID === "LI-10");
+  for (const it of items) assert.equal(it.PrintBatchID, "B-20260309-AUTO-B64-002");
+});
+
+test("legacy New batches are still reused while unprinted", () => {
+  const sb = setup();
+  const sh = sb.sheet("Batches");
+  const col = sh.getRange(1, 1, 1, sh.getLastColumn()).getValues()[0].indexOf("OrderStatus") + 1;
+  sh.getRange(2, col).setValue("New");
+
+  addItem(sb, { CreatedAt: "2026-03-09T18:00:00Z", OrderName: "#1007", Qty: 1, LineItemID: "LI-9", SKU: "P64-3" });
+  addItem(sb, { CreatedAt: "2026-03-09T18:05:00Z", OrderName: "#1008", Qty: 1, LineItemID: "LI-10", SKU: "P64-3" });
+  sb.fns.processWaitingOrders();
+
+  const it = sb.records("OrderItems").find(r => r.LineItemID === "LI-9");
+  assert.equal(it.PrintBatchID, AUTO);
+});
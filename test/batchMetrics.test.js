@@ -0,0 +1,66 @@
+/***************************************
+ * batchMetrics.test.js
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { processedSandbox, batch, addItem, setCellWhere } = require("./harness/helpers");
+
+const AUTO = "B-20260309-AUTO-B64-001";
+
+function setup() {
+  return processedSandbox();
+}
+
+function metrics(b) {
+  return [b.TotalPrintUnits, b.LineItemCount, b.OrderCount];
+}
+
+function setBatchCell(sb, id, header, value) {
+  setCellWhere(sb, "Batches", "BatchID", id, header, value);
+}
+
+test("manual edits are reported as drift and corrected", () => {
+  const sb = setup();
+  setBatchCell(sb, AUTO, "TotalPrintUnits", 99);
+  setBatchCell(sb, AUTO, "OrderCount", 5);
+
+  sb.state.uiResponses.push("OK");
+  const res = sb.fns.reconcileBatchMetrics();
+
+  assert.equal(res.checked, 2);
+  assert.deepEqual(res.drift, [{ batchId: AUTO, before: { tu: 99, li: 2, oc: 5 }, after: { tu: 9, li: 2, oc: 2 } }]);
+  assert.deepEqual(metrics(batch(sb, AUTO)), [9, 2, 2]);
+  assert.match(sb.state.alerts.at(-1).msg, /corrected 1\.\n.*AUTO-B64-001: units 99→9, items 2→2, orders 5→2/);
+});
+
+test("an order topped up in a later run is not double-counted", () => {
+  const sb = setup();
+  addItem(sb, { CreatedAt: "2026-03-09T18:00:00Z", OrderName: "#1001", Qty: 1, LineItemID: "LI-9", SKU: "P64-3" });
+  addItem(sb, { CreatedAt: "2026-03-09T18:05:00Z", OrderName: "#1008", Qty: 1, LineItemID: "LI-10", SKU: "P64-3" });
+  sb.fns.processWaitingOrders();
+
+  assert.deepEqual(metrics(batch(sb, AUTO)), [15, 4, 3]);
+  assert.match(sb.toasts().join("\n"), /Metrics corrected: 1/);
+});
+
+test("rebuildBatchOrders picks up deleted rows and orphaned assignments", () => {
+  const sb = setup();
+  const sh = sb.sheet("OrderItems");
+  const ids = sh.getRange(1, 1, sh.getLastRow(), sh.getLastColumn()).getValues();
+  const liCol = ids[0].indexOf("LineItemID");
+  sh.deleteRows(ids.findIndex(r => r[liCol] === "LI-2") + 1, 1);
+
+  sb.fns.rebuildBatchOrders();
+  assert.deepEqual(metrics(batch(sb, AUTO)), [3, 1, 1]);
+
+  const bcol = ids[0].indexOf("PrintBatchID") + 1;
+  const row = sb.records("OrderItems").findIndex(r => r.LineItemID === "LI-7") + 2;
+  sh.getRange(row, bcol).setValue("B-GONE");
+  assert.deepEqual(sb.fns.reconcileBatchMetrics_().orphans, ["B-GONE"]);
+
+  const res = sb.fns._rebuildBatchOrders_();
+  assert.deepEqual(res.orphanBatchIds, ["B-GONE"]);
+  assert.match(sb.toasts().pop(), /metrics corrected 0, OrderItems assigned to missing batches: B-GONE$/);
+});
@@ -0,0 +1,90 @@
+/***************************************
+ * batchPreview.test.js
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createSandbox, loadFixture } = require("./harness/sandbox");
+const { processedSandbox, batchIds, addItem } = require("./harness/helpers");
+
+const AUTO = "B-20260309-AUTO-B64-001";
+const MISC = "B-20260309-MISC-MISC-001";
+
+function setup() {
+  return processedSandbox(null, { staged: true, stage: "sync" });
+}
+
+test("preview reports the plan per date bucket without writing batches", () => {
+  const sb = setup();
+  const p = sb.fns.previewBatchesAuto();
+
+  assert.equal(sb.records("Batches").length, 0);
+  assert.ok(Object.values(batchIds(sb)).every(id => id === ""));
+
+  assert.deepEqual(p.totals, { newBatches: 2, reusedBatches: 0, assigned: 3, outliers: 1 });
+  assert.equal(p.heldBackToday, 1, "#1005 is today's");
+
+  const [bucket] = p.buckets;
+  assert.equal(bucket.dateKey, "2026-03-09");
+  const auto = bucket.batches.find(b => b.batchId === AUTO);
+  assert.deepEqual([auto.isNew, auto.lineItems, auto.printUnits, auto.orders], [true, 2, 9, ["#1001", "#1002"]]);
+
+  assert.equal(bucket.outliers[0].lineItemId, "LI-3");
+  assert.equal(bucket.outliers[0].batchId, MISC);
+  assert.match(bucket.outliers[0].reason, /Below AUTO minimum \(1 items \/ 1 units; needs 2 \/ 2\)/);
+
+  const kinds = sb.records("BatchPreview").map(r => [r.Kind, r.BatchID || r.Reason]);
+  assert.deepEqual(kinds, [
+    ["NEW", AUTO],
+    ["NEW", MISC],
+    ["OUTLIER", MISC],
+    ["HELD", "Today's items (full days only)"]
+  ]);
+
+  const dialog = sb.state.dialogs[0];
+  assert.match(dialog.html.getContent(), /commitBatchPreview\("[0-9a-f]{32}"\)/);
+});
+
+test("committing applies exactly the previewed plan", () => {
+  const sb = setup();
+  const p = sb.fns.previewBatchesAuto();
+
+  const res = sb.fns.commitBatchPreview(p.token);
+  assert.deepEqual(res, { newBatches: 2, assigned: 3, updatedExisting: 0, metricsCorrected: 0, metricDrift: [], orphanBatchIds: [] });
+
+  const ids = batchIds(sb);
+  assert.equal(ids["LI-1"], AUTO);
+  assert.equal(ids["LI-3"], MISC);
+  assert.equal(ids["LI-7"], "", "today stays unbatched");
+
+  assert.throws(() => sb.fns.commitBatchPreview(p.token), /No batch preview to commit/);
+});
+
+test("a stale or superseded preview is refused", () => {
+  const sb = setup();
+  const first = sb.fns.previewBatchesAuto();
+  const second = sb.fns.previewBatchesIncludeTodayOverride();
+  assert.notEqual(first.token, second.token);
+  assert.throws(() => sb.fns.commitBatchPreview(first.token), /newer batch preview/);
+
+  sb.fns.createBatchesAuto();
+  assert.throws(() => sb.fns.commitBatchPreview(second.token), /changed since the preview/);
+});
+
+test("open batches that would be reused are shown as REUSE", () => {
+  const sb = createSandbox(loadFixture("waitingOrders"));
+  sb.fns.processWaitingOrders();
+
+  addItem(sb, { CreatedAt: "2026-03-09T18:00:00Z", OrderName: "#1007", Qty: 1, LineItemID: "LI-9", SKU: "P64-3" });
+  addItem(sb, { CreatedAt: "2026-03-09T18:05:00Z", OrderName: "#1008", Qty: 1, LineItemID: "LI-10", SKU: "P64-3" });
+  sb.fns.processWaitingOrders({ staged: true, stage: "sync" });
+
+  const p = sb.fns.previewBatchesAuto();
+  assert.deepEqual(p.buckets[0].batches.map(b => [b.batchId, b.isNew, b.lineItems]), [[AUTO, false, 2]]);
+  assert.equal(p.totals.reusedBatches, 1);
+
+  sb.fns.commitBatchPreview(p.token);
+  const batch = sb.records("Batches").find(b => b.BatchID === AUTO);
+  assert.equal(batch.LineItemCount, 4);
+});
@@ -0,0 +1,85 @@
+/***************************************
+ * batchRules.test.js
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createSandbox, loadFixture } = require("./harness/sandbox");
+const { batchIds } = require("./harness/helpers");
+
+const HEADERS = ["Key", "MinLineItems", "MinPrintUnits", "MaxPrintUnits", "LookbackDays", "FullDaysOnly", "MiscEligible"];
+
+function setup(rows) {
+  const fx = loadFixture("waitingOrders");
+  fx.sheets.BatchRules = [HEADERS].concat(rows);
+  return createSandbox(fx);
+}
+
+test("no BatchRules sheet keeps the CFG.BATCH behaviour", () => {
+  const sb = createSandbox(loadFixture("waitingOrders"));
+  sb.fns.processWaitingOrders();
+
+  const ids = batchIds(sb);
+  assert.equal(ids["LI-1"], "B-20260309-AUTO-B64-001");
+  assert.equal(ids["LI-3"], "B-20260309-MISC-MISC-001");
+  assert.equal(ids["LI-7"], "");
+});
+
+test("category and profile rows override minimums and full-days-only", () => {
+  const sb = setup([
+    ["BMUG", 1, 1, 20, "", "", ""],
+    ["B64:3", 1, "", "", "", false, ""]
+  ]);
+  sb.fns.processWaitingOrders();
+
+  const ids = batchIds(sb);
+  assert.equal(ids["LI-3"], "B-20260309-AUTO-BMUG-001", "a single mug is enough for AUTO");
+  assert.equal(ids["LI-7"], "B-20260310-AUTO-B64-001", "today's 6x4 is not held back");
+});
+
+test("lookback is per category", () => {
+  const sb = setup([["B64", "", "", "", 0, "", ""]]);
+  sb.fns.processWaitingOrders();
+
+  const ids = batchIds(sb);
+  assert.equal(ids["LI-1"], "", "yesterday is outside a 0-day lookback");
+  assert.equal(ids["LI-3"], "B-20260309-MISC-MISC-001");
+});
+
+test("categories not MISC-eligible stay unbatched and are reported", () => {
+  const sb = setup([["BMUG", "", "", "", "", "", "no"]]);
+  sb.fns.processWaitingOrders({ staged: true, stage: "sync" });
+
+  const p = sb.fns.previewBatchesAuto();
+  const mug = p.buckets[0].outliers.find(o => o.lineItemId === "LI-3");
+  assert.equal(mug.batchId, "");
+  assert.match(mug.reason, /not MISC-eligible/);
+
+  sb.fns.commitBatchPreview(p.token);
+  assert.equal(batchIds(sb)["LI-3"], "");
+  assert.ok(!sb.records("Batches").some(b => b.BatchType === "MISC"));
+});
+
+test("an invalid sheet stops batching with every problem listed", () => {
+  const sb = setup([
+    ["BMUG", "x", "", "", "", "", ""],
+    ["bmug", 1, "", "", "", "", ""],
+    ["B99", "", "", "", "", "maybe", ""],
+    ["B64", "", 10, 5, "", "", ""],
+    ["", 3, "", "", "", "", ""]
+  ]);
+  sb.fns.processWaitingOrders({ staged: true, stage: "sync" });
+
+  assert.throws(() => sb.fns.createBatchesAuto(), err => {
+    assert.match(err.message, /BatchRules has 6 problem\(s\)/);
+    assert.match(err.message, /Row 2: MinLineItems must be a whole number/);
+    assert.match(err.message, /Row 3: duplicate Key "BMUG" \(first on row 2\)/);
+    assert.match(err.message, /Row 4: unknown category code B99/);
+    assert.match(err.message, /Row 4: FullDaysOnly must be TRUE or FALSE/);
+    assert.match(err.message, /Row 5: MinPrintUnits \(10\) is above MaxPrintUnits \(5\)/);
+    assert.match(err.message, /Row 6: Key is blank/);
+    return true;
+  });
+  assert.equal(sb.records("Batches").length, 0);
+});
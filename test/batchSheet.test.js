@@ -0,0 +1,63 @@
+/***************************************
+ * batchSheet.test.js
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { processedSandbox, batch } = require("./harness/helpers");
+
+const AUTO = "B-20260309-AUTO-B64-001";
+
+function setup() {
+  const sb = processedSandbox({ drive: { folders: { "batch-sheets": { name: "Batch Sheets" } } } });
+  sb.CFG.BATCH_SHEET.FOLDER_ID = "batch-sheets";
+  return sb;
+}
+
+test("saves a PDF with every line, profile totals and the BatchID barcode", () => {
+  const sb = setup();
+  const res = sb.fns.generateBatchSheet(AUTO);
+
+  assert.equal(res.lines, 2);
+  assert.equal(res.fileName, `Batch Sheet - ${AUTO}.pdf`);
+
+  const file = sb.globals.DriveApp.getFileById(res.fileId);
+  assert.equal(file.getMimeType(), "application/pdf");
+  assert.ok(file.parents.has("batch-sheets"));
+
+  const html = file.getBlob().getDataAsString();
+  assert.match(html, /#1001/);
+  assert.match(html, /#1002/);
+  assert.match(html, /6x4 ×6/, "qty 2 x B64:3 expands to 6 prints");
+  assert.match(html, /Total print units: <b>9<\/b>/);
+  assert.match(html, /09\/03\/2026 - B64 - Run 1/);
+  assert.match(html, /class="barcode"/);
+});
+
+test("links the PDF from BatchSheetUrl, or Notes when that column is absent", () => {
+  const sb = setup();
+
+  const first = sb.fns.generateBatchSheet(AUTO);
+  assert.equal(batch(sb, AUTO).Notes, `Batch sheet: ${first.url}`);
+
+  const sh = sb.sheet("Batches");
+  sh.getRange(1, sh.getLastColumn() + 1).setValue("BatchSheetUrl");
+  const second = sb.fns.generateBatchSheet(AUTO);
+  assert.equal(batch(sb, AUTO).BatchSheetUrl, second.url);
+});
+
+test("Code 39 rendering wraps the value in start/stop symbols", () => {
+  const sb = setup();
+  const html = sb.fns.renderCode39Html_("B-1");
+  // 5 symbols (* B - 1 *) x 9 elements + 4 inter-character gaps
+  assert.equal((html.match(/<td /g) || []).length, 5 * 9 + 4);
+});
+
+test("errors are explicit", () => {
+  const sb = setup();
+  assert.throws(() => sb.fns.generateBatchSheet("B-NOPE"), /Batch not found/);
+
+  sb.CFG.BATCH_SHEET.FOLDER_ID = "";
+  assert.throws(() => sb.fns.generateBatchSheet(AUTO), /FOLDER_ID is not set/);
+});
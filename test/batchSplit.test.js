@@ -0,0 +1,92 @@
+/***************************************
+ * batchSplit.test.js
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createSandbox, loadFixture } = require("./harness/sandbox");
+const { batchIds, addItem } = require("./harness/helpers");
+
+const B64 = n => `B-20260309-AUTO-B64-00${n}`;
+
+/**
+ * B64 group on 2026-03-09 (3 units per pack):
+ * #1001 LI-1 3, #1002 LI-2 6, #1007 LI-9 3, #1008 LI-10 3, #1007 LI-11 3 = 18 units
+ */
+function setup(batchCfg) {
+  const sb = createSandbox(loadFixture("waitingOrders"));
+  Object.assign(sb.CFG.BATCH, batchCfg);
+
+  addItem(sb, { CreatedAt: "2026-03-09T18:00:00Z", OrderName: "#1007", Qty: 1, LineItemID: "LI-9", SKU: "P64-3" });
+  addItem(sb, { CreatedAt: "2026-03-09T18:05:00Z", OrderName: "#1008", Qty: 1, LineItemID: "LI-10", SKU: "P64-3" });
+  addItem(sb, { CreatedAt: "2026-03-09T18:00:00Z", OrderName: "#1007", Qty: 1, LineItemID: "LI-11", SKU: "P64-3" });
+
+  sb.fns.processWaitingOrders();
+  return sb;
+}
+
+function units(sb) {
+  return sb.records("Batches")
+    .filter(b => b.BatchType === "AUTO")
+    .map(b => [b.BatchID, b.TotalPrintUnits]);
+}
+
+test("balanced split sizes batches evenly and keeps orders whole", () => {
+  const sb = setup({ SPLIT_MODE: "BALANCED", MAX_PRINTUNITS_PER_BATCH: 7 });
+
+  assert.deepEqual(units(sb), [[B64(1), 6], [B64(2), 6], [B64(3), 6]]);
+
+  const ids = batchIds(sb);
+  assert.equal(ids["LI-1"], B64(1));
+  assert.equal(ids["LI-10"], B64(1));
+  assert.equal(ids["LI-2"], B64(2));
+  assert.equal(ids["LI-9"], B64(3));
+  assert.equal(ids["LI-11"], B64(3), "#1007 stays in one batch");
+});
+
+test("greedy split fills in row order, each split in its own batch", () => {
+  const sb = setup({ SPLIT_MODE: "GREEDY", MAX_PRINTUNITS_PER_BATCH: 7 });
+
+  assert.deepEqual(units(sb), [[B64(1), 3], [B64(2), 6], [B64(3), 6], [B64(4), 3]]);
+
+  const ids = batchIds(sb);
+  assert.notEqual(ids["LI-9"], ids["LI-11"], "#1007 straddles two batches");
+});
+
+test("per-category max overrides the global max", () => {
+  const sb = setup({
+    SPLIT_MODE: "BALANCED",
+    MAX_PRINTUNITS_PER_BATCH: 999,
+    MAX_PRINTUNITS_BY_CATEGORY: { B64: 10 }
+  });
+
+  assert.deepEqual(units(sb), [[B64(1), 9], [B64(2), 9]]);
+});
+
+test("an order larger than the max gets a batch of its own", () => {
+  const sb = setup({ SPLIT_MODE: "BALANCED", MAX_PRINTUNITS_PER_BATCH: 5 });
+
+  const ids = batchIds(sb);
+  const own = ids["LI-2"];
+  assert.equal(sb.records("OrderItems").filter(r => r.PrintBatchID === own).length, 1);
+  assert.equal(ids["LI-9"], ids["LI-11"]);
+  assert.equal(units(sb).find(u => u[0] === own)[1], 6);
+});
+
+test("a later run opens a new batch rather than overfilling the open one", () => {
+  const sb = createSandbox(loadFixture("waitingOrders"));
+  Object.assign(sb.CFG.BATCH, { SPLIT_MODE: "GREEDY", MAX_PRINTUNITS_PER_BATCH: 9 });
+  sb.fns.processWaitingOrders();
+  assert.deepEqual(units(sb), [[B64(1), 9]]);
+
+  sb.CFG.BATCH.MAX_PRINTUNITS_PER_BATCH = 7;
+  addItem(sb, { CreatedAt: "2026-03-09T18:00:00Z", OrderName: "#1007", Qty: 1, LineItemID: "LI-9", SKU: "P64-3" });
+  addItem(sb, { CreatedAt: "2026-03-09T18:05:00Z", OrderName: "#1008", Qty: 1, LineItemID: "LI-10", SKU: "P64-3" });
+  sb.fns.processWaitingOrders();
+
+  assert.deepEqual(units(sb), [[B64(1), 9], [B64(2), 6]]);
+  const ids = batchIds(sb);
+  assert.equal(ids["LI-9"], B64(2));
+  assert.equal(ids["LI-10"], B64(2));
+});
@@ -0,0 +1,88 @@
+/***************************************
+ * clickDropExport.test.js
+ *
+ * Packed Orders -> Click & Drop CSV in Drive + ClickDropExports log.
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createSandbox, loadFixture } = require("./harness/sandbox");
+const { addColumn, setCellWhere } = require("./harness/helpers");
+
+const MISC = "B-20260309-MISC-MISC-001";
+
+function setup() {
+  const fx = Object.assign({}, loadFixture("waitingOrders"), {
+    drive: { folders: { "click-drop": { name: "Click & Drop", files: [] } } }
+  });
+  addColumn(fx, "Orders", "ShippingService");
+
+  const sb = createSandbox(fx);
+  sb.CFG.CLICK_DROP.FOLDER_ID = "click-drop";
+  sb.fns.processWaitingOrders();
+
+  setOrder(sb, "#1001", { OrderStatus: "Packed", Postcode: "AB1 2CD" });
+  setOrder(sb, "#1002", { OrderStatus: "Packed", Postcode: "EF3 4GH", ShippingService: "Royal Mail Tracked 24" });
+  setOrder(sb, "#1005", { OrderStatus: "Packed" });
+  return sb;
+}
+
+function setOrder(sb, orderName, fields) {
+  for (const [k, v] of Object.entries(fields)) setCellWhere(sb, "Orders", "OrderName", orderName, k, v);
+}
+
+function csvFiles(sb) {
+  const it = sb.globals.DriveApp.getFolderById("click-drop").getFiles();
+  const out = [];
+  while (it.hasNext()) out.push(it.next());
+  return out;
+}
+
+test("Packed orders are exported once, with service, package size and weight", () => {
+  const sb = setup();
+  const res = sb.fns.exportClickDropCsv();
+
+  assert.deepEqual([res.exported, res.alreadyExported], [2, 0]);
+  assert.deepEqual(res.skipped, [{ orderName: "#1005", reason: "no postcode" }]);
+  assert.equal(res.fileName, "Click & Drop - 20260310-1200.csv");
+
+  const files = csvFiles(sb);
+  assert.equal(files.length, 1);
+  assert.equal(files[0].getMimeType(), "text/csv");
+  assert.deepEqual(sb.globals.Utilities.parseCsv(files[0].getBlob().getDataAsString()), [
+    ["Channel reference", "Postcode", "Shipping service", "Package size", "Weight (kg)"],
+    ["#1001", "AB1 2CD", "Royal Mail Tracked 48", "Large letter", "0.070"],
+    ["#1002", "EF3 4GH", "Royal Mail Tracked 24", "Small parcel", "0.530"]
+  ]);
+
+  const log = sb.records("ClickDropExports");
+  assert.deepEqual(log.map(r => [r.OrderName, r.FileName]), [
+    ["#1001", res.fileName],
+    ["#1002", res.fileName]
+  ]);
+
+  const again = sb.fns.exportClickDropCsv();
+  assert.deepEqual([again.exported, again.alreadyExported, again.fileName], [0, 2, ""]);
+  assert.equal(csvFiles(sb).length, 1, "nothing to export, no file");
+});
+
+test("a batch filter exports only that batch's orders; the rest follow later", () => {
+  const sb = setup();
+  const res = sb.fns.exportClickDropCsv({ batchId: MISC });
+
+  assert.equal(res.exported, 1);
+  assert.equal(res.fileName, `Click & Drop - 20260310-1200 - ${MISC}.csv`);
+  assert.deepEqual(sb.records("ClickDropExports").map(r => [r.OrderName, r.BatchID]), [["#1002", MISC]]);
+
+  const rest = sb.fns.exportClickDropCsv();
+  assert.deepEqual([rest.exported, rest.alreadyExported], [1, 1]);
+  assert.match(csvFiles(sb)[1].getBlob().getDataAsString(), /^#1001,/m);
+});
+
+test("the export needs a Drive folder", () => {
+  const sb = setup();
+  sb.CFG.CLICK_DROP.FOLDER_ID = "";
+  assert.throws(() => sb.fns.exportClickDropCsv(), /CFG\.CLICK_DROP\.FOLDER_ID is not set/);
+  assert.equal(sb.spreadsheet.getSheetByName("ClickDropExports"), null);
+});
@@ -0,0 +1,81 @@
+/***************************************
+ * exceptions.test.js
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createSandbox, loadFixture } = require("./harness/sandbox");
+const { processedSandbox } = require("./harness/helpers");
+
+function setup() {
+  return processedSandbox(null, { staged: true, stage: "sync" });
+}
+
+function byLineItem(sb) {
+  const m = {};
+  for (const r of sb.records("Exceptions")) m[r.LineItemID || r.Message] = r;
+  return m;
+}
+
+test("exceptions are logged once per type + line item and stay open across runs", () => {
+  const sb = setup();
+  sb.fns.adminRunFullOrderItemsRescanNow();
+  sb.fns.adminRunFullOrderItemsRescanNow();
+
+  const rows = sb.records("Exceptions");
+  assert.deepEqual(rows.map(r => [r.Type, r.LineItemID, r.Status]), [
+    ["MISSING_SKU", "LI-5", "Open"],
+    ["SKU_NOT_IN_MATRIX", "LI-6", "Open"]
+  ]);
+});
+
+test("adding the SKU to the matrix auto-resolves on the next rescan", () => {
+  const sb = setup();
+  sb.sheet("SKU_Matrix").appendRow(["UNKNOWN-9", "PRINT", "B64:3", "B64"]);
+  sb.fns.adminRunFullOrderItemsRescanNow();
+
+  const ex = byLineItem(sb);
+  assert.deepEqual([ex["LI-6"].Status, ex["LI-6"].ResolvedBy], ["Resolved", "auto"]);
+  assert.ok(ex["LI-6"].ResolvedAt instanceof Date);
+  assert.equal(ex["LI-5"].Status, "Open");
+});
+
+test("a resolved exception reopens when it recurs; ignored ones stay ignored", () => {
+  const sb = setup();
+  const open = sb.fns.getOpenExceptions();
+  const keys = Object.fromEntries(open.items.map(it => [it.lineItemId, it.key]));
+
+  assert.deepEqual(sb.fns.setExceptionStatus([keys["LI-5"]], "Ignored"), { resolved: 1 });
+  assert.deepEqual(sb.fns.setExceptionStatus([keys["LI-6"]], "Resolved"), { resolved: 1 });
+  assert.throws(() => sb.fns.setExceptionStatus([keys["LI-6"]], "Open"), /Unsupported exception status/);
+
+  sb.fns.adminRunFullOrderItemsRescanNow();
+
+  const ex = byLineItem(sb);
+  assert.equal(ex["LI-5"].Status, "Ignored");
+  assert.deepEqual([ex["LI-6"].Status, ex["LI-6"].ResolvedBy], ["Open", ""]);
+  assert.equal(sb.records("Exceptions").length, 2);
+});
+
+test("the sidebar refuses to resolve when a status column is missing", () => {
+  const fx = loadFixture("waitingOrders");
+  fx.sheets.Exceptions[0] = fx.sheets.Exceptions[0].filter(h => h !== "ResolvedBy");
+  const sb = createSandbox(fx);
+  sb.fns.processWaitingOrders({ staged: true, stage: "sync" });
+
+  const keys = sb.fns.getOpenExceptions().items.map(it => it.key);
+  assert.throws(() => sb.fns.setExceptionStatus(keys, "Resolved"), /Missing Exceptions column: "ResolvedBy"/);
+  assert.equal(sb.fns.getOpenExceptions().count, 2);
+});
+
+test("getOpenExceptions filters by type and lists the types present", () => {
+  const sb = setup();
+
+  const all = sb.fns.getOpenExceptions();
+  assert.equal(all.count, 2);
+  assert.deepEqual(all.types, ["MISSING_SKU", "SKU_NOT_IN_MATRIX"]);
+
+  const one = sb.fns.getOpenExceptions({ type: "SKU_NOT_IN_MATRIX" });
+  assert.deepEqual(one.items.map(it => [it.key, it.sku]), [["SKU_NOT_IN_MATRIX|LI-6", "UNKNOWN-9"]]);
+});
@@ -0,0 +1,93 @@
+/***************************************
+ * exclusionRules.test.js
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createSandbox, loadFixture } = require("./harness/sandbox");
+const { addColumn, byLineItem } = require("./harness/helpers");
+
+function setup(opts) {
+  const fx = loadFixture("waitingOrders");
+  if ((opts || {}).excludedColumn) addColumn(fx, "OrderItems", "Excluded");
+  return createSandbox(fx);
+}
+
+function orderNames(sb) {
+  return sb.records("Orders").map(o => o.OrderName);
+}
+
+test("ARCHIVE moves the row to ExcludedItems with the rule name", () => {
+  const sb = setup();
+  sb.CFG.EXCLUSION.RULES = [{ name: "Digital download", skuSuffix: "bdd", action: "archive" }];
+  sb.fns.processWaitingOrders({ staged: true, stage: "sync" });
+
+  assert.equal(byLineItem(sb)["LI-4"], undefined);
+
+  const archived = sb.records("ExcludedItems");
+  assert.equal(archived.length, 1);
+  assert.deepEqual(
+    [archived[0].LineItemID, archived[0].SKU, archived[0].OrderName, archived[0].ExclusionRule],
+    ["LI-4", "P64-3-BDD", "#1003", "Digital download"]
+  );
+  assert.ok(archived[0].ExcludedAt instanceof Date);
+});
+
+test("EXCLUDE keeps the row but keeps it out of Orders until the rule goes away", () => {
+  const sb = setup({ excludedColumn: true });
+  sb.CFG.EXCLUSION.RULES.push({ name: "Gift cards", printMode: "NONE", action: "EXCLUDE" });
+  sb.fns.processWaitingOrders({ staged: true, stage: "sync" });
+
+  const li8 = byLineItem(sb)["LI-8"];
+  assert.deepEqual([li8.Excluded, li8.ReadyForOrders, li8.PrintUnits], ["Gift cards", false, 0]);
+  assert.ok(!orderNames(sb).includes("#1006"));
+  assert.equal(byLineItem(sb)["LI-4"], undefined, "the default BDD rule still archives");
+  assert.deepEqual(sb.records("ExcludedItems").map(r => r.LineItemID), ["LI-4"]);
+
+  sb.CFG.EXCLUSION.RULES.pop();
+  sb.fns.adminRunFullOrderItemsRescanNow();
+
+  const back = byLineItem(sb)["LI-8"];
+  assert.deepEqual([back.Excluded, back.ReadyForOrders], ["", true]);
+  assert.ok(orderNames(sb).includes("#1006"));
+});
+
+test("an order whose items all become excluded is left alone, not Cancelled", () => {
+  const sb = setup({ excludedColumn: true });
+  sb.fns.processWaitingOrders({ staged: true, stage: "sync" });
+  const status = () => sb.records("Orders").find(o => o.OrderName === "#1006").OrderStatus;
+  assert.equal(status(), "New");
+
+  sb.CFG.EXCLUSION.RULES.push({ name: "Gift cards", printMode: "NONE", action: "EXCLUDE" });
+  sb.fns.adminRunFullOrderItemsRescanNow();
+  assert.equal(byLineItem(sb)["LI-8"].Excluded, "Gift cards");
+  assert.equal(status(), "New");
+
+  sb.CFG.EXCLUSION.RULES.pop();
+  sb.fns.adminRunFullOrderItemsRescanNow();
+  assert.equal(status(), "New");
+});
+
+test("category rules skip rows that are already batched", () => {
+  const sb = setup();
+  sb.fns.processWaitingOrders();
+  assert.equal(byLineItem(sb)["LI-3"].PrintBatchID, "B-20260309-MISC-MISC-001");
+
+  sb.CFG.EXCLUSION.RULES = [{ name: "Mugs", category: "BMUG", action: "DELETE" }];
+  sb.fns.adminRunFullOrderItemsRescanNow();
+  assert.ok(byLineItem(sb)["LI-3"], "a batched mug is not deleted");
+});
+
+test("misconfigured rules fail loudly", () => {
+  const sb = setup();
+
+  sb.CFG.EXCLUSION.RULES = [{ name: "Gift cards", printMode: "NONE", action: "EXCLUDE" }];
+  assert.throws(() => sb.fns.adminRunFullOrderItemsRescanNow(), /Missing OrderItems column: "Excluded" \(needed by exclusion rule "Gift cards"\)/);
+
+  sb.CFG.EXCLUSION.RULES = [{ name: "Oops", skuSuffix: "X", action: "HIDE" }];
+  assert.throws(() => sb.fns.loadExclusionRules_(), /Exclusion rule "Oops": action must be one of DELETE, ARCHIVE, EXCLUDE/);
+
+  sb.CFG.EXCLUSION.RULES = [{ name: "Empty", action: "DELETE" }];
+  assert.throws(() => sb.fns.loadExclusionRules_(), /needs at least one of/);
+});
@@ -0,0 +1,449 @@
+/***************************************
+ * fakeServices.js
+ *
+ * In-memory stand-ins for the Apps Script services the project touches:
+ * LockService, PropertiesService, CacheService, Utilities, Session, ScriptApp,
+ * DriveApp (+ the Drive advanced service), HtmlService, ContentService, Ui,
+ * MimeType, Logger.
+ ***************************************/
+
+const fs = require("fs");
+const path = require("path");
+const crypto = require("crypto");
+
+const { FakeSpreadsheet } = require("./fakeSpreadsheet");
+
+/***************
+ * LockService
+ ***************/
+function makeLockService() {
+  const lock = {
+    held: false,
+    waitLock() { this.held = true; },
+    tryLock() { this.held = true; return true; },
+    hasLock() { return this.held; },
+    releaseLock() { this.held = false; }
+  };
+  return {
+    getDocumentLock: () => lock,
+    getScriptLock: () => lock,
+    getUserLock: () => lock
+  };
+}
+
+/***************
+ * PropertiesService
+ ***************/
+function makeProperties(initial) {
+  const store = Object.assign({}, initial || {});
+  return {
+    getProperty: (k) => (Object.prototype.hasOwnProperty.call(store, k) ? store[k] : null),
+    setProperty(k, v) { store[k] = String(v); return this; },
+    deleteProperty(k) { delete store[k]; return this; },
+    getProperties: () => Object.assign({}, store),
+    setProperties(obj) { for (const k of Object.keys(obj || {})) store[k] = String(obj[k]); return this; },
+    getKeys: () => Object.keys(store)
+  };
+}
+
+function makePropertiesService(initial) {
+  const init = initial || {};
+  const doc = makeProperties(init.document);
+  const script = makeProperties(init.script);
+  const user = makeProperties(init.user);
+  return {
+    getDocumentProperties: () => doc,
+    getScriptProperties: () => script,
+    getUserProperties: () => user
+  };
+}
+
+/***************
+ * CacheService (expiry follows the sandbox clock)
+ ***************/
+function makeCache(clock) {
+  const store = new Map();
+  return {
+    get(k) {
+      const e = store.get(k);
+      if (!e) return null;
+      if (e.expires <= clock.now) { store.delete(k); return null; }
+      return e.value;
+    },
+    put(k, v, seconds) {
+      store.set(k, { value: String(v), expires: clock.now + 1000 * (seconds === undefined ? 600 : seconds) });
+    },
+    remove(k) { store.delete(k); }
+  };
+}
+
+function makeCacheService(clock) {
+  const doc = makeCache(clock);
+  const script = makeCache(clock);
+  const user = makeCache(clock);
+  return {
+    getDocumentCache: () => doc,
+    getScriptCache: () => script,
+    getUserCache: () => user
+  };
+}
+
+/***************
+ * Utilities
+ ***************/
+function formatDate(date, timeZone, pattern) {
+  const d = (date instanceof Date) ? date : new Date(date);
+  const parts = {};
+  new Intl.DateTimeFormat("en-GB", {
+    timeZone: timeZone || "UTC",
+    year: "numeric", month: "2-digit", day: "2-digit",
+    hour: "2-digit", minute: "2-digit", second: "2-digit",
+    hourCycle: "h23"
+  }).formatToParts(d).forEach(p => { parts[p.type] = p.value; });
+
+  const tokens = {
+    yyyy: parts.year,
+    yy: parts.year.slice(-2),
+    MM: parts.month,
+    dd: parts.day,
+    HH: parts.hour,
+    mm: parts.minute,
+    ss: parts.second
+  };
+
+  return String(pattern).replace(/'([^']*)'|yyyy|yy|MM|dd|HH|mm|ss/g, (m, literal) =>
+    (literal !== undefined) ? literal : tokens[m]);
+}
+
+/**
+ * RFC 4180-ish CSV parser matching Utilities.parseCsv output (array of string arrays).
+ */
+function parseCsv(text, delimiter) {
+  const delim = delimiter || ",";
+  const s = String(text || "");
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < s.length; i++) {
+    const ch = s[i];
+    if (quoted) {
+      if (ch === '"' && s[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+      continue;
+    }
+    if (ch === '"') quoted = true;
+    else if (ch === delim) { row.push(field); field = ""; }
+    else if (ch === "\r") continue;
+    else if (ch === "\n") { row.push(field); rows.push(row); row = []; field = ""; }
+    else field += ch;
+  }
+  if (field !== "" || row.length) { row.push(field); rows.push(row); }
+  return rows;
+}
+
+function makeBlob(data, contentType, name) {
+  const buf = Buffer.isBuffer(data) ? data : Buffer.from(String(data === undefined ? "" : data), "utf8");
+  let blobName = name || "";
+  let type = contentType || "application/octet-stream";
+  return {
+    getBytes: () => Array.from(buf),
+    getDataAsString: () => buf.toString("utf8"),
+    getContentType: () => type,
+    setContentType(t) { type = t; return this; },
+    getName: () => blobName,
+    setName(n) { blobName = n; return this; },
+    getAs(t) { return makeBlob(buf, t, blobName); },
+    copyBlob() { return makeBlob(buf, type, blobName); }
+  };
+}
+
+function makeUtilities(state) {
+  return {
+    formatDate,
+    parseCsv,
+    sleep: (ms) => { state.sleptMs += Number(ms) || 0; },
+    getUuid: () => crypto.randomUUID(),
+    newBlob: (data, contentType, name) => makeBlob(data, contentType, name),
+    base64Encode: (data) => Buffer.from(typeof data === "string" ? data : Buffer.from(data)).toString("base64"),
+    computeDigest: (algorithm, value) => {
+      const algo = String(algorithm || "MD5").replace(/_/g, "").toLowerCase();
+      const bytes = crypto.createHash(algo).update(String(value), "utf8").digest();
+      return Array.from(bytes).map(b => (b > 127 ? b - 256 : b));
+    },
+    DigestAlgorithm: { MD5: "MD5", SHA_1: "SHA_1", SHA_256: "SHA_256" },
+    Charset: { UTF_8: "UTF_8" }
+  };
+}
+
+/***************
+ * Session
+ ***************/
+function makeSession(user) {
+  const email = user || "tester@example.com";
+  const u = { getEmail: () => email };
+  return {
+    getActiveUser: () => u,
+    getEffectiveUser: () => u,
+    getScriptTimeZone: () => "Europe/London"
+  };
+}
+
+/***************
+ * ScriptApp (triggers)
+ ***************/
+function makeScriptApp(state) {
+  let nextId = 1;
+  return {
+    newTrigger(fn) {
+      const t = { handler: fn, id: `trigger-${nextId++}`, kind: "" };
+      const builder = {
+        timeBased() { t.kind = "time"; return builder; },
+        everyMinutes(n) { t.everyMinutes = n; return builder; },
+        everyHours(n) { t.everyHours = n; return builder; },
+        forSpreadsheet() { return builder; },
+        onEdit() { t.kind = "edit"; return builder; },
+        onOpen() { t.kind = "open"; return builder; },
+        create() {
+          const trigger = {
+            getHandlerFunction: () => t.handler,
+            getUniqueId: () => t.id,
+            spec: t
+          };
+          state.triggers.push(trigger);
+          return trigger;
+        }
+      };
+      return builder;
+    },
+    getProjectTriggers: () => state.triggers.slice(),
+    deleteTrigger(trigger) {
+      state.triggers = state.triggers.filter(t => t !== trigger);
+    },
+    getService: () => ({ getUrl: () => "https://script.google.com/macros/s/fake/exec" })
+  };
+}
+
+/***************
+ * DriveApp + Drive advanced service
+ ***************/
+let nextFileId = 1;
+
+function makeDrive(state, registerSpreadsheet) {
+  const folders = new Map();
+  const files = new Map();
+
+  function makeIterator(list) {
+    let i = 0;
+    return { hasNext: () => i < list.length, next: () => list[i++] };
+  }
+
+  function makeFolder(id, name) {
+    const folder = {
+      id,
+      name: name || id,
+      getId: () => id,
+      getName: () => folder.name,
+      getFiles: () => makeIterator(Array.from(files.values()).filter(f => f.parents.has(id) && !f.trashed)),
+      getFilesByName: (n) => makeIterator(Array.from(files.values()).filter(f => f.parents.has(id) && !f.trashed && f.name === n)),
+      addFile(file) { file.parents.add(id); return folder; },
+      removeFile(file) { file.parents.delete(id); return folder; },
+      createFile(blobOrName, content, mimeType) {
+        const isBlob = blobOrName && typeof blobOrName === "object";
+        const f = addFile({
+          name: isBlob ? blobOrName.getName() : blobOrName,
+          content: isBlob ? blobOrName.getDataAsString() : content,
+          mimeType: isBlob ? blobOrName.getContentType() : mimeType,
+          parents: [id]
+        });
+        return f;
+      }
+    };
+    folders.set(id, folder);
+    return folder;
+  }
+
+  function addFile(spec) {
+    const s = spec || {};
+    const id = s.id || `file-${nextFileId++}`;
+    const file = {
+      id,
+      name: s.name || id,
+      mimeType: s.mimeType || "application/octet-stream",
+      content: (s.content === undefined) ? "" : s.content,
+      sheets: s.sheets || null,
+      lastUpdated: s.lastUpdated ? new Date(s.lastUpdated) : new Date(),
+      parents: new Set(s.parents || []),
+      trashed: false,
+      getId: () => id,
+      getName: () => file.name,
+      setName(n) { file.name = n; return file; },
+      getMimeType: () => file.mimeType,
+      getLastUpdated: () => file.lastUpdated,
+      getUrl: () => `https://drive.google.com/file/d/${id}/view`,
+      getBlob: () => makeBlob(file.content, file.mimeType, file.name),
+      getParents: () => makeIterator(Array.from(file.parents).map(pid => folders.get(pid)).filter(Boolean)),
+      setTrashed(v) { file.trashed = !!v; return file; },
+      isTrashed: () => file.trashed,
+      moveTo(folder) { file.parents = new Set([folder.getId()]); return file; }
+    };
+    files.set(id, file);
+    return file;
+  }
+
+  const DriveApp = {
+    getFolderById(id) {
+      const f = folders.get(id);
+      if (!f) throw new Error(`No folder with id: ${id}`);
+      return f;
+    },
+    getFileById(id) {
+      const f = files.get(id);
+      if (!f) throw new Error(`No file with id: ${id}`);
+      return f;
+    },
+    createFile(blobOrName, content, mimeType) {
+      const isBlob = blobOrName && typeof blobOrName === "object";
+      return addFile({
+        name: isBlob ? blobOrName.getName() : blobOrName,
+        content: isBlob ? blobOrName.getDataAsString() : content,
+        mimeType: isBlob ? blobOrName.getContentType() : mimeType
+      });
+    }
+  };
+
+  // Drive advanced service: conversion copies a file's `sheets` fixture into a new spreadsheet.
+  const Drive = {
+    Files: {
+      copy(resource, fileId) {
+        const src = DriveApp.getFileById(fileId);
+        if (!src.sheets) throw new Error(`File ${src.name} has no sheet data to convert.`);
+        const ss = new FakeSpreadsheet({ name: resource && resource.title, sheets: src.sheets });
+        registerSpreadsheet(ss);
+        addFile({ id: ss.getId(), name: ss.getName(), mimeType: "application/vnd.google-apps.spreadsheet" });
+        state.conversions.push({ fromId: fileId, toId: ss.getId() });
+        return { id: ss.getId(), title: ss.getName() };
+      }
+    }
+  };
+
+  return { DriveApp, Drive, makeFolder, addFile, folders, files };
+}
+
+/***************
+ * HtmlService + Ui
+ ***************/
+function makeHtmlOutput(content) {
+  let html = content || "";
+  const out = {
+    title: "",
+    width: 0,
+    height: 0,
+    getContent: () => html,
+    setContent(c) { html = c; return out; },
+    append(c) { html += c; return out; },
+    setTitle(t) { out.title = t; return out; },
+    setWidth(w) { out.width = w; return out; },
+    setHeight(h) { out.height = h; return out; }
+  };
+  return out;
+}
+
+function makeHtmlService(rootDir) {
+  const read = (name) => fs.readFileSync(path.join(rootDir, `${name}.html`), "utf8");
+  return {
+    createHtmlOutput: (c) => makeHtmlOutput(c),
+    createHtmlOutputFromFile: (name) => makeHtmlOutput(read(name)),
+    createTemplateFromFile: (name) => ({ evaluate: () => makeHtmlOutput(read(name)) }),
+    createTemplate: (c) => ({ evaluate: () => makeHtmlOutput(c) })
+  };
+}
+
+/***************
+ * ContentService
+ ***************/
+function makeContentService() {
+  const MimeType = { JSON: "JSON", TEXT: "TEXT", CSV: "CSV" };
+  return {
+    MimeType,
+    createTextOutput(content) {
+      let text = content || "";
+      const out = {
+        mimeType: MimeType.TEXT,
+        getContent: () => text,
+        setContent(c) { text = c; return out; },
+        getMimeType: () => out.mimeType,
+        setMimeType(t) { out.mimeType = t; return out; }
+      };
+      return out;
+    }
+  };
+}
+
+function makeUi(state) {
+  const Button = { OK: "OK", CANCEL: "CANCEL", YES: "YES", NO: "NO", CLOSE: "CLOSE" };
+  const ButtonSet = { OK: "OK", OK_CANCEL: "OK_CANCEL", YES_NO: "YES_NO", YES_NO_CANCEL: "YES_NO_CANCEL" };
+
+  return {
+    Button,
+    ButtonSet,
+    createMenu(name) {
+      const menu = { name, items: [] };
+      const chain = {
+        addItem(label, fn) { menu.items.push({ label, fn }); return chain; },
+        addSeparator() { menu.items.push({ separator: true }); return chain; },
+        addSubMenu(sub) { menu.items.push({ subMenu: sub }); return chain; },
+        addToUi() { state.menus.push(menu); }
+      };
+      return chain;
+    },
+    alert(title, msg) {
+      state.alerts.push({ title, msg });
+      return state.uiResponses.length ? state.uiResponses.shift() : Button.OK;
+    },
+    prompt(title, msg) {
+      state.alerts.push({ title, msg, prompt: true });
+      const next = state.uiResponses.length ? state.uiResponses.shift() : { button: Button.CANCEL, text: "" };
+      return { getSelectedButton: () => next.button, getResponseText: () => next.text };
+    },
+    showSidebar(html) { state.sidebars.push(html); },
+    showModalDialog(html, title) { state.dialogs.push({ html, title }); },
+    showModelessDialog(html, title) { state.dialogs.push({ html, title }); }
+  };
+}
+
+const MimeType = {
+  GOOGLE_SHEETS: "application/vnd.google-apps.spreadsheet",
+  GOOGLE_DOCS: "application/vnd.google-apps.document",
+  PDF: "application/pdf",
+  CSV: "text/csv",
+  PLAIN_TEXT: "text/plain",
+  HTML: "text/html",
+  JSON: "application/json",
+  MICROSOFT_EXCEL: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  MICROSOFT_EXCEL_LEGACY: "application/vnd.ms-excel"
+};
+
+function makeLogger(state) {
+  return { log: (...args) => { state.logs.push(args.map(String).join(" ")); } };
+}
+
+module.exports = {
+  makeLockService,
+  makePropertiesService,
+  makeCacheService,
+  makeUtilities,
+  makeSession,
+  makeScriptApp,
+  makeDrive,
+  makeHtmlService,
+  makeContentService,
+  makeUi,
+  makeLogger,
+  makeBlob,
+  formatDate,
+  parseCsv,
+  MimeType
+};
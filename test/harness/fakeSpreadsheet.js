@@ -0,0 +1,271 @@
+/***************************************
+ * fakeSpreadsheet.js
+ *
+ * In-memory stand-ins for Spreadsheet / Sheet / Range.
+ * Cells live in a plain 2D array (row 0 = sheet row 1).
+ * Only the API surface the project uses is implemented.
+ ***************************************/
+
+let nextSpreadsheetId = 1;
+
+class FakeSpreadsheet {
+  constructor(opts) {
+    const o = opts || {};
+    this.id = o.id || `ss-${nextSpreadsheetId++}`;
+    this.name = o.name || "Fake Spreadsheet";
+    this.timeZone = o.timeZone || "Europe/London";
+    this.sheets = [];
+    this.toasts = [];
+
+    const sheets = o.sheets || {};
+    for (const name of Object.keys(sheets)) this.insertSheet(name).load(sheets[name]);
+  }
+
+  getId() { return this.id; }
+  getName() { return this.name; }
+  getUrl() { return `https://docs.google.com/spreadsheets/d/${this.id}/edit`; }
+
+  getSheets() { return this.sheets.slice(); }
+
+  getSheetByName(name) {
+    return this.sheets.find(sh => sh.name === name) || null;
+  }
+
+  insertSheet(name) {
+    const sheetName = name || `Sheet${this.sheets.length + 1}`;
+    if (this.getSheetByName(sheetName)) {
+      throw new Error(`A sheet with the name "${sheetName}" already exists.`);
+    }
+    const sh = new FakeSheet(this, sheetName);
+    this.sheets.push(sh);
+    return sh;
+  }
+
+  deleteSheet(sh) {
+    this.sheets = this.sheets.filter(x => x !== sh);
+  }
+
+  setSpreadsheetTimeZone(tz) { this.timeZone = tz; }
+  getSpreadsheetTimeZone() { return this.timeZone; }
+
+  toast(msg, title, timeoutSec) {
+    this.toasts.push({ msg: String(msg), title: title || "", timeoutSec });
+  }
+}
+
+class FakeSheet {
+  constructor(spreadsheet, name) {
+    this.spreadsheet = spreadsheet;
+    this.name = name;
+    this.cells = [];
+    this.frozenRows = 0;
+    this.hidden = false;
+    this.bandings = [];
+    this.formats = {};
+    this.backgrounds = {}; // "row:col" -> colour (only set cells)
+    this.notes = {};       // "row:col" -> note (only set cells)
+  }
+
+  /**
+   * Replace sheet contents with a 2D array (first row = headers).
+   */
+  load(rows) {
+    this.cells = (rows || []).map(r => r.slice());
+    return this;
+  }
+
+  getName() { return this.name; }
+  setName(name) { this.name = name; return this; }
+  getParent() { return this.spreadsheet; }
+  getSheetId() { return this.spreadsheet.sheets.indexOf(this); }
+
+  getLastRow() {
+    for (let r = this.cells.length - 1; r >= 0; r--) {
+      if ((this.cells[r] || []).some(isFilled_)) return r + 1;
+    }
+    return 0;
+  }
+
+  getLastColumn() {
+    let last = 0;
+    for (const row of this.cells) {
+      for (let c = (row || []).length - 1; c >= last; c--) {
+        if (isFilled_(row[c])) { last = c + 1; break; }
+      }
+    }
+    return last;
+  }
+
+  getMaxRows() { return Math.max(this.cells.length, 1000); }
+  getMaxColumns() { return Math.max(this.getLastColumn(), 26); }
+
+  getRange(row, col, numRows, numCols) {
+    if (typeof row === "string") throw new Error("A1 notation is not supported by the fake Sheet.");
+    return new FakeRange(this, row, col, numRows === undefined ? 1 : numRows, numCols === undefined ? 1 : numCols);
+  }
+
+  getDataRange() {
+    return new FakeRange(this, 1, 1, Math.max(this.getLastRow(), 1), Math.max(this.getLastColumn(), 1));
+  }
+
+  appendRow(values) {
+    const at = this.getLastRow();
+    this.cells[at] = values.slice();
+    return this;
+  }
+
+  insertRowsAfter(afterRow, howMany) {
+    const blanks = new Array(howMany).fill(null).map(() => []);
+    this.cells.splice(afterRow, 0, ...blanks);
+    return this;
+  }
+
+  deleteRow(row) { return this.deleteRows(row, 1); }
+
+  deleteRows(row, howMany) {
+    if (row < 1 || howMany < 1) throw new Error(`Invalid deleteRows(${row}, ${howMany})`);
+    this.cells.splice(row - 1, howMany);
+    return this;
+  }
+
+  clear() { this.cells = []; return this; }
+  clearContents() { return this.clear(); }
+
+  setFrozenRows(n) { this.frozenRows = n; }
+  getFrozenRows() { return this.frozenRows; }
+
+  isSheetHidden() { return this.hidden; }
+  hideSheet() { this.hidden = true; return this; }
+  showSheet() { this.hidden = false; return this; }
+
+  getBandings() { return this.bandings.slice(); }
+  autoResizeColumns() { return this; }
+  activate() { return this; }
+
+  // --- internal cell access (1-based) ---
+  _get(row, col) {
+    const r = this.cells[row - 1];
+    if (!r) return "";
+    const v = r[col - 1];
+    return (v === undefined || v === null) ? "" : v;
+  }
+
+  _set(row, col, value) {
+    while (this.cells.length < row) this.cells.push([]);
+    const r = this.cells[row - 1];
+    while (r.length < col - 1) r.push("");
+    r[col - 1] = (value === undefined || value === null) ? "" : value;
+  }
+}
+
+class FakeRange {
+  constructor(sheet, row, col, numRows, numCols) {
+    if (!(row >= 1) || !(col >= 1) || !(numRows >= 1) || !(numCols >= 1)) {
+      throw new Error(`Invalid range: (${row}, ${col}, ${numRows}, ${numCols}) on "${sheet.name}"`);
+    }
+    this.sheet = sheet;
+    this.row = row;
+    this.col = col;
+    this.numRows = numRows;
+    this.numCols = numCols;
+  }
+
+  getSheet() { return this.sheet; }
+  getRow() { return this.row; }
+  getColumn() { return this.col; }
+  getNumRows() { return this.numRows; }
+  getNumColumns() { return this.numCols; }
+  getLastRow() { return this.row + this.numRows - 1; }
+  getLastColumn() { return this.col + this.numCols - 1; }
+
+  getValues() {
+    const out = new Array(this.numRows);
+    for (let r = 0; r < this.numRows; r++) {
+      const row = new Array(this.numCols);
+      for (let c = 0; c < this.numCols; c++) row[c] = copyCell_(this.sheet._get(this.row + r, this.col + c));
+      out[r] = row;
+    }
+    return out;
+  }
+
+  getDisplayValues() {
+    return this.getValues().map(r => r.map(v => (v instanceof Date) ? v.toISOString() : String(v)));
+  }
+
+  getValue() { return this.getValues()[0][0]; }
+
+  setValues(values) {
+    if (!Array.isArray(values) || values.length !== this.numRows) {
+      throw new Error(`The number of rows in the data does not match the number of rows in the range. The data has ${values ? values.length : 0} but the range has ${this.numRows}.`);
+    }
+    for (let r = 0; r < this.numRows; r++) {
+      const row = values[r];
+      if (!Array.isArray(row) || row.length !== this.numCols) {
+        throw new Error(`The number of columns in the data does not match the number of columns in the range. The data has ${row ? row.length : 0} but the range has ${this.numCols}.`);
+      }
+      for (let c = 0; c < this.numCols; c++) this.sheet._set(this.row + r, this.col + c, copyCell_(row[c]));
+    }
+    return this;
+  }
+
+  setValue(value) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numCols; c++) this.sheet._set(this.row + r, this.col + c, copyCell_(value));
+    }
+    return this;
+  }
+
+  clearContent() { return this.setValue(""); }
+  clear() { return this.clearContent(); }
+
+  setNumberFormat(fmt) {
+    this.sheet.formats[`${this.row}:${this.col}:${this.numRows}:${this.numCols}`] = fmt;
+    return this;
+  }
+
+  applyRowBanding(theme) {
+    const banding = {
+      theme,
+      range: this,
+      remove: () => { this.sheet.bandings = this.sheet.bandings.filter(b => b !== banding); }
+    };
+    this.sheet.bandings.push(banding);
+    return banding;
+  }
+
+  setBackground(colour) { return this.setBackgrounds(this._fill(colour)); }
+  setBackgrounds(colours) { this._store(this.sheet.backgrounds, colours); return this; }
+  setNote(note) { return this.setNotes(this._fill(note)); }
+  setNotes(notes) { this._store(this.sheet.notes, notes); return this; }
+
+  // Other formatting calls are accepted and ignored.
+  setFontWeight() { return this; }
+  setWrap() { return this; }
+  setDataValidation() { return this; }
+
+  _fill(v) {
+    return Array.from({ length: this.numRows }, () => new Array(this.numCols).fill(v));
+  }
+
+  // Blank/null clears the cell, as in Sheets
+  _store(target, values) {
+    for (let r = 0; r < this.numRows; r++) {
+      for (let c = 0; c < this.numCols; c++) {
+        const key = `${this.row + r}:${this.col + c}`;
+        const v = values[r][c];
+        if (v === null || v === undefined || v === "") delete target[key];
+        else target[key] = v;
+      }
+    }
+  }
+}
+
+function isFilled_(v) {
+  return v !== "" && v !== null && v !== undefined;
+}
+
+function copyCell_(v) {
+  return (v instanceof Date) ? new Date(v.getTime()) : v;
+}
+
+module.exports = { FakeSpreadsheet, FakeSheet, FakeRange };
@@ -0,0 +1,75 @@
+/***************************************
+ * helpers.js
+ *
+ * Shared fixture setup and sheet accessors for the test files.
+ *
+ * Usage:
+ *   const sb = processedSandbox({ user: "packer@example.com" });
+ *   byLineItem(sb)["LI-1"].PrintBatchID;
+ *   setCellWhere(sb, "Orders", "OrderName", "#1001", "OrderStatus", "Packed");
+ ***************************************/
+
+const { createSandbox, loadFixture } = require("./sandbox");
+
+/**
+ * waitingOrders fixture (plus extra top-level fixture keys) after one processWaitingOrders(runOpts).
+ */
+function processedSandbox(extra, runOpts) {
+  const sb = createSandbox(Object.assign(loadFixture("waitingOrders"), extra || {}));
+  sb.fns.processWaitingOrders(runOpts);
+  return sb;
+}
+
+/**
+ * Adds a column to a fixture sheet: header on row 0, fill (value or fn(row, i)) below.
+ */
+function addColumn(fx, sheetName, header, fill) {
+  const rows = fx.sheets[sheetName];
+  rows[0].push(header);
+  for (let i = 1; i < rows.length; i++) {
+    rows[i].push(typeof fill === "function" ? fill(rows[i], i) : (fill === undefined ? "" : fill));
+  }
+  return fx;
+}
+
+function byKey(records, key) {
+  const m = {};
+  for (const r of records) m[r[key]] = r;
+  return m;
+}
+
+function byLineItem(sb) {
+  return byKey(sb.records("OrderItems"), "LineItemID");
+}
+
+function batchIds(sb) {
+  const m = {};
+  for (const r of sb.records("OrderItems")) m[r.LineItemID] = r.PrintBatchID;
+  return m;
+}
+
+function batch(sb, id) {
+  return sb.records("Batches").find(b => b.BatchID === id);
+}
+
+/**
+ * Appends an OrderItems row from { header: value } (missing headers blank).
+ */
+function addItem(sb, row) {
+  const sh = sb.sheet("OrderItems");
+  const headers = sh.getRange(1, 1, 1, sh.getLastColumn()).getValues()[0];
+  sh.appendRow(headers.map(h => (row[h] === undefined ? "" : row[h])));
+}
+
+/**
+ * Sets header on the first row of sheetName whose keyHeader equals key.
+ */
+function setCellWhere(sb, sheetName, keyHeader, key, header, value) {
+  const sh = sb.sheet(sheetName);
+  const map = sb.fns.headerMap_(sh);
+  const row = sh.cells.findIndex(r => r[map[keyHeader]] === key);
+  if (row < 1) throw new Error(`${sheetName}: no row with ${keyHeader} = ${key}`);
+  sh.getRange(row + 1, map[header] + 1).setValue(value);
+}
+
+module.exports = { processedSandbox, addColumn, byKey, byLineItem, batchIds, batch, addItem, setCellWhere };
@@ -0,0 +1,190 @@
+/***************************************
+ * sandbox.js
+ *
+ * Loads the Apps Script files (repo root, *.js, in project order) into an
+ * isolated function scope with in-memory service stand-ins.
+ *
+ * Usage:
+ *   const sb = createSandbox({ now: "2026-03-10T12:00:00Z", sheets: { OrderItems: [[...headers], [...row]] } });
+ *   sb.fns.processWaitingOrders();
+ *   sb.records("Orders"); // -> [{ OrderName: "#1001", ... }]
+ *
+ * Each sandbox gets its own copy of CFG, sheets, properties and clock, so
+ * tests can tweak CFG.BATCH etc. without leaking into each other.
+ ***************************************/
+
+process.env.TZ = process.env.TZ || "Europe/London";
+
+const fs = require("fs");
+const path = require("path");
+
+const { FakeSpreadsheet } = require("./fakeSpreadsheet");
+const svc = require("./fakeServices");
+
+const ROOT_DIR = path.resolve(__dirname, "..", "..");
+
+let cachedSource = null;
+
+/**
+ * Project files in Apps Script load order ("0 config.js" ... "99 processWaitingOrders.js").
+ */
+function listProjectFiles_() {
+  return fs.readdirSync(ROOT_DIR)
+    .filter(f => f.endsWith(".js"))
+    .sort((a, b) => a.localeCompare(b, "en", { numeric: true }));
+}
+
+function loadProjectSource_() {
+  if (cachedSource) return cachedSource;
+
+  const names = new Set();
+  const chunks = [];
+
+  for (const file of listProjectFiles_()) {
+    const src = fs.readFileSync(path.join(ROOT_DIR, file), "utf8");
+    chunks.push(`// ---- ${file}\n${src}`);
+
+    for (const m of src.matchAll(/^(?:async\s+)?function\s+([\w$]+)\s*\(/gm)) names.add(m[1]);
+    for (const m of src.matchAll(/^(?:const|let|var)\s+([\w$]+)\s*=/gm)) names.add(m[1]);
+  }
+
+  const exportsSrc = Array.from(names).map(n => `${JSON.stringify(n)}: ${n}`).join(",\n");
+  cachedSource = `${chunks.join("\n\n")}\n\nreturn {\n${exportsSrc}\n};`;
+  return cachedSource;
+}
+
+/**
+ * Date stand-in whose no-arg constructor / Date.now() follow the sandbox clock.
+ * instanceof still accepts ordinary Dates (fixture values, fake-sheet copies).
+ */
+function makeClockDate_(clock) {
+  class ClockDate extends Date {
+    constructor(...args) {
+      if (args.length === 0) super(clock.now);
+      else super(...args);
+    }
+    static now() { return clock.now; }
+    static [Symbol.hasInstance](v) { return v instanceof Date; }
+  }
+  return ClockDate;
+}
+
+function createSandbox(fixture) {
+  const fx = fixture || {};
+
+  const clock = { now: fx.now ? new Date(fx.now).getTime() : Date.now() };
+  const state = {
+    triggers: [],
+    menus: [],
+    alerts: [],
+    sidebars: [],
+    dialogs: [],
+    uiResponses: [],
+    logs: [],
+    conversions: [],
+    sleptMs: 0
+  };
+
+  const spreadsheet = new FakeSpreadsheet({ id: "active", sheets: fx.sheets || {} });
+  const spreadsheetsById = new Map([[spreadsheet.getId(), spreadsheet]]);
+  const registerSpreadsheet = (ss) => { spreadsheetsById.set(ss.getId(), ss); return ss; };
+
+  const drive = svc.makeDrive(state, registerSpreadsheet);
+  const driveFx = fx.drive || {};
+  for (const id of Object.keys(driveFx.folders || {})) {
+    const f = driveFx.folders[id] || {};
+    drive.makeFolder(id, f.name);
+    for (const file of (f.files || [])) drive.addFile(Object.assign({}, file, { parents: [id] }));
+  }
+
+  const ui = svc.makeUi(state);
+
+  const SpreadsheetApp = {
+    getActiveSpreadsheet: () => spreadsheet,
+    getActive: () => spreadsheet,
+    openById(id) {
+      const ss = spreadsheetsById.get(id);
+      if (!ss) throw new Error(`No spreadsheet with id: ${id}`);
+      return ss;
+    },
+    create(name) {
+      const ss = registerSpreadsheet(new FakeSpreadsheet({ name, sheets: { Sheet1: [] } }));
+      drive.addFile({ id: ss.getId(), name, mimeType: svc.MimeType.GOOGLE_SHEETS });
+      return ss;
+    },
+    getUi: () => ui,
+    flush: () => {},
+    BandingTheme: { LIGHT_BLUE: "LIGHT_BLUE", LIGHT_GREY: "LIGHT_GREY" }
+  };
+
+  const globals = {
+    SpreadsheetApp,
+    LockService: svc.makeLockService(),
+    PropertiesService: svc.makePropertiesService(fx.properties),
+    CacheService: svc.makeCacheService(clock),
+    Utilities: svc.makeUtilities(state),
+    Session: svc.makeSession(fx.user),
+    ScriptApp: svc.makeScriptApp(state),
+    DriveApp: drive.DriveApp,
+    Drive: drive.Drive,
+    HtmlService: svc.makeHtmlService(ROOT_DIR),
+    ContentService: svc.makeContentService(),
+    MimeType: svc.MimeType,
+    Logger: svc.makeLogger(state),
+    Date: makeClockDate_(clock)
+  };
+
+  const paramNames = Object.keys(globals);
+  const factory = new Function(...paramNames, loadProjectSource_());
+  const fns = factory(...paramNames.map(n => globals[n]));
+
+  return {
+    fns,
+    CFG: fns.CFG,
+    globals,
+    spreadsheet,
+    drive,
+    state,
+    clock,
+    registerSpreadsheet,
+
+    setNow(iso) { clock.now = new Date(iso).getTime(); },
+
+    sheet(name) {
+      const sh = spreadsheet.getSheetByName(name);
+      if (!sh) throw new Error(`Fixture has no sheet: ${name}`);
+      return sh;
+    },
+
+    /**
+     * Data rows of a sheet as objects keyed by header (blank rows skipped).
+     */
+    records(name) {
+      const sh = this.sheet(name);
+      const lastRow = sh.getLastRow();
+      const lastCol = sh.getLastColumn();
+      if (lastRow < 2) return [];
+      const rows = sh.getRange(1, 1, lastRow, lastCol).getValues();
+      const headers = rows[0].map(h => String(h || "").trim());
+      return rows.slice(1)
+        .filter(r => r.some(v => v !== "" && v !== null && v !== undefined))
+        .map(r => {
+          const o = {};
+          headers.forEach((h, i) => { if (h) o[h] = r[i]; });
+          return o;
+        });
+    },
+
+    toasts() { return spreadsheet.toasts.map(t => t.msg); }
+  };
+}
+
+/**
+ * Loads a JSON fixture from test/fixtures.
+ */
+function loadFixture(name) {
+  const file = path.join(__dirname, "..", "fixtures", name.endsWith(".json") ? name : `${name}.json`);
+  return JSON.parse(fs.readFileSync(file, "utf8"));
+}
+
+module.exports = { createSandbox, loadFixture, ROOT_DIR };
@@ -0,0 +1,125 @@
+/***************************************
+ * orderCancellations.test.js
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createSandbox, loadFixture } = require("./harness/sandbox");
+const { addColumn, byKey, setCellWhere } = require("./harness/helpers");
+
+const B64 = "B-20260309-AUTO-B64-001";
+const MISC = "B-20260309-MISC-MISC-001";
+
+function setup() {
+  return createSandbox(addColumn(loadFixture("waitingOrders"), "OrderItems", "CancelledAt"));
+}
+
+function cancel(sb, lineItemId) {
+  setCellWhere(sb, "OrderItems", "LineItemID", lineItemId, "CancelledAt", new Date("2026-03-10T11:00:00Z"));
+}
+
+test("cancelled items are not batched and a fully cancelled order never reaches Orders", () => {
+  const sb = setup();
+  cancel(sb, "LI-1");
+  sb.fns.processWaitingOrders();
+
+  const li = byKey(sb.records("OrderItems"), "LineItemID");
+  assert.equal(li["LI-1"].PrintBatchID, "");
+  assert.equal(li["LI-2"].PrintBatchID, MISC, "B64 falls below the AUTO minimum without LI-1");
+  assert.equal(byKey(sb.records("Batches"), "BatchID")[MISC].TotalPrintUnits, 7);
+  assert.equal(byKey(sb.records("Orders"), "OrderName")["#1001"], undefined);
+});
+
+test("a cancelled item is pulled from its open batch; the order becomes Cancelled", () => {
+  const sb = setup();
+  sb.fns.processWaitingOrders();
+
+  cancel(sb, "LI-1");
+  sb.fns.syncOrdersFromOrderItems();
+
+  assert.equal(byKey(sb.records("OrderItems"), "LineItemID")["LI-1"].PrintBatchID, "");
+  const batch = byKey(sb.records("Batches"), "BatchID")[B64];
+  assert.deepEqual([batch.OrderStatus, batch.TotalPrintUnits, batch.LineItemCount, batch.OrderCount], ["Open", 6, 1, 1]);
+  assert.equal(byKey(sb.records("BatchOrders"), "BatchOrderID")[`${B64}|#1001`], undefined);
+  assert.equal(byKey(sb.records("Orders"), "OrderName")["#1001"].OrderStatus, sb.CFG.STATUS.CANCELLED);
+  assert.match(sb.toasts().pop(), /Cancelled items pulled from batches: 1/);
+});
+
+test("a partial cancellation keeps the order live and cancels a batch it empties", () => {
+  const sb = setup();
+  sb.fns.processWaitingOrders();
+
+  cancel(sb, "LI-3");
+  sb.fns.syncOrdersFromOrderItems();
+
+  const misc = byKey(sb.records("Batches"), "BatchID")[MISC];
+  assert.deepEqual([misc.OrderStatus, misc.TotalPrintUnits], [sb.CFG.BATCH_STATUS.CANCELLED, 0]);
+  assert.match(misc.Notes, /^Emptied .*: every item was cancelled upstream$/);
+  assert.equal(byKey(sb.records("Orders"), "OrderName")["#1002"].OrderStatus, sb.CFG.STATUS.IN_PROD);
+});
+
+test("cancelling an item in a printed batch raises one exception and leaves the batch alone", () => {
+  const sb = setup();
+  sb.fns.processWaitingOrders();
+  sb.fns.setBatchStatus(B64, sb.CFG.BATCH_STATUS.PRINTED);
+
+  cancel(sb, "LI-2");
+  sb.fns.syncOrdersFromOrderItems();
+  sb.fns.syncOrdersFromOrderItems();
+
+  assert.equal(byKey(sb.records("OrderItems"), "LineItemID")["LI-2"].PrintBatchID, B64);
+  assert.equal(byKey(sb.records("Batches"), "BatchID")[B64].TotalPrintUnits, 9);
+
+  const ex = sb.records("Exceptions").filter(r => r.Type === "CANCELLED_AFTER_PRINT");
+  assert.equal(ex.length, 1);
+  assert.deepEqual([ex[0].LineItemID, ex[0].OrderName], ["LI-2", "#1002"]);
+  assert.equal(ex[0].Message, `Cancelled, but batch ${B64} has already been printed; left in the batch.`);
+
+  sb.fns.setExceptionStatus([sb.fns.getOpenExceptions({ type: "CANCELLED_AFTER_PRINT" }).items[0].key], "Resolved");
+  sb.fns.syncOrdersFromOrderItems();
+  const after = sb.records("Exceptions").filter(r => r.Type === "CANCELLED_AFTER_PRINT");
+  assert.deepEqual(after.map(r => r.Status), ["Resolved"], "the next sync does not reopen it");
+});
+
+test("an upstream cancellation overrides Hold and arrives through the order import", () => {
+  const sb = setup();
+  sb.fns.processWaitingOrders();
+
+  const orders = sb.sheet("Orders");
+  const oMap = sb.fns.headerMap_(orders);
+  const row = orders.cells.findIndex(r => r[oMap.OrderName] === "#1005");
+  orders.getRange(row + 1, oMap.OrderStatus + 1).setValue(sb.CFG.STATUS.HOLD);
+
+  const items = sb.fns.parseOrderImportJson_({
+    name: "#1005",
+    cancelled_at: "2026-03-10T11:30:00+00:00",
+    line_items: [{ id: "LI-7", sku: "P64-3", quantity: 1 }]
+  });
+  const up = sb.fns.upsertOrderItemsFromImport_(items);
+  assert.equal(up.updated, 1);
+  sb.fns.syncOrdersFromOrderItems();
+
+  assert.ok(byKey(sb.records("OrderItems"), "LineItemID")["LI-7"].CancelledAt instanceof Date);
+  assert.equal(byKey(sb.records("Orders"), "OrderName")["#1005"].OrderStatus, sb.CFG.STATUS.CANCELLED);
+});
+
+test("an imported cancellation of an unbatched order behind the checkpoint reaches Orders", () => {
+  const sb = setup();
+  sb.CFG.PERF.CHANGE_DETECTION = "ROW";
+  sb.fns.syncOrdersFromOrderItems();
+  sb.CFG.PERF.CHECKPOINT_OVERLAP = 0;
+  const status = () => byKey(sb.records("Orders"), "OrderName")["#1001"].OrderStatus;
+  assert.equal(status(), sb.CFG.STATUS.NEW);
+
+  const res = sb.fns.importOrderItems_(sb.fns.parseOrderImportJson_({
+    name: "#1001",
+    cancelled_at: "2026-03-10T11:30:00+00:00",
+    line_items: [{ id: "LI-1", sku: "P64-3", quantity: 1 }]
+  }));
+  assert.equal(res.updated, 1);
+  assert.equal(status(), sb.CFG.STATUS.CANCELLED);
+
+  sb.fns.syncOrdersFromOrderItems();
+  assert.equal(status(), sb.CFG.STATUS.CANCELLED);
+});
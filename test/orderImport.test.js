@@ -0,0 +1,197 @@
+/***************************************
+ * orderImport.test.js
+ *
+ * doPost + watch-folder order import: payload -> OrderItems upsert -> enrichment -> Orders.
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createSandbox, loadFixture } = require("./harness/sandbox");
+const { byLineItem, batch } = require("./harness/helpers");
+
+const orders = loadFixture("shopifyOrders");
+
+function setup() {
+  const fx = Object.assign({}, loadFixture("waitingOrders"), {
+    properties: { script: { ORDER_IMPORT_TOKEN: "s3cret" } },
+    drive: {
+      folders: {
+        "orders-watch": {
+          name: "Order Exports",
+          files: [
+            { id: "export-json", name: "orders-2026-03-09.json", mimeType: "application/json", lastUpdated: "2026-03-09T12:00:00Z", content: JSON.stringify(orders.export) },
+            { id: "export-csv", name: "orders_export.csv", mimeType: "text/csv", lastUpdated: "2026-03-09T12:05:00Z", content: orders.csv.join("\n") },
+            { id: "notes-1", name: "readme.txt", mimeType: "text/plain", content: "not an export" }
+          ]
+        },
+        "orders-archive": { name: "Order Exports Archive", files: [] },
+        "orders-quarantine": { name: "Order Exports Quarantine", files: [] }
+      }
+    }
+  });
+  const sb = createSandbox(fx);
+  sb.CFG.ORDER_IMPORT.WATCH_FOLDER_ID = "orders-watch";
+  sb.CFG.ORDER_IMPORT.ARCHIVE_FOLDER_ID = "orders-archive";
+  sb.CFG.ORDER_IMPORT.QUARANTINE_FOLDER_ID = "orders-quarantine";
+  return sb;
+}
+
+function post(sb, payload, token) {
+  const out = sb.fns.doPost({
+    parameter: { token: token === undefined ? "s3cret" : token },
+    postData: { contents: JSON.stringify(payload), type: "application/json" }
+  });
+  assert.equal(out.getMimeType(), "JSON");
+  return JSON.parse(out.getContent());
+}
+
+test("doPost rejects a missing or wrong token", () => {
+  const sb = setup();
+  assert.deepEqual(post(sb, orders.webhook, ""), { ok: false, error: "Unauthorized" });
+  assert.deepEqual(post(sb, orders.webhook, "nope"), { ok: false, error: "Unauthorized" });
+  assert.equal(byLineItem(sb)["9001"], undefined);
+});
+
+test("a lock timeout is answered with JSON", () => {
+  const sb = setup();
+  sb.globals.LockService.getDocumentLock().waitLock = () => { throw new Error("Lock timeout"); };
+  assert.deepEqual(post(sb, orders.webhook), { ok: false, error: "Lock timeout" });
+});
+
+test("a webhook order is upserted, enriched and synced; re-sending it is a no-op", () => {
+  const sb = setup();
+  const res = post(sb, orders.webhook);
+
+  assert.deepEqual([res.ok, res.appended, res.updated, res.orders], [true, 2, 0, 1]);
+  const li = byLineItem(sb);
+  assert.deepEqual(
+    [li["9001"].OrderName, li["9001"].SKU, li["9001"].Qty, li["9001"].PrintUnits, li["9001"].ReadyForOrders],
+    ["#2001", "P64-3", 1, 3, true]
+  );
+  assert.equal(li["9002"].ProductTitle, "Photo Mug");
+  assert.ok(sb.records("Orders").some(o => o.OrderName === "#2001"));
+
+  const again = post(sb, orders.webhook);
+  assert.deepEqual([again.appended, again.updated, again.unchanged, again.sync], [0, 0, 2, null]);
+  assert.equal(sb.records("OrderItems").filter(r => r.OrderName === "#2001").length, 2);
+});
+
+test("re-sending a line the BDD rule archived does not archive it again", () => {
+  const sb = setup();
+  const withDigital = JSON.parse(JSON.stringify(orders.webhook));
+  withDigital.line_items.push({ id: 9005, sku: "P64-3-BDD", name: "Digital Download", quantity: 1 });
+
+  const first = post(sb, withDigital);
+  assert.equal(first.appended, 3);
+  assert.equal(byLineItem(sb)["9005"], undefined);
+
+  const again = post(sb, withDigital);
+  assert.deepEqual([again.appended, again.updated, again.unchanged], [0, 0, 3]);
+  assert.deepEqual(sb.records("ExcludedItems").map(r => r.LineItemID).filter(id => id === "9005"), ["9005"]);
+});
+
+test("a changed quantity re-enriches the row; a batched row leaves its batch unless printing started", () => {
+  const sb = setup();
+  post(sb, orders.webhook);
+  sb.fns.processWaitingOrders();
+  const batchId = byLineItem(sb)["LI-3"].PrintBatchID;
+  assert.ok(batchId);
+
+  const edited = JSON.parse(JSON.stringify(orders.webhook));
+  edited.line_items[0].id = 9009;
+  edited.line_items[0].quantity = 2;
+  post(sb, edited);
+  assert.equal(byLineItem(sb)["9009"].PrintUnits, 6, "a new line item id is a new row");
+
+  const res = post(sb, { name: "#1002", line_items: [{ id: "LI-3", sku: "MUG-01", quantity: 4 }] });
+  assert.deepEqual([res.updated, res.skipped], [1, 0]);
+  const mug = byLineItem(sb)["LI-3"];
+  assert.deepEqual([mug.Qty, mug.PrintBatchID, mug.PrintUnits], [4, "", 4]);
+  assert.deepEqual([batch(sb, batchId).TotalPrintUnits, batch(sb, batchId).LineItemCount], [2, 1], "metrics follow the release");
+
+  sb.fns.upsertOrderItemsFromImport_([{ lineItemId: "9009", orderName: "#2001", sku: "P64-3", qty: 3, title: "", shippingService: "" }]);
+  const row = byLineItem(sb)["9009"];
+  assert.deepEqual([row.Qty, row.PrintUnits, row.ReadyForOrders], [3, "", false], "derived fields cleared for enrichment");
+  sb.fns.syncOrdersFromOrderItems();
+  assert.deepEqual([byLineItem(sb)["9009"].PrintUnits, byLineItem(sb)["9009"].ReadyForOrders], [9, true]);
+
+  sb.fns.processWaitingOrders();
+  const rebatched = byLineItem(sb)["LI-3"].PrintBatchID;
+  assert.ok(rebatched);
+  sb.fns.markBatchPrinted(rebatched);
+
+  const late = post(sb, { name: "#1002", line_items: [{ id: "LI-3", sku: "MUG-01", quantity: 5 }] });
+  assert.deepEqual([late.updated, late.skipped], [0, 1]);
+  assert.deepEqual([byLineItem(sb)["LI-3"].Qty, byLineItem(sb)["LI-3"].PrintBatchID], [4, rebatched]);
+
+  const ex = sb.records("Exceptions").find(r => r.Type === "IMPORT_CHANGED_AFTER_BATCH");
+  assert.equal(ex.LineItemID, "LI-3");
+  assert.equal(ex.Message, `Import has MUG-01 x5 but batch ${rebatched} has already started printing; left unchanged.`);
+});
+
+test("an update to a row behind the checkpoint is re-enriched straight away", () => {
+  for (const mode of ["ROW", "HASH"]) {
+    const sb = setup();
+    sb.CFG.PERF.CHANGE_DETECTION = mode;
+    sb.CFG.PERF.CHECKPOINT_OVERLAP = 0;
+    sb.fns.syncOrdersFromOrderItems();
+    assert.deepEqual([byLineItem(sb)["LI-1"].PrintUnits, byLineItem(sb)["LI-1"].ReadyForOrders], [3, true]);
+
+    const res = post(sb, { name: "#1001", line_items: [{ id: "LI-1", sku: "P64-3", quantity: 2 }] });
+    assert.equal(res.updated, 1);
+
+    const li1 = byLineItem(sb)["LI-1"];
+    assert.deepEqual([li1.Qty, li1.PrintUnits, li1.PrintCategory, li1.ReadyForOrders], [2, 6, "B64", true], mode);
+    if (mode === "HASH") assert.equal(sb.fns.normalizeAndEnrichOrderItems_().scanned, 0, "hashes recorded by the direct pass");
+  }
+});
+
+test("the watch folder imports JSON and CSV exports, then archives them", () => {
+  const sb = setup();
+  sb.fns.pollOrderImportWatchFolder();
+
+  const li = byLineItem(sb);
+  assert.equal(li["9003"].PrintUnits, 6);
+  assert.deepEqual(
+    ["#2003|MUG-01|1", "#2003|MUG-01|2", "#2003|GIFTCARD|1"].map(id => li[id] && li[id].OrderName),
+    ["#2003", "#2003", "#2003"],
+    "CSV rows without ids get OrderName|SKU|n"
+  );
+  assert.ok(li["#2003|MUG-01|2"].CreatedAt instanceof Date, "CreatedAt carried forward");
+
+  const file = sb.globals.DriveApp.getFileById("export-csv");
+  assert.ok(file.parents.has("orders-archive"));
+  assert.ok(sb.globals.DriveApp.getFileById("notes-1").parents.has("orders-watch"));
+
+  const processed = JSON.parse(sb.globals.PropertiesService.getDocumentProperties().getProperty("ORDER_IMPORT_PROCESSED_FILE_IDS"));
+  assert.deepEqual(processed, ["export-json", "export-csv"]);
+
+  sb.fns.pollOrderImportWatchFolder();
+  assert.equal(sb.records("OrderItems").filter(r => r.OrderName === "#2003").length, 3);
+});
+
+test("a file that fails is logged and quarantined; the rest still import", () => {
+  const sb = setup();
+  sb.globals.DriveApp.getFolderById("orders-watch").createFile(
+    sb.globals.Utilities.newBlob("{ not json", "application/json", "broken.json")
+  );
+  sb.fns.pollOrderImportWatchFolder();
+
+  assert.ok(byLineItem(sb)["9003"], "the good exports still import");
+  const broken = sb.globals.DriveApp.getFolderById("orders-quarantine").getFiles().next();
+  assert.equal(broken.getName(), "broken.json");
+  assert.ok(!broken.parents.has("orders-watch"));
+
+  const ex = sb.records("Exceptions").find(r => r.Type === "ORDER_IMPORT_FAILED");
+  assert.match(ex.Message, /^broken\.json: /);
+
+  const processed = JSON.parse(sb.globals.PropertiesService.getDocumentProperties().getProperty("ORDER_IMPORT_PROCESSED_FILE_IDS"));
+  assert.ok(!processed.includes(broken.getId()), "a fixed file can be moved back and retried");
+});
+
+test("the watch folder needs a quarantine folder", () => {
+  const sb = setup();
+  sb.CFG.ORDER_IMPORT.QUARANTINE_FOLDER_ID = "";
+  assert.throws(() => sb.fns.pollOrderImportWatchFolder(), /CFG\.ORDER_IMPORT\.QUARANTINE_FOLDER_ID is not set/);
+});
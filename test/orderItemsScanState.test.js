@@ -0,0 +1,108 @@
+/***************************************
+ * orderItemsScanState.test.js
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createSandbox, loadFixture } = require("./harness/sandbox");
+const { byLineItem, setCellWhere } = require("./harness/helpers");
+
+function setup(mode) {
+  const sb = createSandbox(loadFixture("waitingOrders"));
+  sb.CFG.PERF.CHECKPOINT_OVERLAP = 0;
+  if (mode) sb.CFG.PERF.CHANGE_DETECTION = mode;
+  sb.fns.normalizeAndEnrichOrderItems_();
+  return sb;
+}
+
+test("an edited row behind the checkpoint is re-enriched and its order re-synced", () => {
+  const sb = setup();
+  assert.equal(sb.fns.getChangeDetectionMode_(), "HASH", "HASH is the default");
+  sb.fns.syncOrdersFromOrderItems();
+
+  setCellWhere(sb, "OrderItems", "LineItemID", "LI-1", "PrintProfileKey", "");
+  const res = sb.fns.normalizeAndEnrichOrderItems_();
+
+  assert.equal(byLineItem(sb)["LI-1"].PrintProfileKey, "B64:3");
+  assert.ok(res.orderNames.includes("#1001"));
+  assert.equal(res.scanned, 1, "only the edited row");
+});
+
+test("sorting and deleting rows does not make clean rows look new", () => {
+  const sb = setup();
+  const sh = sb.sheet("OrderItems");
+
+  const body = sh.cells.slice(1).reverse();
+  sh.cells = [sh.cells[0]].concat(body);
+  let res = sb.fns.normalizeAndEnrichOrderItems_();
+  assert.equal(res.scanned, 0);
+
+  sh.deleteRows(2, 1); // LI-8, now first
+  res = sb.fns.normalizeAndEnrichOrderItems_();
+  assert.equal(res.scanned, 0);
+
+  sh.appendRow(["2026-03-09T12:00:00Z", "#1007", "New Print", 1, "", "", "LI-9", "P64-3", "", "", "", "", "", "", "", ""]);
+  res = sb.fns.normalizeAndEnrichOrderItems_();
+  assert.deepEqual(res.orderNames, ["#1007"]);
+  assert.equal(byLineItem(sb)["LI-9"].PrintUnits, 3);
+
+  assert.deepEqual(
+    sb.records("OrderItemsScanState").map(r => r.Key).sort(),
+    ["LI-1", "LI-2", "LI-3", "LI-5", "LI-6", "LI-7", "LI-9"]
+  );
+});
+
+test("only the state rows whose hash changed are written", () => {
+  const sb = setup();
+  const sh = sb.sheet("OrderItemsScanState");
+  const before = sb.records("OrderItemsScanState");
+  const writes = [];
+  const getRange = sh.getRange.bind(sh);
+  sh.getRange = (row, col, numRows, numCols) => {
+    const range = getRange(row, col, numRows, numCols);
+    const setValues = range.setValues.bind(range);
+    range.setValues = (v) => { writes.push([row, v.length]); return setValues(v); };
+    return range;
+  };
+  sh.clear = () => { throw new Error("state sheet must not be cleared"); };
+
+  setCellWhere(sb, "OrderItems", "LineItemID", "LI-2", "Qty", 3);
+  sb.fns.normalizeAndEnrichOrderItems_();
+
+  const row = before.findIndex(r => r.Key === "LI-2") + 2;
+  assert.deepEqual(writes, [[row, 1]]);
+
+  const after = sb.records("OrderItemsScanState");
+  assert.deepEqual(after.map(r => r.Key), before.map(r => r.Key));
+  assert.deepEqual(after.filter((r, i) => r.RowHash !== before[i].RowHash).map(r => r.Key), ["LI-2"]);
+});
+
+test("rows that are not ready wait for a SKU_Matrix change instead of rescanning every run", () => {
+  const sb = setup();
+  assert.equal(sb.fns.normalizeAndEnrichOrderItems_().scanned, 0);
+
+  sb.sheet("SKU_Matrix").appendRow(["UNKNOWN-9", "PRINT", "B64:3", "B64"]);
+  const res = sb.fns.normalizeAndEnrichOrderItems_();
+  assert.equal(res.scanned, 2, "the two rows that were not ready");
+  assert.equal(byLineItem(sb)["LI-6"].ReadyForOrders, true);
+
+  assert.equal(sb.fns.normalizeAndEnrichOrderItems_().scanned, 0);
+});
+
+test("a reset checkpoint still forces a full rescan", () => {
+  const sb = setup();
+  sb.fns.resetOrderItemsCheckpoint_();
+  const res = sb.fns.normalizeAndEnrichOrderItems_();
+  assert.equal(res.scanned, 7);
+});
+
+test("ROW mode keeps the legacy checkpoint window", () => {
+  const sb = setup("ROW");
+  setCellWhere(sb, "OrderItems", "LineItemID", "LI-1", "PrintProfileKey", "");
+  const res = sb.fns.normalizeAndEnrichOrderItems_();
+
+  assert.equal(res.scanned, 1, "only the checkpoint row itself");
+  assert.equal(byLineItem(sb)["LI-1"].PrintProfileKey, "", "edits behind the checkpoint are missed");
+  assert.equal(sb.spreadsheet.getSheetByName("OrderItemsScanState"), null);
+});
@@ -0,0 +1,68 @@
+/***************************************
+ * orderPriority.test.js
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createSandbox, loadFixture } = require("./harness/sandbox");
+const { addColumn, batchIds, setCellWhere } = require("./harness/helpers");
+
+const RUSH_TODAY = "B-20260310-RUSH-B64-001";
+
+/**
+ * Fixture plus Orders.Priority / ShippingService and OrderItems.ShippingService.
+ */
+function setup(services) {
+  const fx = loadFixture("waitingOrders");
+  addColumn(fx, "Orders", "Priority");
+  addColumn(fx, "Orders", "ShippingService");
+
+  addColumn(fx, "OrderItems", "ShippingService", r => (services || {})[r[6]] || "");
+
+  const sb = createSandbox(fx);
+  sb.fns.processWaitingOrders({ staged: true, stage: "sync" });
+  return sb;
+}
+
+function setOrderCell(sb, orderName, header, value) {
+  setCellWhere(sb, "Orders", "OrderName", orderName, header, value);
+}
+
+test("a rush order bypasses full-days-only and gets a RUSH batch", () => {
+  const sb = setup();
+  setOrderCell(sb, "#1005", "Priority", "rush");
+  sb.fns.createBatchesAuto();
+
+  const ids = batchIds(sb);
+  assert.equal(ids["LI-7"], RUSH_TODAY, "today's rush item is batched, without the AUTO minimum");
+  assert.equal(ids["LI-1"], "B-20260309-AUTO-B64-001");
+
+  const rush = sb.records("Batches").find(b => b.BatchID === RUSH_TODAY);
+  assert.deepEqual([rush.BatchType, rush.PrintProfileKey, rush.TotalPrintUnits], ["RUSH", "B64:3", 3]);
+});
+
+test("rush is derived from the shipping service unless Priority says otherwise", () => {
+  const sb = setup({ "LI-7": "Royal Mail Special Delivery Guaranteed by 1pm", "LI-1": "Tracked 24" });
+
+  const orders = {};
+  for (const r of sb.records("Orders")) orders[r.OrderName] = r;
+  assert.equal(orders["#1005"].ShippingService, "Royal Mail Special Delivery Guaranteed by 1pm");
+
+  setOrderCell(sb, "#1001", "Priority", "Normal");
+  sb.fns.createBatchesAuto();
+
+  const ids = batchIds(sb);
+  assert.equal(ids["LI-7"], RUSH_TODAY);
+  assert.equal(ids["LI-1"], "B-20260309-AUTO-B64-001", "explicit Normal wins over Tracked 24");
+});
+
+test("the queue lists rush orders first with a flag for the badge", () => {
+  const sb = setup();
+  setOrderCell(sb, "#1005", "Priority", "Express");
+
+  const q = sb.fns.getOrderQueueData_({ status: "New" });
+  assert.equal(q.items[0].orderName, "#1005");
+  assert.deepEqual([q.items[0].rush, q.items[0].priority], [true, "Express"]);
+  assert.ok(q.items.slice(1).every(it => !it.rush));
+});
@@ -0,0 +1,100 @@
+/***************************************
+ * orderStrategy.test.js
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createSandbox, loadFixture } = require("./harness/sandbox");
+const { batchIds, addItem } = require("./harness/helpers");
+
+const AUTO = "B-20260309-AUTO-B64-001";
+const MISC = "B-20260309-MISC-MISC-001";
+const MIXED = "B-20260309-MIXED-MIXED-001";
+
+function setup(strategy) {
+  const sb = createSandbox(loadFixture("waitingOrders"));
+  if (strategy) sb.CFG.BATCH.ORDER_STRATEGY = strategy;
+
+  const sh = sb.sheet("BatchOrders");
+  sh.getRange(1, sh.getLastColumn() + 1).setValue("SplitAcrossBatches");
+  return sb;
+}
+
+function splits(sb) {
+  return sb.records("BatchOrders")
+    .map(r => [r.BatchID, r.OrderName, r.SplitAcrossBatches])
+    .sort((a, b) => String(a).localeCompare(String(b)));
+}
+
+test("LINE_ITEM (default) splits #1002 across AUTO and MISC and flags it", () => {
+  const sb = setup();
+  sb.fns.processWaitingOrders();
+
+  const ids = batchIds(sb);
+  assert.equal(ids["LI-2"], AUTO);
+  assert.equal(ids["LI-3"], MISC);
+
+  assert.deepEqual(splits(sb), [
+    [AUTO, "#1001", ""],
+    [AUTO, "#1002", 2],
+    [MISC, "#1002", 2]
+  ]);
+});
+
+test("DOMINANT keeps #1002 whole in the batch of its biggest profile", () => {
+  const sb = setup("DOMINANT");
+  sb.fns.processWaitingOrders();
+
+  const ids = batchIds(sb);
+  assert.equal(ids["LI-2"], AUTO);
+  assert.equal(ids["LI-3"], AUTO, "the MUG joins the B64 batch");
+  assert.ok(!sb.records("Batches").some(b => b.BatchID === MISC));
+
+  const auto = sb.records("Batches").find(b => b.BatchID === AUTO);
+  assert.deepEqual([auto.TotalPrintUnits, auto.LineItemCount, auto.OrderCount], [10, 3, 2]);
+  assert.deepEqual(splits(sb), [[AUTO, "#1001", ""], [AUTO, "#1002", ""]]);
+});
+
+test("MIXED sends multi-profile orders whole to a per-date MIXED batch", () => {
+  const sb = setup("MIXED");
+  sb.fns.processWaitingOrders({ staged: true, stage: "sync" });
+  const p = sb.fns.previewBatchesAuto();
+
+  const mixed = p.buckets[0].batches.find(b => b.batchId === MIXED);
+  assert.deepEqual([mixed.batchType, mixed.lineItems, mixed.orders], ["MIXED", 2, ["#1002"]]);
+
+  sb.fns.commitBatchPreview(p.token);
+  const ids = batchIds(sb);
+  assert.equal(ids["LI-2"], MIXED);
+  assert.equal(ids["LI-3"], MIXED);
+  assert.equal(ids["LI-1"], MISC, "#1001 alone no longer meets the AUTO minimum");
+});
+
+test("MIXED batches split at the max units and keep each order whole", () => {
+  const sb = setup("MIXED");
+  sb.CFG.BATCH.MAX_PRINTUNITS_PER_BATCH = 8;
+  addItem(sb, { CreatedAt: "2026-03-09T10:00:00Z", OrderName: "#1003", Qty: 1, LineItemID: "LI-20", SKU: "P64-3" });
+  addItem(sb, { CreatedAt: "2026-03-09T10:00:00Z", OrderName: "#1003", Qty: 1, LineItemID: "LI-21", SKU: "MUG-01" });
+  sb.fns.processWaitingOrders();
+
+  const ids = batchIds(sb);
+  const MIXED_2 = MIXED.replace(/001$/, "002");
+  assert.deepEqual([ids["LI-2"], ids["LI-3"]], [MIXED, MIXED]);
+  assert.deepEqual([ids["LI-20"], ids["LI-21"]], [MIXED_2, MIXED_2]);
+
+  const units = sb.records("Batches").filter(b => b.BatchType === "MIXED").map(b => [b.BatchID, b.TotalPrintUnits]);
+  assert.deepEqual(units, [[MIXED, 7], [MIXED_2, 4]]);
+});
+
+test("moving part of an order updates its split count in every batch", () => {
+  const sb = setup("DOMINANT");
+  sb.fns.processWaitingOrders();
+  sb.fns.createBatchesIncludeTodayOverride();
+
+  const target = sb.records("Batches").find(b => b.BatchID !== AUTO).BatchID;
+  sb.fns.moveBatchItems({ fromBatchId: AUTO, toBatchId: target, lineItemIds: ["LI-3"], force: true });
+
+  const rows = splits(sb).filter(r => r[1] === "#1002");
+  assert.deepEqual(rows, [[AUTO, "#1002", 2], [target, "#1002", 2]]);
+});
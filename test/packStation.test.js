@@ -0,0 +1,118 @@
+/***************************************
+ * packStation.test.js
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { processedSandbox } = require("./harness/helpers");
+
+const AUTO = "B-20260309-AUTO-B64-001";
+const MISC = "B-20260309-MISC-MISC-001";
+
+function setup() {
+  const sb = processedSandbox({ user: "packer@example.com" });
+  sb.fns.markBatchPrinted(AUTO);
+  sb.fns.markBatchPrinted(MISC);
+  return sb;
+}
+
+function order(sb, name) {
+  return sb.records("Orders").find(o => o.OrderName === name);
+}
+
+test("scan lookup tolerates a missing # and lists line items", () => {
+  const sb = setup();
+
+  const res = sb.fns.getPackOrder("1002");
+  assert.equal(res.found, true);
+  assert.equal(res.orderName, "#1002");
+  assert.deepEqual(res.items.map(it => [it.lineItemId, it.sku, it.printUnits]), [
+    ["LI-2", "P64-3", 6],
+    ["LI-3", "MUG-01", 1]
+  ]);
+  assert.equal(res.totalUnits, 7);
+  assert.equal(res.allPacked, false);
+
+  assert.equal(sb.fns.getPackOrder("#9999").found, false);
+});
+
+test("completing a pack stamps every line and derives Packed", () => {
+  const sb = setup();
+
+  const res = sb.fns.completePackOrder({ orderName: "#1002", lineItemIds: ["LI-2", "LI-3"] });
+  assert.equal(res.packed, 2);
+  assert.equal(res.status, sb.CFG.STATUS.PACKED);
+
+  const lines = sb.records("OrderItems").filter(r => r.OrderName === "#1002");
+  for (const l of lines) {
+    assert.ok(l.PackedAt instanceof Date);
+    assert.equal(l.PackedBy, "packer@example.com");
+  }
+
+  const o = order(sb, "#1002");
+  assert.equal(o.OrderStatus, sb.CFG.STATUS.PACKED);
+  assert.equal(o.PackedBy, "packer@example.com");
+  assert.ok(o.PackedAt instanceof Date);
+
+  const again = sb.fns.completePackOrder({ orderName: "#1002", lineItemIds: ["LI-2"] });
+  assert.equal(again.packed, 0);
+  assert.equal(again.alreadyPacked, 1);
+});
+
+test("partial pack leaves the order short of Packed", () => {
+  const sb = setup();
+
+  const res = sb.fns.completePackOrder({ orderName: "#1002", lineItemIds: ["LI-2"] });
+  assert.equal(res.packed, 1);
+  assert.equal(res.status, sb.CFG.STATUS.READY);
+});
+
+test("refuses orders that are not Ready to Pack and unprinted lines", () => {
+  const sb = processedSandbox({ user: "packer@example.com" });
+  sb.fns.markBatchPrinted(AUTO);
+
+  assert.equal(order(sb, "#1001").OrderStatus, sb.CFG.STATUS.READY);
+  assert.equal(order(sb, "#1002").OrderStatus, sb.CFG.STATUS.IN_PROD);
+  assert.throws(() => sb.fns.completePackOrder({ orderName: "#1002", lineItemIds: ["LI-2"] }), /not Ready to Pack/);
+
+  // Orders status says ready, but the ticked line was never printed
+  const li1 = sb.records("OrderItems").findIndex(r => r.LineItemID === "LI-1");
+  const iPrinted = sb.sheet("OrderItems").cells[0].indexOf("PrintedAt");
+  sb.sheet("OrderItems").getRange(li1 + 2, iPrinted + 1).setValue("");
+  assert.throws(() => sb.fns.completePackOrder({ orderName: "#1001", lineItemIds: ["LI-1"] }), /not printed yet on #1001: LI-1/);
+
+  assert.ok(sb.records("OrderItems").every(r => !r.PackedAt));
+});
+
+test("only the packed rows' PackedAt/PackedBy cells are written", () => {
+  const sb = setup();
+  const sh = sb.sheet("OrderItems");
+  const writes = [];
+  const getRange = sh.getRange.bind(sh);
+  sh.getRange = (row, col, numRows, numCols) => {
+    const range = getRange(row, col, numRows, numCols);
+    const setValues = range.setValues.bind(range);
+    range.setValues = (v) => { writes.push([row, col, v.length, v[0].length]); return setValues(v); };
+    return range;
+  };
+
+  sb.fns.completePackOrder({ orderName: "#1002", lineItemIds: ["LI-3"] });
+
+  const li3 = sb.records("OrderItems").findIndex(r => r.LineItemID === "LI-3") + 2;
+  const iAt = sh.cells[0].indexOf("PackedAt") + 1;
+  const iBy = sh.cells[0].indexOf("PackedBy") + 1;
+  assert.deepEqual(writes.filter(w => w[1] === iAt || w[1] === iBy), [[li3, iAt, 1, 1], [li3, iBy, 1, 1]]);
+});
+
+test("rejects foreign line items and orders on hold", () => {
+  const sb = setup();
+
+  assert.throws(() => sb.fns.completePackOrder({ orderName: "#1001", lineItemIds: ["LI-2"] }), /not on #1001/);
+  assert.throws(() => sb.fns.completePackOrder({ orderName: "#1002", lineItemIds: ["LI-2", "LI-1"] }), /not on #1002: LI-1/);
+  assert.ok(sb.records("OrderItems").every(r => !r.PackedAt), "nothing is stamped when any id is foreign");
+
+  const o = sb.records("Orders").findIndex(x => x.OrderName === "#1001");
+  sb.sheet("Orders").getRange(o + 2, 4).setValue(sb.CFG.STATUS.HOLD);
+  assert.throws(() => sb.fns.completePackOrder({ orderName: "#1001", lineItemIds: ["LI-1"] }), /Hold/);
+});
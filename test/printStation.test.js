@@ -0,0 +1,72 @@
+/***************************************
+ * printStation.test.js
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { processedSandbox, byKey } = require("./harness/helpers");
+
+const AUTO = "B-20260309-AUTO-B64-001";
+const MISC = "B-20260309-MISC-MISC-001";
+
+function setup() {
+  return processedSandbox({ user: "printer@example.com" });
+}
+
+test("marking a batch printed stamps the batch and its member items", () => {
+  const sb = setup();
+
+  const res = sb.fns.markBatchPrinted(AUTO);
+  assert.equal(res.itemsStamped, 2);
+  assert.equal(res.ordersTouched, 2);
+
+  const batch = byKey(sb.records("Batches"), "BatchID")[AUTO];
+  assert.ok(batch.PrintedAt instanceof Date);
+  assert.equal(batch.PrintedBy, "printer@example.com");
+  assert.equal(batch.OrderStatus, sb.CFG.BATCH_STATUS.PRINTED);
+
+  const items = byKey(sb.records("OrderItems"), "LineItemID");
+  assert.ok(items["LI-1"].PrintedAt instanceof Date);
+  assert.equal(items["LI-2"].PrintedBy, "printer@example.com");
+  assert.equal(items["LI-3"].PrintedAt, "", "MISC batch untouched");
+});
+
+test("orders fully printed move to Ready to Pack and BatchOrders follows", () => {
+  const sb = setup();
+  sb.fns.markBatchPrinted(AUTO);
+
+  const orders = byKey(sb.records("Orders"), "OrderName");
+  assert.equal(orders["#1001"].OrderStatus, sb.CFG.STATUS.READY);
+  assert.equal(orders["#1002"].OrderStatus, sb.CFG.STATUS.IN_PROD, "mug still unprinted");
+
+  const bo = byKey(sb.records("BatchOrders"), "BatchOrderID");
+  assert.equal(bo[`${AUTO}|#1001`].OrderStatus, sb.CFG.STATUS.READY);
+
+  sb.fns.markBatchPrinted(MISC);
+  assert.equal(byKey(sb.records("Orders"), "OrderName")["#1002"].OrderStatus, sb.CFG.STATUS.READY);
+});
+
+test("re-printing requires force and keeps original item stamps", () => {
+  const sb = setup();
+  sb.fns.markBatchPrinted(AUTO);
+  const first = byKey(sb.records("OrderItems"), "LineItemID")["LI-1"].PrintedAt.getTime();
+
+  assert.throws(() => sb.fns.markBatchPrinted(AUTO), /already marked printed/);
+  assert.throws(() => sb.fns.markBatchPrinted("B-NOPE"), /Batch not found/);
+
+  sb.setNow("2026-03-10T15:00:00Z");
+  const res = sb.fns.markBatchPrinted(AUTO, { force: true });
+  assert.equal(res.itemsStamped, 0);
+  assert.equal(byKey(sb.records("OrderItems"), "LineItemID")["LI-1"].PrintedAt.getTime(), first);
+});
+
+test("printable list and menu prompt", () => {
+  const sb = setup();
+  assert.deepEqual(sb.fns.getPrintableBatches().items.map(b => b.batchId), [AUTO, MISC]);
+
+  sb.state.uiResponses.push({ button: "OK", text: ` ${MISC} ` });
+  sb.fns.markBatchPrintedFromMenu();
+
+  assert.deepEqual(sb.fns.getPrintableBatches().items.map(b => b.batchId), [AUTO]);
+});
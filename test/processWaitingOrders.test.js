@@ -0,0 +1,124 @@
+/***************************************
+ * processWaitingOrders.test.js
+ *
+ * End-to-end: OrderItems -> Orders -> Batches -> BatchOrders
+ * driven by test/fixtures/waitingOrders.json (clock fixed to 10/03/2026 12:00 UK).
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createSandbox, loadFixture } = require("./harness/sandbox");
+const { byKey } = require("./harness/helpers");
+
+test("enrichment derives print fields, removes digital rows and logs SKU exceptions", () => {
+  const sb = createSandbox(loadFixture("waitingOrders"));
+  sb.fns.processWaitingOrders();
+
+  const items = byKey(sb.records("OrderItems"), "LineItemID");
+  assert.equal(items["LI-4"], undefined, "BDD digital row should be archived");
+  assert.equal(Object.keys(items).length, 7);
+
+  assert.equal(items["LI-1"].PrintUnits, 3);
+  assert.equal(items["LI-2"].PrintUnits, 6);
+  assert.equal(items["LI-1"].PrintCategory, "B64");
+  assert.equal(items["LI-1"].PrintProfileKey, "B64:3");
+  assert.equal(items["LI-1"].ReadyForOrders, true);
+  assert.ok(items["LI-1"].CreatedAt instanceof Date);
+
+  assert.equal(items["LI-8"].PrintCategory, "NONE");
+  assert.equal(items["LI-8"].ReadyForOrders, true);
+
+  assert.equal(items["LI-5"].ReadyForOrders, false);
+  assert.equal(items["LI-5"].PrintCategory, "Unknown");
+  assert.equal(items["LI-6"].ReadyForOrders, false);
+
+  const exceptions = sb.records("Exceptions").map(x => [x.Type, x.OrderName, x.LineItemID, x.SKU]);
+  assert.deepEqual(exceptions, [
+    ["MISSING_SKU", "#1003", "LI-5", ""],
+    ["SKU_NOT_IN_MATRIX", "#1004", "LI-6", "UNKNOWN-9"]
+  ]);
+});
+
+test("only fully-ready orders reach Orders", () => {
+  const sb = createSandbox(loadFixture("waitingOrders"));
+  sb.fns.processWaitingOrders();
+
+  const orders = byKey(sb.records("Orders"), "OrderName");
+  assert.deepEqual(Object.keys(orders).sort(), ["#1001", "#1002", "#1005", "#1006"]);
+  for (const o of Object.values(orders)) assert.equal(o.OrderStatus, sb.CFG.STATUS.NEW);
+});
+
+test("batching groups by profile, sends stragglers to MISC and skips today", () => {
+  const sb = createSandbox(loadFixture("waitingOrders"));
+  sb.fns.processWaitingOrders();
+
+  const batches = byKey(sb.records("Batches"), "BatchID");
+  assert.deepEqual(Object.keys(batches).sort(), [
+    "B-20260309-AUTO-B64-001",
+    "B-20260309-MISC-MISC-001"
+  ]);
+
+  const auto = batches["B-20260309-AUTO-B64-001"];
+  assert.equal(auto.PrintBatchName, "09/03/2026 - B64 - Run 1");
+  assert.equal(auto.BatchType, "AUTO");
+  assert.equal(auto.PrintProfileKey, "B64:3");
+  assert.equal(auto.OrderStatus, sb.CFG.BATCH.STATUS_OPEN);
+  assert.equal(auto.TotalPrintUnits, 9);
+  assert.equal(auto.LineItemCount, 2);
+  assert.equal(auto.OrderCount, 2);
+
+  const misc = batches["B-20260309-MISC-MISC-001"];
+  assert.equal(misc.TotalPrintUnits, 1);
+  assert.equal(misc.LineItemCount, 1);
+
+  const items = byKey(sb.records("OrderItems"), "LineItemID");
+  assert.equal(items["LI-1"].PrintBatchID, "B-20260309-AUTO-B64-001");
+  assert.equal(items["LI-2"].PrintBatchID, "B-20260309-AUTO-B64-001");
+  assert.equal(items["LI-3"].PrintBatchID, "B-20260309-MISC-MISC-001");
+  assert.equal(items["LI-7"].PrintBatchID, "", "today's items wait for a full day");
+  assert.equal(items["LI-8"].PrintBatchID, "", "NONE category is never batched");
+  assert.equal(items["LI-5"].PrintBatchID, "", "not-ready items are never batched");
+
+  const batchOrders = sb.records("BatchOrders").map(x => [x.BatchOrderID, x.OrderItemCount, x.PrintUnits]);
+  assert.deepEqual(batchOrders, [
+    ["B-20260309-AUTO-B64-001|#1001", 1, 3],
+    ["B-20260309-AUTO-B64-001|#1002", 1, 6],
+    ["B-20260309-MISC-MISC-001|#1002", 1, 1]
+  ]);
+});
+
+test("includeToday override batches today's items", () => {
+  const sb = createSandbox(loadFixture("waitingOrders"));
+  sb.fns.processWaitingOrders({ includeToday: true });
+
+  const items = byKey(sb.records("OrderItems"), "LineItemID");
+  // A lone 6x4 item on 10/03 does not meet MIN_LINEITEMS_FOR_AUTO, so it lands in that day's MISC batch.
+  assert.equal(items["LI-7"].PrintBatchID, "B-20260310-MISC-MISC-001");
+});
+
+test("second run promotes batched orders and reuses open batches", () => {
+  const sb = createSandbox(loadFixture("waitingOrders"));
+  sb.fns.processWaitingOrders();
+  sb.fns.processWaitingOrders();
+
+  const orders = byKey(sb.records("Orders"), "OrderName");
+  assert.equal(orders["#1001"].OrderStatus, sb.CFG.STATUS.IN_PROD);
+  assert.equal(orders["#1002"].OrderStatus, sb.CFG.STATUS.IN_PROD);
+  assert.equal(orders["#1005"].OrderStatus, sb.CFG.STATUS.NEW);
+
+  assert.equal(sb.records("Batches").length, 2);
+  assert.equal(sb.records("Exceptions").length, 2, "re-scanned rows do not log their exceptions again");
+
+  const bo = byKey(sb.records("BatchOrders"), "BatchOrderID");
+  assert.equal(bo["B-20260309-AUTO-B64-001|#1001"].OrderStatus, sb.CFG.STATUS.IN_PROD);
+});
+
+test("staged execution runs a single step", () => {
+  const sb = createSandbox(loadFixture("waitingOrders"));
+  sb.fns.processWaitingOrders({ staged: true, stage: "sync" });
+
+  assert.equal(sb.records("Orders").length, 4);
+  assert.equal(sb.records("Batches").length, 0);
+  assert.throws(() => sb.fns.processWaitingOrders({ staged: true, stage: "nope" }), /Unknown stage/);
+});
@@ -0,0 +1,216 @@
+/***************************************
+ * royalMailImport.test.js
+ *
+ * Watch-folder import: converted manifest -> Shipments -> Orders -> BatchOrders -> Batches.
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { loadFixture } = require("./harness/sandbox");
+const { processedSandbox } = require("./harness/helpers");
+
+function setupImported() {
+  const sb = processedSandbox({ drive: loadFixture("royalMailManifest").drive });
+  sb.CFG.ROYAL_MAIL.WATCH_FOLDER_ID = "rm-watch";
+  sb.CFG.ROYAL_MAIL.ARCHIVE_FOLDER_ID = "rm-archive";
+
+  sb.fns.pollRoyalMailWatchFolder();
+  return sb;
+}
+
+test("manifest rows upsert Shipments once per order|tracking", () => {
+  const sb = setupImported();
+
+  const shipments = sb.records("Shipments");
+  assert.deepEqual(shipments.map(s => s.ShipmentID), ["#1001|TT123456789GB", "#1002|TT987654321GB"]);
+  assert.equal(shipments[0].SourceFileName, "ClickDrop-export-2026-03-10.xlsx");
+  assert.ok(shipments[0].DespatchedAt instanceof Date);
+});
+
+test("Orders mirror tracking, manifest and despatch status", () => {
+  const sb = setupImported();
+
+  const orders = {};
+  for (const o of sb.records("Orders")) orders[o.OrderName] = o;
+
+  assert.equal(orders["#1001"].OrderStatus, sb.CFG.STATUS.DESPATCHED);
+  assert.equal(orders["#1002"].OrderStatus, sb.CFG.STATUS.DELIVERED);
+  assert.equal(orders["#1001"].Postcode, "AB1 2CD");
+  assert.equal(orders["#1001"].RoyalMailManifestNo, "MAN-500");
+  assert.equal(
+    orders["#1001"].RoyalMailTrackingNumber,
+    "https://www.royalmail.com/track-your-item#/tracking-results/TT123456789GB"
+  );
+  assert.equal(orders["#1005"].OrderStatus, sb.CFG.STATUS.NEW);
+});
+
+test("BatchOrders and Batches pick up the RM batch number", () => {
+  const sb = setupImported();
+
+  for (const bo of sb.records("BatchOrders")) assert.equal(bo.RoyalMailBatchNumber, "RM-77");
+  for (const b of sb.records("Batches")) assert.equal(b.RoyalMailBatchNumber, "RM-77");
+});
+
+test("processed files are archived, remembered and their conversions trashed", () => {
+  const sb = setupImported();
+
+  const file = sb.globals.DriveApp.getFileById("rm-export-1");
+  assert.ok(file.parents.has("rm-archive"));
+  assert.ok(!file.parents.has("rm-watch"));
+
+  const processed = JSON.parse(sb.globals.PropertiesService.getDocumentProperties().getProperty("RM_PROCESSED_FILE_IDS"));
+  assert.deepEqual(processed, ["rm-export-1"]);
+
+  assert.equal(sb.state.conversions.length, 1);
+  assert.ok(sb.globals.DriveApp.getFileById(sb.state.conversions[0].toId).isTrashed());
+
+  const notes = sb.globals.DriveApp.getFileById("notes-1");
+  assert.ok(notes.parents.has("rm-watch"), "non-spreadsheet files are left alone");
+});
+
+const manifest = loadFixture("royalMailManifest").drive.folders["rm-watch"].files[0].sheets.Export;
+
+function setupWithFiles(files) {
+  const sb = processedSandbox({
+    drive: {
+      folders: {
+        "rm-watch": { name: "Royal Mail Watch", files },
+        "rm-archive": { name: "Royal Mail Archive", files: [] },
+        "rm-quarantine": { name: "Royal Mail Quarantine", files: [] }
+      }
+    }
+  });
+  sb.CFG.ROYAL_MAIL.WATCH_FOLDER_ID = "rm-watch";
+  sb.CFG.ROYAL_MAIL.ARCHIVE_FOLDER_ID = "rm-archive";
+  sb.CFG.ROYAL_MAIL.QUARANTINE_FOLDER_ID = "rm-quarantine";
+  return sb;
+}
+
+function toCsv(rows) {
+  return rows.map(r => r.map(v => `"${String(v).replace(/"/g, '""')}"`).join(",")).join("\r\n");
+}
+
+test("a CSV manifest is parsed directly, with UK dates, and no conversion", () => {
+  const rows = manifest.map((r, i) => (i === 0 ? r : r.map((v, j) => (j === 4 ? "10/03/2026 10:00" : v))));
+  const sb = setupWithFiles([
+    { id: "rm-csv", name: "ClickDrop-export.csv", mimeType: "text/csv", content: "\uFEFF" + toCsv(rows) }
+  ]);
+  sb.fns.pollRoyalMailWatchFolder();
+
+  const shipments = sb.records("Shipments");
+  assert.deepEqual(shipments.map(s => s.ShipmentID), ["#1001|TT123456789GB", "#1002|TT987654321GB"]);
+  assert.equal(shipments[0].DespatchedAt.getMonth(), 2, "day-first");
+  assert.equal(sb.state.conversions.length, 0);
+  assert.ok(sb.globals.DriveApp.getFileById("rm-csv").parents.has("rm-archive"));
+});
+
+test("the manifest tab of a multi-tab workbook is found by its headers", () => {
+  const sb = setupWithFiles([{
+    id: "rm-multi",
+    name: "ClickDrop-export.xlsx",
+    mimeType: "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+    sheets: { Summary: [["Manifest", "MAN-500"], ["Parcels", 2]], Export: manifest }
+  }]);
+  sb.fns.pollRoyalMailWatchFolder();
+
+  assert.equal(sb.records("Shipments").length, 2);
+  assert.ok(sb.toasts().some(t => /\[Click & Drop \/ Export\]/.test(t)));
+});
+
+test("a custom column profile maps a different header set", () => {
+  const headers = ["Order ref", "Collection batch", "Post code", "Manifest", "Despatched", "Tracking no", "Status"];
+  const sb = setupWithFiles([{
+    id: "rm-alt",
+    name: "other-carrier.csv",
+    mimeType: "text/csv",
+    content: toCsv([headers, ["#1001", "RM-78", "AB1 2CD", "MAN-501", "2026-03-10T10:00:00Z", "TT555GB", "Despatched"]])
+  }]);
+  sb.CFG.ROYAL_MAIL.MANIFEST_PROFILES.push({
+    NAME: "Alt",
+    REQUIRED: ["OrderName", "RoyalMailTrackingNumber"],
+    COLUMNS: {
+      OrderName: ["Order ref"],
+      RoyalMailBatchNumber: ["Collection batch"],
+      Postcode: ["Post code"],
+      RoyalMailManifestNo: ["Manifest"],
+      DespatchedAt: ["Despatched"],
+      RoyalMailTrackingNumber: ["Tracking no"],
+      TrackingStatus: ["Status"]
+    }
+  });
+  sb.fns.pollRoyalMailWatchFolder();
+
+  const s = sb.records("Shipments")[0];
+  assert.deepEqual([s.ShipmentID, s.RoyalMailBatchNumber, s.ShippingService], ["#1001|TT555GB", "RM-78", ""]);
+});
+
+test("a file no profile matches reports the closest profile's missing columns", () => {
+  const sb = setupWithFiles([
+    { id: "rm-bad", name: "bad.csv", mimeType: "text/csv", content: toCsv(manifest.map(r => r.slice(0, 6))) }
+  ]);
+  assert.throws(
+    () => sb.fns.importRoyalMailManifestFile_(sb.globals.DriveApp.getFileById("rm-bad")),
+    /^Error: RM export missing columns: Tracking status$/
+  );
+});
+
+test("each file is logged; a failing file is quarantined and the next one still imports", () => {
+  const good = manifest.concat([["#9999", "RM-77", "ZZ9 9ZZ", "MAN-500", "2026-03-10T10:00:00Z", "TT000000000GB", "Despatched", "", "", ""]]);
+  const sb = setupWithFiles([
+    { id: "rm-bad", name: "bad.csv", mimeType: "text/csv", lastUpdated: "2026-03-10T09:00:00Z", content: toCsv(manifest.map(r => r.slice(0, 6))) },
+    { id: "rm-good", name: "good.csv", mimeType: "text/csv", lastUpdated: "2026-03-10T10:00:00Z", content: toCsv(good) }
+  ]);
+  sb.fns.pollRoyalMailWatchFolder();
+
+  const log = sb.records("RoyalMailImports");
+  assert.deepEqual(log.map(r => [r.FileID, r.Status]), [["rm-bad", "Failed"], ["rm-good", "OK"]]);
+  assert.equal(log[0].Error, "RM export missing columns: Tracking status");
+  assert.ok(log[0].StartedAt instanceof Date && log[0].FinishedAt instanceof Date);
+  assert.deepEqual(
+    [log[1].Profile, log[1].RowsRead, log[1].ShipmentsNew, log[1].ShipmentsUpdated, log[1].OrdersTouched, log[1].UnmatchedOrders],
+    ["Click & Drop", 4, 3, 0, 2, "#9999"]
+  );
+
+  const drive = sb.globals.DriveApp;
+  assert.deepEqual(Array.from(drive.getFileById("rm-bad").parents), ["rm-quarantine"]);
+  assert.deepEqual(Array.from(drive.getFileById("rm-good").parents), ["rm-archive"]);
+
+  const processed = JSON.parse(sb.globals.PropertiesService.getDocumentProperties().getProperty("RM_PROCESSED_FILE_IDS"));
+  assert.deepEqual(processed, ["rm-good"], "a quarantined file is retried if moved back");
+  assert.match(sb.toasts().pop(), /processed 1 file\(s\), 1 failed/);
+});
+
+test("without a quarantine folder a failing file is logged and left in the watch folder", () => {
+  const good = manifest.concat([["#9999", "RM-77", "ZZ9 9ZZ", "MAN-500", "2026-03-10T10:00:00Z", "TT000000000GB", "Despatched", "", "", ""]]);
+  const sb = setupWithFiles([
+    { id: "rm-bad", name: "bad.csv", mimeType: "text/csv", lastUpdated: "2026-03-10T09:00:00Z", content: toCsv(manifest.map(r => r.slice(0, 6))) },
+    { id: "rm-good", name: "good.csv", mimeType: "text/csv", lastUpdated: "2026-03-10T10:00:00Z", content: toCsv(good) }
+  ]);
+  sb.CFG.ROYAL_MAIL.QUARANTINE_FOLDER_ID = "";
+  sb.fns.pollRoyalMailWatchFolder();
+
+  const log = sb.records("RoyalMailImports");
+  assert.deepEqual(log.map(r => [r.FileID, r.Status]), [["rm-bad", "Failed"], ["rm-good", "OK"]]);
+  assert.equal(
+    log[0].Error,
+    "RM export missing columns: Tracking status (left in the watch folder: CFG.ROYAL_MAIL.QUARANTINE_FOLDER_ID is not set)"
+  );
+
+  const drive = sb.globals.DriveApp;
+  assert.deepEqual(Array.from(drive.getFileById("rm-bad").parents), ["rm-watch"]);
+  assert.deepEqual(Array.from(drive.getFileById("rm-good").parents), ["rm-archive"]);
+});
+
+test("a failure after Shipments were written says so in the log", () => {
+  const sb = setupWithFiles([
+    { id: "rm-half", name: "half.csv", mimeType: "text/csv", content: toCsv(manifest) }
+  ]);
+  sb.spreadsheet.deleteSheet(sb.sheet("BatchOrders"));
+  sb.fns.pollRoyalMailWatchFolder();
+
+  const log = sb.records("RoyalMailImports");
+  assert.equal(log[0].Status, "Failed");
+  assert.equal(log[0].Error, "Missing sheet: BatchOrders (Shipments already partly updated: 2 new, 0 updated)");
+  assert.equal(sb.records("Shipments").length, 2);
+});
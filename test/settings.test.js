@@ -0,0 +1,111 @@
+/***************************************
+ * settings.test.js
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createSandbox, loadFixture } = require("./harness/sandbox");
+
+function setup(rows) {
+  const fx = loadFixture("waitingOrders");
+  fx.sheets.Settings = [["Key", "Value", "Notes"]].concat(rows);
+  return createSandbox(fx);
+}
+
+function settingExceptions(sb) {
+  return sb.records("Exceptions").filter(r => r.Type === "SETTINGS_INVALID").map(r => r.Message);
+}
+
+test("settings overlay CFG with typed values before a run", () => {
+  const sb = setup([
+    ["BATCH.MIN_LINEITEMS_FOR_AUTO", 1, ""],
+    ["BATCH.MIN_PRINTUNITS_FOR_AUTO", "1", ""],
+    ["BATCH.FULL_DAYS_ONLY", "no", ""],
+    ["DERIVE.BLANKISH_VALUES", "(blank)\nn/a", ""],
+    ["BATCH.CATEGORY_LABEL_MAP", "B64=6x4\nbmug=Mug", ""],
+    ["BATCH.MAX_PRINTUNITS_BY_CATEGORY", "BMUG=20, B64=300", "comma list on one line"],
+    ["ROYAL_MAIL.POLL_EVERY_MINUTES", "", "blank keeps the default"]
+  ]);
+  sb.fns.processWaitingOrders();
+
+  const ids = {};
+  for (const r of sb.records("OrderItems")) ids[r.LineItemID] = r.PrintBatchID;
+  assert.equal(ids["LI-3"], "B-20260309-AUTO-BMUG-001", "a single mug now qualifies");
+  assert.equal(ids["LI-7"], "B-20260310-AUTO-B64-001", "today is no longer held back");
+
+  assert.deepEqual(sb.CFG.DERIVE.BLANKISH_VALUES, ["(blank)", "n/a"]);
+  assert.deepEqual(sb.CFG.BATCH.CATEGORY_LABEL_MAP, { B64: "6x4", BMUG: "Mug" });
+  assert.deepEqual(sb.CFG.BATCH.MAX_PRINTUNITS_BY_CATEGORY, { BMUG: 20, B64: 300 });
+  assert.equal(sb.CFG.ROYAL_MAIL.POLL_EVERY_MINUTES, 30);
+  assert.deepEqual(settingExceptions(sb), []);
+});
+
+test("invalid rows keep the default and are logged once", () => {
+  const sb = setup([
+    ["BATCH.LOOKBACK_DAYS", "two", ""],
+    ["BATCH.SPLIT_MODE", "random", ""],
+    ["ROYAL_MAIL.POLL_EVERY_MINUTES", 7, ""],
+    ["BATCH.CATEGORY_LABEL_MAP", "B64", ""],
+    ["BATCH.NOPE", 1, ""],
+    ["BATCH.MAX_PRINTUNITS_PER_BATCH", 50, ""],
+    ["BATCH.MAX_PRINTUNITS_PER_BATCH", 60, ""]
+  ]);
+
+  const res = sb.fns.applySettings_();
+  assert.deepEqual(res.applied, ["BATCH.MAX_PRINTUNITS_PER_BATCH"]);
+  assert.equal(sb.CFG.BATCH.MAX_PRINTUNITS_PER_BATCH, 50);
+  assert.equal(sb.CFG.BATCH.LOOKBACK_DAYS, 28);
+  assert.equal(sb.CFG.BATCH.SPLIT_MODE, "GREEDY");
+
+  const logged = settingExceptions(sb);
+  assert.deepEqual(logged, [
+    "Settings row 2 (BATCH.LOOKBACK_DAYS): must be a whole number (got \"two\")",
+    "Settings row 3 (BATCH.SPLIT_MODE): must be one of GREEDY, BALANCED (got \"random\")",
+    "Settings row 4 (ROYAL_MAIL.POLL_EVERY_MINUTES): must be one of 1, 5, 10, 15, 30 (got 7)",
+    "Settings row 5 (BATCH.CATEGORY_LABEL_MAP): \"B64\" is not KEY=VALUE",
+    "Settings row 6 (BATCH.NOPE): unknown setting",
+    "Settings row 8 (BATCH.MAX_PRINTUNITS_PER_BATCH): duplicate of row 7"
+  ]);
+
+  // A later run with the same problems does not log them again
+  sb.fns.applySettings_({ force: true });
+  assert.equal(settingExceptions(sb).length, 6);
+});
+
+test("the sheet is cached between runs; validate re-reads it", () => {
+  const sb = setup([["BATCH.LOOKBACK_DAYS", 5, ""]]);
+  assert.equal(sb.fns.applySettings_().applied.length, 1);
+  assert.equal(sb.CFG.BATCH.LOOKBACK_DAYS, 5);
+
+  sb.sheet("Settings").getRange(2, 2).setValue(9);
+  sb.fns.applySettings_({ force: true });
+  assert.equal(sb.CFG.BATCH.LOOKBACK_DAYS, 5, "cached rows still used");
+
+  sb.setNow("2026-03-10T12:06:00Z");
+  sb.fns.applySettings_({ force: true });
+  assert.equal(sb.CFG.BATCH.LOOKBACK_DAYS, 9, "cache expired");
+
+  sb.sheet("Settings").getRange(2, 2).setValue("");
+  const res = sb.fns.validateSettings();
+  assert.deepEqual(res, { applied: [], errors: [] });
+  assert.equal(sb.CFG.BATCH.LOOKBACK_DAYS, 28, "back to the config.js value");
+
+  const alert = sb.state.alerts.pop();
+  assert.equal(alert.title, "Settings");
+  assert.match(alert.msg, /Settings OK\. 0 override\(s\) in effect\./);
+});
+
+test("validate reports problems in an alert; fixing them resolves the exception", () => {
+  const sb = setup([["BATCH.FULL_DAYS_ONLY", "maybe", ""]]);
+  sb.fns.applySettings_();
+  sb.fns.validateSettings();
+
+  assert.match(sb.state.alerts.pop().msg, /1 problem\(s\)[\s\S]*FULL_DAYS_ONLY\): must be TRUE or FALSE/);
+  assert.equal(settingExceptions(sb).length, 1, "deduped by type + message");
+
+  sb.sheet("Settings").getRange(2, 2).setValue("TRUE");
+  sb.fns.validateSettings();
+  const rec = sb.records("Exceptions").find(r => r.Type === "SETTINGS_INVALID");
+  assert.deepEqual([rec.Status, rec.ResolvedBy], ["Resolved", "auto"]);
+});
@@ -0,0 +1,79 @@
+/***************************************
+ * sidebarSkuMatrix.test.js
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createSandbox, loadFixture } = require("./harness/sandbox");
+const { byLineItem } = require("./harness/helpers");
+
+function checkpoint(sb) {
+  return sb.globals.PropertiesService.getDocumentProperties().getProperty("ORDERITEMS_CHECKPOINT_LASTROW");
+}
+
+test("unmatched SKUs are listed with title and counts", () => {
+  const sb = createSandbox(loadFixture("waitingOrders"));
+  const data = sb.fns.getUnmatchedSkus();
+
+  assert.deepEqual(data.items, [
+    { sku: "UNKNOWN-9", title: "Discontinued Frame", lineItems: 1, qty: 1, orders: 1 }
+  ]);
+  assert.deepEqual(data.printModes, ["PRINT", "NONE"]);
+  assert.ok(data.codes.some(c => c.code === "B64" && c.label === "6x4"));
+});
+
+test("quick-add appends the row and re-enriches only that SKU's rows", () => {
+  const sb = createSandbox(loadFixture("waitingOrders"));
+  const before = checkpoint(sb);
+
+  const res = sb.fns.addSkuMatrixRow({ sku: "UNKNOWN-9", printMode: "print", printProfileKey: "b86:1|B54:2" });
+  assert.deepEqual(
+    [res.printMode, res.printProfileKey, res.printCategory, res.rowsEnriched],
+    ["PRINT", "B86:1|B54:2", "B86", 1]
+  );
+
+  const m = sb.records("SKU_Matrix").pop();
+  assert.deepEqual([m.SKU, m.PrintMode, m.PrintProfileKey, m.PrintCategory], ["UNKNOWN-9", "PRINT", "B86:1|B54:2", "B86"]);
+
+  const li = byLineItem(sb);
+  assert.deepEqual([li["LI-6"].PrintUnits, li["LI-6"].ReadyForOrders], [3, true]);
+  assert.equal(li["LI-1"].ReadyForOrders, "", "other SKUs are left for the next sync");
+  assert.equal(checkpoint(sb), before, "checkpoint is not advanced");
+  assert.deepEqual(sb.fns.getUnmatchedSkus().items, []);
+});
+
+test("after a sync, quick-add resolves the exception and upserts the order", () => {
+  const sb = createSandbox(loadFixture("waitingOrders"));
+  sb.fns.processWaitingOrders({ staged: true, stage: "sync" });
+  assert.ok(!sb.records("Orders").some(o => o.OrderName === "#1004"));
+
+  const res = sb.fns.addSkuMatrixRow({ sku: "UNKNOWN-9", printMode: "PRINT", printProfileKey: "B64:3", printCategory: "B64" });
+  assert.equal(res.ordersAppended, 1);
+  assert.ok(sb.records("Orders").some(o => o.OrderName === "#1004"));
+
+  const ex = sb.records("Exceptions").find(r => r.LineItemID === "LI-6");
+  assert.deepEqual([ex.Status, ex.ResolvedBy], ["Resolved", "auto"]);
+});
+
+test("entries are validated against CATEGORY_LABEL_MAP before anything is written", () => {
+  const sb = createSandbox(loadFixture("waitingOrders"));
+  const rows = sb.records("SKU_Matrix").length;
+
+  assert.throws(
+    () => sb.fns.addSkuMatrixRow({ sku: "UNKNOWN-9", printMode: "PRINT", printProfileKey: "B99:1|B64:0", printCategory: "X" }),
+    err => {
+      assert.match(err.message, /unknown category code "B99"/);
+      assert.match(err.message, /"B64" count must be 1–99 \(got 0\)/);
+      assert.match(err.message, /PrintCategory "X" is not in CATEGORY_LABEL_MAP/);
+      return true;
+    }
+  );
+  assert.throws(() => sb.fns.addSkuMatrixRow({ sku: "P64-3", printMode: "PRINT", printProfileKey: "B64:3" }), /already in SKU_Matrix/);
+  assert.throws(() => sb.fns.addSkuMatrixRow({ sku: "NEW-1", printMode: "PRINT", printProfileKey: "" }), /PrintProfileKey is required/);
+  assert.equal(sb.records("SKU_Matrix").length, rows);
+
+  const none = sb.fns.addSkuMatrixRow({ sku: "UNKNOWN-9", printMode: "NONE" });
+  assert.deepEqual([none.printProfileKey, none.printCategory], ["", ""]);
+  assert.equal(byLineItem(sb)["LI-6"].ReadyForOrders, true);
+});
@@ -0,0 +1,77 @@
+/***************************************
+ * skuMatrixLint.test.js
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createSandbox, loadFixture } = require("./harness/sandbox");
+
+function setup(extraRows) {
+  const fx = loadFixture("waitingOrders");
+  fx.sheets.SKU_Matrix = fx.sheets.SKU_Matrix.concat(extraRows || []);
+  return createSandbox(fx);
+}
+
+test("a clean matrix passes with an empty report", () => {
+  const sb = setup();
+  const res = sb.fns.validateSkuMatrix();
+
+  assert.deepEqual(res.counts, { ERROR: 0, WARNING: 0, INFO: 0 });
+  assert.match(sb.state.alerts.pop().msg, /3 row\(s\) checked\. No problems found\./);
+  assert.deepEqual(sb.records("SkuMatrixLint"), []);
+});
+
+test("each check is reported on the offending cell", () => {
+  const sb = setup([
+    ["P64-3", "PRINT", "B64:3", "B64"],        // row 5
+    ["LOWER-1", "print", "b64", "B64"],        // row 6
+    ["BADKEY-1", "PRINT", "B64:x|B99:2", ""],  // row 7
+    ["MODE-1", "PRNT", "B54:1", "B54"],        // row 8
+    ["MISMATCH-1", "PRINT", "B64:3", "BMUG"],  // row 9
+    ["NOKEY-1", "PRINT", "", "ZZZ"],           // row 10
+    ["", "PRINT", "B64:1", ""]                 // row 11
+  ]);
+  const res = sb.fns.validateSkuMatrix();
+
+  const got = res.problems.filter(p => p.check !== "UNUSED_SKU").map(p => [p.row, p.column, p.severity, p.check]);
+  assert.deepEqual(got, [
+    [5, "SKU", "ERROR", "DUPLICATE_SKU"],
+    [6, "PrintProfileKey", "WARNING", "NONCANONICAL_KEY"],
+    [7, "PrintProfileKey", "ERROR", "BAD_KEY"],
+    [7, "PrintProfileKey", "ERROR", "UNKNOWN_CODE"],
+    [8, "PrintMode", "ERROR", "BAD_MODE"],
+    [9, "PrintCategory", "WARNING", "CATEGORY_MISMATCH"],
+    [10, "PrintProfileKey", "ERROR", "MISSING_KEY"],
+    [11, "SKU", "ERROR", "BLANK_SKU"]
+  ]);
+  assert.deepEqual(
+    res.problems.filter(p => p.check === "UNUSED_SKU").map(p => p.sku),
+    ["LOWER-1", "BADKEY-1", "MODE-1", "MISMATCH-1", "NOKEY-1"]
+  );
+  assert.equal(res.problems[0].message, "duplicate of row 2; the last row wins");
+  assert.deepEqual(res.counts, { ERROR: 6, WARNING: 2, INFO: 5 });
+
+  const report = sb.records("SkuMatrixLint");
+  assert.equal(report.length, res.problems.length);
+  const lower = report.find(r => r.Check === "NONCANONICAL_KEY");
+  assert.deepEqual([lower.Row, lower.SKU, lower.Message], [6, "LOWER-1", "\"b64\" should be written \"B64:1\""]);
+
+  const sh = sb.sheet("SKU_Matrix");
+  assert.equal(sh.backgrounds["5:1"], "#f4c7c3", "error wins over the unused-SKU info on the same cell");
+  assert.equal(sh.backgrounds["6:3"], "#fce8b2");
+  assert.equal(sh.backgrounds["6:1"], "#e8eaed");
+  assert.match(sh.notes["7:3"], /BAD_KEY: "B64:x" is not CODE or CODE:COUNT\nUNKNOWN_CODE: unknown category code "B99"/);
+  assert.equal(sh.backgrounds["2:1"], undefined);
+});
+
+test("fixed cells lose their highlight on the next run", () => {
+  const sb = setup([["P64-3", "PRINT", "B64:3", "B64"]]);
+  sb.fns.validateSkuMatrix();
+  assert.equal(sb.sheet("SKU_Matrix").backgrounds["5:1"], "#f4c7c3");
+
+  sb.sheet("SKU_Matrix").getRange(5, 1).setValue("UNKNOWN-9");
+  sb.fns.validateSkuMatrix();
+  assert.deepEqual(sb.sheet("SKU_Matrix").backgrounds, {});
+  assert.deepEqual(sb.records("SkuMatrixLint"), []);
+});
@@ -0,0 +1,92 @@
+/***************************************
+ * skuPatterns.test.js
+ ***************************************/
+
+const test = require("node:test");
+const assert = require("node:assert/strict");
+
+const { createSandbox, loadFixture } = require("./harness/sandbox");
+const { addColumn } = require("./harness/helpers");
+
+/**
+ * Fixture with a MatchType column on SKU_Matrix plus the given rule rows
+ * ([SKU, PrintMode, PrintProfileKey, PrintCategory, MatchType]) and
+ * OrderItems rows for the given SKUs (LI-V1, LI-V2, ...).
+ */
+function setup(rules, skus) {
+  const fx = loadFixture("waitingOrders");
+  addColumn(fx, "SKU_Matrix", "MatchType");
+  fx.sheets.SKU_Matrix = fx.sheets.SKU_Matrix.concat(rules);
+
+  (skus || []).forEach((sku, i) => {
+    fx.sheets.OrderItems.push(["2026-03-09T12:00:00Z", "#2001", "Variant", 1, "", "", `LI-V${i + 1}`, sku, "", "", "", "", "", "", "", ""]);
+  });
+  return createSandbox(fx);
+}
+
+function matrix(sb) {
+  const sh = sb.sheet("SKU_Matrix");
+  const map = sb.fns.headerMap_(sh);
+  return sb.fns.buildSkuMap_(sh, { mSKU: map.SKU, mMode: map.PrintMode, mKey: map.PrintProfileKey, mCategory: map.PrintCategory, mMatch: map.MatchType });
+}
+
+test("pattern rules classify variants during enrichment; exact rows still win", () => {
+  const sb = setup(
+    [["P64-", "PRINT", "B64:1", "B64", "prefix"]],
+    ["P64-3-RED", "P64-3"]
+  );
+  sb.fns.processWaitingOrders({ staged: true, stage: "sync" });
+
+  const li = {};
+  for (const r of sb.records("OrderItems")) li[r.LineItemID] = r;
+  assert.deepEqual([li["LI-V1"].PrintProfileKey, li["LI-V1"].PrintUnits, li["LI-V1"].ReadyForOrders], ["B64:1", 1, true]);
+  assert.deepEqual([li["LI-V2"].PrintProfileKey, li["LI-V2"].PrintUnits], ["B64:3", 3], "the exact P64-3 row beats the prefix");
+  assert.ok(!sb.records("Exceptions").some(r => r.SKU === "P64-3-RED"));
+});
+
+test("precedence: exact, longest prefix, longest suffix, then regex in sheet order", () => {
+  const sb = setup([
+    ["FR-", "PRINT", "B64:1", "", "PREFIX"],
+    ["FR-A4-", "PRINT", "B108:1", "", "PREFIX"],
+    ["-MUG", "PRINT", "BMUG:1", "", "SUFFIX"],
+    ["-BIG-MUG", "PRINT", "BMUG:2", "", "SUFFIX"],
+    ["^CAL-\\d+$", "PRINT", "B125:1", "", "REGEX"],
+    ["^CAL-", "PRINT", "B54:1", "", "REGEX"],
+    ["([", "PRINT", "B54:1", "", "REGEX"]
+  ]);
+  const m = matrix(sb);
+  const key = sku => { const info = sb.fns.lookupSku_(m, sku); return info ? info.key : null; };
+
+  assert.equal(key("MUG-01"), "BMUG:1", "exact");
+  assert.equal(key("FR-A4-BLACK"), "B108:1", "longest prefix");
+  assert.equal(key("FR-A5-BLACK"), "B64:1");
+  assert.equal(key("FR-A4-MUG"), "B108:1", "prefix beats suffix");
+  assert.equal(key("XL-BIG-MUG"), "BMUG:2", "longest suffix");
+  assert.equal(key("CAL-2027"), "B125:1", "first regex row");
+  assert.equal(key("CAL-X"), "B54:1");
+  assert.equal(key("POSTER-1"), null);
+  assert.equal(m.patterns.length, 6, "the invalid regex row is skipped");
+});
+
+test("the quick-add list and lint understand pattern rows", () => {
+  const sb = setup(
+    [
+      ["UNKNOWN-", "PRINT", "B64:3", "B64", "PREFIX"],
+      ["NOPE-", "PRINT", "B64:3", "B64", "PREFIX"],
+      ["([", "PRINT", "B64:3", "B64", "REGEX"],
+      ["X", "PRINT", "B64:3", "B64", "CONTAINS"],
+      ["UNKNOWN-", "PRINT", "BMUG:1", "BMUG", "PREFIX"]
+    ]
+  );
+  assert.deepEqual(sb.fns.getUnmatchedSkus().items, [], "UNKNOWN-9 is covered by the prefix");
+
+  const res = sb.fns.validateSkuMatrix();
+  assert.deepEqual(res.problems.map(p => [p.row, p.column, p.check]), [
+    [6, "SKU", "UNUSED_SKU"],
+    [7, "SKU", "BAD_PATTERN"],
+    [8, "MatchType", "BAD_MATCH_TYPE"],
+    [9, "SKU", "DUPLICATE_SKU"]
+  ]);
+  assert.equal(res.problems[0].message, "PREFIX rule matches no SKU in OrderItems");
+  assert.equal(res.problems[3].message, "duplicate of row 5; the first row wins");
+});